@@ -3,6 +3,9 @@ using YarpAdmin.Middleware;
 
 var builder = WebApplication.CreateBuilder(args);
 
+// Add YARP reverse proxy (before YARP Admin so it can timestamp health checks)
+builder.Services.AddReverseProxy();
+
 // ============================================
 // OPTION 1: Basic setup with in-memory store
 // ============================================
@@ -19,9 +22,6 @@ builder.Services.AddYarpAdmin(options =>
     // options.AuthenticationPolicy = "YarpAdminPolicy";
 });
 
-// Add YARP reverse proxy
-builder.Services.AddReverseProxy();
-
 var app = builder.Build();
 
 // Add YARP Admin middleware (optional - for auth/logging)
@@ -33,8 +33,15 @@ app.UseYarpAdminLogging();
 // Access the API at: /api/yarp-admin/*
 app.MapYarpAdmin("/yarp-admin");
 
-// Map YARP reverse proxy with the admin service as config provider
-app.MapReverseProxy();
+// Map YARP reverse proxy with the admin service as config provider.
+// Draining destinations are skipped for new sessions between affinity and load balancing.
+app.MapReverseProxy(proxyPipeline =>
+{
+    proxyPipeline.UseSessionAffinity();
+    proxyPipeline.UseYarpAdminDestinationDraining();
+    proxyPipeline.UseLoadBalancing();
+    proxyPipeline.UsePassiveHealthChecks();
+});
 
 // Seed some example configuration
 await SeedExampleConfiguration(app.Services);
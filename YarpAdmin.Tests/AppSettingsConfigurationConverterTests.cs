@@ -0,0 +1,232 @@
+using System.Text.Json;
+using YarpAdmin;
+using YarpAdmin.Models;
+
+namespace YarpAdmin.Tests;
+
+public class AppSettingsConfigurationConverterTests
+{
+    #region ToAppSettings Tests
+
+    [Fact]
+    public void ToAppSettings_KeysRoutesAndClustersById()
+    {
+        var config = new YarpConfiguration
+        {
+            Routes = new List<RouteConfig> { CreateTestRoute("route-1") },
+            Clusters = new List<ClusterConfig> { CreateTestCluster("cluster-1") }
+        };
+
+        var result = AppSettingsConfigurationConverter.ToAppSettings(config);
+
+        var section = result["ReverseProxy"]!;
+        Assert.NotNull(section["Routes"]!["route-1"]);
+        Assert.NotNull(section["Clusters"]!["cluster-1"]);
+        Assert.Null(section["Routes"]!["route-1"]!["RouteId"]);
+        Assert.Null(section["Clusters"]!["cluster-1"]!["ClusterId"]);
+    }
+
+    [Fact]
+    public void ToAppSettings_UsesPascalCasePropertyNames()
+    {
+        var config = new YarpConfiguration
+        {
+            Routes = new List<RouteConfig> { CreateTestRoute("route-1") },
+            Clusters = new List<ClusterConfig> { CreateTestCluster("cluster-1") }
+        };
+
+        var result = AppSettingsConfigurationConverter.ToAppSettings(config);
+
+        var route = result["ReverseProxy"]!["Routes"]!["route-1"]!;
+        Assert.Equal("test-cluster", route["ClusterId"]!.GetValue<string>());
+        Assert.Equal("/api/{**catch-all}", route["Match"]!["Path"]!.GetValue<string>());
+        var cluster = result["ReverseProxy"]!["Clusters"]!["cluster-1"]!;
+        Assert.Equal("https://localhost:5001", cluster["Destinations"]!["dest-1"]!["Address"]!.GetValue<string>());
+    }
+
+    [Fact]
+    public void ToAppSettings_PreservesTransformAndMetadataKeys()
+    {
+        var route = CreateTestRoute("route-1");
+        route.Transforms = new List<Dictionary<string, string>>
+        {
+            new() { ["RequestHeader"] = "X-Foo", ["Set"] = "bar" }
+        };
+        route.Metadata = new Dictionary<string, string> { ["owner"] = "payments" };
+        var config = new YarpConfiguration { Routes = new List<RouteConfig> { route } };
+
+        var result = AppSettingsConfigurationConverter.ToAppSettings(config);
+
+        var exported = result["ReverseProxy"]!["Routes"]!["route-1"]!;
+        Assert.Equal("X-Foo", exported["Transforms"]![0]!["RequestHeader"]!.GetValue<string>());
+        Assert.Equal("bar", exported["Transforms"]![0]!["Set"]!.GetValue<string>());
+        Assert.Equal("payments", exported["Metadata"]!["owner"]!.GetValue<string>());
+    }
+
+    [Fact]
+    public void ToAppSettings_OmitsNullsAndDisabledRoutes()
+    {
+        var disabled = CreateTestRoute("disabled-route");
+        disabled.Enabled = false;
+        var config = new YarpConfiguration
+        {
+            Routes = new List<RouteConfig> { CreateTestRoute("route-1"), disabled }
+        };
+
+        var result = AppSettingsConfigurationConverter.ToAppSettings(config);
+
+        var routes = result["ReverseProxy"]!["Routes"]!.AsObject();
+        Assert.Single(routes);
+        Assert.False(routes["route-1"]!.AsObject().ContainsKey("Order"));
+        Assert.False(routes["route-1"]!.AsObject().ContainsKey("Enabled"));
+    }
+
+    [Fact]
+    public void ToAppSettings_OmitsDisabledDestinationsAndWritesStateAndWeightAsMetadata()
+    {
+        var cluster = CreateTestCluster("cluster-1");
+        cluster.Destinations!["dest-2"] = new DestinationConfig { Address = "https://localhost:5002", State = DestinationStates.Disabled };
+        cluster.Destinations["dest-3"] = new DestinationConfig { Address = "https://localhost:5003", State = DestinationStates.Draining, Weight = 10 };
+
+        var result = AppSettingsConfigurationConverter.ToAppSettings(new YarpConfiguration { Clusters = new List<ClusterConfig> { cluster } });
+
+        var destinations = result["ReverseProxy"]!["Clusters"]!["cluster-1"]!["Destinations"]!.AsObject();
+        Assert.Equal(new[] { "dest-1", "dest-3" }, destinations.Select(d => d.Key).OrderBy(k => k));
+        var draining = destinations["dest-3"]!.AsObject();
+        Assert.False(draining.ContainsKey("State"));
+        Assert.False(draining.ContainsKey("Weight"));
+        Assert.Equal(DestinationStates.Draining, draining["Metadata"]![DestinationStates.MetadataKey]!.GetValue<string>());
+        Assert.Equal("10", draining["Metadata"]![WeightedLoadBalancingPolicy.WeightMetadataKey]!.GetValue<string>());
+    }
+
+    #endregion
+
+    #region FromAppSettings Tests
+
+    [Fact]
+    public void FromAppSettings_ReadsReverseProxySection()
+    {
+        var json = """
+        {
+          "ReverseProxy": {
+            "Routes": {
+              "route-1": {
+                "ClusterId": "cluster-1",
+                "Order": 5,
+                "Match": { "Path": "/api/{**catch-all}", "Methods": [ "GET" ] },
+                "Transforms": [ { "PathRemovePrefix": "/api" } ]
+              }
+            },
+            "Clusters": {
+              "cluster-1": {
+                "LoadBalancingPolicy": "LeastRequests",
+                "Destinations": {
+                  "dest-1": { "Address": "https://server1.example.com" }
+                }
+              }
+            }
+          }
+        }
+        """;
+
+        var config = AppSettingsConfigurationConverter.FromAppSettings(JsonDocument.Parse(json).RootElement);
+
+        var route = Assert.Single(config.Routes);
+        Assert.Equal("route-1", route.RouteId);
+        Assert.Equal("cluster-1", route.ClusterId);
+        Assert.Equal(5, route.Order);
+        Assert.Equal("/api/{**catch-all}", route.Match?.Path);
+        Assert.Equal("/api", route.Transforms?[0]["PathRemovePrefix"]);
+        var cluster = Assert.Single(config.Clusters);
+        Assert.Equal("cluster-1", cluster.ClusterId);
+        Assert.Equal("LeastRequests", cluster.LoadBalancingPolicy);
+        Assert.Equal("https://server1.example.com", cluster.Destinations?["dest-1"].Address);
+    }
+
+    [Fact]
+    public void FromAppSettings_AcceptsBareSection()
+    {
+        var json = """{ "Routes": { "route-1": { "ClusterId": "cluster-1" } } }""";
+
+        var config = AppSettingsConfigurationConverter.FromAppSettings(JsonDocument.Parse(json).RootElement);
+
+        Assert.Equal("route-1", Assert.Single(config.Routes).RouteId);
+        Assert.Empty(config.Clusters);
+    }
+
+    [Fact]
+    public void FromAppSettings_NonObject_ThrowsJsonException()
+    {
+        var document = JsonDocument.Parse("[]").RootElement;
+
+        Assert.Throws<JsonException>(() => AppSettingsConfigurationConverter.FromAppSettings(document));
+    }
+
+    [Fact]
+    public void RoundTrip_PreservesEnabledRoutesAndClusters()
+    {
+        var route = CreateTestRoute("route-1");
+        route.Metadata = new Dictionary<string, string> { ["owner"] = "payments" };
+        var original = new YarpConfiguration
+        {
+            Routes = new List<RouteConfig> { route },
+            Clusters = new List<ClusterConfig> { CreateTestCluster("cluster-1") }
+        };
+
+        var json = AppSettingsConfigurationConverter.ToAppSettings(original).ToJsonString();
+        var config = AppSettingsConfigurationConverter.FromAppSettings(JsonDocument.Parse(json).RootElement);
+
+        Assert.Equal("payments", Assert.Single(config.Routes).Metadata?["owner"]);
+        Assert.True(config.Routes[0].Enabled);
+        Assert.Equal("RoundRobin", Assert.Single(config.Clusters).LoadBalancingPolicy);
+    }
+
+    [Fact]
+    public void RoundTrip_RestoresDestinationStateAndWeight()
+    {
+        var cluster = CreateTestCluster("cluster-1");
+        cluster.Destinations!["dest-1"].State = DestinationStates.Draining;
+        cluster.Destinations["dest-1"].Weight = 25;
+        var original = new YarpConfiguration { Clusters = new List<ClusterConfig> { cluster } };
+
+        var json = AppSettingsConfigurationConverter.ToAppSettings(original).ToJsonString();
+        var config = AppSettingsConfigurationConverter.FromAppSettings(JsonDocument.Parse(json).RootElement);
+
+        var destination = Assert.Single(config.Clusters).Destinations!["dest-1"];
+        Assert.Equal(DestinationStates.Draining, destination.State);
+        Assert.Equal(25, destination.Weight);
+        Assert.Null(destination.Metadata);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static RouteConfig CreateTestRoute(string routeId)
+    {
+        return new RouteConfig
+        {
+            RouteId = routeId,
+            ClusterId = "test-cluster",
+            Match = new RouteMatch
+            {
+                Path = "/api/{**catch-all}"
+            }
+        };
+    }
+
+    private static ClusterConfig CreateTestCluster(string clusterId)
+    {
+        return new ClusterConfig
+        {
+            ClusterId = clusterId,
+            LoadBalancingPolicy = "RoundRobin",
+            Destinations = new Dictionary<string, DestinationConfig>
+            {
+                ["dest-1"] = new DestinationConfig { Address = "https://localhost:5001" }
+            }
+        };
+    }
+
+    #endregion
+}
@@ -0,0 +1,104 @@
+using System.Text.Json;
+using YarpAdmin;
+using YarpAdmin.Models;
+
+namespace YarpAdmin.Tests;
+
+public class ConfigTemplatesTests
+{
+    #region Variable Tests
+
+    [Fact]
+    public void FindVariables_ReturnsDistinctNamesInOrderOfUse()
+    {
+        var content = Parse(@"{""clusterId"": ""{{service}}"", ""destinations"": {""{{ service }}-1"": {""address"": ""http://{{host}}:{{port}}""}}}");
+
+        var variables = ConfigTemplates.FindVariables(content);
+
+        Assert.Equal(new[] { "service", "host", "port" }, variables);
+    }
+
+    [Fact]
+    public void FindVariables_IgnoresRouteParameters()
+    {
+        var content = Parse(@"{""match"": {""path"": ""/api/{id}/{**catch-all}""}}");
+
+        Assert.Empty(ConfigTemplates.FindVariables(content));
+    }
+
+    #endregion
+
+    #region Instantiate Tests
+
+    [Fact]
+    public void Instantiate_ReplacesPlaceholdersInKeysAndValues()
+    {
+        var template = new ConfigTemplate
+        {
+            Content = Parse(@"{""clusterId"": ""{{service}}"", ""destinations"": {""{{service}}-1"": {""address"": ""http://{{service}}:{{port}}""}}}")
+        };
+
+        var entity = ConfigTemplates.Instantiate(template, new Dictionary<string, string> { ["service"] = "orders", ["port"] = "8080" });
+
+        var cluster = entity.Deserialize<ClusterConfig>()!;
+        Assert.Equal("orders", cluster.ClusterId);
+        Assert.Equal("http://orders:8080", cluster.Destinations!["orders-1"].Address);
+    }
+
+    [Fact]
+    public void Instantiate_ValueWithQuotes_KeepsJsonValid()
+    {
+        var template = new ConfigTemplate { Content = Parse(@"{""routeId"": ""{{name}}""}") };
+
+        var entity = ConfigTemplates.Instantiate(template, new Dictionary<string, string> { ["name"] = "a\"b\\c" });
+
+        Assert.Equal("a\"b\\c", entity.GetProperty("routeId").GetString());
+    }
+
+    [Fact]
+    public void Instantiate_MissingValue_Throws()
+    {
+        var template = new ConfigTemplate { Content = Parse(@"{""routeId"": ""{{name}}""}") };
+
+        Assert.Throws<ArgumentException>(() => ConfigTemplates.Instantiate(template, new Dictionary<string, string>()));
+    }
+
+    #endregion
+
+    #region Built-In Tests
+
+    [Fact]
+    public void BuiltIn_TemplatesInstantiateToValidEntities()
+    {
+        foreach (var template in ConfigTemplates.BuiltIn)
+        {
+            var values = template.Variables.ToDictionary(v => v, v => v == "port" ? "8080" : "sample");
+
+            var entity = ConfigTemplates.Instantiate(template, values);
+
+            if (template.EntityType == "route")
+                Assert.Equal("sample", entity.Deserialize<RouteConfig>()!.ClusterId);
+            else
+                Assert.Equal("sample", entity.Deserialize<ClusterConfig>()!.ClusterId);
+        }
+    }
+
+    [Fact]
+    public void IsBuiltIn_MatchesBuiltInIdsOnly()
+    {
+        Assert.True(ConfigTemplates.IsBuiltIn("rest-service"));
+        Assert.False(ConfigTemplates.IsBuiltIn("my-template"));
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static JsonElement Parse(string json)
+    {
+        using var document = JsonDocument.Parse(json);
+        return document.RootElement.Clone();
+    }
+
+    #endregion
+}
@@ -0,0 +1,87 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Http;
+using YarpAdmin;
+using YarpAdmin.Models;
+
+namespace YarpAdmin.Tests;
+
+public class ConfigurationChangeNotifierTests
+{
+    private readonly InMemoryYarpConfigurationStore _store;
+    private readonly HttpContextAccessor _httpContextAccessor;
+    private readonly ConfigurationChangeNotifier _notifier;
+
+    public ConfigurationChangeNotifierTests()
+    {
+        _store = new InMemoryYarpConfigurationStore(new YarpAdminOptions());
+        _httpContextAccessor = new HttpContextAccessor();
+        _notifier = new ConfigurationChangeNotifier(_store, _httpContextAccessor);
+    }
+
+    #region Subscribe Tests
+
+    [Fact]
+    public async Task SubscribeAsync_RouteUpserted_YieldsEntityChange()
+    {
+        await using var subscription = _notifier.SubscribeAsync(CancellationToken.None).GetAsyncEnumerator();
+        var next = subscription.MoveNextAsync();
+
+        await _store.UpsertRouteAsync(new RouteConfig { RouteId = "api-v2", ClusterId = "cluster-1" });
+
+        Assert.True(await next);
+        Assert.Equal("added", subscription.Current.ChangeType);
+        var change = Assert.Single(subscription.Current.Changes);
+        Assert.Equal("route", change.EntityType);
+        Assert.Equal("api-v2", change.EntityId);
+    }
+
+    [Fact]
+    public async Task SubscribeAsync_Batch_YieldsEveryChangedEntity()
+    {
+        await using var subscription = _notifier.SubscribeAsync(CancellationToken.None).GetAsyncEnumerator();
+        var next = subscription.MoveNextAsync();
+
+        await _store.ApplyBatchAsync(new ConfigurationBatch
+        {
+            UpsertClusters = new List<ClusterConfig> { new() { ClusterId = "cluster-1" } },
+            UpsertRoutes = new List<RouteConfig> { new() { RouteId = "route-1", ClusterId = "cluster-1" } }
+        });
+
+        Assert.True(await next);
+        Assert.Equal("batch", subscription.Current.ChangeType);
+        Assert.Equal(new[] { "cluster:cluster-1", "route:route-1" },
+            subscription.Current.Changes.Select(c => $"{c.EntityType}:{c.EntityId}"));
+    }
+
+    [Fact]
+    public async Task SubscribeAsync_ChangeDuringRequest_AttributesUserAndClient()
+    {
+        var identity = new ClaimsIdentity(new[] { new Claim(ClaimTypes.Name, "alice") }, "Test");
+        var httpContext = new DefaultHttpContext { User = new ClaimsPrincipal(identity) };
+        httpContext.Request.Headers[ConfigurationChangeNotifier.ClientIdHeader] = "tab-1";
+        _httpContextAccessor.HttpContext = httpContext;
+        await using var subscription = _notifier.SubscribeAsync(CancellationToken.None).GetAsyncEnumerator();
+        var next = subscription.MoveNextAsync();
+
+        await _store.DeleteClusterAsync("missing");
+        await _store.UpsertClusterAsync(new ClusterConfig { ClusterId = "cluster-1" });
+
+        Assert.True(await next);
+        Assert.Equal("alice", subscription.Current.User);
+        Assert.Equal("tab-1", subscription.Current.ClientId);
+    }
+
+    [Fact]
+    public async Task SubscribeAsync_Cancelled_StopsYielding()
+    {
+        using var cts = new CancellationTokenSource();
+        await using var subscription = _notifier.SubscribeAsync(cts.Token).GetAsyncEnumerator();
+        var next = subscription.MoveNextAsync();
+
+        cts.Cancel();
+
+        await Assert.ThrowsAnyAsync<OperationCanceledException>(async () => await next);
+    }
+
+    #endregion
+}
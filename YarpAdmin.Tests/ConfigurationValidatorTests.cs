@@ -0,0 +1,173 @@
+using Moq;
+using YarpAdmin;
+using YarpAdmin.Models;
+using IConfigValidator = Yarp.ReverseProxy.Configuration.IConfigValidator;
+using YarpRouteConfig = Yarp.ReverseProxy.Configuration.RouteConfig;
+using YarpClusterConfig = Yarp.ReverseProxy.Configuration.ClusterConfig;
+
+namespace YarpAdmin.Tests;
+
+public class ConfigurationValidatorTests
+{
+    private readonly Mock<IConfigValidator> _mockValidator;
+    private readonly ConfigurationValidator _validator;
+
+    public ConfigurationValidatorTests()
+    {
+        _mockValidator = new Mock<IConfigValidator>();
+        _mockValidator.Setup(v => v.ValidateRouteAsync(It.IsAny<YarpRouteConfig>())).ReturnsAsync(new List<Exception>());
+        _mockValidator.Setup(v => v.ValidateClusterAsync(It.IsAny<YarpClusterConfig>())).ReturnsAsync(new List<Exception>());
+        _validator = new ConfigurationValidator(_mockValidator.Object);
+    }
+
+    #region Validate Tests
+
+    [Fact]
+    public async Task ValidateAsync_ValidConfiguration_ReturnsNoErrors()
+    {
+        var result = await _validator.ValidateAsync(CreateConfiguration());
+
+        Assert.True(result.Valid);
+        Assert.Empty(result.Errors);
+        _mockValidator.Verify(v => v.ValidateRouteAsync(It.Is<YarpRouteConfig>(r => r.RouteId == "route-1")), Times.Once);
+        _mockValidator.Verify(v => v.ValidateClusterAsync(It.Is<YarpClusterConfig>(c => c.ClusterId == "cluster-1")), Times.Once);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_YarpRejectsRoute_ReportsItsMessage()
+    {
+        _mockValidator.Setup(v => v.ValidateRouteAsync(It.IsAny<YarpRouteConfig>()))
+            .ReturnsAsync(new List<Exception> { new ArgumentException("Invalid path pattern '/api/{'") });
+
+        var result = await _validator.ValidateAsync(CreateConfiguration());
+
+        Assert.False(result.Valid);
+        var error = Assert.Single(result.Errors);
+        Assert.Equal("route", error.EntityType);
+        Assert.Equal("route-1", error.EntityId);
+        Assert.Equal("Invalid path pattern '/api/{'", error.Message);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_RouteWithMissingCluster_ReportsRouteError()
+    {
+        var config = CreateConfiguration();
+        config.Routes[0].ClusterId = "missing";
+
+        var result = await _validator.ValidateAsync(config);
+
+        var error = Assert.Single(result.Errors);
+        Assert.Equal("route-1", error.EntityId);
+        Assert.Equal("Cluster 'missing' does not exist", error.Message);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_UnparseableHealthCheckInterval_ReportsClusterError()
+    {
+        var config = CreateConfiguration();
+        config.Clusters[0].HealthCheck = new HealthCheckConfig
+        {
+            Active = new ActiveHealthCheckConfig { Enabled = true, Interval = "ten seconds" }
+        };
+
+        var result = await _validator.ValidateAsync(config);
+
+        var error = Assert.Single(result.Errors);
+        Assert.Equal("cluster", error.EntityType);
+        Assert.Equal("cluster-1", error.EntityId);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_OutOfRangeHealthCheckTimeout_ReportsClusterError()
+    {
+        var config = CreateConfiguration();
+        config.Clusters[0].HealthCheck = new HealthCheckConfig
+        {
+            Active = new ActiveHealthCheckConfig { Enabled = true, Timeout = "99999999.00:00:00" }
+        };
+
+        var result = await _validator.ValidateAsync(config);
+
+        var error = Assert.Single(result.Errors);
+        Assert.Equal("cluster", error.EntityType);
+        Assert.Equal("cluster-1", error.EntityId);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_UnknownHttpVersionPolicy_ReportsClusterError()
+    {
+        var config = CreateConfiguration();
+        config.Clusters[0].HttpRequest = new HttpRequestConfig { VersionPolicy = "Http3Only" };
+
+        var result = await _validator.ValidateAsync(config);
+
+        var error = Assert.Single(result.Errors);
+        Assert.Equal("cluster-1", error.EntityId);
+        Assert.Equal("'Http3Only' is not a valid HTTP version policy", error.Message);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_WeightAboveMaximum_ReportsClusterError()
+    {
+        var config = CreateConfiguration();
+        config.Clusters[0].Destinations!["d1"].Weight = WeightedLoadBalancingPolicy.MaxWeight + 1;
+
+        var result = await _validator.ValidateAsync(config);
+
+        var error = Assert.Single(result.Errors);
+        Assert.Equal("cluster-1", error.EntityId);
+        Assert.Equal($"Destination 'd1' has a weight above {WeightedLoadBalancingPolicy.MaxWeight}", error.Message);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_UnknownDestinationState_ReportsClusterError()
+    {
+        var config = CreateConfiguration();
+        config.Clusters[0].Destinations!["d1"].State = "paused";
+
+        var result = await _validator.ValidateAsync(config);
+
+        var error = Assert.Single(result.Errors);
+        Assert.Equal("cluster-1", error.EntityId);
+        Assert.Equal("Destination 'd1' has unknown state 'paused'", error.Message);
+    }
+
+    [Fact]
+    public async Task ValidateAsync_NegativeDestinationWeight_ReportsClusterError()
+    {
+        var config = CreateConfiguration();
+        config.Clusters[0].Destinations!["d1"].Weight = -5;
+
+        var result = await _validator.ValidateAsync(config);
+
+        Assert.Equal("Destination 'd1' has a negative weight", Assert.Single(result.Errors).Message);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static YarpConfiguration CreateConfiguration()
+    {
+        return new YarpConfiguration
+        {
+            Routes = new List<RouteConfig>
+            {
+                new() { RouteId = "route-1", ClusterId = "cluster-1", Match = new RouteMatch { Path = "/api/{**catch-all}" } }
+            },
+            Clusters = new List<ClusterConfig>
+            {
+                new()
+                {
+                    ClusterId = "cluster-1",
+                    Destinations = new Dictionary<string, DestinationConfig>
+                    {
+                        ["d1"] = new DestinationConfig { Address = "https://localhost:5001" }
+                    }
+                }
+            }
+        };
+    }
+
+    #endregion
+}
@@ -0,0 +1,212 @@
+using Yarp.ReverseProxy;
+using Yarp.ReverseProxy.Health;
+using Yarp.ReverseProxy.Model;
+using YarpAdmin;
+using YarpDestinationConfig = Yarp.ReverseProxy.Configuration.DestinationConfig;
+
+namespace YarpAdmin.Tests;
+
+public class DestinationHealthServiceTests
+{
+    private readonly TestProxyStateLookup _proxyState;
+    private readonly DestinationHealthChecks _checks;
+    private readonly DestinationHealthService _service;
+
+    public DestinationHealthServiceTests()
+    {
+        _proxyState = new TestProxyStateLookup();
+        _checks = new DestinationHealthChecks();
+        _service = new DestinationHealthService(_proxyState, _checks);
+    }
+
+    #region GetClusterHealth Tests
+
+    [Fact]
+    public void GetClusterHealth_ReportsActiveAndPassiveState()
+    {
+        var cluster = AddCluster("cluster-1", "dest-1", "dest-2");
+        cluster.Destinations["dest-1"].Health.Active = DestinationHealth.Healthy;
+        cluster.Destinations["dest-2"].Health.Passive = DestinationHealth.Unhealthy;
+
+        var health = Assert.Single(_service.GetClusterHealth());
+
+        Assert.Equal("cluster-1", health.ClusterId);
+        Assert.Equal(2, health.Destinations.Count);
+        Assert.Equal("dest-1", health.Destinations[0].DestinationId);
+        Assert.Equal("https://dest-1.example.com", health.Destinations[0].Address);
+        Assert.Equal("Healthy", health.Destinations[0].Active);
+        Assert.Equal("Unknown", health.Destinations[0].Passive);
+        Assert.Equal("Unknown", health.Destinations[1].Active);
+        Assert.Equal("Unhealthy", health.Destinations[1].Passive);
+    }
+
+    [Fact]
+    public void GetClusterHealth_NoClusters_ReturnsEmpty()
+    {
+        Assert.Empty(_service.GetClusterHealth());
+    }
+
+    [Fact]
+    public void GetClusterHealth_ById_UnknownCluster_ReturnsNull()
+    {
+        AddCluster("cluster-1", "dest-1");
+
+        Assert.Null(_service.GetClusterHealth("missing"));
+    }
+
+    [Fact]
+    public void GetClusterHealth_ById_ReturnsCluster()
+    {
+        AddCluster("cluster-1", "dest-1");
+        AddCluster("cluster-2", "dest-2");
+
+        var health = _service.GetClusterHealth("cluster-2");
+
+        Assert.NotNull(health);
+        Assert.Equal("dest-2", Assert.Single(health.Destinations).DestinationId);
+    }
+
+    #endregion
+
+    #region State Tracking Tests
+
+    [Fact]
+    public void GetClusterHealth_UnchangedState_KeepsStateSince()
+    {
+        AddCluster("cluster-1", "dest-1");
+
+        var first = _service.GetClusterHealth("cluster-1")!.Destinations[0].StateSince;
+        Thread.Sleep(50);
+        var second = _service.GetClusterHealth("cluster-1")!.Destinations[0].StateSince;
+
+        Assert.Equal(first, second);
+    }
+
+    [Fact]
+    public void GetClusterHealth_ChangedState_ResetsStateSince()
+    {
+        var cluster = AddCluster("cluster-1", "dest-1");
+
+        var first = _service.GetClusterHealth("cluster-1")!.Destinations[0].StateSince;
+        Thread.Sleep(50);
+        cluster.Destinations["dest-1"].Health.Active = DestinationHealth.Unhealthy;
+        var second = _service.GetClusterHealth("cluster-1")!.Destinations[0].StateSince;
+
+        Assert.True(second > first);
+    }
+
+    [Fact]
+    public void GetClusterHealth_RemovedDestination_ForgetsState()
+    {
+        var cluster = AddCluster("cluster-1", "dest-1");
+        var first = _service.GetClusterHealth("cluster-1")!.Destinations[0].StateSince;
+        _checks.Record("cluster-1", "dest-1", DateTimeOffset.UtcNow);
+
+        cluster.Destinations.TryRemove("dest-1", out _);
+        _service.GetClusterHealth();
+        Thread.Sleep(50);
+        AddCluster("cluster-1", "dest-1");
+        var destination = _service.GetClusterHealth("cluster-1")!.Destinations[0];
+
+        Assert.True(destination.StateSince > first);
+        Assert.Null(destination.CheckedAt);
+    }
+
+    [Fact]
+    public void GetClusterHealth_RemovedCluster_ForgetsState()
+    {
+        AddCluster("cluster-1", "dest-1");
+        _service.GetClusterHealth();
+        _checks.Record("cluster-1", "dest-1", DateTimeOffset.UtcNow);
+
+        _proxyState.Clusters.Remove("cluster-1");
+
+        Assert.Null(_service.GetClusterHealth("cluster-1"));
+        Assert.Null(_checks.GetCheckedAt("cluster-1", "dest-1"));
+    }
+
+    #endregion
+
+    #region Health Check Timestamp Tests
+
+    [Fact]
+    public void GetClusterHealth_NeverChecked_ReportsNullCheckedAt()
+    {
+        AddCluster("cluster-1", "dest-1");
+
+        var health = _service.GetClusterHealth("cluster-1")!;
+
+        Assert.Null(health.CheckedAt);
+        Assert.Null(health.Destinations[0].CheckedAt);
+    }
+
+    [Fact]
+    public void SetActive_RecordsProbeTime()
+    {
+        var cluster = AddCluster("cluster-1", "dest-1", "dest-2");
+        var inner = new Mock<IDestinationHealthUpdater>();
+        var updater = new RecordingDestinationHealthUpdater(inner.Object, _checks);
+        var before = DateTimeOffset.UtcNow;
+
+        updater.SetActive(cluster, new[]
+        {
+            new NewActiveDestinationHealth(cluster.Destinations["dest-1"], DestinationHealth.Healthy)
+        });
+
+        var health = _service.GetClusterHealth("cluster-1")!;
+        Assert.NotNull(health.Destinations[0].CheckedAt);
+        Assert.True(health.Destinations[0].CheckedAt >= before);
+        Assert.Null(health.Destinations[1].CheckedAt);
+        Assert.Equal(health.Destinations[0].CheckedAt, health.CheckedAt);
+        inner.Verify(u => u.SetActive(cluster, It.Is<IEnumerable<NewActiveDestinationHealth>>(p => p.Count() == 1)), Times.Once);
+    }
+
+    [Fact]
+    public void SetPassive_RecordsEvaluationTime()
+    {
+        var cluster = AddCluster("cluster-1", "dest-1");
+        var inner = new Mock<IDestinationHealthUpdater>();
+        var updater = new RecordingDestinationHealthUpdater(inner.Object, _checks);
+        var destination = cluster.Destinations["dest-1"];
+
+        updater.SetPassive(cluster, destination, DestinationHealth.Unhealthy, TimeSpan.FromMinutes(1));
+
+        Assert.NotNull(_service.GetClusterHealth("cluster-1")!.Destinations[0].CheckedAt);
+        inner.Verify(u => u.SetPassive(cluster, destination, DestinationHealth.Unhealthy, TimeSpan.FromMinutes(1)), Times.Once);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private ClusterState AddCluster(string clusterId, params string[] destinationIds)
+    {
+        var cluster = new ClusterState(clusterId);
+        foreach (var destinationId in destinationIds)
+        {
+            var model = new DestinationModel(new YarpDestinationConfig { Address = $"https://{destinationId}.example.com" });
+            cluster.Destinations[destinationId] = new DestinationState(destinationId, model);
+        }
+        _proxyState.Clusters[clusterId] = cluster;
+        return cluster;
+    }
+
+    private class TestProxyStateLookup : IProxyStateLookup
+    {
+        public Dictionary<string, ClusterState> Clusters { get; } = new();
+
+        public bool TryGetRoute(string id, out RouteModel? route)
+        {
+            route = null;
+            return false;
+        }
+
+        public IEnumerable<RouteModel> GetRoutes() => Enumerable.Empty<RouteModel>();
+
+        public bool TryGetCluster(string id, out ClusterState? cluster) => Clusters.TryGetValue(id, out cluster);
+
+        public IEnumerable<ClusterState> GetClusters() => Clusters.Values;
+    }
+
+    #endregion
+}
@@ -0,0 +1,63 @@
+using YarpAdmin;
+using YarpAdmin.Models;
+
+namespace YarpAdmin.Tests;
+
+public class EntityTagTests
+{
+    #region Compute Tests
+
+    [Fact]
+    public void Compute_SameContent_ReturnsSameTag()
+    {
+        var first = new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" };
+        var second = new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" };
+
+        Assert.Equal(EntityTag.Compute(first), EntityTag.Compute(second));
+    }
+
+    [Fact]
+    public void Compute_DifferentContent_ReturnsDifferentTag()
+    {
+        var cluster = new ClusterConfig { ClusterId = "cluster-1" };
+        var tag = EntityTag.Compute(cluster);
+
+        cluster.LoadBalancingPolicy = "Random";
+
+        Assert.NotEqual(tag, EntityTag.Compute(cluster));
+    }
+
+    [Fact]
+    public void Compute_ReturnsQuotedStrongTag()
+    {
+        var tag = EntityTag.Compute(new RouteConfig { RouteId = "route-1" });
+
+        Assert.StartsWith("\"", tag);
+        Assert.EndsWith("\"", tag);
+    }
+
+    #endregion
+
+    #region Matches Tests
+
+    [Fact]
+    public void Matches_TagInList_ReturnsTrue()
+    {
+        Assert.True(EntityTag.Matches("\"a\", \"b\"", "\"b\""));
+    }
+
+    [Fact]
+    public void Matches_Wildcard_ReturnsTrue()
+    {
+        Assert.True(EntityTag.Matches("*", "\"b\""));
+    }
+
+    [Fact]
+    public void Matches_MissingOrDifferentTag_ReturnsFalse()
+    {
+        Assert.False(EntityTag.Matches(null, "\"b\""));
+        Assert.False(EntityTag.Matches("\"a\"", "\"b\""));
+    }
+
+    #endregion
+}
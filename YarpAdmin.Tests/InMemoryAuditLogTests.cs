@@ -0,0 +1,208 @@
+using System.Text.Json;
+using YarpAdmin;
+using YarpAdmin.Models;
+
+namespace YarpAdmin.Tests;
+
+public class InMemoryAuditLogTests : IDisposable
+{
+    private readonly string _tempConfigPath;
+    private readonly YarpAdminOptions _options;
+    private readonly InMemoryAuditLog _auditLog;
+
+    public InMemoryAuditLogTests()
+    {
+        _tempConfigPath = Path.Combine(Path.GetTempPath(), $"yarp-test-{Guid.NewGuid()}.json");
+        _options = new YarpAdminOptions();
+        _auditLog = new InMemoryAuditLog(_options);
+    }
+
+    public void Dispose()
+    {
+        if (File.Exists(AuditFilePath))
+        {
+            File.Delete(AuditFilePath);
+        }
+    }
+
+    #region Record Tests
+
+    [Fact]
+    public async Task RecordAsync_AssignsIdAndTimestamp()
+    {
+        await _auditLog.RecordAsync(CreateEntry("route-1"));
+        await _auditLog.RecordAsync(CreateEntry("route-2"));
+
+        var page = await _auditLog.QueryAsync(new AuditQuery());
+
+        Assert.Equal(new long[] { 2, 1 }, page.Items.Select(e => e.Id));
+        Assert.All(page.Items, e => Assert.NotEqual(default, e.Timestamp));
+    }
+
+    [Fact]
+    public async Task RecordAsync_BeyondMaxAuditEntries_DropsOldestEntries()
+    {
+        var auditLog = new InMemoryAuditLog(new YarpAdminOptions { MaxAuditEntries = 2 });
+
+        await auditLog.RecordAsync(CreateEntry("route-1"));
+        await auditLog.RecordAsync(CreateEntry("route-2"));
+        await auditLog.RecordAsync(CreateEntry("route-3"));
+
+        var page = await auditLog.QueryAsync(new AuditQuery());
+        Assert.Equal(2, page.Total);
+        Assert.DoesNotContain(page.Items, e => e.EntityId == "route-1");
+    }
+
+    [Fact]
+    public async Task RecordAsync_WithConfigurationFilePath_SurvivesRestart()
+    {
+        var options = new YarpAdminOptions { ConfigurationFilePath = _tempConfigPath };
+        await new InMemoryAuditLog(options).RecordAsync(CreateEntry("route-1"));
+
+        var reloaded = new InMemoryAuditLog(options);
+        await reloaded.RecordAsync(CreateEntry("route-2"));
+
+        var page = await reloaded.QueryAsync(new AuditQuery());
+        Assert.Equal(new[] { "route-2", "route-1" }, page.Items.Select(e => e.EntityId));
+        Assert.Equal(2, page.Items[0].Id);
+    }
+
+    [Fact]
+    public async Task RecordAsync_UnwritableFile_KeepsEntryInMemory()
+    {
+        // A directory where the audit file should be makes every append fail
+        Directory.CreateDirectory(AuditFilePath);
+        try
+        {
+            var auditLog = new InMemoryAuditLog(new YarpAdminOptions { ConfigurationFilePath = _tempConfigPath });
+
+            await auditLog.RecordAsync(CreateEntry("route-1"));
+            await auditLog.RecordAsync(CreateEntry("route-2"));
+
+            var page = await auditLog.QueryAsync(new AuditQuery());
+            Assert.Equal(new[] { "route-2", "route-1" }, page.Items.Select(e => e.EntityId));
+        }
+        finally
+        {
+            Directory.Delete(AuditFilePath);
+        }
+    }
+
+    [Fact]
+    public async Task Constructor_CorruptLine_SkipsItAndKeepsOtherEntries()
+    {
+        var options = new YarpAdminOptions { ConfigurationFilePath = _tempConfigPath };
+        await new InMemoryAuditLog(options).RecordAsync(CreateEntry("route-1"));
+        await File.AppendAllTextAsync(AuditFilePath, "{\"id\":2,\"action\":\"Upd");
+
+        var reloaded = new InMemoryAuditLog(options);
+        await reloaded.RecordAsync(CreateEntry("route-2"));
+
+        var page = await reloaded.QueryAsync(new AuditQuery());
+        Assert.Equal(new[] { "route-2", "route-1" }, page.Items.Select(e => e.EntityId));
+        Assert.Equal(2, File.ReadAllLines(AuditFilePath).Length);
+    }
+
+    [Fact]
+    public async Task RecordAsync_BeyondMaxAuditEntries_CompactsFile()
+    {
+        var options = new YarpAdminOptions { ConfigurationFilePath = _tempConfigPath, MaxAuditEntries = 2 };
+        var auditLog = new InMemoryAuditLog(options);
+
+        for (var i = 1; i <= 5; i++)
+        {
+            await auditLog.RecordAsync(CreateEntry($"route-{i}"));
+        }
+
+        var lines = File.ReadAllLines(AuditFilePath);
+        Assert.True(lines.Length <= 4);
+        var reloaded = await new InMemoryAuditLog(options).QueryAsync(new AuditQuery());
+        Assert.Equal(new[] { "route-5", "route-4" }, reloaded.Items.Select(e => e.EntityId));
+    }
+
+    [Fact]
+    public async Task Constructor_FileLongerThanMaxAuditEntries_CompactsFile()
+    {
+        await using (var writer = File.CreateText(AuditFilePath))
+        {
+            for (var i = 1; i <= 5; i++)
+            {
+                var entry = CreateEntry($"route-{i}");
+                entry.Id = i;
+                await writer.WriteLineAsync(JsonSerializer.Serialize(entry));
+            }
+        }
+
+        new InMemoryAuditLog(new YarpAdminOptions { ConfigurationFilePath = _tempConfigPath, MaxAuditEntries = 2 });
+
+        Assert.Equal(2, File.ReadAllLines(AuditFilePath).Length);
+    }
+
+    #endregion
+
+    #region Query Tests
+
+    [Fact]
+    public async Task QueryAsync_FiltersByUserActionAndEntity()
+    {
+        await _auditLog.RecordAsync(CreateEntry("route-1", user: "alice"));
+        await _auditLog.RecordAsync(CreateEntry("route-1", user: "bob"));
+        await _auditLog.RecordAsync(CreateEntry("route-2", user: "alice", action: AuditActions.Delete));
+
+        var page = await _auditLog.QueryAsync(new AuditQuery { User = "ALICE", Action = "update", EntityId = "route-1" });
+
+        var entry = Assert.Single(page.Items);
+        Assert.Equal("alice", entry.User);
+        Assert.Equal("route-1", entry.EntityId);
+    }
+
+    [Fact]
+    public async Task QueryAsync_SearchMatchesPayloads()
+    {
+        var entry = CreateEntry("checkout");
+        entry.After = JsonSerializer.SerializeToElement(new RouteConfig
+        {
+            RouteId = "checkout",
+            Match = new RouteMatch { Path = "/payments/{**catch-all}" }
+        });
+        await _auditLog.RecordAsync(entry);
+        await _auditLog.RecordAsync(CreateEntry("catalog"));
+
+        var page = await _auditLog.QueryAsync(new AuditQuery { Search = "/PAYMENTS" });
+
+        Assert.Equal("checkout", Assert.Single(page.Items).EntityId);
+    }
+
+    [Fact]
+    public async Task QueryAsync_PagesNewestFirst()
+    {
+        for (var i = 1; i <= 5; i++)
+        {
+            await _auditLog.RecordAsync(CreateEntry($"route-{i}"));
+        }
+
+        var page = await _auditLog.QueryAsync(new AuditQuery { Page = 2, PageSize = 2 });
+
+        Assert.Equal(5, page.Total);
+        Assert.Equal(new[] { "route-3", "route-2" }, page.Items.Select(e => e.EntityId));
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private string AuditFilePath => Path.ChangeExtension(_tempConfigPath, ".audit.jsonl");
+
+    private static AuditEntry CreateEntry(string routeId, string? user = null, string action = AuditActions.Update)
+    {
+        return new AuditEntry
+        {
+            User = user,
+            Action = action,
+            EntityType = "route",
+            EntityId = routeId
+        };
+    }
+
+    #endregion
+}
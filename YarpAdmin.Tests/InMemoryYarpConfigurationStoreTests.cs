@@ -1,3 +1,4 @@
+using System.Text.Json;
 using YarpAdmin;
 using YarpAdmin.Models;
 
@@ -18,9 +19,17 @@ public class InMemoryYarpConfigurationStoreTests : IDisposable
 
     public void Dispose()
     {
-        if (File.Exists(_tempConfigPath))
+        foreach (var path in new[]
         {
-            File.Delete(_tempConfigPath);
+            _tempConfigPath,
+            Path.ChangeExtension(_tempConfigPath, ".history.json"),
+            Path.ChangeExtension(_tempConfigPath, ".templates.json")
+        })
+        {
+            if (File.Exists(path))
+            {
+                File.Delete(path);
+            }
         }
     }
 
@@ -193,6 +202,290 @@ public class InMemoryYarpConfigurationStoreTests : IDisposable
 
     #endregion
 
+    #region Batch Tests
+
+    [Fact]
+    public async Task ApplyBatchAsync_AppliesUpsertsAndDeletes()
+    {
+        await _store.UpsertRouteAsync(CreateTestRoute("old-route"));
+        await _store.UpsertClusterAsync(CreateTestCluster("old-cluster"));
+
+        await _store.ApplyBatchAsync(new ConfigurationBatch
+        {
+            UpsertClusters = new List<ClusterConfig> { CreateTestCluster("new-cluster") },
+            UpsertRoutes = new List<RouteConfig> { CreateTestRoute("new-route", "new-cluster") },
+            DeleteRoutes = new List<string> { "old-route" },
+            DeleteClusters = new List<string> { "old-cluster" }
+        });
+
+        var config = await _store.GetConfigurationAsync();
+        Assert.Equal("new-route", Assert.Single(config.Routes).RouteId);
+        Assert.Equal("new-cluster", Assert.Single(config.Clusters).ClusterId);
+    }
+
+    [Fact]
+    public async Task ApplyBatchAsync_RaisesSingleBatchEvent()
+    {
+        var events = new List<ConfigurationChangedEventArgs>();
+        _store.ConfigurationChanged += (_, args) => events.Add(args);
+
+        await _store.ApplyBatchAsync(new ConfigurationBatch
+        {
+            UpsertRoutes = new List<RouteConfig> { CreateTestRoute("route-1"), CreateTestRoute("route-2") },
+            DeleteRoutes = new List<string> { "missing-route" }
+        });
+
+        var eventArgs = Assert.Single(events);
+        Assert.Equal(ChangeType.Batch, eventArgs.ChangeType);
+    }
+
+    [Fact]
+    public async Task ApplyBatchAsync_EventListsEntityChanges()
+    {
+        await _store.UpsertRouteAsync(CreateTestRoute("existing-route"));
+        ConfigurationChangedEventArgs? batchEvent = null;
+        _store.ConfigurationChanged += (_, args) => batchEvent = args;
+
+        await _store.ApplyBatchAsync(new ConfigurationBatch
+        {
+            UpsertRoutes = new List<RouteConfig> { CreateTestRoute("existing-route"), CreateTestRoute("new-route") },
+            DeleteClusters = new List<string> { "missing-cluster" }
+        });
+
+        Assert.NotNull(batchEvent);
+        Assert.Equal(2, batchEvent!.Changes.Count);
+        Assert.Equal(ChangeType.Updated, batchEvent.Changes[0].ChangeType);
+        Assert.Equal("existing-route", batchEvent.Changes[0].EntityId);
+        Assert.Equal(ChangeType.Added, batchEvent.Changes[1].ChangeType);
+        Assert.Equal("new-route", batchEvent.Changes[1].EntityId);
+        Assert.All(batchEvent.Changes, c => Assert.Equal("Route", c.EntityType));
+    }
+
+    [Fact]
+    public async Task ApplyBatchAsync_WithConfigurationFilePath_SavesConfiguration()
+    {
+        var options = new YarpAdminOptions { ConfigurationFilePath = _tempConfigPath };
+        var store = new InMemoryYarpConfigurationStore(options);
+
+        await store.ApplyBatchAsync(new ConfigurationBatch
+        {
+            UpsertRoutes = new List<RouteConfig> { CreateTestRoute("batch-route") }
+        });
+
+        var content = await File.ReadAllTextAsync(_tempConfigPath);
+        Assert.Contains("batch-route", content);
+    }
+
+    [Fact]
+    public async Task ApplyBatchAsync_StaleIfMatch_ThrowsWithoutApplying()
+    {
+        var original = CreateTestRoute("route-1");
+        await _store.UpsertRouteAsync(original);
+        var etag = EntityTag.Compute(original);
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1", "their-cluster"));
+
+        var ex = await Assert.ThrowsAsync<PreconditionFailedException>(() => _store.ApplyBatchAsync(new ConfigurationBatch
+        {
+            UpsertRoutes = new List<RouteConfig> { CreateTestRoute("route-1", "my-cluster"), CreateTestRoute("route-2") },
+            IfMatch = new List<EntityPrecondition> { new() { EntityType = "route", EntityId = "route-1", ETag = etag } }
+        }));
+
+        Assert.Equal("route-1", ex.EntityId);
+        Assert.Equal("their-cluster", (await _store.GetRouteAsync("route-1"))!.ClusterId);
+        Assert.Null(await _store.GetRouteAsync("route-2"));
+    }
+
+    #endregion
+
+    #region Precondition Tests
+
+    [Fact]
+    public async Task UpsertRouteAsync_MatchingIfMatch_UpdatesRoute()
+    {
+        var original = CreateTestRoute("route-1");
+        await _store.UpsertRouteAsync(original);
+
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1", "new-cluster"), EntityTag.Compute(original));
+
+        Assert.Equal("new-cluster", (await _store.GetRouteAsync("route-1"))!.ClusterId);
+    }
+
+    [Fact]
+    public async Task UpsertRouteAsync_StaleIfMatch_ThrowsWithCurrentRoute()
+    {
+        var original = CreateTestRoute("route-1");
+        await _store.UpsertRouteAsync(original);
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1", "their-cluster"));
+
+        var ex = await Assert.ThrowsAsync<PreconditionFailedException>(
+            () => _store.UpsertRouteAsync(CreateTestRoute("route-1", "my-cluster"), EntityTag.Compute(original)));
+
+        Assert.Equal("their-cluster", Assert.IsType<RouteConfig>(ex.Current).ClusterId);
+        Assert.Equal("their-cluster", (await _store.GetRouteAsync("route-1"))!.ClusterId);
+    }
+
+    [Fact]
+    public async Task DeleteClusterAsync_DeletedCluster_ThrowsWithoutCurrent()
+    {
+        var etag = EntityTag.Compute(CreateTestCluster("cluster-1"));
+
+        var ex = await Assert.ThrowsAsync<PreconditionFailedException>(() => _store.DeleteClusterAsync("cluster-1", etag));
+
+        Assert.Null(ex.Current);
+        Assert.Null(ex.ETag);
+    }
+
+    [Fact]
+    public async Task UpsertClusterAsync_ConcurrentUpdatesWithSameETag_OnlyOneSucceeds()
+    {
+        var original = CreateTestCluster("cluster-1");
+        await _store.UpsertClusterAsync(original);
+        var etag = EntityTag.Compute(original);
+
+        var updates = Enumerable.Range(0, 8).Select(i => Task.Run(async () =>
+        {
+            var cluster = CreateTestCluster("cluster-1");
+            cluster.LoadBalancingPolicy = $"Policy{i}";
+            try
+            {
+                await _store.UpsertClusterAsync(cluster, etag);
+                return true;
+            }
+            catch (PreconditionFailedException)
+            {
+                return false;
+            }
+        }));
+
+        var results = await Task.WhenAll(updates);
+
+        Assert.Single(results, succeeded => succeeded);
+    }
+
+    #endregion
+
+    #region Version Tests
+
+    [Fact]
+    public async Task AddVersionAsync_SnapshotsCurrentConfiguration()
+    {
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1"));
+        await _store.UpsertClusterAsync(CreateTestCluster("cluster-1"));
+
+        var version = await _store.AddVersionAsync("alice", "first release");
+        await _store.UpsertRouteAsync(CreateTestRoute("route-2"));
+
+        Assert.Equal(1, version.Version);
+        Assert.Equal("alice", version.Author);
+        Assert.Equal("first release", version.Comment);
+        var stored = await _store.GetVersionAsync(1);
+        Assert.NotNull(stored);
+        Assert.Equal("route-1", Assert.Single(stored.Configuration.Routes).RouteId);
+        Assert.Equal(1, stored.ClusterCount);
+    }
+
+    [Fact]
+    public async Task GetVersionsAsync_ReturnsNewestFirstWithinCap()
+    {
+        var options = new YarpAdminOptions { MaxConfigurationVersions = 2 };
+        var store = new InMemoryYarpConfigurationStore(options);
+
+        await store.AddVersionAsync(null, "one");
+        await store.AddVersionAsync(null, "two");
+        await store.AddVersionAsync(null, "three");
+
+        var versions = (await store.GetVersionsAsync()).ToList();
+        Assert.Equal(new[] { 3, 2 }, versions.Select(v => v.Version));
+        Assert.Null(await store.GetVersionAsync(1));
+    }
+
+    [Fact]
+    public async Task RestoreVersionAsync_ReplacesConfigurationAndRaisesReloaded()
+    {
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1"));
+        await _store.AddVersionAsync(null, null);
+        await _store.DeleteRouteAsync("route-1");
+        await _store.UpsertRouteAsync(CreateTestRoute("route-2"));
+        var events = new List<ConfigurationChangedEventArgs>();
+        _store.ConfigurationChanged += (_, args) => events.Add(args);
+
+        var restored = await _store.RestoreVersionAsync(1);
+
+        Assert.True(restored);
+        Assert.Equal("route-1", Assert.Single(await _store.GetRoutesAsync()).RouteId);
+        Assert.Equal(ChangeType.Reloaded, Assert.Single(events).ChangeType);
+    }
+
+    [Fact]
+    public async Task RestoreVersionAsync_UnknownVersion_ReturnsFalse()
+    {
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1"));
+
+        var restored = await _store.RestoreVersionAsync(42);
+
+        Assert.False(restored);
+        Assert.Single(await _store.GetRoutesAsync());
+    }
+
+    [Fact]
+    public async Task AddVersionAsync_WithConfigurationFilePath_PersistsHistory()
+    {
+        var options = new YarpAdminOptions { ConfigurationFilePath = _tempConfigPath };
+        var store = new InMemoryYarpConfigurationStore(options);
+        await store.UpsertRouteAsync(CreateTestRoute("route-1"));
+        await store.AddVersionAsync("alice", "persisted");
+
+        var reloaded = new InMemoryYarpConfigurationStore(options);
+        await reloaded.LoadAsync();
+
+        var version = Assert.Single(await reloaded.GetVersionsAsync());
+        Assert.Equal("persisted", version.Comment);
+        Assert.Equal(2, (await reloaded.AddVersionAsync(null, null)).Version);
+    }
+
+    #endregion
+
+    #region Template Tests
+
+    [Fact]
+    public async Task UpsertTemplateAsync_StoresTemplateWithoutRaisingChange()
+    {
+        var events = new List<ConfigurationChangedEventArgs>();
+        _store.ConfigurationChanged += (_, args) => events.Add(args);
+
+        await _store.UpsertTemplateAsync(CreateTestTemplate("my-template"));
+
+        Assert.Equal("my-template", Assert.Single(await _store.GetTemplatesAsync()).TemplateId);
+        Assert.NotNull(await _store.GetTemplateAsync("my-template"));
+        Assert.Empty(events);
+    }
+
+    [Fact]
+    public async Task DeleteTemplateAsync_ExistingTemplate_ReturnsTrue()
+    {
+        await _store.UpsertTemplateAsync(CreateTestTemplate("my-template"));
+
+        Assert.True(await _store.DeleteTemplateAsync("my-template"));
+        Assert.False(await _store.DeleteTemplateAsync("my-template"));
+        Assert.Empty(await _store.GetTemplatesAsync());
+    }
+
+    [Fact]
+    public async Task UpsertTemplateAsync_WithConfigurationFilePath_PersistsTemplates()
+    {
+        var options = new YarpAdminOptions { ConfigurationFilePath = _tempConfigPath };
+        var store = new InMemoryYarpConfigurationStore(options);
+        await store.UpsertTemplateAsync(CreateTestTemplate("my-template"));
+
+        var reloaded = new InMemoryYarpConfigurationStore(options);
+        await reloaded.LoadAsync();
+
+        var template = Assert.Single(await reloaded.GetTemplatesAsync());
+        Assert.Equal("{{service}}", template.Content.GetProperty("clusterId").GetString());
+    }
+
+    #endregion
+
     #region Persistence Tests
 
     [Fact]
@@ -326,6 +619,17 @@ public class InMemoryYarpConfigurationStoreTests : IDisposable
 
     #region Helper Methods
 
+    private static ConfigTemplate CreateTestTemplate(string templateId)
+    {
+        return new ConfigTemplate
+        {
+            TemplateId = templateId,
+            Name = "Test template",
+            EntityType = "cluster",
+            Content = JsonSerializer.SerializeToElement(new { clusterId = "{{service}}" })
+        };
+    }
+
     private static RouteConfig CreateTestRoute(string routeId, string clusterId = "test-cluster")
     {
         return new RouteConfig
@@ -4,8 +4,11 @@ using Microsoft.AspNetCore.Http;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Logging;
 using Moq;
+using Yarp.ReverseProxy.Model;
 using YarpAdmin;
 using YarpAdmin.Middleware;
+using YarpAdmin.Models;
+using YarpDestinationConfig = Yarp.ReverseProxy.Configuration.DestinationConfig;
 
 namespace YarpAdmin.Tests;
 
@@ -270,3 +273,74 @@ public class YarpAdminLoggingMiddlewareTests
         return context;
     }
 }
+
+public class DestinationDrainingMiddlewareTests
+{
+    [Fact]
+    public async Task InvokeAsync_NewSession_SkipsDrainingDestinations()
+    {
+        var feature = CreateProxyFeature(CreateDestination("d1"), CreateDestination("d2", draining: true), CreateDestination("d3"));
+
+        await InvokeAsync(feature);
+
+        Assert.Equal(new[] { "d1", "d3" }, feature.AvailableDestinations.Select(d => d.DestinationId));
+    }
+
+    [Fact]
+    public async Task InvokeAsync_AffinitizedToDrainingDestination_KeepsIt()
+    {
+        var feature = CreateProxyFeature(CreateDestination("d2", draining: true));
+
+        await InvokeAsync(feature);
+
+        Assert.Equal("d2", Assert.Single(feature.AvailableDestinations).DestinationId);
+    }
+
+    [Fact]
+    public async Task InvokeAsync_NoProxyFeature_CallsNext()
+    {
+        var nextCalled = false;
+        var middleware = new DestinationDrainingMiddleware(_ =>
+        {
+            nextCalled = true;
+            return Task.CompletedTask;
+        });
+
+        await middleware.InvokeAsync(new DefaultHttpContext());
+
+        Assert.True(nextCalled);
+    }
+
+    private static async Task InvokeAsync(IReverseProxyFeature feature)
+    {
+        var context = new DefaultHttpContext();
+        context.Features.Set(feature);
+        var middleware = new DestinationDrainingMiddleware(_ => Task.CompletedTask);
+
+        await middleware.InvokeAsync(context);
+    }
+
+    private static DestinationState CreateDestination(string id, bool draining = false)
+    {
+        var config = new YarpDestinationConfig
+        {
+            Address = $"https://{id}.example.com",
+            Metadata = draining ? new Dictionary<string, string> { [DestinationStates.MetadataKey] = DestinationStates.Draining } : null
+        };
+        return new DestinationState(id, new DestinationModel(config));
+    }
+
+    private static TestProxyFeature CreateProxyFeature(params DestinationState[] destinations)
+    {
+        return new TestProxyFeature { AllDestinations = destinations, AvailableDestinations = destinations };
+    }
+
+    private class TestProxyFeature : IReverseProxyFeature
+    {
+        public RouteModel Route => null!;
+        public ClusterModel Cluster => null!;
+        public IReadOnlyList<DestinationState> AllDestinations { get; init; } = Array.Empty<DestinationState>();
+        public IReadOnlyList<DestinationState> AvailableDestinations { get; set; } = Array.Empty<DestinationState>();
+        public DestinationState? ProxiedDestination { get; set; }
+    }
+}
@@ -218,9 +218,32 @@ public class ModelTests
 
         Assert.Equal(string.Empty, dest.Address);
         Assert.Null(dest.Health);
+        Assert.Null(dest.Host);
         Assert.Null(dest.Metadata);
     }
 
+    [Fact]
+    public void DestinationConfig_Serialization_RoundTrip()
+    {
+        var dest = new DestinationConfig
+        {
+            Address = "https://server1.example.com",
+            Health = "https://server1.example.com:8081",
+            Host = "api.example.com",
+            Metadata = new Dictionary<string, string> { ["zone"] = "a" }
+        };
+
+        var json = JsonSerializer.Serialize(dest, _jsonOptions);
+        var deserialized = JsonSerializer.Deserialize<DestinationConfig>(json, _jsonOptions);
+
+        Assert.NotNull(deserialized);
+        Assert.Contains("\"host\":\"api.example.com\"", json);
+        Assert.Equal(dest.Address, deserialized.Address);
+        Assert.Equal(dest.Health, deserialized.Health);
+        Assert.Equal(dest.Host, deserialized.Host);
+        Assert.Equal("a", deserialized.Metadata!["zone"]);
+    }
+
     #endregion
 
     #region SessionAffinityConfig Tests
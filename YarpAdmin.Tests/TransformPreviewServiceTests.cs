@@ -0,0 +1,218 @@
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Routing;
+using Moq;
+using Yarp.ReverseProxy.Forwarder;
+using Yarp.ReverseProxy.Transforms.Builder;
+using YarpAdmin;
+using YarpAdmin.Models;
+using YarpRouteConfig = Yarp.ReverseProxy.Configuration.RouteConfig;
+using YarpClusterConfig = Yarp.ReverseProxy.Configuration.ClusterConfig;
+
+namespace YarpAdmin.Tests;
+
+public class TransformPreviewServiceTests
+{
+    private readonly Mock<ITransformBuilder> _mockBuilder;
+    private readonly RecordingTransformer _transformer;
+    private readonly TransformPreviewService _service;
+
+    public TransformPreviewServiceTests()
+    {
+        _mockBuilder = new Mock<ITransformBuilder>();
+        _transformer = new RecordingTransformer();
+        _mockBuilder.Setup(b => b.ValidateRoute(It.IsAny<YarpRouteConfig>())).Returns(Array.Empty<Exception>());
+        _mockBuilder.Setup(b => b.Build(It.IsAny<YarpRouteConfig>(), It.IsAny<YarpClusterConfig?>())).Returns(_transformer);
+        _service = new TransformPreviewService(_mockBuilder.Object);
+    }
+
+    #region Preview Tests
+
+    [Fact]
+    public async Task PreviewAsync_ReturnsRequestAfterTransforms()
+    {
+        var request = CreatePreviewRequest("/orders/{id}", "/orders/42");
+        request.Request.Query = "expand=items";
+        request.Request.Headers["X-Sample"] = "abc";
+
+        var result = await _service.PreviewAsync(request, null);
+
+        Assert.Empty(result.Errors);
+        Assert.Equal("POST", result.Method);
+        Assert.Equal("http://destination/v2/orders/42?expand=items", result.Url);
+        Assert.Equal("/v2/orders/42", result.Path);
+        Assert.Equal("?expand=items", result.Query);
+        Assert.Equal(new[] { "abc" }, result.Headers["X-Sample"]);
+        Assert.Equal(new[] { "true" }, result.Headers["X-Transformed"]);
+    }
+
+    [Fact]
+    public async Task PreviewAsync_MatchingPath_ExposesRouteValuesToTransforms()
+    {
+        var result = await _service.PreviewAsync(CreatePreviewRequest("/orders/{id}", "/orders/42"), null);
+
+        Assert.True(result.PathMatched);
+        Assert.Equal("42", _transformer.RouteValues?["id"]);
+    }
+
+    [Fact]
+    public async Task PreviewAsync_PathNotMatched_StillRunsTransforms()
+    {
+        var result = await _service.PreviewAsync(CreatePreviewRequest("/orders/{id}", "/customers/7"), null);
+
+        Assert.False(result.PathMatched);
+        Assert.Equal("/v2/customers/7", result.Path);
+    }
+
+    [Fact]
+    public async Task PreviewAsync_WithCluster_UsesFirstDestinationAsPrefix()
+    {
+        var cluster = new ClusterConfig
+        {
+            ClusterId = "orders",
+            Destinations = new Dictionary<string, DestinationConfig>
+            {
+                ["d1"] = new DestinationConfig { Address = "https://orders.internal:8443" }
+            }
+        };
+
+        var result = await _service.PreviewAsync(CreatePreviewRequest("/orders/{id}", "/orders/42"), cluster);
+
+        Assert.Equal("https://orders.internal:8443", result.DestinationPrefix);
+        Assert.StartsWith("https://orders.internal:8443/v2/", result.Url);
+    }
+
+    [Fact]
+    public async Task PreviewAsync_InvalidTransforms_ReturnsErrorsWithoutRunning()
+    {
+        _mockBuilder.Setup(b => b.ValidateRoute(It.IsAny<YarpRouteConfig>()))
+            .Returns(new[] { new ArgumentException("Unknown transform: PathRemovePrefx") });
+
+        var result = await _service.PreviewAsync(CreatePreviewRequest("/orders/{id}", "/orders/42"), null);
+
+        Assert.Equal("Unknown transform: PathRemovePrefx", Assert.Single(result.Errors));
+        Assert.Null(result.Url);
+        _mockBuilder.Verify(b => b.Build(It.IsAny<YarpRouteConfig>(), It.IsAny<YarpClusterConfig?>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task PreviewAsync_InvalidPathPattern_ReturnsError()
+    {
+        var result = await _service.PreviewAsync(CreatePreviewRequest("/orders/{id", "/orders/42"), null);
+
+        Assert.Single(result.Errors);
+        Assert.False(result.PathMatched);
+    }
+
+    [Fact]
+    public async Task PreviewAsync_InvalidMethod_ReturnsError()
+    {
+        var request = CreatePreviewRequest("/orders/{id}", "/orders/42");
+        request.Request.Method = "GE T";
+
+        var result = await _service.PreviewAsync(request, null);
+
+        Assert.Equal("'GE T' is not a valid HTTP method", Assert.Single(result.Errors));
+        Assert.Null(result.Url);
+    }
+
+    [Fact]
+    public async Task PreviewAsync_ClusterWithUnparseableTimeSpan_ReturnsError()
+    {
+        var cluster = new ClusterConfig
+        {
+            ClusterId = "orders",
+            HealthCheck = new HealthCheckConfig
+            {
+                Active = new ActiveHealthCheckConfig { Enabled = true, Interval = "ten seconds" }
+            },
+            Destinations = new Dictionary<string, DestinationConfig>
+            {
+                ["d1"] = new DestinationConfig { Address = "https://orders.internal:8443" }
+            }
+        };
+
+        var result = await _service.PreviewAsync(CreatePreviewRequest("/orders/{id}", "/orders/42"), cluster);
+
+        Assert.StartsWith("Cluster 'orders' is invalid:", Assert.Single(result.Errors));
+        Assert.Null(result.Url);
+    }
+
+    [Fact]
+    public async Task PreviewAsync_MalformedDestinationAddress_ReturnsError()
+    {
+        var cluster = new ClusterConfig
+        {
+            ClusterId = "orders",
+            Destinations = new Dictionary<string, DestinationConfig>
+            {
+                ["d1"] = new DestinationConfig { Address = "orders internal" }
+            }
+        };
+
+        var result = await _service.PreviewAsync(CreatePreviewRequest("/orders/{id}", "/orders/42"), cluster);
+
+        Assert.Equal("Destination address 'orders internal' is not an absolute URL", Assert.Single(result.Errors));
+        Assert.Null(result.Url);
+    }
+
+    [Fact]
+    public async Task PreviewAsync_TransformProducingInvalidUrl_ReturnsError()
+    {
+        _mockBuilder.Setup(b => b.Build(It.IsAny<YarpRouteConfig>(), It.IsAny<YarpClusterConfig?>()))
+            .Returns(new InvalidUrlTransformer());
+
+        var result = await _service.PreviewAsync(CreatePreviewRequest("/orders/{id}", "/orders/42"), null);
+
+        Assert.StartsWith("The transformed request has an invalid URL:", Assert.Single(result.Errors));
+        Assert.Null(result.Url);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static TransformPreviewRequest CreatePreviewRequest(string pattern, string path)
+    {
+        return new TransformPreviewRequest
+        {
+            Route = new RouteConfig
+            {
+                RouteId = "orders-route",
+                ClusterId = "orders",
+                Match = new RouteMatch { Path = pattern },
+                Transforms = new List<Dictionary<string, string>>
+                {
+                    new() { ["PathPrefix"] = "/v2" }
+                }
+            },
+            Request = new SampleRequest { Method = "get", Path = path }
+        };
+    }
+
+    // Stands in for the transformer YARP builds: prefixes the path with /v2, switches to POST and adds a header
+    private class RecordingTransformer : HttpTransformer
+    {
+        public RouteValueDictionary? RouteValues { get; private set; }
+
+        public override async ValueTask TransformRequestAsync(HttpContext httpContext, HttpRequestMessage proxyRequest, string destinationPrefix, CancellationToken cancellationToken)
+        {
+            await base.TransformRequestAsync(httpContext, proxyRequest, destinationPrefix, cancellationToken);
+            RouteValues = httpContext.Request.RouteValues;
+            proxyRequest.Method = HttpMethod.Post;
+            proxyRequest.Headers.TryAddWithoutValidation("X-Transformed", "true");
+            proxyRequest.RequestUri = new Uri(destinationPrefix + "/v2" + httpContext.Request.Path + httpContext.Request.QueryString);
+        }
+    }
+
+    // Fails the way the forwarder does when the destination prefix and path don't form a URL
+    private class InvalidUrlTransformer : HttpTransformer
+    {
+        public override ValueTask TransformRequestAsync(HttpContext httpContext, HttpRequestMessage proxyRequest, string destinationPrefix, CancellationToken cancellationToken)
+        {
+            proxyRequest.RequestUri = new Uri("http://[destination" + httpContext.Request.Path);
+            return ValueTask.CompletedTask;
+        }
+    }
+
+    #endregion
+}
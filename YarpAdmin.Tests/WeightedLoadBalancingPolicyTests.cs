@@ -0,0 +1,142 @@
+using Microsoft.AspNetCore.Http;
+using Yarp.ReverseProxy.Model;
+using YarpAdmin;
+using YarpDestinationConfig = Yarp.ReverseProxy.Configuration.DestinationConfig;
+
+namespace YarpAdmin.Tests;
+
+public class WeightedLoadBalancingPolicyTests
+{
+    #region PickDestination Tests
+
+    [Fact]
+    public void PickDestination_PicksInProportionToWeight()
+    {
+        var destinations = new[] { CreateDestination("stable", "95"), CreateDestination("canary", "5") };
+
+        Assert.Equal("stable", Pick(94, destinations));
+        Assert.Equal("canary", Pick(95, destinations));
+        Assert.Equal("canary", Pick(99, destinations));
+    }
+
+    [Fact]
+    public void PickDestination_RollsAgainstTotalWeight()
+    {
+        var random = new FixedRandom(0);
+        var policy = new WeightedLoadBalancingPolicy(random);
+
+        policy.PickDestination(new DefaultHttpContext(), new ClusterState("cluster-1"),
+            new[] { CreateDestination("stable", "95"), CreateDestination("canary", "5") });
+
+        Assert.Equal(100, random.MaxValue);
+    }
+
+    [Fact]
+    public void PickDestination_MissingOrInvalidWeight_CountsAsDefault()
+    {
+        var random = new FixedRandom(0);
+        var policy = new WeightedLoadBalancingPolicy(random);
+
+        policy.PickDestination(new DefaultHttpContext(), new ClusterState("cluster-1"),
+            new[] { CreateDestination("d1", null), CreateDestination("d2", "heavy"), CreateDestination("d3", "3") });
+
+        Assert.Equal(WeightedLoadBalancingPolicy.DefaultWeight * 2 + 3, random.MaxValue);
+    }
+
+    [Fact]
+    public void PickDestination_ZeroWeight_IsNeverPicked()
+    {
+        var policy = new WeightedLoadBalancingPolicy(new FixedRandom(0));
+
+        var picked = policy.PickDestination(new DefaultHttpContext(), new ClusterState("cluster-1"),
+            new[] { CreateDestination("d1", "0"), CreateDestination("d2", "1") });
+
+        Assert.Equal("d2", picked?.DestinationId);
+    }
+
+    [Fact]
+    public void PickDestination_AllZeroWeights_PicksEvenly()
+    {
+        var random = new FixedRandom(1);
+        var policy = new WeightedLoadBalancingPolicy(random);
+
+        var picked = policy.PickDestination(new DefaultHttpContext(), new ClusterState("cluster-1"),
+            new[] { CreateDestination("d1", "0"), CreateDestination("d2", "0") });
+
+        Assert.Equal("d2", picked?.DestinationId);
+        Assert.Equal(2, random.MaxValue);
+    }
+
+    [Fact]
+    public void PickDestination_WeightsAboveIntRange_RollsAgainstLongTotal()
+    {
+        var random = new FixedRandom(int.MaxValue);
+        var policy = new WeightedLoadBalancingPolicy(random);
+
+        var picked = policy.PickDestination(new DefaultHttpContext(), new ClusterState("cluster-1"),
+            new[] { CreateDestination("d1", int.MaxValue.ToString()), CreateDestination("d2", int.MaxValue.ToString()) });
+
+        Assert.Equal("d2", picked?.DestinationId);
+        Assert.Equal(2L * int.MaxValue, random.MaxValue);
+    }
+
+    [Fact]
+    public void PickDestination_NoDestinations_ReturnsNull()
+    {
+        var policy = new WeightedLoadBalancingPolicy();
+
+        Assert.Null(policy.PickDestination(new DefaultHttpContext(), new ClusterState("cluster-1"), Array.Empty<DestinationState>()));
+    }
+
+    [Fact]
+    public void Name_IsWeighted()
+    {
+        Assert.Equal("Weighted", new WeightedLoadBalancingPolicy().Name);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static string? Pick(int roll, IReadOnlyList<DestinationState> destinations)
+    {
+        var policy = new WeightedLoadBalancingPolicy(new FixedRandom(roll));
+        return policy.PickDestination(new DefaultHttpContext(), new ClusterState("cluster-1"), destinations)?.DestinationId;
+    }
+
+    private static DestinationState CreateDestination(string id, string? weight)
+    {
+        var config = new YarpDestinationConfig
+        {
+            Address = $"https://{id}.example.com",
+            Metadata = weight == null ? null : new Dictionary<string, string> { [WeightedLoadBalancingPolicy.WeightMetadataKey] = weight }
+        };
+        return new DestinationState(id, new DestinationModel(config));
+    }
+
+    private class FixedRandom : Random
+    {
+        private readonly int _value;
+
+        public FixedRandom(int value)
+        {
+            _value = value;
+        }
+
+        public long? MaxValue { get; private set; }
+
+        public override int Next(int maxValue)
+        {
+            MaxValue = maxValue;
+            return _value;
+        }
+
+        public override long NextInt64(long maxValue)
+        {
+            MaxValue = maxValue;
+            return _value;
+        }
+    }
+
+    #endregion
+}
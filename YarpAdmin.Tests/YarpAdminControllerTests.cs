@@ -1,3 +1,7 @@
+using System.Security.Claims;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Moq;
 using YarpAdmin;
@@ -9,16 +13,66 @@ namespace YarpAdmin.Tests;
 public class YarpAdminControllerTests
 {
     private readonly Mock<IYarpAdminService> _mockService;
+    private readonly Mock<IAuditLog> _mockAuditLog;
+    private readonly Mock<IConfigurationValidator> _mockValidator;
     private readonly YarpAdminOptions _options;
     private readonly YarpAdminController _controller;
 
     public YarpAdminControllerTests()
     {
         _mockService = new Mock<IYarpAdminService>();
+        _mockAuditLog = new Mock<IAuditLog>();
+        _mockValidator = new Mock<IConfigurationValidator>();
+        _mockValidator.Setup(v => v.ValidateAsync(It.IsAny<YarpConfiguration>())).ReturnsAsync(new ConfigurationValidationResult());
         _options = new YarpAdminOptions { AllowConfigurationChanges = true };
-        _controller = new YarpAdminController(_mockService.Object, _options);
+        _controller = new YarpAdminController(_mockService.Object, _options, _mockAuditLog.Object, _mockValidator.Object);
     }
 
+    #region Options Tests
+
+    [Fact]
+    public void GetOptions_ReturnsTitleAndEditableState()
+    {
+        _options.Title = "Edge Proxy";
+
+        var result = _controller.GetOptions();
+
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        var settings = Assert.IsType<AdminUiSettings>(okResult.Value);
+        Assert.Equal("Edge Proxy", settings.Title);
+        Assert.False(settings.ReadOnly);
+        Assert.Null(settings.User);
+    }
+
+    [Fact]
+    public void GetOptions_ConfigurationChangesDisabled_ReturnsReadOnly()
+    {
+        var options = new YarpAdminOptions { AllowConfigurationChanges = false };
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
+
+        var result = controller.GetOptions();
+
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        Assert.True(Assert.IsType<AdminUiSettings>(okResult.Value).ReadOnly);
+    }
+
+    [Fact]
+    public void GetOptions_AuthenticatedUser_ReturnsUserName()
+    {
+        var identity = new ClaimsIdentity(new[] { new Claim(ClaimTypes.Name, "alice") }, "Test");
+        _controller.ControllerContext = new ControllerContext
+        {
+            HttpContext = new DefaultHttpContext { User = new ClaimsPrincipal(identity) }
+        };
+
+        var result = _controller.GetOptions();
+
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        Assert.Equal("alice", Assert.IsType<AdminUiSettings>(okResult.Value).User);
+    }
+
+    #endregion
+
     #region Route Tests - GET
 
     [Fact]
@@ -79,6 +133,22 @@ public class YarpAdminControllerTests
         Assert.Equal("new-route", ((RouteConfig)createdResult.Value!).RouteId);
     }
 
+    [Fact]
+    public async Task CreateRoute_InvalidRoute_ReturnsBadRequestWithoutSaving()
+    {
+        var route = new RouteConfig { RouteId = "new-route", ClusterId = "missing-cluster" };
+        _mockService.Setup(s => s.GetRouteAsync("new-route")).ReturnsAsync((RouteConfig?)null);
+        RejectEntity("route", "new-route", "Cluster 'missing-cluster' does not exist");
+
+        var result = await _controller.CreateRoute(route);
+
+        var badRequest = Assert.IsType<BadRequestObjectResult>(result.Result);
+        var body = JsonSerializer.SerializeToElement(badRequest.Value);
+        Assert.Equal("Cluster 'missing-cluster' does not exist", body.GetProperty("message").GetString());
+        Assert.Equal("new-route", body.GetProperty("entityId").GetString());
+        _mockService.Verify(s => s.UpsertRouteAsync(It.IsAny<RouteConfig>()), Times.Never);
+    }
+
     [Fact]
     public async Task CreateRoute_EmptyRouteId_ReturnsBadRequest()
     {
@@ -115,7 +185,7 @@ public class YarpAdminControllerTests
     public async Task CreateRoute_ConfigurationChangesDisabled_ReturnsForbidden()
     {
         var options = new YarpAdminOptions { AllowConfigurationChanges = false };
-        var controller = new YarpAdminController(_mockService.Object, options);
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
         var route = new RouteConfig { RouteId = "new-route", ClusterId = "test-cluster" };
 
         var result = await controller.CreateRoute(route);
@@ -133,7 +203,8 @@ public class YarpAdminControllerTests
     {
         var route = new RouteConfig { RouteId = "test-route", ClusterId = "updated-cluster" };
         _mockService.Setup(s => s.GetRouteAsync("test-route")).ReturnsAsync(route);
-        _mockService.Setup(s => s.UpsertRouteAsync(route)).ReturnsAsync(route);
+        _mockService.Setup(s => s.UpsertRouteAsync(route, EntityTag.Compute(route))).ReturnsAsync(route);
+        SetIfMatch(EntityTag.Compute(route));
 
         var result = await _controller.UpdateRoute("test-route", route);
 
@@ -166,7 +237,7 @@ public class YarpAdminControllerTests
     public async Task UpdateRoute_ConfigurationChangesDisabled_ReturnsForbidden()
     {
         var options = new YarpAdminOptions { AllowConfigurationChanges = false };
-        var controller = new YarpAdminController(_mockService.Object, options);
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
         var route = new RouteConfig { RouteId = "test-route", ClusterId = "test-cluster" };
 
         var result = await controller.UpdateRoute("test-route", route);
@@ -182,7 +253,10 @@ public class YarpAdminControllerTests
     [Fact]
     public async Task DeleteRoute_ExistingRoute_ReturnsNoContent()
     {
-        _mockService.Setup(s => s.DeleteRouteAsync("test-route")).ReturnsAsync(true);
+        var route = new RouteConfig { RouteId = "test-route", ClusterId = "test-cluster" };
+        _mockService.Setup(s => s.GetRouteAsync("test-route")).ReturnsAsync(route);
+        _mockService.Setup(s => s.DeleteRouteAsync("test-route", EntityTag.Compute(route))).ReturnsAsync(true);
+        SetIfMatch(EntityTag.Compute(route));
 
         var result = await _controller.DeleteRoute("test-route");
 
@@ -203,7 +277,7 @@ public class YarpAdminControllerTests
     public async Task DeleteRoute_ConfigurationChangesDisabled_ReturnsForbidden()
     {
         var options = new YarpAdminOptions { AllowConfigurationChanges = false };
-        var controller = new YarpAdminController(_mockService.Object, options);
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
 
         var result = await controller.DeleteRoute("test-route");
 
@@ -299,7 +373,7 @@ public class YarpAdminControllerTests
     public async Task CreateCluster_ConfigurationChangesDisabled_ReturnsForbidden()
     {
         var options = new YarpAdminOptions { AllowConfigurationChanges = false };
-        var controller = new YarpAdminController(_mockService.Object, options);
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
         var cluster = new ClusterConfig { ClusterId = "new-cluster" };
 
         var result = await controller.CreateCluster(cluster);
@@ -317,7 +391,8 @@ public class YarpAdminControllerTests
     {
         var cluster = new ClusterConfig { ClusterId = "test-cluster", LoadBalancingPolicy = "Random" };
         _mockService.Setup(s => s.GetClusterAsync("test-cluster")).ReturnsAsync(cluster);
-        _mockService.Setup(s => s.UpsertClusterAsync(cluster)).ReturnsAsync(cluster);
+        _mockService.Setup(s => s.UpsertClusterAsync(cluster, EntityTag.Compute(cluster))).ReturnsAsync(cluster);
+        SetIfMatch(EntityTag.Compute(cluster));
 
         var result = await _controller.UpdateCluster("test-cluster", cluster);
 
@@ -325,6 +400,21 @@ public class YarpAdminControllerTests
         Assert.Equal("Random", ((ClusterConfig)okResult.Value!).LoadBalancingPolicy);
     }
 
+    [Fact]
+    public async Task UpdateCluster_InvalidCluster_ReturnsBadRequestWithoutSaving()
+    {
+        var existing = new ClusterConfig { ClusterId = "test-cluster" };
+        var cluster = new ClusterConfig { ClusterId = "test-cluster", HttpRequest = new HttpRequestConfig { Version = "abc" } };
+        _mockService.Setup(s => s.GetClusterAsync("test-cluster")).ReturnsAsync(existing);
+        SetIfMatch(EntityTag.Compute(existing));
+        RejectEntity("cluster", "test-cluster", "'abc' is not a valid HTTP version");
+
+        var result = await _controller.UpdateCluster("test-cluster", cluster);
+
+        Assert.IsType<BadRequestObjectResult>(result.Result);
+        _mockService.Verify(s => s.UpsertClusterAsync(It.IsAny<ClusterConfig>(), It.IsAny<string>()), Times.Never);
+    }
+
     [Fact]
     public async Task UpdateCluster_MismatchedClusterId_ReturnsBadRequest()
     {
@@ -350,7 +440,7 @@ public class YarpAdminControllerTests
     public async Task UpdateCluster_ConfigurationChangesDisabled_ReturnsForbidden()
     {
         var options = new YarpAdminOptions { AllowConfigurationChanges = false };
-        var controller = new YarpAdminController(_mockService.Object, options);
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
         var cluster = new ClusterConfig { ClusterId = "test-cluster" };
 
         var result = await controller.UpdateCluster("test-cluster", cluster);
@@ -366,7 +456,10 @@ public class YarpAdminControllerTests
     [Fact]
     public async Task DeleteCluster_ExistingCluster_ReturnsNoContent()
     {
-        _mockService.Setup(s => s.DeleteClusterAsync("test-cluster")).ReturnsAsync(true);
+        var cluster = new ClusterConfig { ClusterId = "test-cluster" };
+        _mockService.Setup(s => s.GetClusterAsync("test-cluster")).ReturnsAsync(cluster);
+        _mockService.Setup(s => s.DeleteClusterAsync("test-cluster", EntityTag.Compute(cluster))).ReturnsAsync(true);
+        SetIfMatch(EntityTag.Compute(cluster));
 
         var result = await _controller.DeleteCluster("test-cluster");
 
@@ -387,7 +480,7 @@ public class YarpAdminControllerTests
     public async Task DeleteCluster_ConfigurationChangesDisabled_ReturnsForbidden()
     {
         var options = new YarpAdminOptions { AllowConfigurationChanges = false };
-        var controller = new YarpAdminController(_mockService.Object, options);
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
 
         var result = await controller.DeleteCluster("test-cluster");
 
@@ -397,91 +490,1017 @@ public class YarpAdminControllerTests
 
     #endregion
 
-    #region Configuration Tests
+    #region Health Tests
 
     [Fact]
-    public async Task ApplyConfiguration_ReturnsOk()
+    public void GetHealth_ReturnsOkWithClusterHealth()
     {
-        _mockService.Setup(s => s.ApplyConfigurationAsync()).Returns(Task.CompletedTask);
+        var healthService = new Mock<IDestinationHealthService>();
+        healthService.Setup(s => s.GetClusterHealth()).Returns(new List<ClusterHealthStatus>
+        {
+            new ClusterHealthStatus { ClusterId = "cluster-1" }
+        });
 
-        var result = await _controller.ApplyConfiguration();
+        var result = _controller.GetHealth(healthService.Object);
 
-        Assert.IsType<OkObjectResult>(result);
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        var health = Assert.IsAssignableFrom<IEnumerable<ClusterHealthStatus>>(okResult.Value);
+        Assert.Equal("cluster-1", Assert.Single(health).ClusterId);
     }
 
     [Fact]
-    public async Task ApplyConfiguration_ConfigurationChangesDisabled_ReturnsForbidden()
+    public void GetClusterHealth_KnownCluster_ReturnsOk()
     {
-        var options = new YarpAdminOptions { AllowConfigurationChanges = false };
-        var controller = new YarpAdminController(_mockService.Object, options);
+        var healthService = new Mock<IDestinationHealthService>();
+        healthService.Setup(s => s.GetClusterHealth("cluster-1"))
+            .Returns(new ClusterHealthStatus { ClusterId = "cluster-1" });
 
-        var result = await controller.ApplyConfiguration();
+        var result = _controller.GetClusterHealth("cluster-1", healthService.Object);
+
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        Assert.Equal("cluster-1", Assert.IsType<ClusterHealthStatus>(okResult.Value).ClusterId);
+    }
+
+    [Fact]
+    public void GetClusterHealth_UnknownCluster_ReturnsNotFound()
+    {
+        var healthService = new Mock<IDestinationHealthService>();
+        healthService.Setup(s => s.GetClusterHealth("missing")).Returns((ClusterHealthStatus?)null);
+
+        var result = _controller.GetClusterHealth("missing", healthService.Object);
+
+        Assert.IsType<NotFoundObjectResult>(result.Result);
+    }
+
+    #endregion
+
+    #region ETag Tests
+
+    [Fact]
+    public async Task GetRoute_ExistingRoute_SetsETagHeader()
+    {
+        var route = new RouteConfig { RouteId = "test-route", ClusterId = "test-cluster" };
+        _mockService.Setup(s => s.GetRouteAsync("test-route")).ReturnsAsync(route);
+        _controller.ControllerContext = new ControllerContext { HttpContext = new DefaultHttpContext() };
+
+        await _controller.GetRoute("test-route");
+
+        Assert.Equal(EntityTag.Compute(route), _controller.Response.Headers.ETag.ToString());
+    }
+
+    [Fact]
+    public async Task UpdateRoute_WithoutIfMatch_ReturnsPreconditionRequired()
+    {
+        var route = new RouteConfig { RouteId = "test-route", ClusterId = "test-cluster" };
+        _mockService.Setup(s => s.GetRouteAsync("test-route")).ReturnsAsync(route);
+
+        var result = await _controller.UpdateRoute("test-route", route);
+
+        var statusResult = Assert.IsType<ObjectResult>(result.Result);
+        Assert.Equal(428, statusResult.StatusCode);
+        _mockService.Verify(s => s.UpsertRouteAsync(It.IsAny<RouteConfig>()), Times.Never);
+        _mockService.Verify(s => s.UpsertRouteAsync(It.IsAny<RouteConfig>(), It.IsAny<string>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task UpdateRoute_StaleIfMatch_ReturnsPreconditionFailedWithCurrentVersion()
+    {
+        var current = new RouteConfig { RouteId = "test-route", ClusterId = "their-cluster" };
+        var loaded = new RouteConfig { RouteId = "test-route", ClusterId = "old-cluster" };
+        _mockService.Setup(s => s.GetRouteAsync("test-route")).ReturnsAsync(current);
+        _mockService.Setup(s => s.UpsertRouteAsync(It.IsAny<RouteConfig>(), EntityTag.Compute(loaded)))
+            .ThrowsAsync(new PreconditionFailedException("route", "test-route", current, EntityTag.Compute(current)));
+        SetIfMatch(EntityTag.Compute(loaded));
+
+        var result = await _controller.UpdateRoute("test-route", new RouteConfig { RouteId = "test-route", ClusterId = "my-cluster" });
+
+        var statusResult = Assert.IsType<ObjectResult>(result.Result);
+        Assert.Equal(412, statusResult.StatusCode);
+        var body = JsonSerializer.SerializeToElement(statusResult.Value);
+        Assert.Equal("their-cluster", body.GetProperty("current").GetProperty("clusterId").GetString());
+        Assert.Equal(EntityTag.Compute(current), _controller.Response.Headers.ETag.ToString());
+        _mockService.Verify(s => s.UpsertRouteAsync(It.IsAny<RouteConfig>()), Times.Never);
+        _mockAuditLog.Verify(a => a.RecordAsync(It.IsAny<AuditEntry>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task DeleteCluster_StaleIfMatch_ReturnsPreconditionFailed()
+    {
+        var current = new ClusterConfig { ClusterId = "test-cluster", LoadBalancingPolicy = "Random" };
+        _mockService.Setup(s => s.GetClusterAsync("test-cluster")).ReturnsAsync(current);
+        _mockService.Setup(s => s.DeleteClusterAsync("test-cluster", It.IsAny<string>()))
+            .ThrowsAsync(new PreconditionFailedException("cluster", "test-cluster", current, EntityTag.Compute(current)));
+        SetIfMatch(EntityTag.Compute(new ClusterConfig { ClusterId = "test-cluster" }));
+
+        var result = await _controller.DeleteCluster("test-cluster");
+
+        Assert.Equal(412, Assert.IsType<ObjectResult>(result).StatusCode);
+        _mockService.Verify(s => s.DeleteClusterAsync(It.IsAny<string>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task ApplyBatch_StaleIfMatch_ReturnsPreconditionFailedWithoutAuditing()
+    {
+        var route = new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" };
+        var current = new RouteConfig { RouteId = "route-1", ClusterId = "cluster-2" };
+        _mockService.Setup(s => s.GetRouteAsync("route-1")).ReturnsAsync(current);
+        _mockService.Setup(s => s.ApplyBatchAsync(It.IsAny<ConfigurationBatch>()))
+            .ThrowsAsync(new PreconditionFailedException("route", "route-1", current, EntityTag.Compute(current)));
+        var batch = new ConfigurationBatch
+        {
+            UpsertRoutes = new List<RouteConfig> { route },
+            IfMatch = new List<EntityPrecondition> { new() { EntityType = "route", EntityId = "route-1", ETag = EntityTag.Compute(route) } }
+        };
+
+        var result = await _controller.ApplyBatch(batch);
 
         var statusResult = Assert.IsType<ObjectResult>(result);
-        Assert.Equal(403, statusResult.StatusCode);
+        Assert.Equal(412, statusResult.StatusCode);
+        var body = JsonSerializer.SerializeToElement(statusResult.Value);
+        Assert.Equal("route", body.GetProperty("entityType").GetString());
+        Assert.Equal("route-1", body.GetProperty("entityId").GetString());
+        Assert.Equal("cluster-2", body.GetProperty("current").GetProperty("clusterId").GetString());
+        _mockAuditLog.Verify(a => a.RecordAsync(It.IsAny<AuditEntry>()), Times.Never);
     }
 
     [Fact]
-    public async Task GetConfiguration_ReturnsCompleteConfiguration()
+    public async Task ApplyBatch_UnknownIfMatchEntityType_ReturnsBadRequest()
     {
-        var routes = new List<RouteConfig>
+        var batch = new ConfigurationBatch
         {
-            new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" }
+            IfMatch = new List<EntityPrecondition> { new() { EntityType = "template", EntityId = "t-1", ETag = "\"abc\"" } }
         };
-        var clusters = new List<ClusterConfig>
+
+        var result = await _controller.ApplyBatch(batch);
+
+        Assert.IsType<BadRequestObjectResult>(result);
+        _mockService.Verify(s => s.ApplyBatchAsync(It.IsAny<ConfigurationBatch>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task UpdateRoute_ConcurrentUpdatesWithSameETag_OneGetsPreconditionFailed()
+    {
+        var store = new InMemoryYarpConfigurationStore(new YarpAdminOptions());
+        var original = new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" };
+        await store.UpsertRouteAsync(original);
+        var service = new YarpAdminService(store, _options);
+        var etag = EntityTag.Compute(original);
+
+        Task<ActionResult<RouteConfig>> Update(string clusterId) => Task.Run(() =>
         {
-            new ClusterConfig { ClusterId = "cluster-1" }
+            var controller = new YarpAdminController(service, _options, _mockAuditLog.Object, _mockValidator.Object);
+            var httpContext = new DefaultHttpContext();
+            httpContext.Request.Headers.IfMatch = etag;
+            controller.ControllerContext = new ControllerContext { HttpContext = httpContext };
+            return controller.UpdateRoute("route-1", new RouteConfig { RouteId = "route-1", ClusterId = clusterId });
+        });
+
+        var results = await Task.WhenAll(Update("cluster-a"), Update("cluster-b"));
+
+        Assert.Single(results, r => r.Result is OkObjectResult);
+        Assert.Single(results, r => (r.Result as ObjectResult)?.StatusCode == 412);
+    }
+
+    [Fact]
+    public async Task ApplyBatch_ExistingEntityWithoutIfMatch_ReturnsPreconditionRequired()
+    {
+        _mockService.Setup(s => s.GetClusterAsync("cluster-1")).ReturnsAsync(new ClusterConfig { ClusterId = "cluster-1" });
+        var batch = new ConfigurationBatch
+        {
+            UpsertRoutes = new List<RouteConfig> { new RouteConfig { RouteId = "new-route", ClusterId = "cluster-1" } },
+            DeleteClusters = new List<string> { "cluster-1" }
         };
-        _mockService.Setup(s => s.GetRoutesAsync()).ReturnsAsync(routes);
-        _mockService.Setup(s => s.GetClustersAsync()).ReturnsAsync(clusters);
 
-        var result = await _controller.GetConfiguration();
+        var result = await _controller.ApplyBatch(batch);
+
+        var statusResult = Assert.IsType<ObjectResult>(result);
+        Assert.Equal(428, statusResult.StatusCode);
+        var body = JsonSerializer.SerializeToElement(statusResult.Value);
+        Assert.Equal("cluster", body.GetProperty("entityType").GetString());
+        Assert.Equal("cluster-1", body.GetProperty("entityId").GetString());
+        _mockService.Verify(s => s.ApplyBatchAsync(It.IsAny<ConfigurationBatch>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task ApplyBatch_NewEntitiesWithoutIfMatch_AreApplied()
+    {
+        var batch = new ConfigurationBatch
+        {
+            UpsertClusters = new List<ClusterConfig> { new ClusterConfig { ClusterId = "new-cluster" } },
+            UpsertRoutes = new List<RouteConfig> { new RouteConfig { RouteId = "new-route", ClusterId = "new-cluster" } }
+        };
+
+        var result = await _controller.ApplyBatch(batch);
+
+        Assert.IsType<OkObjectResult>(result);
+        _mockService.Verify(s => s.ApplyBatchAsync(batch), Times.Once);
+    }
+
+    #endregion
+
+    #region Audit Tests
+
+    [Fact]
+    public async Task UpdateRoute_RecordsAuditEntryWithUserAndPayloads()
+    {
+        var auditLog = new InMemoryAuditLog(_options);
+        var controller = new YarpAdminController(_mockService.Object, _options, auditLog, _mockValidator.Object);
+        var identity = new ClaimsIdentity(new[] { new Claim(ClaimTypes.Name, "alice") }, "Test");
+        var httpContext = new DefaultHttpContext { User = new ClaimsPrincipal(identity) };
+        httpContext.Connection.RemoteIpAddress = System.Net.IPAddress.Parse("10.0.0.7");
+        controller.ControllerContext = new ControllerContext { HttpContext = httpContext };
+        var existing = new RouteConfig { RouteId = "payments", ClusterId = "old-cluster" };
+        var updated = new RouteConfig { RouteId = "payments", ClusterId = "new-cluster" };
+        httpContext.Request.Headers.IfMatch = EntityTag.Compute(existing);
+        _mockService.Setup(s => s.GetRouteAsync("payments")).ReturnsAsync(existing);
+        _mockService.Setup(s => s.UpsertRouteAsync(updated, EntityTag.Compute(existing))).ReturnsAsync(updated);
+
+        await controller.UpdateRoute("payments", updated);
+
+        var entry = Assert.Single((await auditLog.QueryAsync(new AuditQuery())).Items);
+        Assert.Equal(AuditActions.Update, entry.Action);
+        Assert.Equal("route", entry.EntityType);
+        Assert.Equal("payments", entry.EntityId);
+        Assert.Equal("alice", entry.User);
+        Assert.Equal("10.0.0.7", entry.ClientIp);
+        Assert.Equal("old-cluster", entry.Before?.GetProperty("clusterId").GetString());
+        Assert.Equal("new-cluster", entry.After?.GetProperty("clusterId").GetString());
+    }
+
+    [Fact]
+    public async Task ApplyBatch_AuditLogFails_StillReturnsOkAndAuditsRemainingEntities()
+    {
+        _mockAuditLog.SetupSequence(a => a.RecordAsync(It.IsAny<AuditEntry>()))
+            .ThrowsAsync(new IOException("Disk full"))
+            .Returns(Task.CompletedTask);
+        var batch = new ConfigurationBatch
+        {
+            UpsertClusters = new List<ClusterConfig> { new ClusterConfig { ClusterId = "cluster-1" } },
+            UpsertRoutes = new List<RouteConfig> { new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" } }
+        };
+
+        var result = await _controller.ApplyBatch(batch);
+
+        Assert.IsType<OkObjectResult>(result);
+        _mockAuditLog.Verify(a => a.RecordAsync(It.IsAny<AuditEntry>()), Times.Exactly(2));
+    }
+
+    [Fact]
+    public async Task DeleteCluster_NonExistingCluster_DoesNotRecordAuditEntry()
+    {
+        _mockService.Setup(s => s.DeleteClusterAsync("missing")).ReturnsAsync(false);
+
+        await _controller.DeleteCluster("missing");
+
+        _mockAuditLog.Verify(a => a.RecordAsync(It.IsAny<AuditEntry>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task ApplyBatch_RecordsEntryPerChangedEntity()
+    {
+        var auditLog = new InMemoryAuditLog(_options);
+        var controller = new YarpAdminController(_mockService.Object, _options, auditLog, _mockValidator.Object);
+        var batch = new ConfigurationBatch
+        {
+            UpsertRoutes = new List<RouteConfig> { new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" } },
+            DeleteRoutes = new List<string> { "route-2", "never-existed" }
+        };
+        var existing = new RouteConfig { RouteId = "route-2" };
+        batch.IfMatch.Add(new EntityPrecondition { EntityType = "route", EntityId = "route-2", ETag = EntityTag.Compute(existing) });
+        _mockService.Setup(s => s.GetRouteAsync("route-2")).ReturnsAsync(existing);
+
+        await controller.ApplyBatch(batch);
+
+        var entries = (await auditLog.QueryAsync(new AuditQuery())).Items;
+        Assert.Equal(2, entries.Count);
+        Assert.Contains(entries, e => e.Action == AuditActions.Create && e.EntityId == "route-1" && e.Before == null);
+        Assert.Contains(entries, e => e.Action == AuditActions.Delete && e.EntityId == "route-2" && e.After == null);
+    }
+
+    [Fact]
+    public async Task GetAuditLog_ReturnsQueriedPage()
+    {
+        var query = new AuditQuery { EntityType = "route", Page = 2 };
+        var page = new AuditPage { Page = 2, PageSize = 50, Total = 60 };
+        _mockAuditLog.Setup(a => a.QueryAsync(query)).ReturnsAsync(page);
+
+        var result = await _controller.GetAuditLog(query);
 
         var okResult = Assert.IsType<OkObjectResult>(result.Result);
-        var config = Assert.IsType<YarpConfiguration>(okResult.Value);
-        Assert.Single(config.Routes);
-        Assert.Single(config.Clusters);
+        Assert.Same(page, okResult.Value);
     }
 
+    #endregion
+
+    #region Event Tests
+
     [Fact]
-    public async Task ImportConfiguration_ValidConfig_ReturnsOk()
+    public async Task GetEvents_WritesNotificationsAsServerSentEvents()
     {
-        var config = new YarpConfiguration
+        var notification = new ConfigurationChangeNotification
         {
-            Routes = new List<RouteConfig>
-            {
-                new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" }
-            },
-            Clusters = new List<ClusterConfig>
+            ChangeType = "updated",
+            Changes = new List<ConfigurationEntityChange> { new() { ChangeType = "updated", EntityType = "route", EntityId = "api-v2" } },
+            User = "alice"
+        };
+        var notifier = new Mock<IConfigurationChangeNotifier>();
+        notifier.Setup(n => n.SubscribeAsync(It.IsAny<CancellationToken>())).Returns(Stream(notification));
+        var body = new MemoryStream();
+        _controller.ControllerContext = new ControllerContext { HttpContext = new DefaultHttpContext() };
+        _controller.HttpContext.Response.Body = body;
+
+        await _controller.GetEvents(notifier.Object, CancellationToken.None);
+
+        Assert.Equal("text/event-stream", _controller.Response.ContentType);
+        var text = System.Text.Encoding.UTF8.GetString(body.ToArray());
+        Assert.StartsWith("data: ", text);
+        Assert.EndsWith("\n\n", text);
+        var sent = JsonSerializer.Deserialize<ConfigurationChangeNotification>(text["data: ".Length..].Trim());
+        Assert.Equal("alice", sent?.User);
+        Assert.Equal("api-v2", Assert.Single(sent!.Changes).EntityId);
+
+        static async IAsyncEnumerable<ConfigurationChangeNotification> Stream(params ConfigurationChangeNotification[] items)
+        {
+            foreach (var item in items)
             {
-                new ClusterConfig { ClusterId = "cluster-1" }
+                yield return item;
             }
+
+            await Task.CompletedTask;
+        }
+    }
+
+    #endregion
+
+    #region Version Tests
+
+    [Fact]
+    public async Task GetVersions_ReturnsVersions()
+    {
+        var versions = new List<ConfigurationVersionSummary>
+        {
+            new ConfigurationVersionSummary { Version = 2 },
+            new ConfigurationVersionSummary { Version = 1 }
         };
-        _mockService.Setup(s => s.UpsertClusterAsync(It.IsAny<ClusterConfig>()))
-            .ReturnsAsync((ClusterConfig c) => c);
-        _mockService.Setup(s => s.UpsertRouteAsync(It.IsAny<RouteConfig>()))
-            .ReturnsAsync((RouteConfig r) => r);
-        _mockService.Setup(s => s.ApplyConfigurationAsync()).Returns(Task.CompletedTask);
+        _mockService.Setup(s => s.GetVersionsAsync()).ReturnsAsync(versions);
 
-        var result = await _controller.ImportConfiguration(config);
+        var result = await _controller.GetVersions();
+
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        Assert.Equal(versions, okResult.Value);
+    }
+
+    [Fact]
+    public async Task GetVersion_NonExistingVersion_ReturnsNotFound()
+    {
+        _mockService.Setup(s => s.GetVersionAsync(9)).ReturnsAsync((ConfigurationVersion?)null);
+
+        var result = await _controller.GetVersion(9);
+
+        Assert.IsType<NotFoundObjectResult>(result.Result);
+    }
+
+    [Fact]
+    public async Task RollbackToVersion_ExistingVersion_ReturnsOk()
+    {
+        _mockService.Setup(s => s.RollbackAsync(1, null, "bad deploy"))
+            .ReturnsAsync(new ConfigurationVersion { Version = 3 });
+
+        var result = await _controller.RollbackToVersion(1, new ApplyConfigurationRequest { Comment = "bad deploy" });
 
         Assert.IsType<OkObjectResult>(result);
-        _mockService.Verify(s => s.UpsertClusterAsync(It.IsAny<ClusterConfig>()), Times.Once);
-        _mockService.Verify(s => s.UpsertRouteAsync(It.IsAny<RouteConfig>()), Times.Once);
-        _mockService.Verify(s => s.ApplyConfigurationAsync(), Times.Once);
+        _mockService.Verify(s => s.RollbackAsync(1, null, "bad deploy"), Times.Once);
     }
 
     [Fact]
-    public async Task ImportConfiguration_ConfigurationChangesDisabled_ReturnsForbidden()
+    public async Task RollbackToVersion_NonExistingVersion_ReturnsNotFound()
+    {
+        _mockService.Setup(s => s.RollbackAsync(9, It.IsAny<string?>(), It.IsAny<string?>()))
+            .ReturnsAsync((ConfigurationVersion?)null);
+
+        var result = await _controller.RollbackToVersion(9);
+
+        Assert.IsType<NotFoundObjectResult>(result);
+    }
+
+    [Fact]
+    public async Task RollbackToVersion_ConfigurationChangesDisabled_ReturnsForbidden()
     {
         var options = new YarpAdminOptions { AllowConfigurationChanges = false };
-        var controller = new YarpAdminController(_mockService.Object, options);
-        var config = new YarpConfiguration();
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
 
-        var result = await controller.ImportConfiguration(config);
+        var result = await controller.RollbackToVersion(1);
 
         var statusResult = Assert.IsType<ObjectResult>(result);
         Assert.Equal(403, statusResult.StatusCode);
+        _mockService.Verify(s => s.RollbackAsync(It.IsAny<int>(), It.IsAny<string?>(), It.IsAny<string?>()), Times.Never);
+    }
+
+    #endregion
+
+    #region Cutover Tests
+
+    [Fact]
+    public async Task Cutover_MovesEveryRouteOnSourceAndRecordsOneAuditEntry()
+    {
+        var auditLog = new InMemoryAuditLog(_options);
+        var controller = new YarpAdminController(_mockService.Object, _options, auditLog, _mockValidator.Object);
+        SetupCutoverClusters();
+        _mockService.Setup(s => s.CutoverAsync("blue", "green", It.IsAny<IReadOnlyList<string>>(), null, null))
+            .ReturnsAsync(new CutoverRecord { SourceClusterId = "blue", TargetClusterId = "green", Version = 4 });
+
+        var result = await controller.Cutover(new CutoverRequest { SourceClusterId = "blue", TargetClusterId = "green" });
+
+        Assert.IsType<OkObjectResult>(result.Result);
+        _mockService.Verify(s => s.CutoverAsync("blue", "green",
+            It.Is<IReadOnlyList<string>>(ids => ids.SequenceEqual(new[] { "route-1", "route-2" })), null, null), Times.Once);
+        var entry = Assert.Single((await auditLog.QueryAsync(new AuditQuery())).Items);
+        Assert.Equal(AuditActions.Cutover, entry.Action);
+        Assert.Equal("Moved 2 route(s) from blue to green, recorded as version 4", entry.Details);
+    }
+
+    [Fact]
+    public async Task Cutover_SameSourceAndTarget_ReturnsBadRequest()
+    {
+        var result = await _controller.Cutover(new CutoverRequest { SourceClusterId = "blue", TargetClusterId = "blue" });
+
+        Assert.IsType<BadRequestObjectResult>(result.Result);
+        _mockService.Verify(s => s.CutoverAsync(It.IsAny<string>(), It.IsAny<string>(),
+            It.IsAny<IReadOnlyList<string>>(), It.IsAny<string?>(), It.IsAny<string?>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task Cutover_RouteNoLongerOnSource_ReturnsConflict()
+    {
+        SetupCutoverClusters();
+
+        var result = await _controller.Cutover(new CutoverRequest
+        {
+            SourceClusterId = "blue",
+            TargetClusterId = "green",
+            RouteIds = new List<string> { "route-1", "route-3" }
+        });
+
+        Assert.IsType<ConflictObjectResult>(result.Result);
+        _mockService.Verify(s => s.CutoverAsync(It.IsAny<string>(), It.IsAny<string>(),
+            It.IsAny<IReadOnlyList<string>>(), It.IsAny<string?>(), It.IsAny<string?>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task Cutover_ConfigurationChangesDisabled_ReturnsForbidden()
+    {
+        var options = new YarpAdminOptions { AllowConfigurationChanges = false };
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
+
+        var result = await controller.Cutover(new CutoverRequest { SourceClusterId = "blue", TargetClusterId = "green" });
+
+        var statusResult = Assert.IsType<ObjectResult>(result.Result);
+        Assert.Equal(403, statusResult.StatusCode);
+    }
+
+    [Fact]
+    public async Task RevertCutover_WithinWindow_RevertsAndRecordsAuditEntry()
+    {
+        var cutover = CreateTestCutover(DateTimeOffset.UtcNow.AddMinutes(5));
+        SetupCutoverClusters(routesOnTarget: true);
+        _mockService.Setup(s => s.GetCutoverAsync("c1")).ReturnsAsync(cutover);
+        _mockService.Setup(s => s.RevertCutoverAsync(cutover, null)).ReturnsAsync(cutover);
+
+        var result = await _controller.RevertCutover("c1");
+
+        Assert.IsType<OkObjectResult>(result.Result);
+        _mockService.Verify(s => s.RevertCutoverAsync(cutover, null), Times.Once);
+        _mockAuditLog.Verify(a => a.RecordAsync(It.Is<AuditEntry>(e => e.Action == AuditActions.RevertCutover)), Times.Once);
+    }
+
+    [Fact]
+    public async Task RevertCutover_WindowClosed_ReturnsBadRequest()
+    {
+        _mockService.Setup(s => s.GetCutoverAsync("c1")).ReturnsAsync(CreateTestCutover(DateTimeOffset.UtcNow.AddMinutes(-1)));
+
+        var result = await _controller.RevertCutover("c1");
+
+        Assert.IsType<BadRequestObjectResult>(result.Result);
+        _mockService.Verify(s => s.RevertCutoverAsync(It.IsAny<CutoverRecord>(), It.IsAny<string?>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task RevertCutover_RouteChangedSince_ReturnsConflict()
+    {
+        SetupCutoverClusters();
+        _mockService.Setup(s => s.GetCutoverAsync("c1")).ReturnsAsync(CreateTestCutover(DateTimeOffset.UtcNow.AddMinutes(5)));
+
+        var result = await _controller.RevertCutover("c1");
+
+        Assert.IsType<ConflictObjectResult>(result.Result);
+        _mockService.Verify(s => s.RevertCutoverAsync(It.IsAny<CutoverRecord>(), It.IsAny<string?>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task RevertCutover_RevertedConcurrently_ReturnsConflictWithoutAuditEntry()
+    {
+        var cutover = CreateTestCutover(DateTimeOffset.UtcNow.AddMinutes(5));
+        SetupCutoverClusters(routesOnTarget: true);
+        _mockService.Setup(s => s.GetCutoverAsync("c1")).ReturnsAsync(cutover);
+        _mockService.Setup(s => s.RevertCutoverAsync(cutover, null)).ReturnsAsync((CutoverRecord?)null);
+
+        var result = await _controller.RevertCutover("c1");
+
+        Assert.IsType<ConflictObjectResult>(result.Result);
+        _mockAuditLog.Verify(a => a.RecordAsync(It.IsAny<AuditEntry>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task RevertCutover_NonExistingCutover_ReturnsNotFound()
+    {
+        _mockService.Setup(s => s.GetCutoverAsync("missing")).ReturnsAsync((CutoverRecord?)null);
+
+        var result = await _controller.RevertCutover("missing");
+
+        Assert.IsType<NotFoundObjectResult>(result.Result);
+    }
+
+    #endregion
+
+    #region Transform Preview Tests
+
+    [Fact]
+    public async Task PreviewTransforms_PassesRouteClusterToPreview()
+    {
+        var cluster = new ClusterConfig { ClusterId = "orders" };
+        var request = new TransformPreviewRequest { Route = new RouteConfig { RouteId = "orders-route", ClusterId = "orders" } };
+        var preview = new TransformPreviewResult { Url = "http://orders/api" };
+        var mockPreview = new Mock<ITransformPreviewService>();
+        _mockService.Setup(s => s.GetClusterAsync("orders")).ReturnsAsync(cluster);
+        mockPreview.Setup(p => p.PreviewAsync(request, cluster, It.IsAny<CancellationToken>())).ReturnsAsync(preview);
+
+        var result = await _controller.PreviewTransforms(mockPreview.Object, request, CancellationToken.None);
+
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        Assert.Equal(preview, okResult.Value);
+    }
+
+    #endregion
+
+    #region Validation Tests
+
+    [Fact]
+    public async Task ValidateConfiguration_ValidatesConfigurationWithBatchApplied()
+    {
+        var batch = new ConfigurationBatch { DeleteClusters = new List<string> { "cluster-1" } };
+        var preview = new YarpConfiguration();
+        var validation = new ConfigurationValidationResult
+        {
+            Errors = new List<ConfigurationValidationError>
+            {
+                new() { EntityType = "route", EntityId = "route-1", Message = "Cluster 'cluster-1' does not exist" }
+            }
+        };
+        _mockService.Setup(s => s.PreviewBatchAsync(batch)).ReturnsAsync(preview);
+        _mockValidator.Setup(v => v.ValidateAsync(preview)).ReturnsAsync(validation);
+
+        var result = await _controller.ValidateConfiguration(batch);
+
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        var body = Assert.IsType<ConfigurationValidationResult>(okResult.Value);
+        Assert.False(body.Valid);
+        _mockService.Verify(s => s.ApplyBatchAsync(It.IsAny<ConfigurationBatch>()), Times.Never);
+    }
+
+    #endregion
+
+    #region Template Tests
+
+    [Fact]
+    public async Task CreateTemplate_ValidTemplate_ReturnsCreatedAndAudits()
+    {
+        var template = CreateTestTemplate("my-template");
+        _mockService.Setup(s => s.GetTemplateAsync("my-template")).ReturnsAsync((ConfigTemplate?)null);
+        _mockService.Setup(s => s.SaveTemplateAsync(template)).ReturnsAsync(template);
+
+        var result = await _controller.CreateTemplate(template);
+
+        Assert.IsType<CreatedAtActionResult>(result.Result);
+        _mockAuditLog.Verify(a => a.RecordAsync(It.Is<AuditEntry>(e =>
+            e.Action == AuditActions.Create && e.EntityType == "template" && e.EntityId == "my-template")), Times.Once);
+    }
+
+    [Fact]
+    public async Task CreateTemplate_ExistingTemplate_ReturnsConflict()
+    {
+        var template = CreateTestTemplate("rest-service");
+        _mockService.Setup(s => s.GetTemplateAsync("rest-service")).ReturnsAsync(ConfigTemplates.BuiltIn[0]);
+
+        var result = await _controller.CreateTemplate(template);
+
+        Assert.IsType<ConflictObjectResult>(result.Result);
+        _mockService.Verify(s => s.SaveTemplateAsync(It.IsAny<ConfigTemplate>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task CreateTemplate_StoreWithoutTemplates_ReturnsNotImplemented()
+    {
+        var template = CreateTestTemplate("my-template");
+        _mockService.Setup(s => s.SaveTemplateAsync(template))
+            .ThrowsAsync(new NotSupportedException("This configuration store doesn't save templates"));
+
+        var result = await _controller.CreateTemplate(template);
+
+        var statusResult = Assert.IsType<ObjectResult>(result.Result);
+        Assert.Equal(501, statusResult.StatusCode);
+        _mockAuditLog.Verify(a => a.RecordAsync(It.IsAny<AuditEntry>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task CreateTemplate_UnknownEntityType_ReturnsBadRequest()
+    {
+        var template = CreateTestTemplate("my-template");
+        template.EntityType = "destination";
+
+        var result = await _controller.CreateTemplate(template);
+
+        Assert.IsType<BadRequestObjectResult>(result.Result);
+    }
+
+    [Fact]
+    public async Task CreateTemplate_ConfigurationChangesDisabled_ReturnsForbidden()
+    {
+        var options = new YarpAdminOptions { AllowConfigurationChanges = false };
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
+
+        var result = await controller.CreateTemplate(CreateTestTemplate("my-template"));
+
+        var statusResult = Assert.IsType<ObjectResult>(result.Result);
+        Assert.Equal(403, statusResult.StatusCode);
+    }
+
+    [Fact]
+    public async Task DeleteTemplate_BuiltInTemplate_ReturnsBadRequest()
+    {
+        var result = await _controller.DeleteTemplate("rest-service");
+
+        Assert.IsType<BadRequestObjectResult>(result);
+        _mockService.Verify(s => s.DeleteTemplateAsync(It.IsAny<string>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task InstantiateTemplate_AllVariablesGiven_ReturnsEntity()
+    {
+        _mockService.Setup(s => s.GetTemplateAsync("my-template")).ReturnsAsync(CreateTestTemplate("my-template"));
+
+        var result = await _controller.InstantiateTemplate("my-template", new InstantiateTemplateRequest
+        {
+            Variables = new Dictionary<string, string> { ["service"] = "orders" }
+        });
+
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        var entity = Assert.IsType<JsonElement>(okResult.Value);
+        Assert.Equal("orders", entity.GetProperty("clusterId").GetString());
+    }
+
+    [Fact]
+    public async Task InstantiateTemplate_MissingVariable_ReturnsBadRequest()
+    {
+        _mockService.Setup(s => s.GetTemplateAsync("my-template")).ReturnsAsync(CreateTestTemplate("my-template"));
+
+        var result = await _controller.InstantiateTemplate("my-template", new InstantiateTemplateRequest());
+
+        Assert.IsType<BadRequestObjectResult>(result.Result);
+    }
+
+    #endregion
+
+    #region Configuration Tests
+
+    [Fact]
+    public async Task ApplyConfiguration_ReturnsOk()
+    {
+        _mockService.Setup(s => s.ApplyConfigurationAsync()).Returns(Task.CompletedTask);
+        _mockService.Setup(s => s.RecordVersionAsync(It.IsAny<string?>(), It.IsAny<string?>()))
+            .ReturnsAsync(new ConfigurationVersion { Version = 1 });
+
+        var result = await _controller.ApplyConfiguration();
+
+        Assert.IsType<OkObjectResult>(result);
+    }
+
+    [Fact]
+    public async Task ApplyConfiguration_RecordsVersionWithAuthorAndComment()
+    {
+        var identity = new ClaimsIdentity(new[] { new Claim(ClaimTypes.Name, "alice") }, "Test");
+        _controller.ControllerContext = new ControllerContext
+        {
+            HttpContext = new DefaultHttpContext { User = new ClaimsPrincipal(identity) }
+        };
+        _mockService.Setup(s => s.ApplyConfigurationAsync()).Returns(Task.CompletedTask);
+        _mockService.Setup(s => s.RecordVersionAsync("alice", "raise timeouts"))
+            .ReturnsAsync(new ConfigurationVersion { Version = 4 });
+
+        var result = await _controller.ApplyConfiguration(new ApplyConfigurationRequest { Comment = "raise timeouts" });
+
+        Assert.IsType<OkObjectResult>(result);
+        _mockService.Verify(s => s.RecordVersionAsync("alice", "raise timeouts"), Times.Once);
+    }
+
+    [Fact]
+    public async Task ApplyConfiguration_ConfigurationChangesDisabled_ReturnsForbidden()
+    {
+        var options = new YarpAdminOptions { AllowConfigurationChanges = false };
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
+
+        var result = await controller.ApplyConfiguration();
+
+        var statusResult = Assert.IsType<ObjectResult>(result);
+        Assert.Equal(403, statusResult.StatusCode);
+    }
+
+    [Fact]
+    public async Task ApplyBatch_ValidBatch_ReturnsOk()
+    {
+        var batch = new ConfigurationBatch
+        {
+            UpsertRoutes = new List<RouteConfig> { new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" } },
+            DeleteClusters = new List<string> { "cluster-2" }
+        };
+        _mockService.Setup(s => s.ApplyBatchAsync(It.IsAny<ConfigurationBatch>())).Returns(Task.CompletedTask);
+
+        var result = await _controller.ApplyBatch(batch);
+
+        Assert.IsType<OkObjectResult>(result);
+        _mockService.Verify(s => s.ApplyBatchAsync(batch), Times.Once);
+    }
+
+    [Fact]
+    public async Task ApplyBatch_RouteWithoutId_ReturnsBadRequest()
+    {
+        var batch = new ConfigurationBatch
+        {
+            UpsertRoutes = new List<RouteConfig> { new RouteConfig { RouteId = "", ClusterId = "cluster-1" } }
+        };
+
+        var result = await _controller.ApplyBatch(batch);
+
+        Assert.IsType<BadRequestObjectResult>(result);
+        _mockService.Verify(s => s.ApplyBatchAsync(It.IsAny<ConfigurationBatch>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task ApplyBatch_InvalidEntity_ReturnsBadRequestWithoutApplying()
+    {
+        var batch = new ConfigurationBatch
+        {
+            UpsertClusters = new List<ClusterConfig> { new ClusterConfig { ClusterId = "cluster-1" } }
+        };
+        _mockService.Setup(s => s.PreviewBatchAsync(batch)).ReturnsAsync(new YarpConfiguration());
+        RejectEntity("cluster", "cluster-1", "'abc' is not a valid TimeSpan");
+
+        var result = await _controller.ApplyBatch(batch);
+
+        var badRequest = Assert.IsType<BadRequestObjectResult>(result);
+        var body = JsonSerializer.SerializeToElement(badRequest.Value);
+        Assert.Equal("cluster", body.GetProperty("entityType").GetString());
+        Assert.Equal("cluster-1", body.GetProperty("entityId").GetString());
+        Assert.Equal(1, body.GetProperty("errors").GetArrayLength());
+        _mockService.Verify(s => s.ApplyBatchAsync(It.IsAny<ConfigurationBatch>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task ApplyBatch_ErrorOnUnchangedEntity_IsApplied()
+    {
+        var batch = new ConfigurationBatch { DeleteClusters = new List<string> { "cluster-1" } };
+        RejectEntity("route", "route-1", "Cluster 'cluster-1' does not exist");
+
+        var result = await _controller.ApplyBatch(batch);
+
+        Assert.IsType<OkObjectResult>(result);
+        _mockService.Verify(s => s.ApplyBatchAsync(batch), Times.Once);
+    }
+
+    [Fact]
+    public async Task ApplyBatch_ConfigurationChangesDisabled_ReturnsForbidden()
+    {
+        var options = new YarpAdminOptions { AllowConfigurationChanges = false };
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
+
+        var result = await controller.ApplyBatch(new ConfigurationBatch());
+
+        var statusResult = Assert.IsType<ObjectResult>(result);
+        Assert.Equal(403, statusResult.StatusCode);
+    }
+
+    [Fact]
+    public async Task GetConfiguration_ReturnsCompleteConfiguration()
+    {
+        var routes = new List<RouteConfig>
+        {
+            new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" }
+        };
+        var clusters = new List<ClusterConfig>
+        {
+            new ClusterConfig { ClusterId = "cluster-1" }
+        };
+        _mockService.Setup(s => s.GetRoutesAsync()).ReturnsAsync(routes);
+        _mockService.Setup(s => s.GetClustersAsync()).ReturnsAsync(clusters);
+
+        var result = await _controller.GetConfiguration();
+
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        var config = Assert.IsType<YarpConfiguration>(okResult.Value);
+        Assert.Single(config.Routes);
+        Assert.Single(config.Clusters);
+    }
+
+    [Fact]
+    public async Task ImportConfiguration_ValidConfig_ReturnsOk()
+    {
+        var config = new YarpConfiguration
+        {
+            Routes = new List<RouteConfig>
+            {
+                new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" }
+            },
+            Clusters = new List<ClusterConfig>
+            {
+                new ClusterConfig { ClusterId = "cluster-1" }
+            }
+        };
+        _mockService.Setup(s => s.UpsertClusterAsync(It.IsAny<ClusterConfig>()))
+            .ReturnsAsync((ClusterConfig c) => c);
+        _mockService.Setup(s => s.UpsertRouteAsync(It.IsAny<RouteConfig>()))
+            .ReturnsAsync((RouteConfig r) => r);
+        _mockService.Setup(s => s.ApplyConfigurationAsync()).Returns(Task.CompletedTask);
+        _mockService.Setup(s => s.RecordVersionAsync(It.IsAny<string?>(), It.IsAny<string?>()))
+            .ReturnsAsync(new ConfigurationVersion { Version = 3 });
+
+        var result = await _controller.ImportConfiguration(config);
+
+        Assert.IsType<OkObjectResult>(result);
+        _mockService.Verify(s => s.UpsertClusterAsync(It.IsAny<ClusterConfig>()), Times.Once);
+        _mockService.Verify(s => s.UpsertRouteAsync(It.IsAny<RouteConfig>()), Times.Once);
+        _mockService.Verify(s => s.ApplyConfigurationAsync(), Times.Once);
+        _mockService.Verify(s => s.RecordVersionAsync(null, "Imported 1 route(s) and 1 cluster(s)"), Times.Once);
+    }
+
+    [Fact]
+    public async Task ImportConfiguration_InvalidCluster_ReturnsBadRequestWithoutImporting()
+    {
+        var config = new YarpConfiguration
+        {
+            Clusters = new List<ClusterConfig>
+            {
+                new ClusterConfig { ClusterId = "cluster-1", HttpClient = new HttpClientConfig { SslProtocols = new List<string> { "Ssl4" } } }
+            }
+        };
+        RejectEntity("cluster", "cluster-1", "'Ssl4' is not a valid SSL protocol");
+
+        var result = await _controller.ImportConfiguration(config);
+
+        Assert.IsType<BadRequestObjectResult>(result);
+        _mockService.Verify(s => s.UpsertClusterAsync(It.IsAny<ClusterConfig>()), Times.Never);
+        _mockService.Verify(s => s.RecordVersionAsync(It.IsAny<string?>(), It.IsAny<string?>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task ImportConfiguration_ConfigurationChangesDisabled_ReturnsForbidden()
+    {
+        var options = new YarpAdminOptions { AllowConfigurationChanges = false };
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
+        var config = new YarpConfiguration();
+
+        var result = await controller.ImportConfiguration(config);
+
+        var statusResult = Assert.IsType<ObjectResult>(result);
+        Assert.Equal(403, statusResult.StatusCode);
+    }
+
+    [Fact]
+    public async Task GetAppSettingsConfiguration_ReturnsReverseProxySection()
+    {
+        var routes = new List<RouteConfig>
+        {
+            new RouteConfig { RouteId = "route-1", ClusterId = "cluster-1" }
+        };
+        var clusters = new List<ClusterConfig>
+        {
+            new ClusterConfig { ClusterId = "cluster-1" }
+        };
+        _mockService.Setup(s => s.GetRoutesAsync()).ReturnsAsync(routes);
+        _mockService.Setup(s => s.GetClustersAsync()).ReturnsAsync(clusters);
+
+        var result = await _controller.GetAppSettingsConfiguration();
+
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        var document = Assert.IsType<JsonObject>(okResult.Value);
+        Assert.Equal("cluster-1", document["ReverseProxy"]!["Routes"]!["route-1"]!["ClusterId"]!.GetValue<string>());
+        Assert.NotNull(document["ReverseProxy"]!["Clusters"]!["cluster-1"]);
+    }
+
+    [Fact]
+    public async Task ImportAppSettingsConfiguration_ValidDocument_ImportsEntities()
+    {
+        var document = JsonDocument.Parse("""
+        {
+          "ReverseProxy": {
+            "Routes": { "route-1": { "ClusterId": "cluster-1", "Match": { "Path": "/api" } } },
+            "Clusters": { "cluster-1": { "Destinations": { "d1": { "Address": "https://localhost:5001" } } } }
+          }
+        }
+        """).RootElement;
+        _mockService.Setup(s => s.UpsertClusterAsync(It.IsAny<ClusterConfig>()))
+            .ReturnsAsync((ClusterConfig c) => c);
+        _mockService.Setup(s => s.UpsertRouteAsync(It.IsAny<RouteConfig>()))
+            .ReturnsAsync((RouteConfig r) => r);
+        _mockService.Setup(s => s.RecordVersionAsync(It.IsAny<string?>(), It.IsAny<string?>()))
+            .ReturnsAsync(new ConfigurationVersion { Version = 1 });
+
+        var result = await _controller.ImportAppSettingsConfiguration(document);
+
+        Assert.IsType<OkObjectResult>(result);
+        _mockService.Verify(s => s.UpsertClusterAsync(It.Is<ClusterConfig>(c => c.ClusterId == "cluster-1")), Times.Once);
+        _mockService.Verify(s => s.UpsertRouteAsync(It.Is<RouteConfig>(r => r.RouteId == "route-1" && r.ClusterId == "cluster-1")), Times.Once);
+        _mockService.Verify(s => s.ApplyConfigurationAsync(), Times.Once);
+    }
+
+    [Fact]
+    public async Task ImportAppSettingsConfiguration_NotAnObject_ReturnsBadRequest()
+    {
+        var document = JsonDocument.Parse("[]").RootElement;
+
+        var result = await _controller.ImportAppSettingsConfiguration(document);
+
+        Assert.IsType<BadRequestObjectResult>(result);
+    }
+
+    [Fact]
+    public async Task ImportAppSettingsConfiguration_ConfigurationChangesDisabled_ReturnsForbidden()
+    {
+        var options = new YarpAdminOptions { AllowConfigurationChanges = false };
+        var controller = new YarpAdminController(_mockService.Object, options, _mockAuditLog.Object, _mockValidator.Object);
+        var document = JsonDocument.Parse("{}").RootElement;
+
+        var result = await controller.ImportAppSettingsConfiguration(document);
+
+        var statusResult = Assert.IsType<ObjectResult>(result);
+        Assert.Equal(403, statusResult.StatusCode);
+    }
+
+    #endregion
+
+    #region Helper Methods
+
+    private static ConfigTemplate CreateTestTemplate(string templateId)
+    {
+        return new ConfigTemplate
+        {
+            TemplateId = templateId,
+            Name = "Test template",
+            EntityType = "cluster",
+            Content = JsonSerializer.SerializeToElement(new { clusterId = "{{service}}" })
+        };
+    }
+
+    private void SetupCutoverClusters(bool routesOnTarget = false)
+    {
+        var cluster = routesOnTarget ? "green" : "blue";
+        _mockService.Setup(s => s.GetClusterAsync("blue")).ReturnsAsync(new ClusterConfig { ClusterId = "blue" });
+        _mockService.Setup(s => s.GetClusterAsync("green")).ReturnsAsync(new ClusterConfig { ClusterId = "green" });
+        _mockService.Setup(s => s.GetRoutesAsync()).ReturnsAsync(new List<RouteConfig>
+        {
+            new RouteConfig { RouteId = "route-1", ClusterId = cluster },
+            new RouteConfig { RouteId = "route-2", ClusterId = cluster },
+            new RouteConfig { RouteId = "route-3", ClusterId = "other" }
+        });
+    }
+
+    private static CutoverRecord CreateTestCutover(DateTimeOffset revertibleUntil)
+    {
+        return new CutoverRecord
+        {
+            CutoverId = "c1",
+            SourceClusterId = "blue",
+            TargetClusterId = "green",
+            RouteIds = new List<string> { "route-1", "route-2" },
+            Version = 4,
+            RevertibleUntil = revertibleUntil
+        };
+    }
+
+    private void RejectEntity(string entityType, string entityId, string message)
+    {
+        _mockValidator.Setup(v => v.ValidateAsync(It.IsAny<YarpConfiguration>())).ReturnsAsync(new ConfigurationValidationResult
+        {
+            Errors = new List<ConfigurationValidationError>
+            {
+                new() { EntityType = entityType, EntityId = entityId, Message = message }
+            }
+        });
+    }
+
+    private void SetIfMatch(string etag)
+    {
+        var httpContext = new DefaultHttpContext();
+        httpContext.Request.Headers.IfMatch = etag;
+        _controller.ControllerContext = new ControllerContext { HttpContext = httpContext };
     }
 
     #endregion
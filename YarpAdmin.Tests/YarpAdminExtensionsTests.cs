@@ -1,9 +1,13 @@
 using Microsoft.AspNetCore.Builder;
 using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.TestHost;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
 using Yarp.ReverseProxy.Configuration;
+using Yarp.ReverseProxy.Health;
+using Yarp.ReverseProxy.LoadBalancing;
 using YarpAdmin;
 
 namespace YarpAdmin.Tests;
@@ -78,6 +82,92 @@ public class YarpAdminExtensionsTests
         Assert.Same(adminService, configProvider);
     }
 
+    [Fact]
+    public void AddYarpAdmin_RegistersDestinationHealthService()
+    {
+        var services = new ServiceCollection();
+
+        services.AddYarpAdmin();
+
+        Assert.Contains(services, d =>
+            d.ServiceType == typeof(IDestinationHealthService) &&
+            d.ImplementationType == typeof(DestinationHealthService));
+    }
+
+    [Fact]
+    public void AddYarpAdmin_RegistersAuditLog()
+    {
+        var services = new ServiceCollection();
+
+        services.AddYarpAdmin();
+
+        Assert.Contains(services, d =>
+            d.ServiceType == typeof(IAuditLog) &&
+            d.ImplementationType == typeof(InMemoryAuditLog));
+    }
+
+    [Fact]
+    public void AddYarpAdmin_RegistersChangeNotifierAndHttpContextAccessor()
+    {
+        var services = new ServiceCollection();
+
+        services.AddYarpAdmin();
+
+        Assert.Contains(services, d =>
+            d.ServiceType == typeof(IConfigurationChangeNotifier) &&
+            d.ImplementationType == typeof(ConfigurationChangeNotifier));
+        Assert.Contains(services, d => d.ServiceType == typeof(IHttpContextAccessor));
+    }
+
+    [Fact]
+    public void AddYarpAdmin_RegistersConfigurationValidator()
+    {
+        var services = new ServiceCollection();
+
+        services.AddYarpAdmin();
+
+        Assert.Contains(services, d =>
+            d.ServiceType == typeof(IConfigurationValidator) &&
+            d.ImplementationType == typeof(ConfigurationValidator));
+    }
+
+    [Fact]
+    public void AddYarpAdmin_RegistersTransformPreviewService()
+    {
+        var services = new ServiceCollection();
+
+        services.AddYarpAdmin();
+
+        Assert.Contains(services, d =>
+            d.ServiceType == typeof(ITransformPreviewService) &&
+            d.ImplementationType == typeof(TransformPreviewService));
+    }
+
+    [Fact]
+    public void AddYarpAdmin_RegistersWeightedLoadBalancingPolicy()
+    {
+        var services = new ServiceCollection();
+
+        services.AddYarpAdmin();
+
+        Assert.Contains(services, d =>
+            d.ServiceType == typeof(ILoadBalancingPolicy) &&
+            d.ImplementationType == typeof(WeightedLoadBalancingPolicy));
+    }
+
+    [Fact]
+    public void AddYarpAdmin_AfterAddReverseProxy_WrapsHealthUpdater()
+    {
+        var services = new ServiceCollection();
+        services.AddLogging();
+        services.AddReverseProxy();
+
+        services.AddYarpAdmin();
+
+        var provider = services.BuildServiceProvider();
+        Assert.IsType<RecordingDestinationHealthUpdater>(provider.GetService<IDestinationHealthUpdater>());
+    }
+
     [Fact]
     public void AddYarpAdmin_ReturnsSameServiceCollection()
     {
@@ -177,11 +267,50 @@ public class YarpAdminExtensionsTests
         Assert.Equal("application/javascript", response.Content.Headers.ContentType?.MediaType);
     }
 
+    [Fact]
+    public async Task MapYarpAdmin_AddReverseProxyAfterAddYarpAdmin_LogsWarning()
+    {
+        var logger = new Mock<ILogger>();
+        var loggerFactory = new Mock<ILoggerFactory>();
+        loggerFactory.Setup(f => f.CreateLogger(It.IsAny<string>())).Returns(logger.Object);
+
+        using var host = await CreateTestHost(addReverseProxyFirst: false, loggerFactory: loggerFactory.Object);
+
+        logger.Verify(
+            x => x.Log(
+                LogLevel.Warning,
+                It.IsAny<EventId>(),
+                It.Is<It.IsAnyType>((v, t) => v.ToString()!.Contains("Call AddReverseProxy() first")),
+                It.IsAny<Exception?>(),
+                It.IsAny<Func<It.IsAnyType, Exception?, string>>()),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task MapYarpAdmin_AddReverseProxyFirst_DoesNotWarn()
+    {
+        var logger = new Mock<ILogger>();
+        var loggerFactory = new Mock<ILoggerFactory>();
+        loggerFactory.Setup(f => f.CreateLogger(It.IsAny<string>())).Returns(logger.Object);
+
+        using var host = await CreateTestHost(loggerFactory: loggerFactory.Object);
+
+        logger.Verify(
+            x => x.Log(
+                LogLevel.Warning,
+                It.IsAny<EventId>(),
+                It.Is<It.IsAnyType>((v, t) => v.ToString()!.Contains("Call AddReverseProxy() first")),
+                It.IsAny<Exception?>(),
+                It.IsAny<Func<It.IsAnyType, Exception?, string>>()),
+            Times.Never);
+    }
+
     #endregion
 
     #region Helper Methods
 
-    private static async Task<IHost> CreateTestHost(string pathPrefix = "/yarp-admin")
+    private static async Task<IHost> CreateTestHost(
+        string pathPrefix = "/yarp-admin", bool addReverseProxyFirst = true, ILoggerFactory? loggerFactory = null)
     {
         var host = new HostBuilder()
             .ConfigureWebHost(webBuilder =>
@@ -189,12 +318,17 @@ public class YarpAdminExtensionsTests
                 webBuilder.UseTestServer();
                 webBuilder.ConfigureServices(services =>
                 {
+                    if (addReverseProxyFirst)
+                        services.AddReverseProxy();
                     services.AddYarpAdmin(options =>
                     {
                         options.Title = "YARP Admin";
                     });
-                    services.AddReverseProxy();
+                    if (!addReverseProxyFirst)
+                        services.AddReverseProxy();
                     services.AddRouting();
+                    if (loggerFactory != null)
+                        services.AddSingleton(loggerFactory);
                 });
                 webBuilder.Configure(app =>
                 {
@@ -1,3 +1,5 @@
+using System.Text.Json;
+using Microsoft.Extensions.Logging;
 using YarpAdmin;
 using YarpAdmin.Models;
 
@@ -114,6 +116,190 @@ public class YarpAdminServiceTests
         Assert.Null(stored);
     }
 
+    [Fact]
+    public async Task ApplyBatchAsync_DelegatesToStore()
+    {
+        await _service.ApplyBatchAsync(new ConfigurationBatch
+        {
+            UpsertClusters = new List<ClusterConfig> { CreateTestCluster("test-cluster") },
+            UpsertRoutes = new List<RouteConfig> { CreateTestRoute("test-route") }
+        });
+
+        Assert.NotNull(await _store.GetClusterAsync("test-cluster"));
+        Assert.NotNull(await _store.GetRouteAsync("test-route"));
+    }
+
+    #endregion
+
+    #region Version Tests
+
+    [Fact]
+    public async Task RollbackAsync_RestoresAndRecordsNewVersion()
+    {
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1"));
+        await _service.RecordVersionAsync("alice", "v1");
+        await _store.UpsertRouteAsync(CreateTestRoute("route-2"));
+        await _service.RecordVersionAsync("alice", "v2");
+
+        var result = await _service.RollbackAsync(1, "bob", null);
+
+        Assert.NotNull(result);
+        Assert.Equal(3, result.Version);
+        Assert.Equal("bob", result.Author);
+        Assert.Equal("Rolled back to version 1", result.Comment);
+        Assert.Single(_service.GetConfig().Routes);
+    }
+
+    [Fact]
+    public async Task RollbackAsync_UnknownVersion_ReturnsNull()
+    {
+        var result = await _service.RollbackAsync(7, null, null);
+
+        Assert.Null(result);
+        Assert.Empty(await _service.GetVersionsAsync());
+    }
+
+    #endregion
+
+    #region Cutover Tests
+
+    [Fact]
+    public async Task CutoverAsync_MovesRoutesInOneChangeAndRecordsOneVersion()
+    {
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1", "blue"));
+        await _store.UpsertRouteAsync(CreateTestRoute("route-2", "blue"));
+        await _store.UpsertRouteAsync(CreateTestRoute("route-3", "other"));
+        var changes = 0;
+        _store.ConfigurationChanged += (_, _) => changes++;
+
+        var cutover = await _service.CutoverAsync("blue", "green", new[] { "route-1", "route-2" }, "alice", null);
+
+        Assert.Equal(1, changes);
+        Assert.Equal(new[] { "green", "green", "other" },
+            (await _store.GetRoutesAsync()).OrderBy(r => r.RouteId).Select(r => r.ClusterId));
+        Assert.All(_service.GetConfig().Routes.Where(r => r.RouteId != "route-3"), r => Assert.Equal("green", r.ClusterId));
+        var version = Assert.Single(await _service.GetVersionsAsync());
+        Assert.Equal(version.Version, cutover.Version);
+        Assert.Equal("Cutover of 2 route(s) from blue to green", version.Comment);
+        Assert.Equal("alice", cutover.User);
+        Assert.Equal(cutover.Timestamp + _options.CutoverRevertWindow, cutover.RevertibleUntil);
+    }
+
+    [Fact]
+    public async Task CutoverAsync_IsListedAndFoundById()
+    {
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1", "blue"));
+
+        var cutover = await _service.CutoverAsync("blue", "green", new[] { "route-1" }, null, "go green");
+
+        Assert.Same(cutover, Assert.Single(await _service.GetCutoversAsync()));
+        Assert.Same(cutover, await _service.GetCutoverAsync(cutover.CutoverId));
+        Assert.Null(await _service.GetCutoverAsync("missing"));
+        Assert.Equal("go green", Assert.Single(await _service.GetVersionsAsync()).Comment);
+    }
+
+    [Fact]
+    public async Task RevertCutoverAsync_MovesRoutesBackAndRecordsVersion()
+    {
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1", "blue"));
+        var cutover = await _service.CutoverAsync("blue", "green", new[] { "route-1" }, "alice", null);
+
+        var result = await _service.RevertCutoverAsync(cutover, "bob");
+
+        Assert.Equal("blue", (await _store.GetRouteAsync("route-1"))?.ClusterId);
+        Assert.Equal("blue", Assert.Single(_service.GetConfig().Routes).ClusterId);
+        Assert.NotNull(result?.RevertedAt);
+        var version = (await _service.GetVersionsAsync()).First();
+        Assert.Equal(version.Version, result?.RevertVersion);
+        Assert.Equal("bob", version.Author);
+        Assert.Equal("Reverted cutover of 1 route(s) from blue to green", version.Comment);
+    }
+
+    [Fact]
+    public async Task RevertCutoverAsync_ConcurrentReverts_OnlyOneRuns()
+    {
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1", "blue"));
+        var cutover = await _service.CutoverAsync("blue", "green", new[] { "route-1" }, "alice", null);
+
+        var results = await Task.WhenAll(_service.RevertCutoverAsync(cutover, "bob"), _service.RevertCutoverAsync(cutover, "carol"));
+
+        Assert.Single(results, r => r != null);
+        Assert.Equal(2, (await _service.GetVersionsAsync()).Count());
+    }
+
+    [Fact]
+    public async Task RevertCutoverAsync_RouteMovedSince_ReturnsNullAndLeavesIt()
+    {
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1", "blue"));
+        var cutover = await _service.CutoverAsync("blue", "green", new[] { "route-1" }, "alice", null);
+        await _store.UpsertRouteAsync(CreateTestRoute("route-1", "other"));
+
+        var result = await _service.RevertCutoverAsync(cutover, "bob");
+
+        Assert.Null(result);
+        Assert.Null(cutover.RevertedAt);
+        Assert.Equal("other", (await _store.GetRouteAsync("route-1"))?.ClusterId);
+    }
+
+    #endregion
+
+    #region Preview Tests
+
+    [Fact]
+    public async Task PreviewBatchAsync_AppliesBatchWithoutChangingStore()
+    {
+        await _store.UpsertClusterAsync(CreateTestCluster("old-cluster"));
+        await _store.UpsertRouteAsync(CreateTestRoute("old-route", "old-cluster"));
+
+        var preview = await _service.PreviewBatchAsync(new ConfigurationBatch
+        {
+            UpsertClusters = new List<ClusterConfig> { CreateTestCluster("new-cluster") },
+            UpsertRoutes = new List<RouteConfig> { CreateTestRoute("new-route", "new-cluster") },
+            DeleteRoutes = new List<string> { "old-route" }
+        });
+
+        Assert.Equal(new[] { "new-route" }, preview.Routes.Select(r => r.RouteId));
+        Assert.Equal(new[] { "new-cluster", "old-cluster" }, preview.Clusters.Select(c => c.ClusterId).OrderBy(id => id));
+        Assert.Equal("old-route", Assert.Single(await _store.GetRoutesAsync()).RouteId);
+    }
+
+    #endregion
+
+    #region Template Tests
+
+    [Fact]
+    public async Task GetTemplatesAsync_ListsBuiltInThenSavedTemplates()
+    {
+        await _service.SaveTemplateAsync(CreateTestTemplate("my-template"));
+
+        var templates = (await _service.GetTemplatesAsync()).ToList();
+
+        Assert.Equal(ConfigTemplates.BuiltIn.Count + 1, templates.Count);
+        Assert.All(templates.Take(ConfigTemplates.BuiltIn.Count), t => Assert.True(t.BuiltIn));
+        Assert.Equal("my-template", templates[^1].TemplateId);
+    }
+
+    [Fact]
+    public async Task SaveTemplateAsync_RecordsVariablesAndClearsBuiltIn()
+    {
+        var template = CreateTestTemplate("my-template");
+        template.BuiltIn = true;
+
+        var result = await _service.SaveTemplateAsync(template);
+
+        Assert.False(result.BuiltIn);
+        Assert.Equal(new[] { "service", "port" }, result.Variables);
+    }
+
+    [Fact]
+    public async Task DeleteTemplateAsync_BuiltInTemplate_ReturnsFalse()
+    {
+        var deleted = await _service.DeleteTemplateAsync(ConfigTemplates.BuiltIn[0].TemplateId);
+
+        Assert.False(deleted);
+        Assert.NotNull(await _service.GetTemplateAsync(ConfigTemplates.BuiltIn[0].TemplateId));
+    }
+
     #endregion
 
     #region IProxyConfigProvider Tests
@@ -145,6 +331,30 @@ public class YarpAdminServiceTests
         Assert.Single(updatedConfig.Routes);
     }
 
+    [Fact]
+    public async Task ConfigurationChanged_UnconvertibleCluster_LogsAndKeepsPreviousConfig()
+    {
+        var logger = new Mock<ILogger<YarpAdminService>>();
+        var service = new YarpAdminService(_store, _options, logger.Object);
+        await _store.UpsertClusterAsync(CreateTestCluster("cluster-1"));
+        var previous = service.GetConfig();
+
+        var invalid = CreateTestCluster("cluster-2");
+        invalid.HttpRequest = new HttpRequestConfig { Version = "not-a-version" };
+        await _store.UpsertClusterAsync(invalid);
+
+        Assert.Same(previous, service.GetConfig());
+        Assert.Single(service.GetConfig().Clusters);
+        logger.Verify(
+            x => x.Log(
+                LogLevel.Error,
+                It.IsAny<EventId>(),
+                It.IsAny<It.IsAnyType>(),
+                It.IsAny<FormatException>(),
+                It.IsAny<Func<It.IsAnyType, Exception?, string>>()),
+            Times.Once);
+    }
+
     [Fact]
     public async Task ApplyConfigurationAsync_OnlyIncludesEnabledRoutes()
     {
@@ -197,6 +407,26 @@ public class YarpAdminServiceTests
         Assert.Single(yarpRoute.Match.Hosts ?? new List<string>());
     }
 
+    [Fact]
+    public async Task ApplyConfigurationAsync_CarriesTransformsIntoYarpRoute()
+    {
+        var route = CreateTestRoute("test-route");
+        route.Transforms = new List<Dictionary<string, string>>
+        {
+            new() { ["PathRemovePrefix"] = "/api" },
+            new() { ["RequestHeader"] = "X-Forwarded-By", ["Set"] = "yarp-admin" }
+        };
+        await _store.UpsertRouteAsync(route);
+        await _service.ApplyConfigurationAsync();
+
+        var transforms = Assert.Single(_service.GetConfig().Routes).Transforms;
+
+        Assert.NotNull(transforms);
+        Assert.Equal(2, transforms.Count);
+        Assert.Equal("/api", transforms[0]["PathRemovePrefix"]);
+        Assert.Equal("yarp-admin", transforms[1]["Set"]);
+    }
+
     [Fact]
     public async Task ApplyConfigurationAsync_ConvertsRouteHeaders()
     {
@@ -338,6 +568,7 @@ public class YarpAdminServiceTests
                 {
                     Address = "https://server1.example.com",
                     Health = "https://server1.example.com/health",
+                    Host = "api.example.com",
                     Metadata = new Dictionary<string, string> { ["region"] = "us-west" }
                 },
                 ["dest-2"] = new DestinationConfig
@@ -356,6 +587,77 @@ public class YarpAdminServiceTests
         Assert.Equal(2, yarpCluster.Destinations?.Count);
         Assert.Equal("https://server1.example.com", yarpCluster.Destinations?["dest-1"].Address);
         Assert.Equal("https://server1.example.com/health", yarpCluster.Destinations?["dest-1"].Health);
+        Assert.Equal("api.example.com", yarpCluster.Destinations?["dest-1"].Host);
+        Assert.Equal("us-west", yarpCluster.Destinations?["dest-1"].Metadata?["region"]);
+        Assert.Null(yarpCluster.Destinations?["dest-2"].Host);
+    }
+
+    [Fact]
+    public async Task ApplyConfigurationAsync_DisabledDestination_IsLeftOutOfYarpCluster()
+    {
+        var cluster = new ClusterConfig
+        {
+            ClusterId = "test-cluster",
+            Destinations = new Dictionary<string, DestinationConfig>
+            {
+                ["dest-1"] = new DestinationConfig { Address = "https://server1.example.com" },
+                ["dest-2"] = new DestinationConfig { Address = "https://server2.example.com", State = DestinationStates.Disabled }
+            }
+        };
+        await _store.UpsertClusterAsync(cluster);
+        await _service.ApplyConfigurationAsync();
+
+        var yarpCluster = Assert.Single(_service.GetConfig().Clusters);
+
+        Assert.Equal(new[] { "dest-1" }, yarpCluster.Destinations?.Keys);
+        Assert.Equal(2, (await _store.GetClusterAsync("test-cluster"))?.Destinations?.Count);
+    }
+
+    [Fact]
+    public async Task ApplyConfigurationAsync_DrainingDestination_IsMarkedInMetadata()
+    {
+        var metadata = new Dictionary<string, string> { ["region"] = "us-west" };
+        var cluster = new ClusterConfig
+        {
+            ClusterId = "test-cluster",
+            Destinations = new Dictionary<string, DestinationConfig>
+            {
+                ["dest-1"] = new DestinationConfig { Address = "https://server1.example.com", State = DestinationStates.Draining, Metadata = metadata }
+            }
+        };
+        await _store.UpsertClusterAsync(cluster);
+        await _service.ApplyConfigurationAsync();
+
+        var destination = Assert.Single(_service.GetConfig().Clusters).Destinations!["dest-1"];
+
+        Assert.Equal(DestinationStates.Draining, destination.Metadata?[DestinationStates.MetadataKey]);
+        Assert.Equal("us-west", destination.Metadata?["region"]);
+        Assert.False(metadata.ContainsKey(DestinationStates.MetadataKey));
+    }
+
+    [Fact]
+    public async Task ApplyConfigurationAsync_DestinationWeight_IsCarriedInMetadata()
+    {
+        var cluster = new ClusterConfig
+        {
+            ClusterId = "test-cluster",
+            LoadBalancingPolicy = WeightedLoadBalancingPolicy.PolicyName,
+            Destinations = new Dictionary<string, DestinationConfig>
+            {
+                ["stable"] = new DestinationConfig { Address = "https://server1.example.com", Weight = 95 },
+                ["canary"] = new DestinationConfig { Address = "https://server2.example.com", Weight = 5 },
+                ["plain"] = new DestinationConfig { Address = "https://server3.example.com" }
+            }
+        };
+        await _store.UpsertClusterAsync(cluster);
+        await _service.ApplyConfigurationAsync();
+
+        var yarpCluster = Assert.Single(_service.GetConfig().Clusters);
+
+        Assert.Equal("Weighted", yarpCluster.LoadBalancingPolicy);
+        Assert.Equal("95", yarpCluster.Destinations!["stable"].Metadata?[WeightedLoadBalancingPolicy.WeightMetadataKey]);
+        Assert.Equal("5", yarpCluster.Destinations!["canary"].Metadata?[WeightedLoadBalancingPolicy.WeightMetadataKey]);
+        Assert.Null(yarpCluster.Destinations!["plain"].Metadata);
     }
 
     [Fact]
@@ -458,6 +760,46 @@ public class YarpAdminServiceTests
         Assert.Equal(".Yarp.Affinity", yarpCluster.SessionAffinity?.AffinityKeyName);
     }
 
+    [Fact]
+    public async Task ApplyConfigurationAsync_ConvertsClusterHttpRequestAndHttpClient()
+    {
+        var cluster = new ClusterConfig
+        {
+            ClusterId = "test-cluster",
+            HttpRequest = new HttpRequestConfig
+            {
+                ActivityTimeout = "00:10:00",
+                Version = "2",
+                VersionPolicy = "RequestVersionOrLower",
+                AllowResponseBuffering = true
+            },
+            HttpClient = new HttpClientConfig
+            {
+                SslProtocols = new List<string> { "Tls12", "Tls13" },
+                MaxConnectionsPerServer = 10,
+                EnableMultipleHttp2Connections = true
+            },
+            Destinations = new Dictionary<string, DestinationConfig>
+            {
+                ["dest-1"] = new DestinationConfig { Address = "https://server1.example.com" }
+            }
+        };
+        await _store.UpsertClusterAsync(cluster);
+        await _service.ApplyConfigurationAsync();
+
+        var yarpCluster = _service.GetConfig().Clusters[0];
+
+        Assert.NotNull(yarpCluster.HttpRequest);
+        Assert.Equal(TimeSpan.FromMinutes(10), yarpCluster.HttpRequest.ActivityTimeout);
+        Assert.Equal(new Version(2, 0), yarpCluster.HttpRequest.Version);
+        Assert.Equal(HttpVersionPolicy.RequestVersionOrLower, yarpCluster.HttpRequest.VersionPolicy);
+        Assert.True(yarpCluster.HttpRequest.AllowResponseBuffering);
+        Assert.NotNull(yarpCluster.HttpClient);
+        Assert.Equal(System.Security.Authentication.SslProtocols.Tls12 | System.Security.Authentication.SslProtocols.Tls13, yarpCluster.HttpClient.SslProtocols);
+        Assert.Equal(10, yarpCluster.HttpClient.MaxConnectionsPerServer);
+        Assert.True(yarpCluster.HttpClient.EnableMultipleHttp2Connections);
+    }
+
     [Fact]
     public async Task ApplyConfigurationAsync_ConvertsClusterMetadata()
     {
@@ -516,5 +858,20 @@ public class YarpAdminServiceTests
         };
     }
 
+    private static ConfigTemplate CreateTestTemplate(string templateId)
+    {
+        return new ConfigTemplate
+        {
+            TemplateId = templateId,
+            Name = "Test template",
+            EntityType = "cluster",
+            Content = JsonSerializer.SerializeToElement(new
+            {
+                clusterId = "{{service}}",
+                destinations = new Dictionary<string, object> { ["d1"] = new { address = "http://{{service}}:{{port}}" } }
+            })
+        };
+    }
+
     #endregion
 }
@@ -1,5 +1,11 @@
+using System.Text.Json;
+using System.Text.Json.Nodes;
 using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.ModelBinding;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Logging.Abstractions;
 using YarpAdmin.Models;
 
 namespace YarpAdmin.Controllers;
@@ -13,13 +19,38 @@ public class YarpAdminController : ControllerBase
 {
     private readonly IYarpAdminService _adminService;
     private readonly YarpAdminOptions _options;
+    private readonly IAuditLog _auditLog;
+    private readonly IConfigurationValidator _validator;
+    private readonly ILogger<YarpAdminController> _logger;
 
-    public YarpAdminController(IYarpAdminService adminService, YarpAdminOptions options)
+    public YarpAdminController(IYarpAdminService adminService, YarpAdminOptions options, IAuditLog auditLog,
+        IConfigurationValidator validator, ILogger<YarpAdminController>? logger = null)
     {
         _adminService = adminService;
         _options = options;
+        _auditLog = auditLog;
+        _validator = validator;
+        _logger = logger ?? NullLogger<YarpAdminController>.Instance;
     }
 
+    #region Options
+
+    /// <summary>
+    /// Gets the admin UI settings: title, read-only state and the current user.
+    /// </summary>
+    [HttpGet("options")]
+    public ActionResult<AdminUiSettings> GetOptions()
+    {
+        return Ok(new AdminUiSettings
+        {
+            Title = _options.Title,
+            ReadOnly = !_options.AllowConfigurationChanges,
+            User = CurrentUserName()
+        });
+    }
+
+    #endregion
+
     #region Routes
 
     /// <summary>
@@ -41,6 +72,7 @@ public class YarpAdminController : ControllerBase
         var route = await _adminService.GetRouteAsync(routeId);
         if (route == null)
             return NotFound(new { message = $"Route '{routeId}' not found" });
+        SetETag(route);
         return Ok(route);
     }
 
@@ -60,7 +92,13 @@ public class YarpAdminController : ControllerBase
         if (existing != null)
             return Conflict(new { message = $"Route '{route.RouteId}' already exists" });
 
+        var invalid = await ValidateChangesAsync(new ConfigurationBatch { UpsertRoutes = { route } });
+        if (invalid != null)
+            return invalid;
+
         var result = await _adminService.UpsertRouteAsync(route);
+        await AuditAsync(AuditActions.Create, "route", result.RouteId, null, result);
+        SetETag(result);
         return CreatedAtAction(nameof(GetRoute), new { routeId = result.RouteId }, result);
     }
 
@@ -80,7 +118,26 @@ public class YarpAdminController : ControllerBase
         if (existing == null)
             return NotFound(new { message = $"Route '{routeId}' not found" });
 
-        var result = await _adminService.UpsertRouteAsync(route);
+        var precondition = RequireIfMatch($"Route '{routeId}'", out var ifMatch);
+        if (precondition != null)
+            return precondition;
+
+        var invalid = await ValidateChangesAsync(new ConfigurationBatch { UpsertRoutes = { route } });
+        if (invalid != null)
+            return invalid;
+
+        RouteConfig result;
+        try
+        {
+            result = await _adminService.UpsertRouteAsync(route, ifMatch);
+        }
+        catch (PreconditionFailedException ex)
+        {
+            return PreconditionFailed(ex);
+        }
+
+        await AuditAsync(AuditActions.Update, "route", routeId, existing, result);
+        SetETag(result);
         return Ok(result);
     }
 
@@ -93,12 +150,48 @@ public class YarpAdminController : ControllerBase
         if (!_options.AllowConfigurationChanges)
             return StatusCode(403, new { message = "Configuration changes are not allowed" });
 
-        var success = await _adminService.DeleteRouteAsync(routeId);
+        var existing = await _adminService.GetRouteAsync(routeId);
+        if (existing == null)
+            return NotFound(new { message = $"Route '{routeId}' not found" });
+
+        var precondition = RequireIfMatch($"Route '{routeId}'", out var ifMatch);
+        if (precondition != null)
+            return precondition;
+
+        bool success;
+        try
+        {
+            success = await _adminService.DeleteRouteAsync(routeId, ifMatch);
+        }
+        catch (PreconditionFailedException ex)
+        {
+            return PreconditionFailed(ex);
+        }
+
         if (!success)
             return NotFound(new { message = $"Route '{routeId}' not found" });
+
+        await AuditAsync(AuditActions.Delete, "route", routeId, existing, null);
         return NoContent();
     }
 
+    /// <summary>
+    /// Runs a sample request through a route's transforms and returns the request YARP would send on.
+    /// The route doesn't need to be saved, so the dashboard can preview edits as they are made.
+    /// </summary>
+    [HttpPost("transforms/preview")]
+    public async Task<ActionResult<TransformPreviewResult>> PreviewTransforms(
+        [FromServices] ITransformPreviewService previewService,
+        [FromBody] TransformPreviewRequest request,
+        CancellationToken cancellationToken)
+    {
+        var cluster = string.IsNullOrWhiteSpace(request.Route.ClusterId)
+            ? null
+            : await _adminService.GetClusterAsync(request.Route.ClusterId);
+        var result = await previewService.PreviewAsync(request, cluster, cancellationToken);
+        return Ok(result);
+    }
+
     #endregion
 
     #region Clusters
@@ -122,6 +215,7 @@ public class YarpAdminController : ControllerBase
         var cluster = await _adminService.GetClusterAsync(clusterId);
         if (cluster == null)
             return NotFound(new { message = $"Cluster '{clusterId}' not found" });
+        SetETag(cluster);
         return Ok(cluster);
     }
 
@@ -141,7 +235,13 @@ public class YarpAdminController : ControllerBase
         if (existing != null)
             return Conflict(new { message = $"Cluster '{cluster.ClusterId}' already exists" });
 
+        var invalid = await ValidateChangesAsync(new ConfigurationBatch { UpsertClusters = { cluster } });
+        if (invalid != null)
+            return invalid;
+
         var result = await _adminService.UpsertClusterAsync(cluster);
+        await AuditAsync(AuditActions.Create, "cluster", result.ClusterId, null, result);
+        SetETag(result);
         return CreatedAtAction(nameof(GetCluster), new { clusterId = result.ClusterId }, result);
     }
 
@@ -161,7 +261,26 @@ public class YarpAdminController : ControllerBase
         if (existing == null)
             return NotFound(new { message = $"Cluster '{clusterId}' not found" });
 
-        var result = await _adminService.UpsertClusterAsync(cluster);
+        var precondition = RequireIfMatch($"Cluster '{clusterId}'", out var ifMatch);
+        if (precondition != null)
+            return precondition;
+
+        var invalid = await ValidateChangesAsync(new ConfigurationBatch { UpsertClusters = { cluster } });
+        if (invalid != null)
+            return invalid;
+
+        ClusterConfig result;
+        try
+        {
+            result = await _adminService.UpsertClusterAsync(cluster, ifMatch);
+        }
+        catch (PreconditionFailedException ex)
+        {
+            return PreconditionFailed(ex);
+        }
+
+        await AuditAsync(AuditActions.Update, "cluster", clusterId, existing, result);
+        SetETag(result);
         return Ok(result);
     }
 
@@ -174,27 +293,473 @@ public class YarpAdminController : ControllerBase
         if (!_options.AllowConfigurationChanges)
             return StatusCode(403, new { message = "Configuration changes are not allowed" });
 
-        var success = await _adminService.DeleteClusterAsync(clusterId);
+        var existing = await _adminService.GetClusterAsync(clusterId);
+        if (existing == null)
+            return NotFound(new { message = $"Cluster '{clusterId}' not found" });
+
+        var precondition = RequireIfMatch($"Cluster '{clusterId}'", out var ifMatch);
+        if (precondition != null)
+            return precondition;
+
+        bool success;
+        try
+        {
+            success = await _adminService.DeleteClusterAsync(clusterId, ifMatch);
+        }
+        catch (PreconditionFailedException ex)
+        {
+            return PreconditionFailed(ex);
+        }
+
         if (!success)
             return NotFound(new { message = $"Cluster '{clusterId}' not found" });
+
+        await AuditAsync(AuditActions.Delete, "cluster", clusterId, existing, null);
         return NoContent();
     }
 
     #endregion
 
+    #region Health
+
+    /// <summary>
+    /// Gets YARP's runtime destination health for every cluster.
+    /// </summary>
+    [HttpGet("health")]
+    public ActionResult<IEnumerable<ClusterHealthStatus>> GetHealth(
+        [FromServices] IDestinationHealthService healthService)
+    {
+        return Ok(healthService.GetClusterHealth());
+    }
+
+    /// <summary>
+    /// Gets YARP's runtime destination health for a specific cluster.
+    /// </summary>
+    [HttpGet("health/{clusterId}")]
+    public ActionResult<ClusterHealthStatus> GetClusterHealth(
+        string clusterId,
+        [FromServices] IDestinationHealthService healthService)
+    {
+        var health = healthService.GetClusterHealth(clusterId);
+        if (health == null)
+            return NotFound(new { message = $"No runtime state for cluster '{clusterId}'" });
+        return Ok(health);
+    }
+
+    #endregion
+
+    #region Versions
+
+    /// <summary>
+    /// Gets the recorded configuration versions, newest first.
+    /// </summary>
+    [HttpGet("versions")]
+    public async Task<ActionResult<IEnumerable<ConfigurationVersionSummary>>> GetVersions()
+    {
+        var versions = await _adminService.GetVersionsAsync();
+        return Ok(versions);
+    }
+
+    /// <summary>
+    /// Gets a recorded configuration version including its routes and clusters.
+    /// </summary>
+    [HttpGet("versions/{version:int}")]
+    public async Task<ActionResult<ConfigurationVersion>> GetVersion(int version)
+    {
+        var result = await _adminService.GetVersionAsync(version);
+        if (result == null)
+            return NotFound(new { message = $"Version {version} not found" });
+        return Ok(result);
+    }
+
+    /// <summary>
+    /// Restores a recorded version, applies it to YARP and records the rollback as a new version.
+    /// </summary>
+    [HttpPost("versions/{version:int}/rollback")]
+    public async Task<ActionResult> RollbackToVersion(
+        int version,
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] ApplyConfigurationRequest? request = null)
+    {
+        if (!_options.AllowConfigurationChanges)
+            return StatusCode(403, new { message = "Configuration changes are not allowed" });
+
+        var result = await _adminService.RollbackAsync(version, CurrentUserName(), request?.Comment);
+        if (result == null)
+            return NotFound(new { message = $"Version {version} not found" });
+
+        await AuditAsync(AuditActions.Rollback, null, null, null, null,
+            $"Rolled back to version {version}, recorded as version {result.Version}");
+        return Ok(new { message = $"Rolled back to version {version}", version = result.Version });
+    }
+
+    #endregion
+
+    #region Cutovers
+
+    /// <summary>
+    /// Gets the cutovers made since startup, newest first. They are not persisted across restarts.
+    /// </summary>
+    [HttpGet("cutovers")]
+    public async Task<ActionResult<IEnumerable<CutoverRecord>>> GetCutovers()
+    {
+        var cutovers = await _adminService.GetCutoversAsync();
+        return Ok(cutovers);
+    }
+
+    /// <summary>
+    /// Moves routes from the source cluster to the target cluster in one apply and records it as one version.
+    /// </summary>
+    [HttpPost("cutovers")]
+    public async Task<ActionResult<CutoverRecord>> Cutover([FromBody] CutoverRequest request)
+    {
+        if (!_options.AllowConfigurationChanges)
+            return StatusCode(403, new { message = "Configuration changes are not allowed" });
+
+        if (string.IsNullOrWhiteSpace(request.SourceClusterId) || string.IsNullOrWhiteSpace(request.TargetClusterId))
+            return BadRequest(new { message = "Source and target clusters are required" });
+
+        if (request.SourceClusterId == request.TargetClusterId)
+            return BadRequest(new { message = "Source and target clusters must differ" });
+
+        if (await _adminService.GetClusterAsync(request.TargetClusterId) == null)
+            return NotFound(new { message = $"Cluster '{request.TargetClusterId}' not found" });
+
+        var sourceRouteIds = (await _adminService.GetRoutesAsync())
+            .Where(r => r.ClusterId == request.SourceClusterId)
+            .Select(r => r.RouteId)
+            .ToList();
+        var routeIds = request.RouteIds?.Distinct().ToList() ?? sourceRouteIds;
+        if (routeIds.Count == 0)
+            return BadRequest(new { message = $"No routes use cluster '{request.SourceClusterId}'" });
+
+        // The wizard shows the routes it read earlier, so refuse if any has moved since
+        var stale = routeIds.Except(sourceRouteIds).ToList();
+        if (stale.Count > 0)
+            return Conflict(new { message = $"Routes no longer use cluster '{request.SourceClusterId}': {string.Join(", ", stale)}", routeIds = stale });
+
+        var cutover = await _adminService.CutoverAsync(request.SourceClusterId, request.TargetClusterId, routeIds, CurrentUserName(), request.Comment);
+        await AuditAsync(AuditActions.Cutover, null, null, null, null,
+            $"Moved {routeIds.Count} route(s) from {cutover.SourceClusterId} to {cutover.TargetClusterId}, recorded as version {cutover.Version}");
+        return Ok(cutover);
+    }
+
+    /// <summary>
+    /// Moves a cutover's routes back to the source cluster while its revert window is open.
+    /// </summary>
+    [HttpPost("cutovers/{cutoverId}/revert")]
+    public async Task<ActionResult<CutoverRecord>> RevertCutover(string cutoverId)
+    {
+        if (!_options.AllowConfigurationChanges)
+            return StatusCode(403, new { message = "Configuration changes are not allowed" });
+
+        var cutover = await _adminService.GetCutoverAsync(cutoverId);
+        if (cutover == null)
+            return NotFound(new { message = $"Cutover '{cutoverId}' not found" });
+
+        if (cutover.RevertedAt != null)
+            return BadRequest(new { message = $"Cutover '{cutoverId}' has already been reverted" });
+
+        if (DateTimeOffset.UtcNow > cutover.RevertibleUntil)
+            return BadRequest(new { message = $"The revert window for cutover '{cutoverId}' has closed" });
+
+        if (await _adminService.GetClusterAsync(cutover.SourceClusterId) == null)
+            return Conflict(new { message = $"Cluster '{cutover.SourceClusterId}' no longer exists" });
+
+        // Reverting would overwrite routes changed by hand since the cutover, so refuse instead
+        var targetRouteIds = (await _adminService.GetRoutesAsync())
+            .Where(r => r.ClusterId == cutover.TargetClusterId)
+            .Select(r => r.RouteId)
+            .ToHashSet();
+        var changed = cutover.RouteIds.Where(id => !targetRouteIds.Contains(id)).ToList();
+        if (changed.Count > 0)
+            return Conflict(new { message = $"Routes no longer use cluster '{cutover.TargetClusterId}': {string.Join(", ", changed)}", routeIds = changed });
+
+        // Another revert or edit can land between the checks above and this one; the service checks again
+        var result = await _adminService.RevertCutoverAsync(cutover, CurrentUserName());
+        if (result == null)
+            return Conflict(new { message = $"Cutover '{cutoverId}' was reverted or changed by someone else" });
+
+        await AuditAsync(AuditActions.RevertCutover, null, null, null, null,
+            $"Moved {result.RouteIds.Count} route(s) back from {result.TargetClusterId} to {result.SourceClusterId}, recorded as version {result.RevertVersion}");
+        return Ok(result);
+    }
+
+    #endregion
+
+    #region Templates
+
+    /// <summary>
+    /// Gets the built-in and saved route and cluster templates.
+    /// </summary>
+    [HttpGet("templates")]
+    public async Task<ActionResult<IEnumerable<ConfigTemplate>>> GetTemplates()
+    {
+        var templates = await _adminService.GetTemplatesAsync();
+        return Ok(templates);
+    }
+
+    /// <summary>
+    /// Gets a specific template by ID.
+    /// </summary>
+    [HttpGet("templates/{templateId}")]
+    public async Task<ActionResult<ConfigTemplate>> GetTemplate(string templateId)
+    {
+        var template = await _adminService.GetTemplateAsync(templateId);
+        if (template == null)
+            return NotFound(new { message = $"Template '{templateId}' not found" });
+        return Ok(template);
+    }
+
+    /// <summary>
+    /// Saves a new template.
+    /// </summary>
+    [HttpPost("templates")]
+    public async Task<ActionResult<ConfigTemplate>> CreateTemplate([FromBody] ConfigTemplate template)
+    {
+        if (!_options.AllowConfigurationChanges)
+            return StatusCode(403, new { message = "Configuration changes are not allowed" });
+
+        var invalid = ValidateTemplate(template);
+        if (invalid != null)
+            return invalid;
+
+        var existing = await _adminService.GetTemplateAsync(template.TemplateId);
+        if (existing != null)
+            return Conflict(new { message = $"Template '{template.TemplateId}' already exists" });
+
+        ConfigTemplate result;
+        try
+        {
+            result = await _adminService.SaveTemplateAsync(template);
+        }
+        catch (NotSupportedException ex)
+        {
+            return StatusCode(501, new { message = ex.Message });
+        }
+
+        await AuditAsync(AuditActions.Create, "template", result.TemplateId, null, result);
+        return CreatedAtAction(nameof(GetTemplate), new { templateId = result.TemplateId }, result);
+    }
+
+    /// <summary>
+    /// Updates a saved template.
+    /// </summary>
+    [HttpPut("templates/{templateId}")]
+    public async Task<ActionResult<ConfigTemplate>> UpdateTemplate(string templateId, [FromBody] ConfigTemplate template)
+    {
+        if (!_options.AllowConfigurationChanges)
+            return StatusCode(403, new { message = "Configuration changes are not allowed" });
+
+        if (template.TemplateId != templateId)
+            return BadRequest(new { message = "TemplateId in URL and body must match" });
+
+        if (ConfigTemplates.IsBuiltIn(templateId))
+            return BadRequest(new { message = $"Built-in template '{templateId}' can't be changed" });
+
+        var invalid = ValidateTemplate(template);
+        if (invalid != null)
+            return invalid;
+
+        var existing = await _adminService.GetTemplateAsync(templateId);
+        if (existing == null)
+            return NotFound(new { message = $"Template '{templateId}' not found" });
+
+        var result = await _adminService.SaveTemplateAsync(template);
+        await AuditAsync(AuditActions.Update, "template", templateId, existing, result);
+        return Ok(result);
+    }
+
+    /// <summary>
+    /// Deletes a saved template.
+    /// </summary>
+    [HttpDelete("templates/{templateId}")]
+    public async Task<ActionResult> DeleteTemplate(string templateId)
+    {
+        if (!_options.AllowConfigurationChanges)
+            return StatusCode(403, new { message = "Configuration changes are not allowed" });
+
+        if (ConfigTemplates.IsBuiltIn(templateId))
+            return BadRequest(new { message = $"Built-in template '{templateId}' can't be deleted" });
+
+        var existing = await _adminService.GetTemplateAsync(templateId);
+        if (existing == null || !await _adminService.DeleteTemplateAsync(templateId))
+            return NotFound(new { message = $"Template '{templateId}' not found" });
+
+        await AuditAsync(AuditActions.Delete, "template", templateId, existing, null);
+        return NoContent();
+    }
+
+    /// <summary>
+    /// Fills in a template's placeholders and returns the resulting route or cluster without saving it.
+    /// </summary>
+    [HttpPost("templates/{templateId}/instantiate")]
+    public async Task<ActionResult<JsonElement>> InstantiateTemplate(string templateId, [FromBody] InstantiateTemplateRequest request)
+    {
+        var template = await _adminService.GetTemplateAsync(templateId);
+        if (template == null)
+            return NotFound(new { message = $"Template '{templateId}' not found" });
+
+        var missing = ConfigTemplates.FindVariables(template.Content)
+            .Where(v => !request.Variables.TryGetValue(v, out var value) || string.IsNullOrWhiteSpace(value))
+            .ToList();
+        if (missing.Count > 0)
+            return BadRequest(new { message = $"Values are required for: {string.Join(", ", missing)}", missing });
+
+        return Ok(ConfigTemplates.Instantiate(template, request.Variables));
+    }
+
+    #endregion
+
+    #region Audit
+
+    /// <summary>
+    /// Gets one page of the audit log, newest first, filtered by the query string.
+    /// </summary>
+    [HttpGet("audit")]
+    public async Task<ActionResult<AuditPage>> GetAuditLog([FromQuery] AuditQuery query)
+    {
+        return Ok(await _auditLog.QueryAsync(query));
+    }
+
+    #endregion
+
+    #region Events
+
+    /// <summary>
+    /// Streams configuration changes as server-sent events until the client disconnects.
+    /// </summary>
+    [HttpGet("events")]
+    public async Task GetEvents([FromServices] IConfigurationChangeNotifier notifier, CancellationToken cancellationToken)
+    {
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        await Response.Body.FlushAsync(cancellationToken);
+
+        try
+        {
+            await foreach (var notification in notifier.SubscribeAsync(cancellationToken))
+            {
+                await Response.WriteAsync($"data: {JsonSerializer.Serialize(notification)}\n\n", cancellationToken);
+                await Response.Body.FlushAsync(cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // The browser closed the stream
+        }
+    }
+
+    #endregion
+
     #region Configuration
 
     /// <summary>
-    /// Applies the current configuration to YARP.
+    /// Applies the current configuration to YARP and records it as a new version.
     /// </summary>
     [HttpPost("apply")]
-    public async Task<ActionResult> ApplyConfiguration()
+    public async Task<ActionResult> ApplyConfiguration(
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] ApplyConfigurationRequest? request = null)
     {
         if (!_options.AllowConfigurationChanges)
             return StatusCode(403, new { message = "Configuration changes are not allowed" });
 
         await _adminService.ApplyConfigurationAsync();
-        return Ok(new { message = "Configuration applied successfully" });
+        var version = await _adminService.RecordVersionAsync(CurrentUserName(), request?.Comment);
+        await AuditAsync(AuditActions.Apply, null, null, null, null,
+            string.IsNullOrWhiteSpace(request?.Comment) ? $"Version {version.Version}" : $"Version {version.Version}: {request.Comment}");
+        return Ok(new { message = "Configuration applied successfully", version = version.Version });
+    }
+
+    /// <summary>
+    /// Applies a batch of route and cluster upserts and deletes in one store transaction.
+    /// </summary>
+    [HttpPost("batch")]
+    public async Task<ActionResult> ApplyBatch([FromBody] ConfigurationBatch batch)
+    {
+        if (!_options.AllowConfigurationChanges)
+            return StatusCode(403, new { message = "Configuration changes are not allowed" });
+
+        var invalidCluster = batch.UpsertClusters.FirstOrDefault(c => string.IsNullOrWhiteSpace(c.ClusterId));
+        if (invalidCluster != null)
+            return BadRequest(new { message = "ClusterId is required", entityType = "cluster", entityId = invalidCluster.ClusterId });
+
+        var invalidRoute = batch.UpsertRoutes.FirstOrDefault(r => string.IsNullOrWhiteSpace(r.RouteId));
+        if (invalidRoute != null)
+            return BadRequest(new { message = "RouteId is required", entityType = "route", entityId = invalidRoute.RouteId });
+
+        // Read the current state first so each audit entry carries its before payload
+        var routesBefore = new Dictionary<string, RouteConfig?>();
+        foreach (var routeId in batch.UpsertRoutes.Select(r => r.RouteId).Concat(batch.DeleteRoutes).Distinct())
+        {
+            routesBefore[routeId] = await _adminService.GetRouteAsync(routeId);
+        }
+
+        var clustersBefore = new Dictionary<string, ClusterConfig?>();
+        foreach (var clusterId in batch.UpsertClusters.Select(c => c.ClusterId).Concat(batch.DeleteClusters).Distinct())
+        {
+            clustersBefore[clusterId] = await _adminService.GetClusterAsync(clusterId);
+        }
+
+        // As with a single PUT or DELETE, every existing entity the batch changes must name the version it was based on
+        var unguarded = MissingPrecondition(batch, "route", routesBefore) ?? MissingPrecondition(batch, "cluster", clustersBefore);
+        if (unguarded != null)
+            return unguarded;
+
+        var unknown = batch.IfMatch.FirstOrDefault(p => p.EntityType.ToLowerInvariant() is not ("route" or "cluster"));
+        if (unknown != null)
+            return BadRequest(new { message = $"Unknown entity type '{unknown.EntityType}' in ifMatch" });
+
+        var invalid = await ValidateChangesAsync(batch);
+        if (invalid != null)
+            return invalid;
+
+        // The store compares the ETags under the same lock as the writes
+        try
+        {
+            await _adminService.ApplyBatchAsync(batch);
+        }
+        catch (PreconditionFailedException ex)
+        {
+            return PreconditionFailed(ex);
+        }
+
+        foreach (var cluster in batch.UpsertClusters)
+        {
+            var before = clustersBefore[cluster.ClusterId];
+            await AuditAsync(before == null ? AuditActions.Create : AuditActions.Update, "cluster", cluster.ClusterId, before, cluster);
+        }
+
+        foreach (var route in batch.UpsertRoutes)
+        {
+            var before = routesBefore[route.RouteId];
+            await AuditAsync(before == null ? AuditActions.Create : AuditActions.Update, "route", route.RouteId, before, route);
+        }
+
+        foreach (var routeId in batch.DeleteRoutes.Where(id => routesBefore[id] != null))
+        {
+            await AuditAsync(AuditActions.Delete, "route", routeId, routesBefore[routeId], null);
+        }
+
+        foreach (var clusterId in batch.DeleteClusters.Where(id => clustersBefore[id] != null))
+        {
+            await AuditAsync(AuditActions.Delete, "cluster", clusterId, clustersBefore[clusterId], null);
+        }
+
+        var count = batch.UpsertClusters.Count + batch.UpsertRoutes.Count + batch.DeleteRoutes.Count + batch.DeleteClusters.Count;
+        return Ok(new { message = $"Applied {count} changes" });
+    }
+
+    /// <summary>
+    /// Validates the configuration as it would be after a batch of pending changes, without saving anything.
+    /// An empty body validates the current configuration.
+    /// </summary>
+    [HttpPost("validate")]
+    public async Task<ActionResult<ConfigurationValidationResult>> ValidateConfiguration(
+        [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] ConfigurationBatch? batch = null)
+    {
+        var config = await _adminService.PreviewBatchAsync(batch ?? new ConfigurationBatch());
+        var result = await _validator.ValidateAsync(config);
+        return Ok(result);
     }
 
     /// <summary>
@@ -214,7 +779,7 @@ public class YarpAdminController : ControllerBase
     }
 
     /// <summary>
-    /// Imports a complete YARP configuration.
+    /// Imports a complete YARP configuration, applies it and records it as a new version.
     /// </summary>
     [HttpPost("config/import")]
     public async Task<ActionResult> ImportConfiguration([FromBody] YarpConfiguration config)
@@ -222,20 +787,188 @@ public class YarpAdminController : ControllerBase
         if (!_options.AllowConfigurationChanges)
             return StatusCode(403, new { message = "Configuration changes are not allowed" });
 
+        var invalid = await ValidateChangesAsync(new ConfigurationBatch
+        {
+            UpsertRoutes = config.Routes.ToList(),
+            UpsertClusters = config.Clusters.ToList()
+        });
+        if (invalid != null)
+            return invalid;
+
         foreach (var cluster in config.Clusters)
         {
+            var before = await _adminService.GetClusterAsync(cluster.ClusterId);
             await _adminService.UpsertClusterAsync(cluster);
+            await AuditAsync(AuditActions.Import, "cluster", cluster.ClusterId, before, cluster);
         }
 
         foreach (var route in config.Routes)
         {
+            var before = await _adminService.GetRouteAsync(route.RouteId);
             await _adminService.UpsertRouteAsync(route);
+            await AuditAsync(AuditActions.Import, "route", route.RouteId, before, route);
         }
 
         await _adminService.ApplyConfigurationAsync();
-        
-        return Ok(new { message = "Configuration imported successfully" });
+        var version = await _adminService.RecordVersionAsync(CurrentUserName(),
+            $"Imported {config.Routes.Count} route(s) and {config.Clusters.Count} cluster(s)");
+
+        return Ok(new { message = "Configuration imported successfully", version = version.Version });
+    }
+
+    /// <summary>
+    /// Gets the complete configuration in the native YARP appsettings "ReverseProxy" format.
+    /// </summary>
+    [HttpGet("config/appsettings")]
+    public async Task<ActionResult<JsonObject>> GetAppSettingsConfiguration()
+    {
+        var routes = await _adminService.GetRoutesAsync();
+        var clusters = await _adminService.GetClustersAsync();
+
+        return Ok(AppSettingsConfigurationConverter.ToAppSettings(new YarpConfiguration
+        {
+            Routes = routes.ToList(),
+            Clusters = clusters.ToList()
+        }));
+    }
+
+    /// <summary>
+    /// Imports a configuration written in the native YARP appsettings "ReverseProxy" format.
+    /// </summary>
+    [HttpPost("config/import/appsettings")]
+    public async Task<ActionResult> ImportAppSettingsConfiguration([FromBody] JsonElement document)
+    {
+        if (!_options.AllowConfigurationChanges)
+            return StatusCode(403, new { message = "Configuration changes are not allowed" });
+
+        YarpConfiguration config;
+        try
+        {
+            config = AppSettingsConfigurationConverter.FromAppSettings(document);
+        }
+        catch (JsonException ex)
+        {
+            return BadRequest(new { message = $"Invalid ReverseProxy configuration: {ex.Message}" });
+        }
+
+        return await ImportConfiguration(config);
     }
 
     #endregion
+
+    private BadRequestObjectResult? ValidateTemplate(ConfigTemplate template)
+    {
+        if (string.IsNullOrWhiteSpace(template.TemplateId))
+            return BadRequest(new { message = "TemplateId is required" });
+
+        if (string.IsNullOrWhiteSpace(template.Name))
+            return BadRequest(new { message = "Name is required" });
+
+        if (template.EntityType != "route" && template.EntityType != "cluster")
+            return BadRequest(new { message = "EntityType must be 'route' or 'cluster'" });
+
+        if (template.Content.ValueKind != JsonValueKind.Object)
+            return BadRequest(new { message = "Content must be a route or cluster object" });
+
+        return null;
+    }
+
+    // Only the entities being written are checked, so a route left pointing at a deleted cluster doesn't block unrelated changes.
+    // Anything YARP can't load has to be rejected here: once stored, it is applied from the store's change event where
+    // there is no request left to report the error to.
+    private async Task<BadRequestObjectResult?> ValidateChangesAsync(ConfigurationBatch batch)
+    {
+        var config = await _adminService.PreviewBatchAsync(batch);
+        var result = await _validator.ValidateAsync(config);
+
+        var changed = batch.UpsertRoutes.Select(r => ("route", r.RouteId))
+            .Concat(batch.UpsertClusters.Select(c => ("cluster", c.ClusterId)))
+            .ToHashSet();
+        var errors = result.Errors.Where(e => changed.Contains((e.EntityType, e.EntityId))).ToList();
+        if (errors.Count == 0)
+            return null;
+
+        var first = errors[0];
+        return BadRequest(new { message = first.Message, entityType = first.EntityType, entityId = first.EntityId, errors });
+    }
+
+    private void SetETag(object entity)
+    {
+        if (HttpContext != null)
+            Response.Headers.ETag = EntityTag.Compute(entity);
+    }
+
+    // PUT and DELETE must name the version they were based on, so concurrent edits are not silently lost
+    private ObjectResult? RequireIfMatch(string entityName, out string ifMatch)
+    {
+        ifMatch = HttpContext?.Request.Headers.IfMatch.ToString() ?? string.Empty;
+        if (string.IsNullOrEmpty(ifMatch))
+            return StatusCode(428, new { message = $"{entityName} can only be changed with an If-Match header holding its ETag" });
+
+        return null;
+    }
+
+    // The store compares ETags under its write lock and reports the version it holds when they differ
+    private ObjectResult PreconditionFailed(PreconditionFailedException ex)
+    {
+        if (ex.ETag != null && HttpContext != null)
+            Response.Headers.ETag = ex.ETag;
+
+        return StatusCode(412, new
+        {
+            message = ex.Message,
+            entityType = ex.EntityType,
+            entityId = ex.EntityId,
+            current = ex.Current,
+            etag = ex.ETag
+        });
+    }
+
+    private ObjectResult? MissingPrecondition<T>(ConfigurationBatch batch, string entityType, Dictionary<string, T?> before)
+        where T : class
+    {
+        var missing = before
+            .Where(entry => entry.Value != null)
+            .Select(entry => entry.Key)
+            .FirstOrDefault(id => !batch.IfMatch.Any(p =>
+                string.Equals(p.EntityType, entityType, StringComparison.OrdinalIgnoreCase) && p.EntityId == id));
+        if (missing == null)
+            return null;
+
+        var entityName = $"{(entityType == "route" ? "Route" : "Cluster")} '{missing}'";
+        return StatusCode(428, new
+        {
+            message = $"{entityName} can only be changed with an ifMatch entry holding its ETag",
+            entityType,
+            entityId = missing
+        });
+    }
+
+    private string? CurrentUserName()
+    {
+        return User?.Identity?.IsAuthenticated == true ? User.Identity.Name : null;
+    }
+
+    // Runs after the change is saved, so a failing audit log is logged rather than turning a completed change into a 500
+    private async Task AuditAsync(string action, string? entityType, string? entityId, object? before, object? after, string? details = null)
+    {
+        try
+        {
+            await _auditLog.RecordAsync(new AuditEntry
+            {
+                User = CurrentUserName(),
+                ClientIp = HttpContext?.Connection.RemoteIpAddress?.ToString(),
+                Action = action,
+                EntityType = entityType,
+                EntityId = entityId,
+                Before = before == null ? null : JsonSerializer.SerializeToElement(before),
+                After = after == null ? null : JsonSerializer.SerializeToElement(after),
+                Details = details
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to audit {Action} of {EntityType} '{EntityId}'", action, entityType, entityId);
+        }
+    }
 }
@@ -1,6 +1,8 @@
 using Microsoft.AspNetCore.Builder;
 using Microsoft.AspNetCore.Http;
 using Microsoft.Extensions.Logging;
+using Yarp.ReverseProxy.Model;
+using YarpAdmin.Models;
 
 namespace YarpAdmin.Middleware;
 
@@ -121,6 +123,41 @@ public class YarpAdminLoggingMiddleware
     }
 }
 
+/// <summary>
+/// Proxy pipeline middleware that keeps new sessions off draining destinations.
+/// It must run after session affinity and before load balancing.
+/// </summary>
+public class DestinationDrainingMiddleware
+{
+    private readonly RequestDelegate _next;
+
+    public DestinationDrainingMiddleware(RequestDelegate next)
+    {
+        _next = next;
+    }
+
+    public Task InvokeAsync(HttpContext context)
+    {
+        var proxyFeature = context.Features.Get<IReverseProxyFeature>();
+        if (proxyFeature != null)
+        {
+            var available = proxyFeature.AvailableDestinations;
+            var accepting = available
+                .Where(d => d.Model?.Config.Metadata?.GetValueOrDefault(DestinationStates.MetadataKey) != DestinationStates.Draining)
+                .ToList();
+
+            // A request with an affinity session has already been narrowed to its destination, so a draining
+            // destination left on its own is kept; otherwise draining ones are only used when nothing else is left
+            if (accepting.Count > 0 && accepting.Count < available.Count)
+            {
+                proxyFeature.AvailableDestinations = accepting;
+            }
+        }
+
+        return _next(context);
+    }
+}
+
 /// <summary>
 /// Extension methods for adding YARP Admin middleware.
 /// </summary>
@@ -141,4 +178,13 @@ public static class YarpAdminMiddlewareExtensions
     {
         return app.UseMiddleware<YarpAdminLoggingMiddleware>();
     }
+
+    /// <summary>
+    /// Adds the destination draining middleware to a YARP proxy pipeline, between
+    /// <c>UseSessionAffinity()</c> and <c>UseLoadBalancing()</c>.
+    /// </summary>
+    public static IApplicationBuilder UseYarpAdminDestinationDraining(this IApplicationBuilder app)
+    {
+        return app.UseMiddleware<DestinationDrainingMiddleware>();
+    }
 }
@@ -1,3 +1,4 @@
+using System.Text.Json;
 using System.Text.Json.Serialization;
 
 namespace YarpAdmin.Models;
@@ -217,6 +218,25 @@ public class DestinationConfig
     [JsonPropertyName("health")]
     public string? Health { get; set; }
 
+    /// <summary>
+    /// Optional Host header sent to this destination, overriding the one from the incoming request.
+    /// </summary>
+    [JsonPropertyName("host")]
+    public string? Host { get; set; }
+
+    /// <summary>
+    /// Whether the destination takes traffic: "active" (the default when unset), "draining" or "disabled".
+    /// See <see cref="DestinationStates"/>.
+    /// </summary>
+    [JsonPropertyName("state")]
+    public string? State { get; set; }
+
+    /// <summary>
+    /// Relative share of traffic under the "Weighted" load balancing policy. Unset counts as 1.
+    /// </summary>
+    [JsonPropertyName("weight")]
+    public int? Weight { get; set; }
+
     /// <summary>
     /// Additional metadata for this destination.
     /// </summary>
@@ -224,6 +244,42 @@ public class DestinationConfig
     public Dictionary<string, string>? Metadata { get; set; }
 }
 
+/// <summary>
+/// Values for <see cref="DestinationConfig.State"/>.
+/// </summary>
+public static class DestinationStates
+{
+    /// <summary>
+    /// Receives traffic as normal.
+    /// </summary>
+    public const string Active = "active";
+
+    /// <summary>
+    /// Keeps serving requests from existing affinity sessions but gets no new ones.
+    /// </summary>
+    public const string Draining = "draining";
+
+    /// <summary>
+    /// Left out of the live YARP configuration, but kept in the store.
+    /// </summary>
+    public const string Disabled = "disabled";
+
+    /// <summary>
+    /// YARP destination metadata key that marks a draining destination for the draining middleware.
+    /// </summary>
+    public const string MetadataKey = "YarpAdmin.DestinationState";
+
+    public static readonly IReadOnlyList<string> All = new[] { Active, Draining, Disabled };
+
+    public static bool IsActive(string? state) => string.IsNullOrEmpty(state) || Is(state, Active);
+
+    public static bool IsDraining(string? state) => Is(state, Draining);
+
+    public static bool IsDisabled(string? state) => Is(state, Disabled);
+
+    private static bool Is(string? state, string expected) => string.Equals(state, expected, StringComparison.OrdinalIgnoreCase);
+}
+
 /// <summary>
 /// Represents session affinity configuration.
 /// </summary>
@@ -340,3 +396,578 @@ public class YarpConfiguration
     [JsonPropertyName("clusters")]
     public List<ClusterConfig> Clusters { get; set; } = new();
 }
+
+/// <summary>
+/// Admin UI settings sent to the dashboard when it loads.
+/// </summary>
+public class AdminUiSettings
+{
+    /// <summary>
+    /// The title displayed in the admin UI.
+    /// </summary>
+    [JsonPropertyName("title")]
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// True when configuration changes are not allowed and the UI should only display configuration.
+    /// </summary>
+    [JsonPropertyName("readOnly")]
+    public bool ReadOnly { get; set; }
+
+    /// <summary>
+    /// Name of the signed-in user, or null for anonymous access.
+    /// </summary>
+    [JsonPropertyName("user")]
+    public string? User { get; set; }
+}
+
+/// <summary>
+/// Runtime health of a cluster's destinations as currently tracked by YARP.
+/// </summary>
+public class ClusterHealthStatus
+{
+    [JsonPropertyName("clusterId")]
+    public string ClusterId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Most recent health evaluation of any destination in the cluster, or null if none has run.
+    /// </summary>
+    [JsonPropertyName("checkedAt")]
+    public DateTimeOffset? CheckedAt { get; set; }
+
+    [JsonPropertyName("destinations")]
+    public List<DestinationHealthStatus> Destinations { get; set; } = new();
+}
+
+/// <summary>
+/// Runtime health of a single destination.
+/// </summary>
+public class DestinationHealthStatus
+{
+    [JsonPropertyName("destinationId")]
+    public string DestinationId { get; set; } = string.Empty;
+
+    [JsonPropertyName("address")]
+    public string? Address { get; set; }
+
+    /// <summary>
+    /// Result of active health probing: Healthy, Unhealthy or Unknown.
+    /// </summary>
+    [JsonPropertyName("active")]
+    public string Active { get; set; } = "Unknown";
+
+    /// <summary>
+    /// Result of passive health checks on proxied traffic: Healthy, Unhealthy or Unknown.
+    /// </summary>
+    [JsonPropertyName("passive")]
+    public string Passive { get; set; } = "Unknown";
+
+    /// <summary>
+    /// When the admin first observed the current active/passive combination.
+    /// </summary>
+    [JsonPropertyName("stateSince")]
+    public DateTimeOffset StateSince { get; set; }
+
+    /// <summary>
+    /// When YARP last probed the destination or evaluated it passively, or null if it never has.
+    /// </summary>
+    [JsonPropertyName("checkedAt")]
+    public DateTimeOffset? CheckedAt { get; set; }
+
+    [JsonPropertyName("concurrentRequests")]
+    public int ConcurrentRequests { get; set; }
+}
+
+/// <summary>
+/// A set of route and cluster changes applied to the store as a single transaction.
+/// Upserts are applied before deletes, clusters before the routes that reference them.
+/// </summary>
+public class ConfigurationBatch
+{
+    [JsonPropertyName("upsertClusters")]
+    public List<ClusterConfig> UpsertClusters { get; set; } = new();
+
+    [JsonPropertyName("upsertRoutes")]
+    public List<RouteConfig> UpsertRoutes { get; set; } = new();
+
+    [JsonPropertyName("deleteRoutes")]
+    public List<string> DeleteRoutes { get; set; } = new();
+
+    [JsonPropertyName("deleteClusters")]
+    public List<string> DeleteClusters { get; set; } = new();
+
+    /// <summary>
+    /// ETags the affected routes and clusters must still have; the whole batch is rejected otherwise.
+    /// </summary>
+    [JsonPropertyName("ifMatch")]
+    public List<EntityPrecondition> IfMatch { get; set; } = new();
+}
+
+/// <summary>
+/// The ETag a batch expects a route or cluster to have when it is applied.
+/// </summary>
+public class EntityPrecondition
+{
+    /// <summary>
+    /// "route" or "cluster".
+    /// </summary>
+    [JsonPropertyName("entityType")]
+    public string EntityType { get; set; } = string.Empty;
+
+    [JsonPropertyName("entityId")]
+    public string EntityId { get; set; } = string.Empty;
+
+    [JsonPropertyName("etag")]
+    public string ETag { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// A recorded version of the applied configuration, without the configuration itself.
+/// </summary>
+public class ConfigurationVersionSummary
+{
+    /// <summary>
+    /// Version number, increasing with every recorded apply or rollback.
+    /// </summary>
+    [JsonPropertyName("version")]
+    public int Version { get; set; }
+
+    [JsonPropertyName("createdAt")]
+    public DateTimeOffset CreatedAt { get; set; }
+
+    /// <summary>
+    /// Name of the user who applied the configuration, or null for anonymous access.
+    /// </summary>
+    [JsonPropertyName("author")]
+    public string? Author { get; set; }
+
+    [JsonPropertyName("comment")]
+    public string? Comment { get; set; }
+
+    [JsonPropertyName("routeCount")]
+    public int RouteCount { get; set; }
+
+    [JsonPropertyName("clusterCount")]
+    public int ClusterCount { get; set; }
+}
+
+/// <summary>
+/// A recorded version of the applied configuration, including the full route and cluster set.
+/// </summary>
+public class ConfigurationVersion : ConfigurationVersionSummary
+{
+    [JsonPropertyName("configuration")]
+    public YarpConfiguration Configuration { get; set; } = new();
+}
+
+/// <summary>
+/// Optional body for apply and rollback requests.
+/// </summary>
+public class ApplyConfigurationRequest
+{
+    /// <summary>
+    /// Comment stored with the recorded configuration version.
+    /// </summary>
+    [JsonPropertyName("comment")]
+    public string? Comment { get; set; }
+}
+
+/// <summary>
+/// A single recorded admin action: who changed which route or cluster, when and from where.
+/// </summary>
+public class AuditEntry
+{
+    /// <summary>
+    /// Sequence number assigned by the audit log, increasing with every entry.
+    /// </summary>
+    [JsonPropertyName("id")]
+    public long Id { get; set; }
+
+    [JsonPropertyName("timestamp")]
+    public DateTimeOffset Timestamp { get; set; }
+
+    /// <summary>
+    /// Name of the signed-in user, or null for anonymous access.
+    /// </summary>
+    [JsonPropertyName("user")]
+    public string? User { get; set; }
+
+    [JsonPropertyName("clientIp")]
+    public string? ClientIp { get; set; }
+
+    /// <summary>
+    /// One of the <see cref="AuditActions"/> values.
+    /// </summary>
+    [JsonPropertyName("action")]
+    public string Action { get; set; } = string.Empty;
+
+    /// <summary>
+    /// "route", "cluster" or "template", or null for actions on the whole configuration.
+    /// </summary>
+    [JsonPropertyName("entityType")]
+    public string? EntityType { get; set; }
+
+    [JsonPropertyName("entityId")]
+    public string? EntityId { get; set; }
+
+    /// <summary>
+    /// The entity before the change, or null when it was created.
+    /// </summary>
+    [JsonPropertyName("before")]
+    public JsonElement? Before { get; set; }
+
+    /// <summary>
+    /// The entity after the change, or null when it was deleted.
+    /// </summary>
+    [JsonPropertyName("after")]
+    public JsonElement? After { get; set; }
+
+    [JsonPropertyName("details")]
+    public string? Details { get; set; }
+}
+
+/// <summary>
+/// Action names recorded in <see cref="AuditEntry.Action"/>.
+/// </summary>
+public static class AuditActions
+{
+    public const string Create = "Create";
+    public const string Update = "Update";
+    public const string Delete = "Delete";
+    public const string Import = "Import";
+    public const string Apply = "Apply";
+    public const string Rollback = "Rollback";
+    public const string Cutover = "Cutover";
+    public const string RevertCutover = "RevertCutover";
+}
+
+/// <summary>
+/// Filters and paging for audit log queries. Unset filters match everything.
+/// </summary>
+public class AuditQuery
+{
+    /// <summary>
+    /// 1-based page number.
+    /// </summary>
+    public int Page { get; set; } = 1;
+
+    public int PageSize { get; set; } = 50;
+
+    /// <summary>
+    /// Case-insensitive text matched against the entity id, user, details and before/after payloads.
+    /// </summary>
+    public string? Search { get; set; }
+
+    public string? User { get; set; }
+
+    public string? Action { get; set; }
+
+    public string? EntityType { get; set; }
+
+    public string? EntityId { get; set; }
+
+    public DateTimeOffset? From { get; set; }
+
+    public DateTimeOffset? To { get; set; }
+}
+
+/// <summary>
+/// One page of audit entries, newest first.
+/// </summary>
+public class AuditPage
+{
+    [JsonPropertyName("items")]
+    public List<AuditEntry> Items { get; set; } = new();
+
+    /// <summary>
+    /// Number of entries matching the filters across all pages.
+    /// </summary>
+    [JsonPropertyName("total")]
+    public int Total { get; set; }
+
+    [JsonPropertyName("page")]
+    public int Page { get; set; }
+
+    [JsonPropertyName("pageSize")]
+    public int PageSize { get; set; }
+}
+
+/// <summary>
+/// A configuration change pushed to connected dashboards.
+/// </summary>
+public class ConfigurationChangeNotification
+{
+    /// <summary>
+    /// "added", "updated", "deleted", "reloaded" or "batch".
+    /// </summary>
+    [JsonPropertyName("changeType")]
+    public string ChangeType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The routes and clusters that changed; empty when the whole configuration was reloaded.
+    /// </summary>
+    [JsonPropertyName("changes")]
+    public List<ConfigurationEntityChange> Changes { get; set; } = new();
+
+    /// <summary>
+    /// The authenticated user who made the change, if any.
+    /// </summary>
+    [JsonPropertyName("user")]
+    public string? User { get; set; }
+
+    /// <summary>
+    /// The dashboard instance that made the change, so it can ignore its own notifications.
+    /// </summary>
+    [JsonPropertyName("clientId")]
+    public string? ClientId { get; set; }
+
+    [JsonPropertyName("timestamp")]
+    public DateTimeOffset Timestamp { get; set; }
+}
+
+/// <summary>
+/// A single route or cluster change within a <see cref="ConfigurationChangeNotification"/>.
+/// </summary>
+public class ConfigurationEntityChange
+{
+    [JsonPropertyName("changeType")]
+    public string ChangeType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// "route" or "cluster".
+    /// </summary>
+    [JsonPropertyName("entityType")]
+    public string EntityType { get; set; } = string.Empty;
+
+    [JsonPropertyName("entityId")]
+    public string EntityId { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// A reusable route or cluster with <c>{{variable}}</c> placeholders in its string values.
+/// </summary>
+public class ConfigTemplate
+{
+    [JsonPropertyName("templateId")]
+    public string TemplateId { get; set; } = string.Empty;
+
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    [JsonPropertyName("description")]
+    public string? Description { get; set; }
+
+    /// <summary>
+    /// "route" or "cluster".
+    /// </summary>
+    [JsonPropertyName("entityType")]
+    public string EntityType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The route or cluster in the same JSON shape the API uses, e.g. <c>{"clusterId": "{{service}}"}</c>.
+    /// </summary>
+    [JsonPropertyName("content")]
+    public JsonElement Content { get; set; }
+
+    /// <summary>
+    /// Placeholder names used in <see cref="Content"/>, in order of first use.
+    /// </summary>
+    [JsonPropertyName("variables")]
+    public List<string> Variables { get; set; } = new();
+
+    /// <summary>
+    /// True for templates shipped with YarpAdmin, which can't be changed or deleted.
+    /// </summary>
+    [JsonPropertyName("builtIn")]
+    public bool BuiltIn { get; set; }
+}
+
+/// <summary>
+/// Request body for instantiating a template.
+/// </summary>
+public class InstantiateTemplateRequest
+{
+    /// <summary>
+    /// Values for the template's placeholders, keyed by variable name.
+    /// </summary>
+    [JsonPropertyName("variables")]
+    public Dictionary<string, string> Variables { get; set; } = new();
+}
+
+/// <summary>
+/// The outcome of validating a configuration before it is applied.
+/// </summary>
+public class ConfigurationValidationResult
+{
+    [JsonPropertyName("valid")]
+    public bool Valid => Errors.Count == 0;
+
+    [JsonPropertyName("errors")]
+    public List<ConfigurationValidationError> Errors { get; set; } = new();
+}
+
+/// <summary>
+/// A problem that would make YARP reject or mis-route a route or cluster.
+/// </summary>
+public class ConfigurationValidationError
+{
+    /// <summary>
+    /// "route" or "cluster".
+    /// </summary>
+    [JsonPropertyName("entityType")]
+    public string EntityType { get; set; } = string.Empty;
+
+    [JsonPropertyName("entityId")]
+    public string EntityId { get; set; } = string.Empty;
+
+    [JsonPropertyName("message")]
+    public string Message { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Request body for previewing a route's transforms against a sample request.
+/// </summary>
+public class TransformPreviewRequest
+{
+    /// <summary>
+    /// The route as edited, which doesn't need to be saved yet.
+    /// </summary>
+    [JsonPropertyName("route")]
+    public RouteConfig Route { get; set; } = new();
+
+    [JsonPropertyName("request")]
+    public SampleRequest Request { get; set; } = new();
+}
+
+/// <summary>
+/// An incoming request to run through a route's transforms.
+/// </summary>
+public class SampleRequest
+{
+    [JsonPropertyName("method")]
+    public string Method { get; set; } = "GET";
+
+    [JsonPropertyName("path")]
+    public string Path { get; set; } = "/";
+
+    /// <summary>
+    /// Query string, with or without the leading "?".
+    /// </summary>
+    [JsonPropertyName("query")]
+    public string? Query { get; set; }
+
+    [JsonPropertyName("host")]
+    public string Host { get; set; } = "localhost";
+
+    [JsonPropertyName("headers")]
+    public Dictionary<string, string> Headers { get; set; } = new();
+}
+
+/// <summary>
+/// The outgoing request YARP would send to the destination after running a route's transforms.
+/// </summary>
+public class TransformPreviewResult
+{
+    /// <summary>
+    /// Whether the sample path matches the route's path pattern. Route values for
+    /// transforms such as PathPattern are only available when it does.
+    /// </summary>
+    [JsonPropertyName("pathMatched")]
+    public bool PathMatched { get; set; }
+
+    [JsonPropertyName("method")]
+    public string? Method { get; set; }
+
+    /// <summary>
+    /// The first destination address of the route's cluster, or a placeholder when it has none.
+    /// </summary>
+    [JsonPropertyName("destinationPrefix")]
+    public string DestinationPrefix { get; set; } = string.Empty;
+
+    [JsonPropertyName("url")]
+    public string? Url { get; set; }
+
+    [JsonPropertyName("path")]
+    public string? Path { get; set; }
+
+    [JsonPropertyName("query")]
+    public string? Query { get; set; }
+
+    [JsonPropertyName("headers")]
+    public Dictionary<string, List<string>> Headers { get; set; } = new();
+
+    /// <summary>
+    /// Transform errors reported by YARP; when present the request isn't transformed.
+    /// </summary>
+    [JsonPropertyName("errors")]
+    public List<string> Errors { get; set; } = new();
+}
+
+/// <summary>
+/// Request to move routes from one cluster to another in a single apply.
+/// </summary>
+public class CutoverRequest
+{
+    [JsonPropertyName("sourceClusterId")]
+    public string SourceClusterId { get; set; } = string.Empty;
+
+    [JsonPropertyName("targetClusterId")]
+    public string TargetClusterId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Routes to move. Each must use the source cluster. Null moves every route that uses it.
+    /// </summary>
+    [JsonPropertyName("routeIds")]
+    public List<string>? RouteIds { get; set; }
+
+    /// <summary>
+    /// Comment stored with the recorded configuration version.
+    /// </summary>
+    [JsonPropertyName("comment")]
+    public string? Comment { get; set; }
+}
+
+/// <summary>
+/// A blue/green cutover that moved routes between clusters, and its revert if there was one.
+/// </summary>
+public class CutoverRecord
+{
+    [JsonPropertyName("cutoverId")]
+    public string CutoverId { get; set; } = string.Empty;
+
+    [JsonPropertyName("sourceClusterId")]
+    public string SourceClusterId { get; set; } = string.Empty;
+
+    [JsonPropertyName("targetClusterId")]
+    public string TargetClusterId { get; set; } = string.Empty;
+
+    [JsonPropertyName("routeIds")]
+    public List<string> RouteIds { get; set; } = new();
+
+    [JsonPropertyName("user")]
+    public string? User { get; set; }
+
+    [JsonPropertyName("timestamp")]
+    public DateTimeOffset Timestamp { get; set; }
+
+    /// <summary>
+    /// The configuration version recorded for the cutover.
+    /// </summary>
+    [JsonPropertyName("version")]
+    public int Version { get; set; }
+
+    /// <summary>
+    /// Until when the cutover can be reverted in one step.
+    /// </summary>
+    [JsonPropertyName("revertibleUntil")]
+    public DateTimeOffset RevertibleUntil { get; set; }
+
+    [JsonPropertyName("revertedAt")]
+    public DateTimeOffset? RevertedAt { get; set; }
+
+    /// <summary>
+    /// The configuration version recorded for the revert.
+    /// </summary>
+    [JsonPropertyName("revertVersion")]
+    public int? RevertVersion { get; set; }
+}
@@ -0,0 +1,186 @@
+using System.Globalization;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using System.Text.Json.Serialization;
+using System.Text.Json.Serialization.Metadata;
+using YarpAdmin.Models;
+
+namespace YarpAdmin;
+
+/// <summary>
+/// Converts between <see cref="YarpConfiguration"/> and the native YARP appsettings
+/// "ReverseProxy" section, where routes and clusters are dictionaries keyed by id.
+/// </summary>
+public static class AppSettingsConfigurationConverter
+{
+    /// <summary>
+    /// The configuration section name YARP reads from appsettings.json.
+    /// </summary>
+    public const string SectionName = "ReverseProxy";
+
+    private static readonly JsonSerializerOptions WriteOptions = new()
+    {
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+        TypeInfoResolver = new DefaultJsonTypeInfoResolver
+        {
+            Modifiers = { UsePascalCaseProperties }
+        }
+    };
+
+    private static readonly JsonSerializerOptions ReadOptions = new()
+    {
+        PropertyNameCaseInsensitive = true
+    };
+
+    /// <summary>
+    /// Converts the configuration into a <c>{ "ReverseProxy": { "Routes": {...}, "Clusters": {...} } }</c> document.
+    /// Disabled routes and destinations are omitted because plain YARP has no notion of disabling them.
+    /// Destination state and weight are written as metadata, the way YarpAdmin hands them to YARP itself.
+    /// </summary>
+    public static JsonObject ToAppSettings(YarpConfiguration config)
+    {
+        var routes = new JsonObject();
+        foreach (var route in config.Routes.Where(r => r.Enabled))
+        {
+            routes[route.RouteId] = JsonSerializer.SerializeToNode(route, WriteOptions);
+        }
+
+        var clusters = new JsonObject();
+        foreach (var cluster in config.Clusters)
+        {
+            var node = JsonSerializer.SerializeToNode(cluster, WriteOptions)!.AsObject();
+            if (cluster.Destinations != null)
+            {
+                node["Destinations"] = ToAppSettingsDestinations(cluster.Destinations);
+            }
+            clusters[cluster.ClusterId] = node;
+        }
+
+        return new JsonObject
+        {
+            [SectionName] = new JsonObject
+            {
+                ["Routes"] = routes,
+                ["Clusters"] = clusters
+            }
+        };
+    }
+
+    /// <summary>
+    /// Reads an appsettings document (or the bare "ReverseProxy" section) into a <see cref="YarpConfiguration"/>.
+    /// Property names are matched case-insensitively, as the .NET configuration system does.
+    /// </summary>
+    /// <exception cref="JsonException">The document is not a JSON object or contains malformed entries.</exception>
+    public static YarpConfiguration FromAppSettings(JsonElement document)
+    {
+        if (document.ValueKind != JsonValueKind.Object)
+            throw new JsonException("Expected a JSON object containing a ReverseProxy section");
+
+        var section = TryGetProperty(document, SectionName, out var reverseProxy) ? reverseProxy : document;
+        var config = new YarpConfiguration();
+
+        if (TryGetProperty(section, "Routes", out var routes) && routes.ValueKind == JsonValueKind.Object)
+        {
+            foreach (var entry in routes.EnumerateObject())
+            {
+                var route = entry.Value.Deserialize<RouteConfig>(ReadOptions)
+                    ?? throw new JsonException($"Route '{entry.Name}' is empty");
+                route.RouteId = entry.Name;
+                config.Routes.Add(route);
+            }
+        }
+
+        if (TryGetProperty(section, "Clusters", out var clusters) && clusters.ValueKind == JsonValueKind.Object)
+        {
+            foreach (var entry in clusters.EnumerateObject())
+            {
+                var cluster = entry.Value.Deserialize<ClusterConfig>(ReadOptions)
+                    ?? throw new JsonException($"Cluster '{entry.Name}' is empty");
+                cluster.ClusterId = entry.Name;
+                foreach (var destination in cluster.Destinations?.Values ?? Enumerable.Empty<DestinationConfig>())
+                {
+                    ReadDestinationMetadata(destination);
+                }
+                config.Clusters.Add(cluster);
+            }
+        }
+
+        return config;
+    }
+
+    private static JsonObject ToAppSettingsDestinations(Dictionary<string, DestinationConfig> destinations)
+    {
+        var result = new JsonObject();
+        foreach (var (destinationId, destination) in destinations.Where(d => !DestinationStates.IsDisabled(d.Value.State)))
+        {
+            var node = JsonSerializer.SerializeToNode(destination, WriteOptions)!.AsObject();
+            var metadata = YarpAdminService.ConvertDestinationMetadata(destination);
+            if (metadata != null)
+            {
+                node["Metadata"] = JsonSerializer.SerializeToNode(metadata);
+            }
+            result[destinationId] = node;
+        }
+        return result;
+    }
+
+    // Moves the state and weight an export wrote as metadata back into their own fields
+    private static void ReadDestinationMetadata(DestinationConfig destination)
+    {
+        if (destination.Metadata == null)
+            return;
+
+        if (destination.Metadata.Remove(DestinationStates.MetadataKey, out var state) && destination.State == null)
+            destination.State = state;
+
+        if (destination.Metadata.Remove(WeightedLoadBalancingPolicy.WeightMetadataKey, out var weight)
+            && destination.Weight == null
+            && int.TryParse(weight, NumberStyles.Integer, CultureInfo.InvariantCulture, out var parsed))
+        {
+            destination.Weight = parsed;
+        }
+
+        if (destination.Metadata.Count == 0)
+            destination.Metadata = null;
+    }
+
+    private static bool TryGetProperty(JsonElement element, string name, out JsonElement value)
+    {
+        foreach (var property in element.EnumerateObject())
+        {
+            if (string.Equals(property.Name, name, StringComparison.OrdinalIgnoreCase))
+            {
+                value = property.Value;
+                return true;
+            }
+        }
+
+        value = default;
+        return false;
+    }
+
+    private static void UsePascalCaseProperties(JsonTypeInfo typeInfo)
+    {
+        if (typeInfo.Kind != JsonTypeInfoKind.Object)
+            return;
+
+        // Ids become the dictionary keys, YARP itself has no Enabled flag on routes,
+        // and destination state and weight are written as metadata instead
+        var omitted = typeInfo.Type == typeof(RouteConfig) ? new[] { "routeId", "enabled" }
+            : typeInfo.Type == typeof(ClusterConfig) ? new[] { "clusterId" }
+            : typeInfo.Type == typeof(DestinationConfig) ? new[] { "state", "weight" }
+            : Array.Empty<string>();
+
+        for (var i = typeInfo.Properties.Count - 1; i >= 0; i--)
+        {
+            var property = typeInfo.Properties[i];
+            if (omitted.Contains(property.Name))
+            {
+                typeInfo.Properties.RemoveAt(i);
+                continue;
+            }
+
+            property.Name = char.ToUpperInvariant(property.Name[0]) + property.Name[1..];
+        }
+    }
+}
@@ -0,0 +1,208 @@
+using System.Text.Json;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Logging.Abstractions;
+using YarpAdmin.Models;
+
+namespace YarpAdmin;
+
+/// <summary>
+/// Interface for recording and querying admin actions.
+/// </summary>
+public interface IAuditLog
+{
+    /// <summary>
+    /// Records an entry, assigning its id and, if unset, its timestamp.
+    /// </summary>
+    Task RecordAsync(AuditEntry entry);
+
+    /// <summary>
+    /// Gets one page of entries matching the query, newest first.
+    /// </summary>
+    Task<AuditPage> QueryAsync(AuditQuery query);
+}
+
+/// <summary>
+/// In-memory audit log keeping the most recent entries, optionally appended to a JSON Lines file.
+/// </summary>
+public class InMemoryAuditLog : IAuditLog
+{
+    /// <summary>
+    /// Largest page size a query may request.
+    /// </summary>
+    public const int MaxPageSize = 200;
+
+    private readonly YarpAdminOptions _options;
+    private readonly ILogger<InMemoryAuditLog> _logger;
+    private readonly List<AuditEntry> _entries = new();
+    private readonly object _entriesLock = new();
+    private readonly SemaphoreSlim _fileLock = new(1, 1);
+    private long _lastId;
+    private int _fileEntryCount;
+
+    public InMemoryAuditLog(YarpAdminOptions options, ILogger<InMemoryAuditLog>? logger = null)
+    {
+        _options = options;
+        _logger = logger ?? NullLogger<InMemoryAuditLog>.Instance;
+
+        // Load earlier entries so the trail survives restarts
+        if (!string.IsNullOrEmpty(_options.ConfigurationFilePath) && File.Exists(AuditFilePath))
+        {
+            var skipped = 0;
+            var lineNumber = 0;
+            foreach (var line in File.ReadLines(AuditFilePath))
+            {
+                lineNumber++;
+                if (string.IsNullOrWhiteSpace(line))
+                    continue;
+
+                AuditEntry? entry;
+                try
+                {
+                    entry = JsonSerializer.Deserialize<AuditEntry>(line);
+                }
+                catch (JsonException ex)
+                {
+                    // A crash mid-append leaves a truncated line; losing it shouldn't stop the app starting
+                    _logger.LogWarning(ex, "Skipping unreadable line {LineNumber} in audit file {AuditFilePath}", lineNumber, AuditFilePath);
+                    skipped++;
+                    continue;
+                }
+
+                if (entry != null)
+                {
+                    _entries.Add(entry);
+                    _lastId = Math.Max(_lastId, entry.Id);
+                }
+            }
+
+            _fileEntryCount = _entries.Count;
+            Trim();
+
+            if (skipped > 0 || _fileEntryCount > _entries.Count)
+            {
+                Compact(_entries);
+            }
+        }
+    }
+
+    public async Task RecordAsync(AuditEntry entry)
+    {
+        // Held for the whole call so entries reach the file in id order and compaction sees them all
+        await _fileLock.WaitAsync();
+        try
+        {
+            List<AuditEntry>? retained = null;
+            lock (_entriesLock)
+            {
+                entry.Id = ++_lastId;
+                if (entry.Timestamp == default)
+                {
+                    entry.Timestamp = DateTimeOffset.UtcNow;
+                }
+
+                _entries.Add(entry);
+                Trim();
+
+                // Rewrite the file once it holds twice what's retained, rather than on every append
+                var max = _options.MaxAuditEntries;
+                if (max > 0 && _fileEntryCount + 1 > max * 2)
+                {
+                    retained = _entries.ToList();
+                }
+            }
+
+            if (string.IsNullOrEmpty(_options.ConfigurationFilePath))
+                return;
+
+            try
+            {
+                var directory = Path.GetDirectoryName(AuditFilePath);
+                if (!string.IsNullOrEmpty(directory) && !Directory.Exists(directory))
+                {
+                    Directory.CreateDirectory(directory);
+                }
+
+                if (retained != null)
+                {
+                    Compact(retained);
+                }
+                else
+                {
+                    await File.AppendAllTextAsync(AuditFilePath, JsonSerializer.Serialize(entry) + Environment.NewLine);
+                    _fileEntryCount++;
+                }
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+            {
+                // The change being audited is already saved, so a full disk or lost permission mustn't fail it.
+                // The entry stays queryable until restart.
+                _logger.LogError(ex, "Failed to write audit entry {AuditEntryId} to {AuditFilePath}", entry.Id, AuditFilePath);
+            }
+        }
+        finally
+        {
+            _fileLock.Release();
+        }
+    }
+
+    public Task<AuditPage> QueryAsync(AuditQuery query)
+    {
+        var page = Math.Max(1, query.Page);
+        var pageSize = Math.Clamp(query.PageSize, 1, MaxPageSize);
+
+        List<AuditEntry> matches;
+        lock (_entriesLock)
+        {
+            matches = _entries.Where(e => Matches(e, query)).Reverse().ToList();
+        }
+
+        return Task.FromResult(new AuditPage
+        {
+            Items = matches.Skip((page - 1) * pageSize).Take(pageSize).ToList(),
+            Total = matches.Count,
+            Page = page,
+            PageSize = pageSize
+        });
+    }
+
+    private string AuditFilePath => Path.ChangeExtension(_options.ConfigurationFilePath!, ".audit.jsonl");
+
+    // Replaces the file with the retained entries, via a temporary file so a crash can't lose both
+    private void Compact(List<AuditEntry> retained)
+    {
+        var tempPath = AuditFilePath + ".tmp";
+        File.WriteAllLines(tempPath, retained.Select(e => JsonSerializer.Serialize(e)));
+        File.Move(tempPath, AuditFilePath, overwrite: true);
+        _fileEntryCount = retained.Count;
+    }
+
+    private void Trim()
+    {
+        var max = _options.MaxAuditEntries;
+        if (max > 0 && _entries.Count > max)
+        {
+            _entries.RemoveRange(0, _entries.Count - max);
+        }
+    }
+
+    private static bool Matches(AuditEntry entry, AuditQuery query)
+    {
+        if (!string.IsNullOrEmpty(query.User) && !string.Equals(entry.User, query.User, StringComparison.OrdinalIgnoreCase))
+            return false;
+        if (!string.IsNullOrEmpty(query.Action) && !string.Equals(entry.Action, query.Action, StringComparison.OrdinalIgnoreCase))
+            return false;
+        if (!string.IsNullOrEmpty(query.EntityType) && !string.Equals(entry.EntityType, query.EntityType, StringComparison.OrdinalIgnoreCase))
+            return false;
+        if (!string.IsNullOrEmpty(query.EntityId) && !string.Equals(entry.EntityId, query.EntityId, StringComparison.OrdinalIgnoreCase))
+            return false;
+        if (query.From.HasValue && entry.Timestamp < query.From.Value)
+            return false;
+        if (query.To.HasValue && entry.Timestamp > query.To.Value)
+            return false;
+        if (string.IsNullOrEmpty(query.Search))
+            return true;
+
+        return new[] { entry.EntityId, entry.User, entry.Details, entry.Before?.GetRawText(), entry.After?.GetRawText() }
+            .Any(text => text?.Contains(query.Search, StringComparison.OrdinalIgnoreCase) == true);
+    }
+}
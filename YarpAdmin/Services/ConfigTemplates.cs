@@ -0,0 +1,130 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using YarpAdmin.Models;
+
+namespace YarpAdmin;
+
+/// <summary>
+/// Placeholder handling for route and cluster templates, and the templates shipped with YarpAdmin.
+/// </summary>
+public static class ConfigTemplates
+{
+    private static readonly Regex Placeholder = new(@"\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}", RegexOptions.Compiled);
+
+    /// <summary>
+    /// Templates available in every installation. Their ids are reserved.
+    /// </summary>
+    public static IReadOnlyList<ConfigTemplate> BuiltIn { get; } = new List<ConfigTemplate>
+    {
+        Create("rest-service", "REST service", "cluster",
+            "Round-robin cluster for an HTTP API with an active health check on /health.",
+            """
+            {
+              "clusterId": "{{service}}",
+              "loadBalancingPolicy": "RoundRobin",
+              "healthCheck": {
+                "active": {
+                  "enabled": true,
+                  "interval": "00:00:10",
+                  "timeout": "00:00:05",
+                  "policy": "ConsecutiveFailures",
+                  "path": "/health"
+                }
+              },
+              "destinations": {
+                "{{service}}-1": { "address": "http://{{host}}:{{port}}" }
+              }
+            }
+            """),
+        Create("sticky-websocket", "WebSocket service with sticky sessions", "cluster",
+            "Cluster that pins each client to one destination with cookie affinity and allows long-lived idle connections.",
+            """
+            {
+              "clusterId": "{{service}}",
+              "loadBalancingPolicy": "LeastRequests",
+              "sessionAffinity": {
+                "enabled": true,
+                "policy": "Cookie",
+                "failurePolicy": "Redistribute",
+                "affinityKeyName": ".{{service}}.Affinity"
+              },
+              "httpRequest": {
+                "activityTimeout": "00:10:00"
+              },
+              "destinations": {
+                "{{service}}-1": { "address": "http://{{host}}:{{port}}" }
+              }
+            }
+            """),
+        Create("api-prefix", "API route with prefix stripping", "route",
+            "Routes /api/{service}/... to the service's cluster with the /api/{service} prefix removed.",
+            """
+            {
+              "routeId": "{{service}}-api",
+              "clusterId": "{{service}}",
+              "match": {
+                "path": "/api/{{service}}/{**catch-all}"
+              },
+              "transforms": [
+                { "PathRemovePrefix": "/api/{{service}}" }
+              ]
+            }
+            """)
+    };
+
+    /// <summary>
+    /// Whether a template id belongs to a built-in template.
+    /// </summary>
+    public static bool IsBuiltIn(string templateId)
+    {
+        return BuiltIn.Any(t => string.Equals(t.TemplateId, templateId, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Gets the distinct placeholder names used in the template content, in order of first use.
+    /// </summary>
+    public static List<string> FindVariables(JsonElement content)
+    {
+        if (content.ValueKind == JsonValueKind.Undefined)
+            return new List<string>();
+
+        return Placeholder.Matches(content.GetRawText())
+            .Select(m => m.Groups[1].Value)
+            .Distinct()
+            .ToList();
+    }
+
+    /// <summary>
+    /// Replaces every placeholder in the template content with its value.
+    /// </summary>
+    /// <exception cref="ArgumentException">A variable used by the template has no value.</exception>
+    public static JsonElement Instantiate(ConfigTemplate template, IReadOnlyDictionary<string, string> values)
+    {
+        var missing = FindVariables(template.Content).Where(v => !values.ContainsKey(v)).ToList();
+        if (missing.Count > 0)
+            throw new ArgumentException($"Missing values for: {string.Join(", ", missing)}", nameof(values));
+
+        // Placeholders only appear inside JSON strings, so JSON-escaped values keep the document valid
+        var json = Placeholder.Replace(template.Content.GetRawText(),
+            m => JsonEncodedText.Encode(values[m.Groups[1].Value]).ToString());
+
+        using var document = JsonDocument.Parse(json);
+        return document.RootElement.Clone();
+    }
+
+    private static ConfigTemplate Create(string templateId, string name, string entityType, string description, string json)
+    {
+        using var document = JsonDocument.Parse(json);
+        var content = document.RootElement.Clone();
+        return new ConfigTemplate
+        {
+            TemplateId = templateId,
+            Name = name,
+            Description = description,
+            EntityType = entityType,
+            Content = content,
+            Variables = FindVariables(content),
+            BuiltIn = true
+        };
+    }
+}
@@ -0,0 +1,96 @@
+using System.Collections.Concurrent;
+using System.Runtime.CompilerServices;
+using System.Threading.Channels;
+using Microsoft.AspNetCore.Http;
+using YarpAdmin.Models;
+
+namespace YarpAdmin;
+
+/// <summary>
+/// Interface for streaming configuration changes to connected dashboards.
+/// </summary>
+public interface IConfigurationChangeNotifier
+{
+    /// <summary>
+    /// Yields every configuration change made after subscribing, until the token is cancelled.
+    /// </summary>
+    IAsyncEnumerable<ConfigurationChangeNotification> SubscribeAsync(CancellationToken cancellationToken);
+}
+
+/// <summary>
+/// Relays <see cref="IYarpConfigurationStore.ConfigurationChanged"/> events to subscribers,
+/// attributed to the user and dashboard of the request that made the change.
+/// </summary>
+public class ConfigurationChangeNotifier : IConfigurationChangeNotifier
+{
+    /// <summary>
+    /// Request header carrying the id of the dashboard instance making a change.
+    /// </summary>
+    public const string ClientIdHeader = "X-YarpAdmin-Client";
+
+    // A subscriber that stops reading loses its oldest notifications rather than holding memory
+    private const int SubscriberCapacity = 100;
+
+    private readonly IHttpContextAccessor _httpContextAccessor;
+    private readonly ConcurrentDictionary<Guid, Channel<ConfigurationChangeNotification>> _subscribers = new();
+
+    public ConfigurationChangeNotifier(IYarpConfigurationStore store, IHttpContextAccessor httpContextAccessor)
+    {
+        _httpContextAccessor = httpContextAccessor;
+        store.ConfigurationChanged += OnConfigurationChanged;
+    }
+
+    public async IAsyncEnumerable<ConfigurationChangeNotification> SubscribeAsync(
+        [EnumeratorCancellation] CancellationToken cancellationToken)
+    {
+        var id = Guid.NewGuid();
+        var channel = Channel.CreateBounded<ConfigurationChangeNotification>(new BoundedChannelOptions(SubscriberCapacity)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+        _subscribers[id] = channel;
+
+        try
+        {
+            await foreach (var notification in channel.Reader.ReadAllAsync(cancellationToken))
+            {
+                yield return notification;
+            }
+        }
+        finally
+        {
+            _subscribers.TryRemove(id, out _);
+        }
+    }
+
+    private void OnConfigurationChanged(object? sender, ConfigurationChangedEventArgs e)
+    {
+        // The store raises events synchronously, so the accessor still holds the request that made the change
+        var context = _httpContextAccessor.HttpContext;
+        var clientId = context?.Request.Headers[ClientIdHeader].ToString();
+
+        var changes = e.ChangeType == ChangeType.Batch ? e.Changes
+            : e.EntityType != null && e.EntityId != null ? new[] { e }
+            : Array.Empty<ConfigurationChangedEventArgs>();
+
+        var notification = new ConfigurationChangeNotification
+        {
+            ChangeType = e.ChangeType.ToString().ToLowerInvariant(),
+            Changes = changes.Select(c => new ConfigurationEntityChange
+            {
+                ChangeType = c.ChangeType.ToString().ToLowerInvariant(),
+                EntityType = c.EntityType!.ToLowerInvariant(),
+                EntityId = c.EntityId!
+            }).ToList(),
+            User = context?.User.Identity?.IsAuthenticated == true ? context.User.Identity.Name : null,
+            ClientId = string.IsNullOrEmpty(clientId) ? null : clientId,
+            Timestamp = DateTimeOffset.UtcNow
+        };
+
+        foreach (var subscriber in _subscribers.Values)
+        {
+            subscriber.Writer.TryWrite(notification);
+        }
+    }
+}
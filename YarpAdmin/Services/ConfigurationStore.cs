@@ -29,6 +29,27 @@ public interface IYarpConfigurationStore
     /// </summary>
     Task<bool> DeleteRouteAsync(string routeId);
 
+    /// <summary>
+    /// Updates a route only if the stored one's ETag matches <paramref name="ifMatch"/>, otherwise throws
+    /// <see cref="PreconditionFailedException"/>. The default compares and writes in two steps, so another write
+    /// can land in between; stores should override it to do both under one lock or transaction.
+    /// </summary>
+    async Task<RouteConfig> UpsertRouteAsync(RouteConfig route, string ifMatch)
+    {
+        EntityTag.EnsureMatches("route", route.RouteId, await GetRouteAsync(route.RouteId), ifMatch);
+        return await UpsertRouteAsync(route);
+    }
+
+    /// <summary>
+    /// Deletes a route only if its ETag matches <paramref name="ifMatch"/>, otherwise throws
+    /// <see cref="PreconditionFailedException"/>. Like the guarded upsert, the default is not atomic.
+    /// </summary>
+    async Task<bool> DeleteRouteAsync(string routeId, string ifMatch)
+    {
+        EntityTag.EnsureMatches("route", routeId, await GetRouteAsync(routeId), ifMatch);
+        return await DeleteRouteAsync(routeId);
+    }
+
     /// <summary>
     /// Gets all clusters.
     /// </summary>
@@ -49,11 +70,147 @@ public interface IYarpConfigurationStore
     /// </summary>
     Task<bool> DeleteClusterAsync(string clusterId);
 
+    /// <summary>
+    /// Updates a cluster only if the stored one's ETag matches <paramref name="ifMatch"/>, otherwise throws
+    /// <see cref="PreconditionFailedException"/>. Like the guarded route upsert, the default is not atomic.
+    /// </summary>
+    async Task<ClusterConfig> UpsertClusterAsync(ClusterConfig cluster, string ifMatch)
+    {
+        EntityTag.EnsureMatches("cluster", cluster.ClusterId, await GetClusterAsync(cluster.ClusterId), ifMatch);
+        return await UpsertClusterAsync(cluster);
+    }
+
+    /// <summary>
+    /// Deletes a cluster only if its ETag matches <paramref name="ifMatch"/>, otherwise throws
+    /// <see cref="PreconditionFailedException"/>. Like the guarded route upsert, the default is not atomic.
+    /// </summary>
+    async Task<bool> DeleteClusterAsync(string clusterId, string ifMatch)
+    {
+        EntityTag.EnsureMatches("cluster", clusterId, await GetClusterAsync(clusterId), ifMatch);
+        return await DeleteClusterAsync(clusterId);
+    }
+
+    /// <summary>
+    /// Applies a batch of upserts and deletes, raising a single change notification. Throws
+    /// <see cref="PreconditionFailedException"/>, writing nothing, if an entity named in <see cref="ConfigurationBatch.IfMatch"/>
+    /// no longer has that ETag. The default checks the ETags and then writes the changes one at a time through the
+    /// single-entity members, so it is neither atomic nor a single notification; stores that can check and write
+    /// in one transaction should override it.
+    /// </summary>
+    async Task ApplyBatchAsync(ConfigurationBatch batch)
+    {
+        foreach (var expected in batch.IfMatch)
+        {
+            var isRoute = string.Equals(expected.EntityType, "route", StringComparison.OrdinalIgnoreCase);
+            object? current = isRoute
+                ? await GetRouteAsync(expected.EntityId)
+                : await GetClusterAsync(expected.EntityId);
+            EntityTag.EnsureMatches(isRoute ? "route" : "cluster", expected.EntityId, current, expected.ETag);
+        }
+
+        foreach (var cluster in batch.UpsertClusters)
+        {
+            await UpsertClusterAsync(cluster);
+        }
+
+        foreach (var route in batch.UpsertRoutes)
+        {
+            await UpsertRouteAsync(route);
+        }
+
+        foreach (var routeId in batch.DeleteRoutes)
+        {
+            await DeleteRouteAsync(routeId);
+        }
+
+        foreach (var clusterId in batch.DeleteClusters)
+        {
+            await DeleteClusterAsync(clusterId);
+        }
+    }
+
     /// <summary>
     /// Gets the complete configuration.
     /// </summary>
     Task<YarpConfiguration> GetConfigurationAsync();
 
+    /// <summary>
+    /// Records a snapshot of the current configuration as a new version.
+    /// The default keeps no history and returns the snapshot unretained, as version 0.
+    /// </summary>
+    async Task<ConfigurationVersion> AddVersionAsync(string? author, string? comment)
+    {
+        var snapshot = await GetConfigurationAsync();
+        return new ConfigurationVersion
+        {
+            CreatedAt = DateTimeOffset.UtcNow,
+            Author = author,
+            Comment = comment,
+            RouteCount = snapshot.Routes.Count,
+            ClusterCount = snapshot.Clusters.Count,
+            Configuration = snapshot
+        };
+    }
+
+    /// <summary>
+    /// Gets the retained configuration versions, newest first. The default keeps none.
+    /// </summary>
+    Task<IEnumerable<ConfigurationVersionSummary>> GetVersionsAsync()
+    {
+        return Task.FromResult<IEnumerable<ConfigurationVersionSummary>>(Array.Empty<ConfigurationVersionSummary>());
+    }
+
+    /// <summary>
+    /// Gets a retained configuration version, or null if it doesn't exist or has been pruned.
+    /// </summary>
+    Task<ConfigurationVersion?> GetVersionAsync(int version)
+    {
+        return Task.FromResult<ConfigurationVersion?>(null);
+    }
+
+    /// <summary>
+    /// Replaces all routes and clusters with those recorded in a version.
+    /// </summary>
+    /// <returns>False if the version doesn't exist.</returns>
+    Task<bool> RestoreVersionAsync(int version)
+    {
+        return Task.FromResult(false);
+    }
+
+    /// <summary>
+    /// Gets the saved route and cluster templates. The default saves none, leaving only the built-in templates.
+    /// </summary>
+    Task<IEnumerable<ConfigTemplate>> GetTemplatesAsync()
+    {
+        return Task.FromResult<IEnumerable<ConfigTemplate>>(Array.Empty<ConfigTemplate>());
+    }
+
+    /// <summary>
+    /// Gets a saved template by ID.
+    /// </summary>
+    Task<ConfigTemplate?> GetTemplateAsync(string templateId)
+    {
+        return Task.FromResult<ConfigTemplate?>(null);
+    }
+
+    /// <summary>
+    /// Adds or updates a template. Templates aren't part of the proxy configuration,
+    /// so this doesn't raise <see cref="ConfigurationChanged"/>.
+    /// </summary>
+    /// <exception cref="NotSupportedException">The store doesn't save templates (the default).</exception>
+    Task<ConfigTemplate> UpsertTemplateAsync(ConfigTemplate template)
+    {
+        throw new NotSupportedException("This configuration store doesn't save templates");
+    }
+
+    /// <summary>
+    /// Deletes a template.
+    /// </summary>
+    Task<bool> DeleteTemplateAsync(string templateId)
+    {
+        return Task.FromResult(false);
+    }
+
     /// <summary>
     /// Saves the configuration to persistent storage (if configured).
     /// </summary>
@@ -78,6 +235,11 @@ public class ConfigurationChangedEventArgs : EventArgs
     public ChangeType ChangeType { get; set; }
     public string? EntityType { get; set; }
     public string? EntityId { get; set; }
+
+    /// <summary>
+    /// The individual route and cluster changes made by a <see cref="ChangeType.Batch"/>.
+    /// </summary>
+    public IReadOnlyList<ConfigurationChangedEventArgs> Changes { get; set; } = Array.Empty<ConfigurationChangedEventArgs>();
 }
 
 public enum ChangeType
@@ -85,7 +247,8 @@ public enum ChangeType
     Added,
     Updated,
     Deleted,
-    Reloaded
+    Reloaded,
+    Batch
 }
 
 /// <summary>
@@ -95,8 +258,14 @@ public class InMemoryYarpConfigurationStore : IYarpConfigurationStore
 {
     private readonly ConcurrentDictionary<string, RouteConfig> _routes = new();
     private readonly ConcurrentDictionary<string, ClusterConfig> _clusters = new();
+    private readonly ConcurrentDictionary<string, ConfigTemplate> _templates = new();
     private readonly YarpAdminOptions _options;
     private readonly SemaphoreSlim _fileLock = new(1, 1);
+    // Taken by every write so single upserts and deletes can't land in the middle of a batch or restore
+    private readonly object _writeLock = new();
+    private readonly List<ConfigurationVersion> _versions = new();
+    private readonly object _versionLock = new();
+    private int _lastVersion;
 
     public event EventHandler<ConfigurationChangedEventArgs>? ConfigurationChanged;
 
@@ -122,10 +291,26 @@ public class InMemoryYarpConfigurationStore : IYarpConfigurationStore
         return Task.FromResult(route);
     }
 
-    public async Task<RouteConfig> UpsertRouteAsync(RouteConfig route)
+    public Task<RouteConfig> UpsertRouteAsync(RouteConfig route)
+    {
+        return UpsertRouteAsync(route, () => { });
+    }
+
+    public Task<RouteConfig> UpsertRouteAsync(RouteConfig route, string ifMatch)
     {
-        var isUpdate = _routes.ContainsKey(route.RouteId);
-        _routes[route.RouteId] = route;
+        return UpsertRouteAsync(route, () => EntityTag.EnsureMatches("route", route.RouteId, _routes.GetValueOrDefault(route.RouteId), ifMatch));
+    }
+
+    // The precondition runs under the write lock, so no other write can land between the check and this one
+    private async Task<RouteConfig> UpsertRouteAsync(RouteConfig route, Action precondition)
+    {
+        bool isUpdate;
+        lock (_writeLock)
+        {
+            precondition();
+            isUpdate = _routes.ContainsKey(route.RouteId);
+            _routes[route.RouteId] = route;
+        }
         
         OnConfigurationChanged(new ConfigurationChangedEventArgs
         {
@@ -142,9 +327,24 @@ public class InMemoryYarpConfigurationStore : IYarpConfigurationStore
         return route;
     }
 
-    public async Task<bool> DeleteRouteAsync(string routeId)
+    public Task<bool> DeleteRouteAsync(string routeId)
     {
-        var result = _routes.TryRemove(routeId, out _);
+        return DeleteRouteAsync(routeId, () => { });
+    }
+
+    public Task<bool> DeleteRouteAsync(string routeId, string ifMatch)
+    {
+        return DeleteRouteAsync(routeId, () => EntityTag.EnsureMatches("route", routeId, _routes.GetValueOrDefault(routeId), ifMatch));
+    }
+
+    private async Task<bool> DeleteRouteAsync(string routeId, Action precondition)
+    {
+        bool result;
+        lock (_writeLock)
+        {
+            precondition();
+            result = _routes.TryRemove(routeId, out _);
+        }
         
         if (result)
         {
@@ -175,10 +375,25 @@ public class InMemoryYarpConfigurationStore : IYarpConfigurationStore
         return Task.FromResult(cluster);
     }
 
-    public async Task<ClusterConfig> UpsertClusterAsync(ClusterConfig cluster)
+    public Task<ClusterConfig> UpsertClusterAsync(ClusterConfig cluster)
+    {
+        return UpsertClusterAsync(cluster, () => { });
+    }
+
+    public Task<ClusterConfig> UpsertClusterAsync(ClusterConfig cluster, string ifMatch)
     {
-        var isUpdate = _clusters.ContainsKey(cluster.ClusterId);
-        _clusters[cluster.ClusterId] = cluster;
+        return UpsertClusterAsync(cluster, () => EntityTag.EnsureMatches("cluster", cluster.ClusterId, _clusters.GetValueOrDefault(cluster.ClusterId), ifMatch));
+    }
+
+    private async Task<ClusterConfig> UpsertClusterAsync(ClusterConfig cluster, Action precondition)
+    {
+        bool isUpdate;
+        lock (_writeLock)
+        {
+            precondition();
+            isUpdate = _clusters.ContainsKey(cluster.ClusterId);
+            _clusters[cluster.ClusterId] = cluster;
+        }
         
         OnConfigurationChanged(new ConfigurationChangedEventArgs
         {
@@ -195,9 +410,24 @@ public class InMemoryYarpConfigurationStore : IYarpConfigurationStore
         return cluster;
     }
 
-    public async Task<bool> DeleteClusterAsync(string clusterId)
+    public Task<bool> DeleteClusterAsync(string clusterId)
+    {
+        return DeleteClusterAsync(clusterId, () => { });
+    }
+
+    public Task<bool> DeleteClusterAsync(string clusterId, string ifMatch)
+    {
+        return DeleteClusterAsync(clusterId, () => EntityTag.EnsureMatches("cluster", clusterId, _clusters.GetValueOrDefault(clusterId), ifMatch));
+    }
+
+    private async Task<bool> DeleteClusterAsync(string clusterId, Action precondition)
     {
-        var result = _clusters.TryRemove(clusterId, out _);
+        bool result;
+        lock (_writeLock)
+        {
+            precondition();
+            result = _clusters.TryRemove(clusterId, out _);
+        }
         
         if (result)
         {
@@ -217,13 +447,210 @@ public class InMemoryYarpConfigurationStore : IYarpConfigurationStore
         return result;
     }
 
+    public async Task ApplyBatchAsync(ConfigurationBatch batch)
+    {
+        var changes = new List<ConfigurationChangedEventArgs>();
+
+        lock (_writeLock)
+        {
+            // Checked under the same lock as the writes, so nothing can change the entities in between
+            foreach (var expected in batch.IfMatch)
+            {
+                var isRoute = string.Equals(expected.EntityType, "route", StringComparison.OrdinalIgnoreCase);
+                object? current = isRoute
+                    ? _routes.GetValueOrDefault(expected.EntityId)
+                    : _clusters.GetValueOrDefault(expected.EntityId);
+                EntityTag.EnsureMatches(isRoute ? "route" : "cluster", expected.EntityId, current, expected.ETag);
+            }
+
+            foreach (var cluster in batch.UpsertClusters)
+            {
+                changes.Add(EntityChange(_clusters.ContainsKey(cluster.ClusterId) ? ChangeType.Updated : ChangeType.Added, "Cluster", cluster.ClusterId));
+                _clusters[cluster.ClusterId] = cluster;
+            }
+
+            foreach (var route in batch.UpsertRoutes)
+            {
+                changes.Add(EntityChange(_routes.ContainsKey(route.RouteId) ? ChangeType.Updated : ChangeType.Added, "Route", route.RouteId));
+                _routes[route.RouteId] = route;
+            }
+
+            foreach (var routeId in batch.DeleteRoutes)
+            {
+                if (_routes.TryRemove(routeId, out _))
+                    changes.Add(EntityChange(ChangeType.Deleted, "Route", routeId));
+            }
+
+            foreach (var clusterId in batch.DeleteClusters)
+            {
+                if (_clusters.TryRemove(clusterId, out _))
+                    changes.Add(EntityChange(ChangeType.Deleted, "Cluster", clusterId));
+            }
+        }
+
+        OnConfigurationChanged(new ConfigurationChangedEventArgs
+        {
+            ChangeType = ChangeType.Batch,
+            Changes = changes
+        });
+
+        if (!string.IsNullOrEmpty(_options.ConfigurationFilePath))
+        {
+            await SaveAsync();
+        }
+    }
+
     public Task<YarpConfiguration> GetConfigurationAsync()
     {
-        return Task.FromResult(new YarpConfiguration
+        lock (_writeLock)
+        {
+            return Task.FromResult(new YarpConfiguration
+            {
+                Routes = _routes.Values.ToList(),
+                Clusters = _clusters.Values.ToList()
+            });
+        }
+    }
+
+    public async Task<ConfigurationVersion> AddVersionAsync(string? author, string? comment)
+    {
+        YarpConfiguration snapshot;
+        lock (_writeLock)
+        {
+            snapshot = Clone(new YarpConfiguration
+            {
+                Routes = _routes.Values.ToList(),
+                Clusters = _clusters.Values.ToList()
+            });
+        }
+
+        ConfigurationVersion version;
+        lock (_versionLock)
         {
-            Routes = _routes.Values.ToList(),
-            Clusters = _clusters.Values.ToList()
+            version = new ConfigurationVersion
+            {
+                Version = ++_lastVersion,
+                CreatedAt = DateTimeOffset.UtcNow,
+                Author = author,
+                Comment = comment,
+                RouteCount = snapshot.Routes.Count,
+                ClusterCount = snapshot.Clusters.Count,
+                Configuration = snapshot
+            };
+            _versions.Add(version);
+
+            var max = _options.MaxConfigurationVersions;
+            if (max > 0 && _versions.Count > max)
+            {
+                _versions.RemoveRange(0, _versions.Count - max);
+            }
+        }
+
+        if (!string.IsNullOrEmpty(_options.ConfigurationFilePath))
+        {
+            await SaveVersionsAsync();
+        }
+
+        return version;
+    }
+
+    public Task<IEnumerable<ConfigurationVersionSummary>> GetVersionsAsync()
+    {
+        lock (_versionLock)
+        {
+            return Task.FromResult<IEnumerable<ConfigurationVersionSummary>>(_versions
+                .OrderByDescending(v => v.Version)
+                .Select(v => new ConfigurationVersionSummary
+                {
+                    Version = v.Version,
+                    CreatedAt = v.CreatedAt,
+                    Author = v.Author,
+                    Comment = v.Comment,
+                    RouteCount = v.RouteCount,
+                    ClusterCount = v.ClusterCount
+                })
+                .ToList());
+        }
+    }
+
+    public Task<ConfigurationVersion?> GetVersionAsync(int version)
+    {
+        lock (_versionLock)
+        {
+            return Task.FromResult(_versions.FirstOrDefault(v => v.Version == version));
+        }
+    }
+
+    public async Task<bool> RestoreVersionAsync(int version)
+    {
+        var snapshot = await GetVersionAsync(version);
+        if (snapshot == null)
+            return false;
+
+        // Copy so later edits to the live configuration can't reach into the recorded version
+        var config = Clone(snapshot.Configuration);
+        lock (_writeLock)
+        {
+            _routes.Clear();
+            _clusters.Clear();
+
+            foreach (var route in config.Routes)
+            {
+                _routes[route.RouteId] = route;
+            }
+
+            foreach (var cluster in config.Clusters)
+            {
+                _clusters[cluster.ClusterId] = cluster;
+            }
+        }
+
+        OnConfigurationChanged(new ConfigurationChangedEventArgs
+        {
+            ChangeType = ChangeType.Reloaded
         });
+
+        if (!string.IsNullOrEmpty(_options.ConfigurationFilePath))
+        {
+            await SaveAsync();
+        }
+
+        return true;
+    }
+
+    public Task<IEnumerable<ConfigTemplate>> GetTemplatesAsync()
+    {
+        return Task.FromResult<IEnumerable<ConfigTemplate>>(_templates.Values.OrderBy(t => t.Name).ToList());
+    }
+
+    public Task<ConfigTemplate?> GetTemplateAsync(string templateId)
+    {
+        _templates.TryGetValue(templateId, out var template);
+        return Task.FromResult(template);
+    }
+
+    public async Task<ConfigTemplate> UpsertTemplateAsync(ConfigTemplate template)
+    {
+        _templates[template.TemplateId] = template;
+
+        if (!string.IsNullOrEmpty(_options.ConfigurationFilePath))
+        {
+            await SaveTemplatesAsync();
+        }
+
+        return template;
+    }
+
+    public async Task<bool> DeleteTemplateAsync(string templateId)
+    {
+        var removed = _templates.TryRemove(templateId, out _);
+
+        if (removed && !string.IsNullOrEmpty(_options.ConfigurationFilePath))
+        {
+            await SaveTemplatesAsync();
+        }
+
+        return removed;
     }
 
     public async Task SaveAsync()
@@ -257,8 +684,13 @@ public class InMemoryYarpConfigurationStore : IYarpConfigurationStore
 
     public async Task LoadAsync()
     {
-        if (string.IsNullOrEmpty(_options.ConfigurationFilePath) || 
-            !File.Exists(_options.ConfigurationFilePath))
+        if (string.IsNullOrEmpty(_options.ConfigurationFilePath))
+            return;
+
+        await LoadVersionsAsync();
+        await LoadTemplatesAsync();
+
+        if (!File.Exists(_options.ConfigurationFilePath))
             return;
 
         await _fileLock.WaitAsync();
@@ -272,17 +704,20 @@ public class InMemoryYarpConfigurationStore : IYarpConfigurationStore
 
             if (config != null)
             {
-                _routes.Clear();
-                _clusters.Clear();
-
-                foreach (var route in config.Routes)
+                lock (_writeLock)
                 {
-                    _routes[route.RouteId] = route;
-                }
-
-                foreach (var cluster in config.Clusters)
-                {
-                    _clusters[cluster.ClusterId] = cluster;
+                    _routes.Clear();
+                    _clusters.Clear();
+
+                    foreach (var route in config.Routes)
+                    {
+                        _routes[route.RouteId] = route;
+                    }
+
+                    foreach (var cluster in config.Clusters)
+                    {
+                        _clusters[cluster.ClusterId] = cluster;
+                    }
                 }
 
                 OnConfigurationChanged(new ConfigurationChangedEventArgs
@@ -297,6 +732,142 @@ public class InMemoryYarpConfigurationStore : IYarpConfigurationStore
         }
     }
 
+    private string HistoryFilePath => Path.ChangeExtension(_options.ConfigurationFilePath!, ".history.json");
+
+    private async Task SaveVersionsAsync()
+    {
+        List<ConfigurationVersion> versions;
+        lock (_versionLock)
+        {
+            versions = _versions.ToList();
+        }
+
+        await _fileLock.WaitAsync();
+        try
+        {
+            var json = JsonSerializer.Serialize(versions, new JsonSerializerOptions
+            {
+                WriteIndented = true,
+                PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+            });
+
+            var directory = Path.GetDirectoryName(HistoryFilePath);
+            if (!string.IsNullOrEmpty(directory) && !Directory.Exists(directory))
+            {
+                Directory.CreateDirectory(directory);
+            }
+
+            await File.WriteAllTextAsync(HistoryFilePath, json);
+        }
+        finally
+        {
+            _fileLock.Release();
+        }
+    }
+
+    private async Task LoadVersionsAsync()
+    {
+        if (!File.Exists(HistoryFilePath))
+            return;
+
+        await _fileLock.WaitAsync();
+        try
+        {
+            var json = await File.ReadAllTextAsync(HistoryFilePath);
+            var versions = JsonSerializer.Deserialize<List<ConfigurationVersion>>(json, new JsonSerializerOptions
+            {
+                PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+            });
+
+            if (versions != null)
+            {
+                lock (_versionLock)
+                {
+                    _versions.Clear();
+                    _versions.AddRange(versions.OrderBy(v => v.Version));
+                    _lastVersion = _versions.Count > 0 ? _versions[^1].Version : 0;
+                }
+            }
+        }
+        finally
+        {
+            _fileLock.Release();
+        }
+    }
+
+    private string TemplatesFilePath => Path.ChangeExtension(_options.ConfigurationFilePath!, ".templates.json");
+
+    private async Task SaveTemplatesAsync()
+    {
+        var templates = _templates.Values.OrderBy(t => t.TemplateId).ToList();
+
+        await _fileLock.WaitAsync();
+        try
+        {
+            var json = JsonSerializer.Serialize(templates, new JsonSerializerOptions
+            {
+                WriteIndented = true,
+                PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+            });
+
+            var directory = Path.GetDirectoryName(TemplatesFilePath);
+            if (!string.IsNullOrEmpty(directory) && !Directory.Exists(directory))
+            {
+                Directory.CreateDirectory(directory);
+            }
+
+            await File.WriteAllTextAsync(TemplatesFilePath, json);
+        }
+        finally
+        {
+            _fileLock.Release();
+        }
+    }
+
+    private async Task LoadTemplatesAsync()
+    {
+        if (!File.Exists(TemplatesFilePath))
+            return;
+
+        await _fileLock.WaitAsync();
+        try
+        {
+            var json = await File.ReadAllTextAsync(TemplatesFilePath);
+            var templates = JsonSerializer.Deserialize<List<ConfigTemplate>>(json, new JsonSerializerOptions
+            {
+                PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+            });
+
+            if (templates != null)
+            {
+                _templates.Clear();
+                foreach (var template in templates)
+                {
+                    _templates[template.TemplateId] = template;
+                }
+            }
+        }
+        finally
+        {
+            _fileLock.Release();
+        }
+    }
+
+    private static YarpConfiguration Clone(YarpConfiguration config)
+    {
+        return JsonSerializer.Deserialize<YarpConfiguration>(JsonSerializer.Serialize(config))!;
+    }
+
+    private static ConfigurationChangedEventArgs EntityChange(ChangeType changeType, string entityType, string entityId)
+    {
+        return new ConfigurationChangedEventArgs
+        {
+            ChangeType = changeType,
+            EntityType = entityType,
+            EntityId = entityId
+        };
+    }
+
     protected virtual void OnConfigurationChanged(ConfigurationChangedEventArgs e)
     {
         ConfigurationChanged?.Invoke(this, e);
@@ -0,0 +1,89 @@
+using Yarp.ReverseProxy.Configuration;
+using YarpAdmin.Models;
+
+namespace YarpAdmin;
+
+/// <summary>
+/// Interface for checking a configuration before it is applied to YARP.
+/// </summary>
+public interface IConfigurationValidator
+{
+    /// <summary>
+    /// Validates every route and cluster in the configuration.
+    /// </summary>
+    Task<ConfigurationValidationResult> ValidateAsync(YarpConfiguration configuration);
+}
+
+/// <summary>
+/// Runs YARP's own <see cref="IConfigValidator"/> over the converted routes and clusters, and checks that
+/// every route's cluster exists, which YARP only reports in its logs once the configuration is live.
+/// </summary>
+public class ConfigurationValidator : IConfigurationValidator
+{
+    private readonly IConfigValidator _validator;
+
+    public ConfigurationValidator(IConfigValidator validator)
+    {
+        _validator = validator;
+    }
+
+    public async Task<ConfigurationValidationResult> ValidateAsync(YarpConfiguration configuration)
+    {
+        var result = new ConfigurationValidationResult();
+        var clusterIds = configuration.Clusters.Select(c => c.ClusterId).ToHashSet();
+
+        foreach (var cluster in configuration.Clusters)
+        {
+            IList<Exception> errors;
+            try
+            {
+                errors = await _validator.ValidateClusterAsync(YarpAdminService.ConvertToYarpCluster(cluster));
+            }
+            catch (Exception ex) when (ex is FormatException or OverflowException)
+            {
+                // Health check intervals and timeouts that aren't TimeSpans (or are out of range) fail conversion before YARP sees them
+                errors = new[] { ex };
+            }
+
+            AddErrors(result, "cluster", cluster.ClusterId, errors);
+
+            foreach (var (destinationId, destination) in cluster.Destinations ?? new())
+            {
+                if (!string.IsNullOrEmpty(destination.State) && !DestinationStates.All.Contains(destination.State, StringComparer.OrdinalIgnoreCase))
+                    AddError(result, "cluster", cluster.ClusterId, $"Destination '{destinationId}' has unknown state '{destination.State}'");
+                if (destination.Weight < 0)
+                    AddError(result, "cluster", cluster.ClusterId, $"Destination '{destinationId}' has a negative weight");
+                if (destination.Weight > WeightedLoadBalancingPolicy.MaxWeight)
+                    AddError(result, "cluster", cluster.ClusterId, $"Destination '{destinationId}' has a weight above {WeightedLoadBalancingPolicy.MaxWeight}");
+            }
+        }
+
+        foreach (var route in configuration.Routes)
+        {
+            if (!clusterIds.Contains(route.ClusterId))
+                AddError(result, "route", route.RouteId, $"Cluster '{route.ClusterId}' does not exist");
+
+            AddErrors(result, "route", route.RouteId, await _validator.ValidateRouteAsync(YarpAdminService.ConvertToYarpRoute(route)));
+        }
+
+        return result;
+    }
+
+    private static void AddErrors(ConfigurationValidationResult result, string entityType, string entityId, IEnumerable<Exception> errors)
+    {
+        foreach (var error in errors)
+        {
+            AddError(result, entityType, entityId, error.Message);
+        }
+    }
+
+    private static void AddError(ConfigurationValidationResult result, string entityType, string entityId, string message)
+    {
+        result.Errors.Add(new ConfigurationValidationError
+        {
+            EntityType = entityType,
+            EntityId = entityId,
+            Message = message
+        });
+    }
+}
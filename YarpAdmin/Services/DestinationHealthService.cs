@@ -0,0 +1,189 @@
+using System.Collections.Concurrent;
+using Yarp.ReverseProxy;
+using Yarp.ReverseProxy.Health;
+using Yarp.ReverseProxy.Model;
+using YarpAdmin.Models;
+
+namespace YarpAdmin;
+
+/// <summary>
+/// Interface for reading YARP's runtime destination health.
+/// </summary>
+public interface IDestinationHealthService
+{
+    /// <summary>
+    /// Gets the health of every cluster YARP currently knows about.
+    /// </summary>
+    IEnumerable<ClusterHealthStatus> GetClusterHealth();
+
+    /// <summary>
+    /// Gets the health of a single cluster, or null if YARP has no state for it.
+    /// </summary>
+    ClusterHealthStatus? GetClusterHealth(string clusterId);
+}
+
+/// <summary>
+/// Remembers when YARP last evaluated each destination's health.
+/// </summary>
+public class DestinationHealthChecks
+{
+    private readonly ConcurrentDictionary<(string ClusterId, string DestinationId), DateTimeOffset> _checkedAt = new();
+
+    /// <summary>
+    /// Records that YARP evaluated a destination's health at the given time.
+    /// </summary>
+    public void Record(string clusterId, string destinationId, DateTimeOffset checkedAt)
+    {
+        _checkedAt[(clusterId, destinationId)] = checkedAt;
+    }
+
+    /// <summary>
+    /// Gets when YARP last evaluated a destination's health, or null if it never has.
+    /// </summary>
+    public DateTimeOffset? GetCheckedAt(string clusterId, string destinationId)
+    {
+        return _checkedAt.TryGetValue((clusterId, destinationId), out var checkedAt) ? checkedAt : null;
+    }
+
+    /// <summary>
+    /// Forgets destinations for which <paramref name="keep"/> returns false.
+    /// </summary>
+    public void Prune(Func<string, string, bool> keep)
+    {
+        foreach (var key in _checkedAt.Keys)
+        {
+            if (!keep(key.ClusterId, key.DestinationId))
+            {
+                _checkedAt.TryRemove(key, out _);
+            }
+        }
+    }
+}
+
+/// <summary>
+/// Wraps YARP's <see cref="IDestinationHealthUpdater"/> to timestamp active probes and passive evaluations.
+/// </summary>
+public class RecordingDestinationHealthUpdater : IDestinationHealthUpdater
+{
+    private readonly IDestinationHealthUpdater _inner;
+    private readonly DestinationHealthChecks _checks;
+
+    public RecordingDestinationHealthUpdater(IDestinationHealthUpdater inner, DestinationHealthChecks checks)
+    {
+        _inner = inner;
+        _checks = checks;
+    }
+
+    public void SetActive(ClusterState cluster, IEnumerable<NewActiveDestinationHealth> newHealthPairs)
+    {
+        var pairs = newHealthPairs.ToList();
+        var now = DateTimeOffset.UtcNow;
+        foreach (var pair in pairs)
+        {
+            _checks.Record(cluster.ClusterId, pair.Destination.DestinationId, now);
+        }
+        _inner.SetActive(cluster, pairs);
+    }
+
+    public void SetPassive(ClusterState cluster, DestinationState destination, DestinationHealth newHealth, TimeSpan reactivationPeriod)
+    {
+        _checks.Record(cluster.ClusterId, destination.DestinationId, DateTimeOffset.UtcNow);
+        _inner.SetPassive(cluster, destination, newHealth, reactivationPeriod);
+    }
+}
+
+/// <summary>
+/// Reads destination health from YARP's <see cref="IProxyStateLookup"/>.
+/// </summary>
+public class DestinationHealthService : IDestinationHealthService
+{
+    private readonly IProxyStateLookup _proxyState;
+    private readonly DestinationHealthChecks _checks;
+
+    // YARP does not timestamp health transitions, so remember when each state was first seen
+    private readonly ConcurrentDictionary<(string ClusterId, string DestinationId), (string State, DateTimeOffset Since)> _observed = new();
+
+    public DestinationHealthService(IProxyStateLookup proxyState, DestinationHealthChecks? checks = null)
+    {
+        _proxyState = proxyState;
+        _checks = checks ?? new DestinationHealthChecks();
+    }
+
+    public IEnumerable<ClusterHealthStatus> GetClusterHealth()
+    {
+        var clusters = _proxyState.GetClusters().ToDictionary(c => c.ClusterId, StringComparer.Ordinal);
+
+        // Drop tracking for clusters and destinations that are no longer in the proxy config
+        bool Exists(string clusterId, string destinationId) =>
+            clusters.TryGetValue(clusterId, out var cluster) && cluster.Destinations.ContainsKey(destinationId);
+        Prune(Exists);
+
+        return clusters.Values
+            .OrderBy(c => c.ClusterId, StringComparer.Ordinal)
+            .Select(ToStatus)
+            .ToList();
+    }
+
+    public ClusterHealthStatus? GetClusterHealth(string clusterId)
+    {
+        if (!_proxyState.TryGetCluster(clusterId, out var cluster) || cluster == null)
+        {
+            Prune((c, _) => c != clusterId);
+            return null;
+        }
+
+        Prune((c, d) => c != clusterId || cluster.Destinations.ContainsKey(d));
+        return ToStatus(cluster);
+    }
+
+    private void Prune(Func<string, string, bool> keep)
+    {
+        foreach (var key in _observed.Keys)
+        {
+            if (!keep(key.ClusterId, key.DestinationId))
+            {
+                _observed.TryRemove(key, out _);
+            }
+        }
+        _checks.Prune(keep);
+    }
+
+    private ClusterHealthStatus ToStatus(ClusterState cluster)
+    {
+        var now = DateTimeOffset.UtcNow;
+        var destinations = cluster.Destinations.Values
+            .OrderBy(d => d.DestinationId, StringComparer.Ordinal)
+            .Select(d => ToStatus(cluster.ClusterId, d, now))
+            .ToList();
+
+        return new ClusterHealthStatus
+        {
+            ClusterId = cluster.ClusterId,
+            CheckedAt = destinations.Max(d => d.CheckedAt),
+            Destinations = destinations
+        };
+    }
+
+    private DestinationHealthStatus ToStatus(string clusterId, DestinationState destination, DateTimeOffset now)
+    {
+        var active = destination.Health.Active.ToString();
+        var passive = destination.Health.Passive.ToString();
+        var state = $"{active}/{passive}";
+
+        var observed = _observed.AddOrUpdate(
+            (clusterId, destination.DestinationId),
+            _ => (state, now),
+            (_, previous) => previous.State == state ? previous : (state, now));
+
+        return new DestinationHealthStatus
+        {
+            DestinationId = destination.DestinationId,
+            Address = destination.Model?.Config.Address,
+            Active = active,
+            Passive = passive,
+            StateSince = observed.Since,
+            CheckedAt = _checks.GetCheckedAt(clusterId, destination.DestinationId),
+            ConcurrentRequests = destination.ConcurrentRequestCount
+        };
+    }
+}
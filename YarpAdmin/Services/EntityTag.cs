@@ -0,0 +1,74 @@
+using System.Security.Cryptography;
+using System.Text.Json;
+
+namespace YarpAdmin;
+
+/// <summary>
+/// Computes ETags for routes and clusters from their serialized content, so optimistic
+/// concurrency works with any <see cref="IYarpConfigurationStore"/> without tracking versions.
+/// </summary>
+public static class EntityTag
+{
+    /// <summary>
+    /// Gets the quoted strong ETag for an entity.
+    /// </summary>
+    public static string Compute(object entity)
+    {
+        var hash = SHA256.HashData(JsonSerializer.SerializeToUtf8Bytes(entity, entity.GetType()));
+        return $"\"{Convert.ToHexString(hash, 0, 16).ToLowerInvariant()}\"";
+    }
+
+    /// <summary>
+    /// Whether an If-Match value matches the ETag: either "*" or a comma-separated list containing it.
+    /// </summary>
+    public static bool Matches(string? ifMatch, string etag)
+    {
+        if (string.IsNullOrWhiteSpace(ifMatch))
+            return false;
+
+        return ifMatch.Split(',', StringSplitOptions.TrimEntries | StringSplitOptions.RemoveEmptyEntries)
+            .Any(candidate => candidate == "*" || candidate == etag);
+    }
+
+    /// <summary>
+    /// Throws <see cref="PreconditionFailedException"/> unless the entity exists and its ETag matches <paramref name="ifMatch"/>.
+    /// </summary>
+    public static void EnsureMatches(string entityType, string entityId, object? current, string? ifMatch)
+    {
+        var etag = current == null ? null : Compute(current);
+        if (etag == null || !Matches(ifMatch, etag))
+            throw new PreconditionFailedException(entityType, entityId, current, etag);
+    }
+}
+
+/// <summary>
+/// Thrown by a store when a write's expected ETag no longer matches the stored route or cluster.
+/// </summary>
+public class PreconditionFailedException : Exception
+{
+    public PreconditionFailedException(string entityType, string entityId, object? current, string? etag)
+        : base($"{(entityType == "route" ? "Route" : "Cluster")} '{entityId}' was {(current == null ? "deleted" : "changed")} by someone else")
+    {
+        EntityType = entityType;
+        EntityId = entityId;
+        Current = current;
+        ETag = etag;
+    }
+
+    /// <summary>
+    /// "route" or "cluster".
+    /// </summary>
+    public string EntityType { get; }
+
+    public string EntityId { get; }
+
+    /// <summary>
+    /// The stored entity, or null if it has been deleted.
+    /// </summary>
+    public object? Current { get; }
+
+    /// <summary>
+    /// The stored entity's ETag, or null if it has been deleted.
+    /// </summary>
+    public string? ETag { get; }
+}
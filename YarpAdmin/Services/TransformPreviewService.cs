@@ -0,0 +1,154 @@
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Routing;
+using Microsoft.AspNetCore.Routing.Template;
+using Yarp.ReverseProxy.Transforms.Builder;
+using YarpAdmin.Models;
+
+namespace YarpAdmin;
+
+/// <summary>
+/// Interface for showing what a route's transforms do to a request.
+/// </summary>
+public interface ITransformPreviewService
+{
+    /// <summary>
+    /// Runs a sample request through the route's transform pipeline without sending it anywhere.
+    /// </summary>
+    Task<TransformPreviewResult> PreviewAsync(TransformPreviewRequest request, Models.ClusterConfig? cluster, CancellationToken cancellationToken = default);
+}
+
+/// <summary>
+/// Builds the route's transformer with YARP's <see cref="ITransformBuilder"/>, the same way the proxy does,
+/// and applies it to a synthetic <see cref="HttpContext"/> built from the sample request.
+/// </summary>
+public class TransformPreviewService : ITransformPreviewService
+{
+    private const string FallbackDestinationPrefix = "http://destination";
+
+    private readonly ITransformBuilder _transformBuilder;
+
+    public TransformPreviewService(ITransformBuilder transformBuilder)
+    {
+        _transformBuilder = transformBuilder;
+    }
+
+    public async Task<TransformPreviewResult> PreviewAsync(TransformPreviewRequest request, Models.ClusterConfig? cluster, CancellationToken cancellationToken = default)
+    {
+        var route = YarpAdminService.ConvertToYarpRoute(request.Route);
+        var result = new TransformPreviewResult
+        {
+            DestinationPrefix = cluster?.Destinations?.Values.FirstOrDefault()?.Address ?? FallbackDestinationPrefix
+        };
+
+        result.Errors.AddRange(_transformBuilder.ValidateRoute(route).Select(e => e.Message));
+        if (result.Errors.Count > 0)
+            return result;
+
+        var httpContext = CreateHttpContext(request.Request);
+        var routeValues = new RouteValueDictionary();
+        try
+        {
+            result.PathMatched = TryMatchPath(request.Route.Match?.Path, httpContext.Request.Path, routeValues);
+        }
+        catch (ArgumentException ex)
+        {
+            result.Errors.Add(ex.Message);
+            return result;
+        }
+        httpContext.Request.RouteValues = routeValues;
+
+        HttpMethod method;
+        try
+        {
+            method = new HttpMethod(httpContext.Request.Method);
+        }
+        catch (FormatException)
+        {
+            result.Errors.Add($"'{request.Request.Method}' is not a valid HTTP method");
+            return result;
+        }
+
+        if (!Uri.TryCreate(result.DestinationPrefix, UriKind.Absolute, out _))
+        {
+            result.Errors.Add($"Destination address '{result.DestinationPrefix}' is not an absolute URL");
+            return result;
+        }
+
+        Yarp.ReverseProxy.Configuration.ClusterConfig? yarpCluster;
+        try
+        {
+            yarpCluster = cluster == null ? null : YarpAdminService.ConvertToYarpCluster(cluster);
+        }
+        catch (Exception ex) when (ex is FormatException or OverflowException)
+        {
+            // Settings such as health check intervals are parsed during conversion, before YARP sees them
+            result.Errors.Add($"Cluster '{cluster!.ClusterId}' is invalid: {ex.Message}");
+            return result;
+        }
+
+        var transformer = _transformBuilder.Build(route, yarpCluster);
+
+        // The forwarder sets the method before transforms run; they may change it and set the URI
+        using var proxyRequest = new HttpRequestMessage(method, (Uri?)null);
+        Uri uri;
+        try
+        {
+            await transformer.TransformRequestAsync(httpContext, proxyRequest, result.DestinationPrefix, cancellationToken);
+            uri = proxyRequest.RequestUri ?? new Uri(result.DestinationPrefix.TrimEnd('/') + httpContext.Request.Path + httpContext.Request.QueryString);
+        }
+        catch (UriFormatException ex)
+        {
+            result.Errors.Add($"The transformed request has an invalid URL: {ex.Message}");
+            return result;
+        }
+
+        result.Method = proxyRequest.Method.Method;
+        result.Url = uri.ToString();
+        result.Path = uri.AbsolutePath;
+        result.Query = uri.Query;
+
+        foreach (var header in proxyRequest.Headers)
+        {
+            result.Headers[header.Key] = header.Value.ToList();
+        }
+
+        if (proxyRequest.Content != null)
+        {
+            foreach (var header in proxyRequest.Content.Headers)
+            {
+                result.Headers[header.Key] = header.Value.ToList();
+            }
+        }
+
+        return result;
+    }
+
+    private static DefaultHttpContext CreateHttpContext(SampleRequest sample)
+    {
+        var httpContext = new DefaultHttpContext();
+        var path = string.IsNullOrEmpty(sample.Path) ? "/" : sample.Path;
+        var query = sample.Query?.TrimStart('?');
+
+        httpContext.Request.Method = string.IsNullOrWhiteSpace(sample.Method) ? HttpMethods.Get : sample.Method.ToUpperInvariant();
+        httpContext.Request.Scheme = "https";
+        httpContext.Request.Host = new HostString(string.IsNullOrWhiteSpace(sample.Host) ? "localhost" : sample.Host);
+        httpContext.Request.Path = path.StartsWith('/') ? path : "/" + path;
+        httpContext.Request.QueryString = string.IsNullOrEmpty(query) ? QueryString.Empty : new QueryString("?" + query);
+
+        foreach (var (name, value) in sample.Headers)
+        {
+            httpContext.Request.Headers[name] = value;
+        }
+
+        return httpContext;
+    }
+
+    private static bool TryMatchPath(string? pattern, PathString path, RouteValueDictionary values)
+    {
+        if (string.IsNullOrEmpty(pattern))
+            return true;
+
+        var matcher = new TemplateMatcher(TemplateParser.Parse(pattern), new RouteValueDictionary());
+        return matcher.TryMatch(path, values);
+    }
+}
@@ -0,0 +1,85 @@
+using System.Globalization;
+using Microsoft.AspNetCore.Http;
+using Yarp.ReverseProxy.LoadBalancing;
+using Yarp.ReverseProxy.Model;
+
+namespace YarpAdmin;
+
+/// <summary>
+/// Load balancing policy that picks destinations at random in proportion to their weight,
+/// so a canary with weight 5 next to a destination with weight 95 gets about 5% of requests.
+/// </summary>
+/// <remarks>
+/// Weights are read from the <see cref="WeightMetadataKey"/> destination metadata, which
+/// <see cref="YarpAdminService"/> sets from <see cref="Models.DestinationConfig.Weight"/>.
+/// A destination without a weight counts as <see cref="DefaultWeight"/>.
+/// </remarks>
+public class WeightedLoadBalancingPolicy : ILoadBalancingPolicy
+{
+    /// <summary>
+    /// The policy name to set as a cluster's LoadBalancingPolicy.
+    /// </summary>
+    public const string PolicyName = "Weighted";
+
+    /// <summary>
+    /// YARP destination metadata key holding the destination's weight.
+    /// </summary>
+    public const string WeightMetadataKey = "YarpAdmin.Weight";
+
+    /// <summary>
+    /// Weight of a destination that doesn't set one.
+    /// </summary>
+    public const int DefaultWeight = 1;
+
+    /// <summary>
+    /// Largest weight <see cref="ConfigurationValidator"/> accepts.
+    /// </summary>
+    public const int MaxWeight = 1_000_000;
+
+    private readonly Random _random;
+
+    public WeightedLoadBalancingPolicy()
+        : this(Random.Shared)
+    {
+    }
+
+    /// <summary>
+    /// Creates the policy with its own source of randomness. It is called concurrently, so it must be thread-safe.
+    /// </summary>
+    public WeightedLoadBalancingPolicy(Random random)
+    {
+        _random = random;
+    }
+
+    public string Name => PolicyName;
+
+    public DestinationState? PickDestination(HttpContext context, ClusterState cluster, IReadOnlyList<DestinationState> availableDestinations)
+    {
+        if (availableDestinations.Count == 0)
+            return null;
+
+        var weights = availableDestinations.Select(GetWeight).ToList();
+        // Summed as long so many large weights can't overflow
+        var total = weights.Sum(w => (long)w);
+
+        // Every destination at weight 0 is more likely a mistake than a wish to send nothing, so share evenly
+        if (total == 0)
+            return availableDestinations[_random.Next(availableDestinations.Count)];
+
+        var pick = _random.NextInt64(total);
+        for (var i = 0; i < availableDestinations.Count; i++)
+        {
+            if (pick < weights[i])
+                return availableDestinations[i];
+            pick -= weights[i];
+        }
+
+        return availableDestinations[^1];
+    }
+
+    private static int GetWeight(DestinationState destination)
+    {
+        var value = destination.Model?.Config.Metadata?.GetValueOrDefault(WeightMetadataKey);
+        return int.TryParse(value, NumberStyles.None, CultureInfo.InvariantCulture, out var weight) ? weight : DefaultWeight;
+    }
+}
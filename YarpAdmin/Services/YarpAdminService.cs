@@ -1,3 +1,8 @@
+using System.Collections.Concurrent;
+using System.Globalization;
+using System.Text.Json;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Logging.Abstractions;
 using Microsoft.Extensions.Primitives;
 using Yarp.ReverseProxy.Configuration;
 using YarpAdmin.Models;
@@ -11,6 +16,8 @@ using YarpHealthCheckConfig = Yarp.ReverseProxy.Configuration.HealthCheckConfig;
 using YarpPassiveHealthCheckConfig = Yarp.ReverseProxy.Configuration.PassiveHealthCheckConfig;
 using YarpActiveHealthCheckConfig = Yarp.ReverseProxy.Configuration.ActiveHealthCheckConfig;
 using YarpSessionAffinityConfig = Yarp.ReverseProxy.Configuration.SessionAffinityConfig;
+using YarpHttpClientConfig = Yarp.ReverseProxy.Configuration.HttpClientConfig;
+using YarpForwarderRequestConfig = Yarp.ReverseProxy.Forwarder.ForwarderRequestConfig;
 
 namespace YarpAdmin;
 
@@ -39,6 +46,16 @@ public interface IYarpAdminService
     /// </summary>
     Task<bool> DeleteRouteAsync(string routeId);
 
+    /// <summary>
+    /// Updates a route if its ETag still matches, throwing <see cref="PreconditionFailedException"/> otherwise.
+    /// </summary>
+    Task<Models.RouteConfig> UpsertRouteAsync(Models.RouteConfig route, string ifMatch);
+
+    /// <summary>
+    /// Deletes a route if its ETag still matches, throwing <see cref="PreconditionFailedException"/> otherwise.
+    /// </summary>
+    Task<bool> DeleteRouteAsync(string routeId, string ifMatch);
+
     /// <summary>
     /// Gets all clusters.
     /// </summary>
@@ -59,10 +76,95 @@ public interface IYarpAdminService
     /// </summary>
     Task<bool> DeleteClusterAsync(string clusterId);
 
+    /// <summary>
+    /// Updates a cluster if its ETag still matches, throwing <see cref="PreconditionFailedException"/> otherwise.
+    /// </summary>
+    Task<Models.ClusterConfig> UpsertClusterAsync(Models.ClusterConfig cluster, string ifMatch);
+
+    /// <summary>
+    /// Deletes a cluster if its ETag still matches, throwing <see cref="PreconditionFailedException"/> otherwise.
+    /// </summary>
+    Task<bool> DeleteClusterAsync(string clusterId, string ifMatch);
+
+    /// <summary>
+    /// Applies a batch of route and cluster changes in one store transaction, throwing
+    /// <see cref="PreconditionFailedException"/> if an entity in its ifMatch list has changed.
+    /// </summary>
+    Task ApplyBatchAsync(ConfigurationBatch batch);
+
+    /// <summary>
+    /// Gets the configuration as it would be after a batch, without changing the store.
+    /// </summary>
+    Task<YarpConfiguration> PreviewBatchAsync(ConfigurationBatch batch);
+
     /// <summary>
     /// Applies the current configuration to YARP.
     /// </summary>
     Task ApplyConfigurationAsync();
+
+    /// <summary>
+    /// Records the current configuration as a new version in the history.
+    /// </summary>
+    Task<ConfigurationVersion> RecordVersionAsync(string? author, string? comment);
+
+    /// <summary>
+    /// Gets the recorded configuration versions, newest first.
+    /// </summary>
+    Task<IEnumerable<ConfigurationVersionSummary>> GetVersionsAsync();
+
+    /// <summary>
+    /// Gets a recorded configuration version.
+    /// </summary>
+    Task<ConfigurationVersion?> GetVersionAsync(int version);
+
+    /// <summary>
+    /// Restores the store to a recorded version, applies it to YARP and records the rollback as a new version.
+    /// </summary>
+    /// <returns>The version recorded for the rollback, or null if the requested version doesn't exist.</returns>
+    Task<ConfigurationVersion?> RollbackAsync(int version, string? author, string? comment);
+
+    /// <summary>
+    /// Gets the built-in templates followed by the saved ones.
+    /// </summary>
+    Task<IEnumerable<ConfigTemplate>> GetTemplatesAsync();
+
+    /// <summary>
+    /// Gets a built-in or saved template by ID.
+    /// </summary>
+    Task<ConfigTemplate?> GetTemplateAsync(string templateId);
+
+    /// <summary>
+    /// Saves a template, recording the placeholder variables its content uses.
+    /// </summary>
+    Task<ConfigTemplate> SaveTemplateAsync(ConfigTemplate template);
+
+    /// <summary>
+    /// Deletes a saved template. Built-in templates can't be deleted.
+    /// </summary>
+    Task<bool> DeleteTemplateAsync(string templateId);
+
+    /// <summary>
+    /// Moves routes to another cluster in one store change, applies the configuration and records it as one version.
+    /// </summary>
+    Task<CutoverRecord> CutoverAsync(string sourceClusterId, string targetClusterId, IReadOnlyList<string> routeIds, string? author, string? comment);
+
+    /// <summary>
+    /// Gets the cutovers made since startup, newest first. Cutovers are only kept in memory,
+    /// so a restart ends every revert window; rolling back to an earlier version still works.
+    /// </summary>
+    Task<IEnumerable<CutoverRecord>> GetCutoversAsync();
+
+    /// <summary>
+    /// Gets a cutover by ID, or null if there is none.
+    /// </summary>
+    Task<CutoverRecord?> GetCutoverAsync(string cutoverId);
+
+    /// <summary>
+    /// Moves a cutover's routes back to the source cluster, applies the configuration and records it as one version.
+    /// Reverts run one at a time and check the cutover again first.
+    /// </summary>
+    /// <returns>Null if the cutover has been reverted, its window has closed, or any of its routes no longer uses the target cluster.</returns>
+    Task<CutoverRecord?> RevertCutoverAsync(CutoverRecord cutover, string? author);
 }
 
 /// <summary>
@@ -70,32 +172,195 @@ public interface IYarpAdminService
 /// </summary>
 public class YarpAdminService : IYarpAdminService, IProxyConfigProvider
 {
+    private const int MaxCutoverRecords = 20;
+
     private readonly IYarpConfigurationStore _store;
     private readonly YarpAdminOptions _options;
+    private readonly ILogger<YarpAdminService> _logger;
     private volatile InMemoryConfigProvider _currentConfig;
     private readonly object _syncLock = new();
+    private readonly ConcurrentDictionary<string, CutoverRecord> _cutovers = new();
+    private readonly SemaphoreSlim _revertLock = new(1, 1);
 
-    public YarpAdminService(IYarpConfigurationStore store, YarpAdminOptions options)
+    public YarpAdminService(IYarpConfigurationStore store, YarpAdminOptions options, ILogger<YarpAdminService>? logger = null)
     {
         _store = store;
         _options = options;
+        _logger = logger ?? NullLogger<YarpAdminService>.Instance;
         _currentConfig = new InMemoryConfigProvider(Array.Empty<YarpRouteConfig>(), Array.Empty<YarpClusterConfig>());
         
         // Subscribe to configuration changes
-        _store.ConfigurationChanged += async (_, _) => await ApplyConfigurationAsync();
+        _store.ConfigurationChanged += async (_, _) => await TryApplyConfigurationAsync();
         
         // Initial load
-        _ = ApplyConfigurationAsync();
+        _ = TryApplyConfigurationAsync();
     }
 
     public Task<IEnumerable<Models.RouteConfig>> GetRoutesAsync() => _store.GetRoutesAsync();
     public Task<Models.RouteConfig?> GetRouteAsync(string routeId) => _store.GetRouteAsync(routeId);
     public Task<Models.RouteConfig> UpsertRouteAsync(Models.RouteConfig route) => _store.UpsertRouteAsync(route);
     public Task<bool> DeleteRouteAsync(string routeId) => _store.DeleteRouteAsync(routeId);
+    public Task<Models.RouteConfig> UpsertRouteAsync(Models.RouteConfig route, string ifMatch) => _store.UpsertRouteAsync(route, ifMatch);
+    public Task<bool> DeleteRouteAsync(string routeId, string ifMatch) => _store.DeleteRouteAsync(routeId, ifMatch);
     public Task<IEnumerable<Models.ClusterConfig>> GetClustersAsync() => _store.GetClustersAsync();
     public Task<Models.ClusterConfig?> GetClusterAsync(string clusterId) => _store.GetClusterAsync(clusterId);
     public Task<Models.ClusterConfig> UpsertClusterAsync(Models.ClusterConfig cluster) => _store.UpsertClusterAsync(cluster);
     public Task<bool> DeleteClusterAsync(string clusterId) => _store.DeleteClusterAsync(clusterId);
+    public Task<Models.ClusterConfig> UpsertClusterAsync(Models.ClusterConfig cluster, string ifMatch) => _store.UpsertClusterAsync(cluster, ifMatch);
+    public Task<bool> DeleteClusterAsync(string clusterId, string ifMatch) => _store.DeleteClusterAsync(clusterId, ifMatch);
+    public Task ApplyBatchAsync(ConfigurationBatch batch) => _store.ApplyBatchAsync(batch);
+    public Task<ConfigurationVersion> RecordVersionAsync(string? author, string? comment) => _store.AddVersionAsync(author, comment);
+    public Task<IEnumerable<ConfigurationVersionSummary>> GetVersionsAsync() => _store.GetVersionsAsync();
+    public Task<ConfigurationVersion?> GetVersionAsync(int version) => _store.GetVersionAsync(version);
+
+    public async Task<YarpConfiguration> PreviewBatchAsync(ConfigurationBatch batch)
+    {
+        var config = await _store.GetConfigurationAsync();
+        var routes = config.Routes.ToDictionary(r => r.RouteId);
+        var clusters = config.Clusters.ToDictionary(c => c.ClusterId);
+
+        foreach (var cluster in batch.UpsertClusters)
+            clusters[cluster.ClusterId] = cluster;
+        foreach (var route in batch.UpsertRoutes)
+            routes[route.RouteId] = route;
+        foreach (var routeId in batch.DeleteRoutes)
+            routes.Remove(routeId);
+        foreach (var clusterId in batch.DeleteClusters)
+            clusters.Remove(clusterId);
+
+        return new YarpConfiguration
+        {
+            Routes = routes.Values.ToList(),
+            Clusters = clusters.Values.ToList()
+        };
+    }
+
+    public async Task<IEnumerable<ConfigTemplate>> GetTemplatesAsync()
+    {
+        var saved = await _store.GetTemplatesAsync();
+        return ConfigTemplates.BuiltIn.Concat(saved).ToList();
+    }
+
+    public async Task<ConfigTemplate?> GetTemplateAsync(string templateId)
+    {
+        return ConfigTemplates.BuiltIn.FirstOrDefault(t => string.Equals(t.TemplateId, templateId, StringComparison.OrdinalIgnoreCase))
+            ?? await _store.GetTemplateAsync(templateId);
+    }
+
+    public Task<ConfigTemplate> SaveTemplateAsync(ConfigTemplate template)
+    {
+        template.BuiltIn = false;
+        template.Variables = ConfigTemplates.FindVariables(template.Content);
+        return _store.UpsertTemplateAsync(template);
+    }
+
+    public Task<bool> DeleteTemplateAsync(string templateId)
+    {
+        if (ConfigTemplates.IsBuiltIn(templateId))
+            return Task.FromResult(false);
+
+        return _store.DeleteTemplateAsync(templateId);
+    }
+
+    public async Task<ConfigurationVersion?> RollbackAsync(int version, string? author, string? comment)
+    {
+        if (!await _store.RestoreVersionAsync(version))
+            return null;
+
+        await ApplyConfigurationAsync();
+        return await _store.AddVersionAsync(author, string.IsNullOrWhiteSpace(comment) ? $"Rolled back to version {version}" : comment);
+    }
+
+    public async Task<CutoverRecord> CutoverAsync(string sourceClusterId, string targetClusterId, IReadOnlyList<string> routeIds, string? author, string? comment)
+    {
+        await MoveRoutesAsync(routeIds, targetClusterId);
+        await ApplyConfigurationAsync();
+        var version = await _store.AddVersionAsync(author, string.IsNullOrWhiteSpace(comment)
+            ? $"Cutover of {routeIds.Count} route(s) from {sourceClusterId} to {targetClusterId}"
+            : comment);
+
+        var now = DateTimeOffset.UtcNow;
+        var cutover = new CutoverRecord
+        {
+            CutoverId = Guid.NewGuid().ToString("N"),
+            SourceClusterId = sourceClusterId,
+            TargetClusterId = targetClusterId,
+            RouteIds = routeIds.ToList(),
+            User = author,
+            Timestamp = now,
+            Version = version.Version,
+            RevertibleUntil = now + _options.CutoverRevertWindow
+        };
+        _cutovers[cutover.CutoverId] = cutover;
+
+        // Only recent cutovers can be reverted, so there's no point keeping many
+        foreach (var stale in _cutovers.Values.OrderByDescending(c => c.Timestamp).Skip(MaxCutoverRecords))
+        {
+            _cutovers.TryRemove(stale.CutoverId, out _);
+        }
+
+        return cutover;
+    }
+
+    public Task<IEnumerable<CutoverRecord>> GetCutoversAsync()
+    {
+        return Task.FromResult<IEnumerable<CutoverRecord>>(_cutovers.Values.OrderByDescending(c => c.Timestamp).ToList());
+    }
+
+    public Task<CutoverRecord?> GetCutoverAsync(string cutoverId)
+    {
+        return Task.FromResult(_cutovers.GetValueOrDefault(cutoverId));
+    }
+
+    public async Task<CutoverRecord?> RevertCutoverAsync(CutoverRecord cutover, string? author)
+    {
+        // Checked again under the lock, so two clicks on Revert can't both move the routes
+        await _revertLock.WaitAsync();
+        try
+        {
+            if (cutover.RevertedAt != null || DateTimeOffset.UtcNow > cutover.RevertibleUntil)
+                return null;
+
+            var targetRouteIds = (await _store.GetRoutesAsync())
+                .Where(r => r.ClusterId == cutover.TargetClusterId)
+                .Select(r => r.RouteId)
+                .ToHashSet();
+            if (!cutover.RouteIds.All(targetRouteIds.Contains))
+                return null;
+
+            await MoveRoutesAsync(cutover.RouteIds, cutover.SourceClusterId);
+            await ApplyConfigurationAsync();
+            var version = await _store.AddVersionAsync(author,
+                $"Reverted cutover of {cutover.RouteIds.Count} route(s) from {cutover.SourceClusterId} to {cutover.TargetClusterId}");
+
+            cutover.RevertedAt = DateTimeOffset.UtcNow;
+            cutover.RevertVersion = version.Version;
+            return cutover;
+        }
+        finally
+        {
+            _revertLock.Release();
+        }
+    }
+
+    // One batch so the store raises a single change for every moved route
+    private async Task MoveRoutesAsync(IEnumerable<string> routeIds, string clusterId)
+    {
+        var batch = new ConfigurationBatch();
+        foreach (var routeId in routeIds)
+        {
+            var route = await _store.GetRouteAsync(routeId);
+            if (route == null)
+                continue;
+
+            // Copy rather than modify the instance the store returned, which may be the stored one
+            var moved = JsonSerializer.Deserialize<Models.RouteConfig>(JsonSerializer.Serialize(route))!;
+            moved.ClusterId = clusterId;
+            batch.UpsertRoutes.Add(moved);
+        }
+
+        await _store.ApplyBatchAsync(batch);
+    }
 
     public async Task ApplyConfigurationAsync()
     {
@@ -118,9 +383,23 @@ public class YarpAdminService : IYarpAdminService, IProxyConfigProvider
         }
     }
 
+    // The change event handler is async void, so an exception here would crash the host. The write endpoints validate
+    // before storing, so this only catches configuration written to the store some other way; YARP keeps the last good one.
+    private async Task TryApplyConfigurationAsync()
+    {
+        try
+        {
+            await ApplyConfigurationAsync();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to apply the stored configuration to YARP; the previous configuration stays live");
+        }
+    }
+
     public IProxyConfig GetConfig() => _currentConfig;
 
-    private YarpRouteConfig ConvertToYarpRoute(Models.RouteConfig route)
+    internal static YarpRouteConfig ConvertToYarpRoute(Models.RouteConfig route)
     {
         var match = new YarpRouteMatch
         {
@@ -153,20 +432,25 @@ public class YarpAdminService : IYarpAdminService, IProxyConfigProvider
             CorsPolicy = route.CorsPolicy,
             RateLimiterPolicy = route.RateLimiterPolicy,
             TimeoutPolicy = route.TimeoutPolicy,
+            Transforms = route.Transforms,
             Metadata = route.Metadata
         };
     }
 
-    private YarpClusterConfig ConvertToYarpCluster(Models.ClusterConfig cluster)
+    internal static YarpClusterConfig ConvertToYarpCluster(Models.ClusterConfig cluster)
     {
-        var destinations = cluster.Destinations?.ToDictionary(
-            kvp => kvp.Key,
-            kvp => new YarpDestinationConfig
-            {
-                Address = kvp.Value.Address,
-                Health = kvp.Value.Health,
-                Metadata = kvp.Value.Metadata
-            });
+        // Disabled destinations stay in the store but YARP never sees them
+        var destinations = cluster.Destinations?
+            .Where(kvp => !DestinationStates.IsDisabled(kvp.Value.State))
+            .ToDictionary(
+                kvp => kvp.Key,
+                kvp => new YarpDestinationConfig
+                {
+                    Address = kvp.Value.Address,
+                    Health = kvp.Value.Health,
+                    Host = kvp.Value.Host,
+                    Metadata = ConvertDestinationMetadata(kvp.Value)
+                });
 
         YarpHealthCheckConfig? healthCheck = null;
         if (cluster.HealthCheck != null)
@@ -209,17 +493,102 @@ public class YarpAdminService : IYarpAdminService, IProxyConfigProvider
             };
         }
 
+        YarpHttpClientConfig? httpClient = null;
+        if (cluster.HttpClient != null)
+        {
+            httpClient = new YarpHttpClientConfig
+            {
+                SslProtocols = ParseSslProtocols(cluster.HttpClient.SslProtocols),
+                DangerousAcceptAnyServerCertificate = cluster.HttpClient.DangerousAcceptAnyServerCertificate,
+                MaxConnectionsPerServer = cluster.HttpClient.MaxConnectionsPerServer,
+                EnableMultipleHttp2Connections = cluster.HttpClient.EnableMultipleHttp2Connections,
+                RequestHeaderEncoding = cluster.HttpClient.RequestHeaderEncoding,
+                ResponseHeaderEncoding = cluster.HttpClient.ResponseHeaderEncoding
+            };
+        }
+
+        YarpForwarderRequestConfig? httpRequest = null;
+        if (cluster.HttpRequest != null)
+        {
+            httpRequest = new YarpForwarderRequestConfig
+            {
+                ActivityTimeout = cluster.HttpRequest.ActivityTimeout != null
+                    ? TimeSpan.Parse(cluster.HttpRequest.ActivityTimeout)
+                    : null,
+                Version = ParseHttpVersion(cluster.HttpRequest.Version),
+                VersionPolicy = ParseHttpVersionPolicy(cluster.HttpRequest.VersionPolicy),
+                AllowResponseBuffering = cluster.HttpRequest.AllowResponseBuffering
+            };
+        }
+
         return new YarpClusterConfig
         {
             ClusterId = cluster.ClusterId,
             LoadBalancingPolicy = cluster.LoadBalancingPolicy,
             SessionAffinity = sessionAffinity,
             HealthCheck = healthCheck,
+            HttpClient = httpClient,
+            HttpRequest = httpRequest,
             Destinations = destinations,
             Metadata = cluster.Metadata
         };
     }
 
+    // Unknown names throw FormatException, like an unparseable TimeSpan, so validation reports them
+    private static System.Security.Authentication.SslProtocols? ParseSslProtocols(List<string>? protocols)
+    {
+        if (protocols == null || protocols.Count == 0)
+            return null;
+
+        var result = System.Security.Authentication.SslProtocols.None;
+        foreach (var protocol in protocols)
+        {
+            if (!Enum.TryParse<System.Security.Authentication.SslProtocols>(protocol, true, out var parsed))
+                throw new FormatException($"'{protocol}' is not a valid SSL protocol");
+            result |= parsed;
+        }
+
+        return result;
+    }
+
+    // appsettings allows "2" as well as "2.0", as YARP's own configuration reader does
+    private static Version? ParseHttpVersion(string? version)
+    {
+        if (string.IsNullOrWhiteSpace(version))
+            return null;
+
+        var text = version.Contains('.') ? version : $"{version}.0";
+        if (!Version.TryParse(text, out var parsed))
+            throw new FormatException($"'{version}' is not a valid HTTP version");
+        return parsed;
+    }
+
+    private static HttpVersionPolicy? ParseHttpVersionPolicy(string? policy)
+    {
+        if (string.IsNullOrWhiteSpace(policy))
+            return null;
+
+        if (!Enum.TryParse<HttpVersionPolicy>(policy, true, out var parsed))
+            throw new FormatException($"'{policy}' is not a valid HTTP version policy");
+        return parsed;
+    }
+
+    // YARP destinations have no state or weight, so both travel in metadata for
+    // DestinationDrainingMiddleware and WeightedLoadBalancingPolicy to read at runtime
+    internal static IReadOnlyDictionary<string, string>? ConvertDestinationMetadata(Models.DestinationConfig destination)
+    {
+        var draining = DestinationStates.IsDraining(destination.State);
+        if (!draining && destination.Weight == null)
+            return destination.Metadata;
+
+        var metadata = new Dictionary<string, string>(destination.Metadata ?? new Dictionary<string, string>());
+        if (draining)
+            metadata[DestinationStates.MetadataKey] = DestinationStates.Draining;
+        if (destination.Weight != null)
+            metadata[WeightedLoadBalancingPolicy.WeightMetadataKey] = destination.Weight.Value.ToString(CultureInfo.InvariantCulture);
+        return metadata;
+    }
+
     private class InMemoryConfigProvider : IProxyConfig
     {
         private readonly CancellationTokenSource _cts = new();
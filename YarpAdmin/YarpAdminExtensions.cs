@@ -3,8 +3,11 @@ using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Routing;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.FileProviders;
+using Microsoft.Extensions.Logging;
 using System.Reflection;
 using Yarp.ReverseProxy.Configuration;
+using Yarp.ReverseProxy.Health;
+using Yarp.ReverseProxy.LoadBalancing;
 
 namespace YarpAdmin;
 
@@ -31,6 +34,15 @@ public static class YarpAdminExtensions
         services.AddSingleton<YarpAdminService>();
         services.AddSingleton<IYarpAdminService>(sp => sp.GetRequiredService<YarpAdminService>());
         services.AddSingleton<IProxyConfigProvider>(sp => sp.GetRequiredService<YarpAdminService>());
+        services.AddSingleton<DestinationHealthChecks>();
+        services.AddSingleton<IDestinationHealthService, DestinationHealthService>();
+        services.AddSingleton<IAuditLog, InMemoryAuditLog>();
+        services.AddSingleton<IConfigurationChangeNotifier, ConfigurationChangeNotifier>();
+        services.AddSingleton<IConfigurationValidator, ConfigurationValidator>();
+        services.AddSingleton<ITransformPreviewService, TransformPreviewService>();
+        services.AddSingleton<ILoadBalancingPolicy, WeightedLoadBalancingPolicy>();
+        services.AddHttpContextAccessor();
+        services.RecordDestinationHealthChecks();
 
         // Add controllers from this assembly
         services.AddControllers()
@@ -59,6 +71,15 @@ public static class YarpAdminExtensions
         services.AddSingleton<YarpAdminService>();
         services.AddSingleton<IYarpAdminService>(sp => sp.GetRequiredService<YarpAdminService>());
         services.AddSingleton<IProxyConfigProvider>(sp => sp.GetRequiredService<YarpAdminService>());
+        services.AddSingleton<DestinationHealthChecks>();
+        services.AddSingleton<IDestinationHealthService, DestinationHealthService>();
+        services.AddSingleton<IAuditLog, InMemoryAuditLog>();
+        services.AddSingleton<IConfigurationChangeNotifier, ConfigurationChangeNotifier>();
+        services.AddSingleton<IConfigurationValidator, ConfigurationValidator>();
+        services.AddSingleton<ITransformPreviewService, TransformPreviewService>();
+        services.AddSingleton<ILoadBalancingPolicy, WeightedLoadBalancingPolicy>();
+        services.AddHttpContextAccessor();
+        services.RecordDestinationHealthChecks();
 
         services.AddControllers()
             .AddApplicationPart(typeof(YarpAdminExtensions).Assembly);
@@ -66,6 +87,23 @@ public static class YarpAdminExtensions
         return services;
     }
 
+    // Timestamps YARP's health updates by wrapping the updater AddReverseProxy() registered.
+    // Registrations made after this can't be wrapped, so MapYarpAdmin warns when the order was wrong.
+    private static void RecordDestinationHealthChecks(this IServiceCollection services)
+    {
+        var descriptor = services.LastOrDefault(d => d.ServiceType == typeof(IDestinationHealthUpdater));
+        var implementationType = descriptor?.ImplementationType;
+        if (descriptor == null || implementationType == null)
+        {
+            return;
+        }
+
+        services.Remove(descriptor);
+        services.AddSingleton<IDestinationHealthUpdater>(sp => new RecordingDestinationHealthUpdater(
+            (IDestinationHealthUpdater)ActivatorUtilities.CreateInstance(sp, implementationType),
+            sp.GetRequiredService<DestinationHealthChecks>()));
+    }
+
     /// <summary>
     /// Maps YARP Admin endpoints and UI.
     /// </summary>
@@ -79,6 +117,8 @@ public static class YarpAdminExtensions
         var options = endpoints.ServiceProvider.GetService<YarpAdminOptions>() 
             ?? new YarpAdminOptions();
         
+        WarnIfHealthChecksNotRecorded(endpoints.ServiceProvider);
+
         // Map API controllers
         endpoints.MapControllers();
         
@@ -88,6 +128,17 @@ public static class YarpAdminExtensions
         return endpoints;
     }
 
+    private static void WarnIfHealthChecksNotRecorded(IServiceProvider services)
+    {
+        var updater = services.GetService<IDestinationHealthUpdater>();
+        if (updater == null || updater is RecordingDestinationHealthUpdater)
+            return;
+
+        services.GetService<ILoggerFactory>()?.CreateLogger("YarpAdmin").LogWarning(
+            "AddReverseProxy() was called after AddYarpAdmin(), so destination health checks won't show when they last ran. " +
+            "Call AddReverseProxy() first.");
+    }
+
     private static void MapYarpAdminUI(
         this IEndpointRouteBuilder endpoints, 
         string pathPrefix,
@@ -178,4 +229,22 @@ public class YarpAdminOptions
     /// Path to persist configuration (optional).
     /// </summary>
     public string? ConfigurationFilePath { get; set; }
+
+    /// <summary>
+    /// Number of applied configuration versions to keep for rollback (0 keeps every version).
+    /// When <see cref="ConfigurationFilePath"/> is set, versions are persisted next to it in a ".history.json" file.
+    /// </summary>
+    public int MaxConfigurationVersions { get; set; } = 50;
+
+    /// <summary>
+    /// Number of audit entries kept in memory for the audit API (0 keeps every entry).
+    /// When <see cref="ConfigurationFilePath"/> is set, entries are also appended to an ".audit.jsonl" file next to it.
+    /// </summary>
+    public int MaxAuditEntries { get; set; } = 1000;
+
+    /// <summary>
+    /// How long after a blue/green cutover it can still be reverted in one step.
+    /// Cutovers are kept in memory only, so a restart ends the window early.
+    /// </summary>
+    public TimeSpan CutoverRevertWindow { get; set; } = TimeSpan.FromMinutes(15);
 }
@@ -1,4 +1,4 @@
-const { useState, useEffect } = React;
+const { useState, useEffect, useRef } = React;
 
 // Toggle Switch Component
 const ToggleSwitch = ({ checked, onChange }) => (
@@ -9,11 +9,11 @@ const ToggleSwitch = ({ checked, onChange }) => (
 );
 
 // Feature Section Component - Collapsible with toggle
-const FeatureSection = ({ title, enabled, onToggle, children, description }) => (
-  <div className="feature-section">
+const FeatureSection = ({ title, enabled, onToggle, children, description, hasError }) => (
+  <div className={`feature-section ${hasError ? 'has-error' : ''}`}>
     <div className="feature-header" onClick={onToggle}>
       <div className="feature-title">
-        <span>{title}</span>
+        <span>{title}{hasError && <span className="feature-error-mark"> - needs attention</span>}</span>
         {description && <span className="feature-desc">{description}</span>}
       </div>
       <ToggleSwitch checked={enabled} onChange={onToggle} />
@@ -22,6 +22,323 @@ const FeatureSection = ({ title, enabled, onToggle, children, description }) =>
   </div>
 );
 
+// Field Error Component
+const FieldError = ({ error }) => (error ? <p className="field-error">{error}</p> : null);
+
+// Validation
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS', 'TRACE', 'CONNECT'];
+const HEADER_MODES_WITH_VALUES = ['ExactHeader', 'HeaderPrefix', 'Contains', 'NotContains', 'RegexHeader'];
+const QUERY_MODES_WITH_VALUES = ['Exact', 'Prefix', 'Contains', 'NotContains'];
+
+const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(v => v);
+
+// .NET TimeSpan "c" format: [-][d.]hh:mm[:ss[.fffffff]], or a whole number of days
+const isValidTimeSpan = (value) => {
+  if (/^-?\d+$/.test(value)) return true;
+  const match = /^-?(?:\d+\.)?(\d{1,2}):(\d{1,2})(?::(\d{1,2})(?:\.\d{1,7})?)?$/.exec(value);
+  if (!match) return false;
+  const [, hours, minutes, seconds = '0'] = match;
+  return Number(hours) < 24 && Number(minutes) < 60 && Number(seconds) < 60;
+};
+
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+};
+
+const isValidRegex = (value) => {
+  try {
+    new RegExp(value);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const findDuplicate = (values) => values.find((v, i) => v && values.indexOf(v) !== i);
+
+// True when any error key equals or is nested under one of the given field names
+const hasErrorFor = (errors, fields) =>
+  Object.keys(errors).some(key => fields.some(f => key === f || key.startsWith(`${f}.`)));
+
+// Transform catalogue - YARP config keys per transform type. The first field's key identifies the type;
+// a field with `keys` stores its value under whichever of those keys is chosen (e.g. Set or Append)
+const SET_APPEND = ['Set', 'Append'];
+const BOOLEAN_OPTIONS = ['true', 'false'];
+const WHEN_OPTIONS = ['Success', 'Always', 'Failure'];
+const FORWARDED_ACTIONS = ['Set', 'Append', 'Remove', 'Off'];
+const FORWARDED_FORMATS = ['Random', 'RandomAndPort', 'RandomAndRandomPort', 'Unknown', 'UnknownAndPort',
+  'UnknownAndRandomPort', 'Ip', 'IpAndPort', 'IpAndRandomPort'];
+
+const TRANSFORM_TYPES = [
+  { type: 'PathPrefix', group: 'Path', fields: [{ key: 'PathPrefix', label: 'Prefix', placeholder: '/api' }] },
+  { type: 'PathRemovePrefix', group: 'Path', fields: [{ key: 'PathRemovePrefix', label: 'Prefix', placeholder: '/api' }] },
+  { type: 'PathSet', group: 'Path', fields: [{ key: 'PathSet', label: 'Path', placeholder: '/new/path' }] },
+  { type: 'PathPattern', group: 'Path', fields: [{ key: 'PathPattern', label: 'Pattern', placeholder: '/my/{**remainder}' }] },
+  { type: 'QueryValueParameter', group: 'Query', fields: [
+    { key: 'QueryValueParameter', label: 'Parameter', placeholder: 'foo' },
+    { keys: SET_APPEND, label: 'Value', placeholder: 'bar' }
+  ] },
+  { type: 'QueryRouteParameter', group: 'Query', fields: [
+    { key: 'QueryRouteParameter', label: 'Parameter', placeholder: 'foo' },
+    { keys: SET_APPEND, label: 'Route value', placeholder: 'id' }
+  ] },
+  { type: 'QueryRemoveParameter', group: 'Query', fields: [{ key: 'QueryRemoveParameter', label: 'Parameter', placeholder: 'foo' }] },
+  { type: 'HttpMethodChange', group: 'Request', fields: [
+    { key: 'HttpMethodChange', label: 'From', options: HTTP_METHODS },
+    { key: 'Set', label: 'To', options: HTTP_METHODS }
+  ] },
+  { type: 'RequestHeadersCopy', group: 'Request', fields: [{ key: 'RequestHeadersCopy', label: 'Copy headers', options: BOOLEAN_OPTIONS }] },
+  { type: 'RequestHeaderOriginalHost', group: 'Request', fields: [{ key: 'RequestHeaderOriginalHost', label: 'Keep original host', options: BOOLEAN_OPTIONS }] },
+  { type: 'RequestHeader', group: 'Request', fields: [
+    { key: 'RequestHeader', label: 'Header', placeholder: 'X-Foo' },
+    { keys: SET_APPEND, label: 'Value', placeholder: 'bar' }
+  ] },
+  { type: 'RequestHeaderRouteValue', group: 'Request', fields: [
+    { key: 'RequestHeaderRouteValue', label: 'Header', placeholder: 'X-Tenant' },
+    { keys: SET_APPEND, label: 'Route value', placeholder: 'tenant' }
+  ] },
+  { type: 'RequestHeaderRemove', group: 'Request', fields: [{ key: 'RequestHeaderRemove', label: 'Header', placeholder: 'X-Foo' }] },
+  { type: 'RequestHeadersAllowed', group: 'Request', fields: [{ key: 'RequestHeadersAllowed', label: 'Headers', placeholder: 'Accept;Authorization' }] },
+  { type: 'X-Forwarded', group: 'Request', fields: [
+    { key: 'X-Forwarded', label: 'Default action', options: FORWARDED_ACTIONS },
+    { key: 'For', label: 'For', options: FORWARDED_ACTIONS, optional: true },
+    { key: 'Proto', label: 'Proto', options: FORWARDED_ACTIONS, optional: true },
+    { key: 'Host', label: 'Host', options: FORWARDED_ACTIONS, optional: true },
+    { key: 'Prefix', label: 'Prefix', options: FORWARDED_ACTIONS, optional: true },
+    { key: 'HeaderPrefix', label: 'Header prefix', placeholder: 'X-Forwarded-', optional: true }
+  ] },
+  { type: 'Forwarded', group: 'Request', fields: [
+    { key: 'Forwarded', label: 'Parameters', placeholder: 'for,proto,host,by' },
+    { key: 'ForFormat', label: 'For format', options: FORWARDED_FORMATS, optional: true },
+    { key: 'ByFormat', label: 'By format', options: FORWARDED_FORMATS, optional: true },
+    { key: 'Action', label: 'Action', options: FORWARDED_ACTIONS, optional: true }
+  ] },
+  { type: 'ClientCert', group: 'Request', fields: [{ key: 'ClientCert', label: 'Header', placeholder: 'X-Client-Cert' }] },
+  { type: 'ResponseHeadersCopy', group: 'Response', fields: [{ key: 'ResponseHeadersCopy', label: 'Copy headers', options: BOOLEAN_OPTIONS }] },
+  { type: 'ResponseHeader', group: 'Response', fields: [
+    { key: 'ResponseHeader', label: 'Header', placeholder: 'X-Foo' },
+    { keys: SET_APPEND, label: 'Value', placeholder: 'bar' },
+    { key: 'When', label: 'When', options: WHEN_OPTIONS, optional: true }
+  ] },
+  { type: 'ResponseHeaderRemove', group: 'Response', fields: [
+    { key: 'ResponseHeaderRemove', label: 'Header', placeholder: 'X-Foo' },
+    { key: 'When', label: 'When', options: WHEN_OPTIONS, optional: true }
+  ] },
+  { type: 'ResponseHeadersAllowed', group: 'Response', fields: [{ key: 'ResponseHeadersAllowed', label: 'Headers', placeholder: 'Content-Type;Cache-Control' }] },
+  { type: 'ResponseTrailersCopy', group: 'Response', fields: [{ key: 'ResponseTrailersCopy', label: 'Copy trailers', options: BOOLEAN_OPTIONS }] },
+  { type: 'ResponseTrailer', group: 'Response', fields: [
+    { key: 'ResponseTrailer', label: 'Trailer', placeholder: 'X-Foo' },
+    { keys: SET_APPEND, label: 'Value', placeholder: 'bar' },
+    { key: 'When', label: 'When', options: WHEN_OPTIONS, optional: true }
+  ] },
+  { type: 'ResponseTrailerRemove', group: 'Response', fields: [
+    { key: 'ResponseTrailerRemove', label: 'Trailer', placeholder: 'X-Foo' },
+    { key: 'When', label: 'When', options: WHEN_OPTIONS, optional: true }
+  ] },
+  { type: 'ResponseTrailersAllowed', group: 'Response', fields: [{ key: 'ResponseTrailersAllowed', label: 'Trailers', placeholder: 'Grpc-Status' }] }
+];
+
+// Anything not in the catalogue (or with keys the catalogue doesn't know) is edited as raw key/value pairs
+const CUSTOM_TRANSFORM = 'Custom';
+
+const findTransformType = (type) => TRANSFORM_TYPES.find(t => t.type === type);
+
+const transformFieldKeys = (definition) => definition.fields.flatMap(f => f.keys || [f.key]);
+
+let lastTransformId = 0;
+
+const createTransform = (type) => {
+  const definition = findTransformType(type);
+  if (!definition) return { id: ++lastTransformId, type: CUSTOM_TRANSFORM, entries: [{ key: '', value: '' }] };
+  const values = {};
+  definition.fields.forEach(field => {
+    if (!field.optional) values[field.keys ? field.keys[0] : field.key] = field.options ? field.options[0] : '';
+  });
+  return { id: ++lastTransformId, type, values };
+};
+
+// YARP matches transform keys case-insensitively; normalise to the catalogue's casing
+const parseTransform = (transform) => {
+  const entries = Object.entries(transform || {});
+  const definition = TRANSFORM_TYPES.find(t =>
+    entries.some(([key]) => key.toLowerCase() === t.fields[0].key.toLowerCase()));
+  const known = definition ? transformFieldKeys(definition) : [];
+  const canonical = (key) => known.find(k => k.toLowerCase() === key.toLowerCase());
+
+  if (!definition || entries.some(([key]) => !canonical(key))) {
+    return { id: ++lastTransformId, type: CUSTOM_TRANSFORM, entries: entries.map(([key, value]) => ({ key, value })) };
+  }
+  return {
+    id: ++lastTransformId,
+    type: definition.type,
+    values: Object.fromEntries(entries.map(([key, value]) => [canonical(key), value]))
+  };
+};
+
+const serializeTransform = (item) => {
+  const entries = item.type === CUSTOM_TRANSFORM
+    ? item.entries.filter(e => e.key).map(e => [e.key, e.value])
+    : Object.entries(item.values).filter(([, value]) => value !== '' && value != null);
+  return Object.fromEntries(entries);
+};
+
+const validateTransform = (item) => {
+  if (item.type === CUSTOM_TRANSFORM) {
+    if (!item.entries.some(e => e.key)) return 'Custom transforms need at least one key';
+    const duplicate = findDuplicate(item.entries.map(e => e.key));
+    return duplicate ? `Duplicate key '${duplicate}'` : null;
+  }
+  const missing = findTransformType(item.type).fields.find(field =>
+    !field.optional && !(field.keys || [field.key]).some(key => item.values[key]));
+  return missing ? `${missing.label} is required for ${item.type}` : null;
+};
+
+const validateRouteForm = (form, sections) => {
+  const errors = {};
+
+  if (!form.routeId.trim()) errors.routeId = 'Route ID is required';
+  if (!form.clusterId) errors.clusterId = 'Select the cluster this route forwards to';
+
+  if (!form.path.trim()) {
+    errors.path = 'Path pattern is required';
+  } else if (!form.path.startsWith('/')) {
+    errors.path = "Path pattern must start with '/'";
+  } else if ((form.path.match(/{/g) || []).length !== (form.path.match(/}/g) || []).length) {
+    errors.path = 'Path pattern has unbalanced braces';
+  } else if (/{\*\*?[^}]*}./.test(form.path)) {
+    errors.path = 'A catch-all parameter must be the last segment';
+  }
+
+  const unknownMethod = splitList(form.methods).find(m => !HTTP_METHODS.includes(m.toUpperCase()));
+  if (unknownMethod) errors.methods = `Unknown HTTP method '${unknownMethod}'`;
+
+  if (form.order !== '' && !/^-?\d+$/.test(String(form.order))) errors.order = 'Order must be a whole number';
+
+  if (sections.advancedMatching) {
+    const badHost = splitList(form.hosts).find(h => !/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/i.test(h));
+    if (badHost) errors.hosts = `'${badHost}' is not a valid host name`;
+
+    form.headers.forEach((header, index) => {
+      const values = splitList(header.values);
+      if (!header.name.trim()) {
+        if (values.length) errors[`headers.${index}`] = 'Header name is required';
+      } else if (HEADER_MODES_WITH_VALUES.includes(header.mode) && values.length === 0) {
+        errors[`headers.${index}`] = 'At least one value is required for this match mode';
+      } else if (!HEADER_MODES_WITH_VALUES.includes(header.mode) && values.length > 0) {
+        errors[`headers.${index}`] = 'Exists/Not Exists matches do not take values';
+      } else if (header.mode === 'RegexHeader') {
+        const badPattern = values.find(v => !isValidRegex(v));
+        if (badPattern) errors[`headers.${index}`] = `'${badPattern}' is not a valid regular expression`;
+      }
+    });
+
+    form.queryParameters.forEach((param, index) => {
+      const values = splitList(param.values);
+      if (!param.name.trim()) {
+        if (values.length) errors[`queryParameters.${index}`] = 'Parameter name is required';
+      } else if (QUERY_MODES_WITH_VALUES.includes(param.mode) && values.length === 0) {
+        errors[`queryParameters.${index}`] = 'At least one value is required for this match mode';
+      } else if (!QUERY_MODES_WITH_VALUES.includes(param.mode) && values.length > 0) {
+        errors[`queryParameters.${index}`] = 'Exists/Not Exists matches do not take values';
+      }
+    });
+  }
+
+  if (sections.transforms) {
+    form.transforms.forEach((transform, index) => {
+      const error = validateTransform(transform);
+      if (error) errors[`transforms.${index}`] = error;
+    });
+  }
+
+  if (sections.metadata) {
+    const duplicate = findDuplicate(form.metadata.map(m => m.key));
+    if (duplicate) errors.metadata = `Duplicate metadata key '${duplicate}'`;
+  }
+
+  return errors;
+};
+
+const validateClusterForm = (form, sections) => {
+  const errors = {};
+
+  if (!form.clusterId.trim()) errors.clusterId = 'Cluster ID is required';
+
+  const duplicateId = findDuplicate(form.destinations.map(d => d.id.trim()));
+  form.destinations.forEach((dest, index) => {
+    if (!dest.id.trim()) {
+      errors[`destinations.${index}`] = 'Destination ID is required';
+    } else if (dest.id.trim() === duplicateId) {
+      errors[`destinations.${index}`] = `Destination ID '${dest.id}' is used more than once`;
+    } else if (!isValidUrl(dest.address)) {
+      errors[`destinations.${index}`] = 'Address must be an absolute http(s) URL';
+    } else if (String(dest.weight).trim() !== '' && !/^\d+$/.test(String(dest.weight).trim())) {
+      errors[`destinations.${index}`] = 'Weight must be a whole number of 0 or more';
+    } else if (Number(dest.weight) > MAX_DESTINATION_WEIGHT) {
+      errors[`destinations.${index}`] = `Weight must be at most ${MAX_DESTINATION_WEIGHT}`;
+    } else if (dest.health && !isValidUrl(dest.health)) {
+      errors[`destinations.${index}`] = 'Health address must be an absolute http(s) URL';
+    } else if (dest.host.trim() && !/^[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/i.test(dest.host.trim())) {
+      errors[`destinations.${index}`] = `Host '${dest.host.trim()}' is not a valid host name`;
+    } else if (findDuplicate(dest.metadata.map(m => m.key))) {
+      errors[`destinations.${index}`] = `Duplicate metadata key '${findDuplicate(dest.metadata.map(m => m.key))}'`;
+    }
+  });
+
+  if (sections.sessionAffinity && !form.sessionAffinityKeyName.trim()) {
+    errors.sessionAffinityKeyName = 'Affinity key name is required';
+  }
+
+  const timeSpanError = 'Use the TimeSpan format hh:mm:ss, e.g. 00:00:15';
+  if (sections.healthCheck && form.passiveHealthEnabled && !isValidTimeSpan(form.passiveHealthReactivationPeriod)) {
+    errors.passiveHealthReactivationPeriod = timeSpanError;
+  }
+  if (sections.healthCheck && form.activeHealthEnabled) {
+    if (!isValidTimeSpan(form.activeHealthInterval)) errors.activeHealthInterval = timeSpanError;
+    if (!isValidTimeSpan(form.activeHealthTimeout)) errors.activeHealthTimeout = timeSpanError;
+    if (form.activeHealthPath && !form.activeHealthPath.startsWith('/')) {
+      errors.activeHealthPath = "Health path must start with '/'";
+    }
+  }
+
+  if (sections.httpClient && form.maxConnectionsPerServer !== '' && !/^[1-9]\d*$/.test(String(form.maxConnectionsPerServer))) {
+    errors.maxConnectionsPerServer = 'Must be a positive whole number';
+  }
+
+  if (sections.httpRequest && form.activityTimeout && !isValidTimeSpan(form.activityTimeout)) {
+    errors.activityTimeout = timeSpanError;
+  }
+
+  if (sections.metadata) {
+    const duplicate = findDuplicate(form.metadata.map(m => m.key));
+    if (duplicate) errors.metadata = `Duplicate metadata key '${duplicate}'`;
+  }
+
+  return errors;
+};
+
+// Only surface errors for fields the user has changed, until they try to save
+const fieldChanged = (form, initialForm, key) => {
+  const root = key.split('.')[0];
+  return JSON.stringify(form[root]) !== JSON.stringify(initialForm[root]);
+};
+
+const visibleErrors = (errors, form, initialForm, submitAttempted) => {
+  if (submitAttempted) return errors;
+  return Object.fromEntries(Object.entries(errors).filter(([key]) => fieldChanged(form, initialForm, key)));
+};
+
+// Server errors describe the values the modal opened with, so drop them once the field is edited
+const combineErrors = (clientErrors, serverErrors, form, initialForm) => ({
+  ...Object.fromEntries(Object.entries(serverErrors || {}).filter(([key]) => !fieldChanged(form, initialForm, key))),
+  ...clientErrors
+});
+
 // Key-Value Editor Component
 const KeyValueEditor = ({ items, onChange, keyPlaceholder = "Key", valuePlaceholder = "Value" }) => {
   const addItem = () => onChange([...items, { key: '', value: '' }]);
@@ -63,125 +380,1352 @@ const KeyValueEditor = ({ items, onChange, keyPlaceholder = "Key", valuePlacehol
   );
 };
 
-// YARP Admin Dashboard
-const YarpAdminDashboard = () => {
-  const [routes, setRoutes] = useState([]);
-  const [clusters, setClusters] = useState([]);
-  const [activeTab, setActiveTab] = useState('routes');
-  const [loading, setLoading] = useState(true);
-  const [editingRoute, setEditingRoute] = useState(null);
-  const [editingCluster, setEditingCluster] = useState(null);
-  const [notification, setNotification] = useState(null);
+// Transform Editor Component - one row per transform, typed fields from TRANSFORM_TYPES, drag the handle to reorder
+const TransformEditor = ({ items, onChange, errors }) => {
+  const [newType, setNewType] = useState(TRANSFORM_TYPES[0].type);
+  const [armedIndex, setArmedIndex] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
 
-  useEffect(() => {
-    fetchData();
-  }, []);
+  const updateItem = (index, item) => onChange(items.map((t, i) => (i === index ? item : t)));
+  const removeItem = (index) => onChange(items.filter((_, i) => i !== index));
+  const moveItem = (from, to) => {
+    const next = [...items];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    onChange(next);
+  };
 
-  const fetchData = async () => {
-    setLoading(true);
-    try {
-      const [routesRes, clustersRes] = await Promise.all([
-        fetch('/api/yarp-admin/routes'),
-        fetch('/api/yarp-admin/clusters')
-      ]);
-      setRoutes(await routesRes.json());
-      setClusters(await clustersRes.json());
-    } catch (err) {
-      showNotification('Failed to fetch configuration', 'error');
-    }
-    setLoading(false);
+  const setValue = (item, key, value) => ({ ...item, values: { ...item.values, [key]: value } });
+  const switchKey = (item, from, to) => {
+    const { [from]: value, ...rest } = item.values;
+    return { ...item, values: { ...rest, [to]: value ?? '' } };
   };
 
-  const showNotification = (message, type = 'success') => {
-    setNotification({ message, type });
-    setTimeout(() => setNotification(null), 3000);
+  const endDrag = () => {
+    setArmedIndex(null);
+    setDragIndex(null);
+    setDropIndex(null);
   };
 
-  const handleSaveRoute = async (route) => {
-    try {
-      const method = routes.find(r => r.routeId === route.routeId) ? 'PUT' : 'POST';
-      const res = await fetch(`/api/yarp-admin/routes${method === 'PUT' ? `/${route.routeId}` : ''}`, {
-        method,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(route)
-      });
-      if (res.ok) {
-        showNotification('Route saved successfully');
-        fetchData();
-        setEditingRoute(null);
-      }
-    } catch (err) {
-      showNotification('Failed to save route', 'error');
+  const groups = [...new Set(TRANSFORM_TYPES.map(t => t.group))];
+
+  const renderInput = (item, index, field, key) => field.options ? (
+    <select
+      className="form-input"
+      value={item.values[key] ?? ''}
+      onChange={e => updateItem(index, setValue(item, key, e.target.value))}
+    >
+      {field.optional && <option value="">(default)</option>}
+      {field.options.map(o => <option key={o} value={o}>{o}</option>)}
+    </select>
+  ) : (
+    <input
+      className="form-input"
+      type="text"
+      value={item.values[key] ?? ''}
+      onChange={e => updateItem(index, setValue(item, key, e.target.value))}
+      placeholder={field.placeholder}
+    />
+  );
+
+  const renderFields = (item, index) => {
+    if (item.type === CUSTOM_TRANSFORM) {
+      return (
+        <KeyValueEditor
+          items={item.entries}
+          onChange={entries => updateItem(index, { ...item, entries })}
+          keyPlaceholder="Key (e.g., RequestHeader)"
+          valuePlaceholder="Value"
+        />
+      );
     }
+
+    return (
+      <div className="transform-fields">
+        {findTransformType(item.type).fields.map(field => {
+          if (!field.keys) {
+            return (
+              <label key={field.key} className="transform-field">
+                <span className="meta-label">{field.label}{field.optional ? '' : ' *'}</span>
+                {renderInput(item, index, field, field.key)}
+              </label>
+            );
+          }
+          const chosen = field.keys.find(k => item.values[k] !== undefined) || field.keys[0];
+          return (
+            <div key={field.keys.join('|')} className="transform-field">
+              <span className="meta-label">{field.label} *</span>
+              <div className="transform-keyed">
+                <select
+                  className="form-input"
+                  value={chosen}
+                  onChange={e => updateItem(index, switchKey(item, chosen, e.target.value))}
+                >
+                  {field.keys.map(k => <option key={k} value={k}>{k}</option>)}
+                </select>
+                {renderInput(item, index, field, chosen)}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
   };
 
-  const handleDeleteRoute = async (routeId) => {
-    if (!confirm('Are you sure you want to delete this route?')) return;
+  return (
+    <div className="transform-list">
+      {items.length === 0 && <p className="feature-desc">No transforms yet. Requests are forwarded unchanged.</p>}
+      {items.map((item, index) => (
+        <div
+          key={item.id}
+          className={`transform-row ${dragIndex === index ? 'dragging' : ''} ${dropIndex === index && dragIndex !== index ? 'drop-target' : ''} ${errors[`transforms.${index}`] ? 'has-error' : ''}`}
+          draggable={armedIndex === index}
+          onDragStart={e => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(index));
+            setDragIndex(index);
+          }}
+          onDragOver={e => {
+            if (dragIndex === null) return;
+            e.preventDefault();
+            setDropIndex(index);
+          }}
+          onDrop={e => {
+            e.preventDefault();
+            if (dragIndex !== null && dragIndex !== index) moveItem(dragIndex, index);
+            endDrag();
+          }}
+          onDragEnd={endDrag}
+        >
+          <div className="transform-header">
+            <span
+              className="drag-handle"
+              title="Drag to reorder"
+              onMouseDown={() => setArmedIndex(index)}
+              onMouseUp={() => setArmedIndex(null)}
+            >
+              ⋮⋮
+            </span>
+            <span className="transform-order">{index + 1}</span>
+            <span className="transform-type">{item.type}</span>
+            <button type="button" className="btn btn-danger btn-sm" onClick={() => removeItem(index)}>
+              x
+            </button>
+          </div>
+          {renderFields(item, index)}
+          <FieldError error={errors[`transforms.${index}`]} />
+        </div>
+      ))}
+      <div className="transform-add">
+        <select className="form-input" value={newType} onChange={e => setNewType(e.target.value)}>
+          {groups.map(group => (
+            <optgroup key={group} label={group}>
+              {TRANSFORM_TYPES.filter(t => t.group === group).map(t => (
+                <option key={t.type} value={t.type}>{t.type}</option>
+              ))}
+            </optgroup>
+          ))}
+          <option value={CUSTOM_TRANSFORM}>Custom (raw keys)</option>
+        </select>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={() => onChange([...items, createTransform(newType)])}>
+          + Add Transform
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// API client - every call to YarpAdminController goes through apiRequest so failures surface consistently
+const API_BASE = '/api/yarp-admin';
+
+// Identifies this tab to the server so live change notifications it caused can be skipped
+const CLIENT_ID = window.crypto?.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+class ApiError extends Error {
+  constructor(status, message, fieldErrors = {}, body = null) {
+    super(message);
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.body = body;
+  }
+}
+
+// Handles both the controller's { message } bodies and ASP.NET ProblemDetails / ModelState responses.
+// A configuration validation 400 carries an errors array instead, which has no field names.
+const parseErrorBody = (status, body) => {
+  const fieldErrors = {};
+  if (body && body.errors && typeof body.errors === 'object' && !Array.isArray(body.errors)) {
+    Object.entries(body.errors).forEach(([field, messages]) => {
+      fieldErrors[field] = Array.isArray(messages) ? messages.join(' ') : String(messages);
+    });
+  }
+  const message = body?.message || body?.detail || body?.title || `Request failed with status ${status}`;
+  return new ApiError(status, message, fieldErrors, body);
+};
+
+// Returns the parsed body together with the response's ETag, for a later If-Match precondition
+const apiRequestWithETag = async (path, { method = 'GET', body } = {}) => {
+  const res = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: {
+      'X-YarpAdmin-Client': CLIENT_ID,
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const text = await res.text();
+  let data = null;
+  if (text) {
     try {
-      await fetch(`/api/yarp-admin/routes/${routeId}`, { method: 'DELETE' });
-      showNotification('Route deleted');
-      fetchData();
+      data = JSON.parse(text);
     } catch (err) {
-      showNotification('Failed to delete route', 'error');
+      data = { message: text };
     }
-  };
+  }
 
-  const handleSaveCluster = async (cluster) => {
-    try {
-      const method = clusters.find(c => c.clusterId === cluster.clusterId) ? 'PUT' : 'POST';
-      const res = await fetch(`/api/yarp-admin/clusters${method === 'PUT' ? `/${cluster.clusterId}` : ''}`, {
-        method,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(cluster)
-      });
-      if (res.ok) {
-        showNotification('Cluster saved successfully');
-        fetchData();
-        setEditingCluster(null);
+  if (!res.ok) throw parseErrorBody(res.status, data);
+  return { data, etag: res.headers.get('ETag') };
+};
+
+const apiRequest = async (path, options) => (await apiRequestWithETag(path, options)).data;
+
+// Toast text for a change pushed from /events, e.g. "route api-v2 updated by alice"
+const describeConfigurationChange = (notification) => {
+  const by = notification.user ? ` by ${notification.user}` : '';
+  const { changes } = notification;
+  if (changes.length === 1) return `${changes[0].entityType} ${changes[0].entityId} ${changes[0].changeType}${by}`;
+  if (changes.length > 1) return `${changes.length} routes and clusters changed${by}`;
+  return `Configuration reloaded${by}`;
+};
+
+// Conflict Panel - the user's version next to the server's, after apply found the entity changed underneath them
+const ConflictPanel = ({ conflict, mine, entityLabel, onOverwrite, onReload }) => (
+  <div className="conflict-panel">
+    <div className="conflict-banner">
+      <span>
+        {conflict.current
+          ? `This ${entityLabel} was changed by someone else after you started editing it.`
+          : `This ${entityLabel} was deleted by someone else after you started editing it.`}
+      </span>
+      <div className="conflict-actions">
+        <button type="button" className="btn btn-danger btn-sm" onClick={onOverwrite}>
+          {conflict.current ? 'Overwrite' : 'Recreate'}
+        </button>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={onReload}>
+          {conflict.current ? 'Reload' : 'Discard Mine'}
+        </button>
+      </div>
+    </div>
+    <JsonDiff before={conflict.current} after={mine} labels={['Server version', 'Your version']} />
+  </div>
+);
+
+// Remote Change Notice - warns that the entity open in a modal was changed from another dashboard
+const RemoteChangeNotice = ({ change, entityLabel, onReload }) => {
+  const who = change.user || 'another user';
+  const message = change.changeType === 'deleted'
+    ? `This ${entityLabel} was deleted by ${who} while you were editing it. Saving will recreate it.`
+    : change.changeType === 'reloaded'
+      ? `The configuration was replaced by ${who} while you were editing this ${entityLabel}. Saving will overwrite whatever it now holds.`
+      : `This ${entityLabel} was ${change.changeType} by ${who} while you were editing it. Saving will overwrite their change.`;
+
+  return (
+    <div className="conflict-banner">
+      <span>{message}</span>
+      <button type="button" className="btn btn-secondary btn-sm" onClick={onReload}>
+        {change.changeType === 'deleted' ? 'Close' : 'Load Latest'}
+      </button>
+    </div>
+  );
+};
+
+// Server-side field paths (e.g. "$.match.path", "HealthCheck.Active.Interval") mapped onto modal form fields
+const ROUTE_ERROR_FIELDS = {
+  routeid: 'routeId',
+  clusterid: 'clusterId',
+  order: 'order',
+  'match.path': 'path',
+  'match.methods': 'methods',
+  'match.hosts': 'hosts',
+  'match.headers': 'headers',
+  'match.queryparameters': 'queryParameters',
+  transforms: 'transforms',
+  metadata: 'metadata'
+};
+
+const CLUSTER_ERROR_FIELDS = {
+  clusterid: 'clusterId',
+  'sessionaffinity.affinitykeyname': 'sessionAffinityKeyName',
+  'healthcheck.passive.reactivationperiod': 'passiveHealthReactivationPeriod',
+  'healthcheck.active.interval': 'activeHealthInterval',
+  'healthcheck.active.timeout': 'activeHealthTimeout',
+  'healthcheck.active.path': 'activeHealthPath',
+  'httpclient.maxconnectionsperserver': 'maxConnectionsPerServer',
+  'httprequest.activitytimeout': 'activityTimeout',
+  metadata: 'metadata'
+};
+
+const mapServerErrors = (fieldErrors, entityType, entity) => {
+  const table = entityType === 'route' ? ROUTE_ERROR_FIELDS : CLUSTER_ERROR_FIELDS;
+  const fields = {};
+  const unmapped = [];
+
+  Object.entries(fieldErrors).forEach(([rawField, message]) => {
+    const path = rawField.replace(/^\$\.?/, '').replace(/^(route|cluster)\./i, '').toLowerCase();
+    const indexed = /^(.*?)\[([^\]]+)\]/.exec(path);
+    const base = indexed ? indexed[1] : path;
+
+    if (entityType === 'cluster' && base === 'destinations' && indexed) {
+      const ids = Object.keys(entity?.destinations || {});
+      const index = ids.findIndex(id => id.toLowerCase() === indexed[2].replace(/['"]/g, ''));
+      if (index !== -1) {
+        fields[`destinations.${index}`] = message;
+        return;
       }
-    } catch (err) {
-      showNotification('Failed to save cluster', 'error');
     }
-  };
 
-  const handleDeleteCluster = async (clusterId) => {
-    if (!confirm('Are you sure you want to delete this cluster?')) return;
-    try {
-      await fetch(`/api/yarp-admin/clusters/${clusterId}`, { method: 'DELETE' });
-      showNotification('Cluster deleted');
-      fetchData();
-    } catch (err) {
-      showNotification('Failed to delete cluster', 'error');
+    const field = table[base] || table[Object.keys(table).find(key => base.startsWith(`${key}.`))];
+    if (!field) {
+      unmapped.push(`${rawField}: ${message}`);
+    } else if (indexed && /^\d+$/.test(indexed[2]) && ['headers', 'queryParameters', 'transforms'].includes(field)) {
+      fields[`${field}.${indexed[2]}`] = message;
+    } else {
+      fields[field] = message;
     }
+  });
+
+  return { fields, unmapped };
+};
+
+// Shown on mutation controls when the server has AllowConfigurationChanges = false
+const READ_ONLY_TOOLTIP = 'Configuration changes are disabled on this server';
+
+// Destination health - polled from YARP's runtime state while the dashboard is open
+const HEALTH_REFRESH_MS = 10000;
+const HEALTH_LABELS = { healthy: 'Healthy', unhealthy: 'Unhealthy', unknown: 'Unknown' };
+
+// Draining destinations finish their affinity sessions but get no new ones; disabled ones are left out of YARP
+const DESTINATION_STATES = [
+  { value: 'active', label: 'Active' },
+  { value: 'draining', label: 'Draining' },
+  { value: 'disabled', label: 'Disabled' }
+];
+
+const destinationState = (destination) => (destination.state || 'active').toLowerCase();
+
+const withDestinationState = (cluster, destinationId, state) => {
+  const { state: removed, ...destination } = cluster.destinations[destinationId];
+  return {
+    ...cluster,
+    destinations: { ...cluster.destinations, [destinationId]: state === 'active' ? destination : { ...destination, state } }
   };
+};
 
-  const handleApplyConfig = async () => {
-    try {
-      const res = await fetch('/api/yarp-admin/apply', { method: 'POST' });
-      if (res.ok) {
-        showNotification('Configuration applied successfully');
-      }
-    } catch (err) {
-      showNotification('Failed to apply configuration', 'error');
-    }
+// The Weighted policy splits traffic in proportion to each destination's weight; unset weights count as 1
+const WEIGHTED_POLICY = 'Weighted';
+const DEFAULT_DESTINATION_WEIGHT = 1;
+const MAX_DESTINATION_WEIGHT = 1000000;
+
+const destinationWeight = (destination) => destination.weight ?? DEFAULT_DESTINATION_WEIGHT;
+
+// Rounded percentage of traffic per destination id; disabled destinations get none
+const destinationShares = (destinations) => {
+  const entries = Object.entries(destinations || {}).filter(([, d]) => destinationState(d) !== 'disabled');
+  const total = entries.reduce((sum, [, d]) => sum + destinationWeight(d), 0);
+  return Object.fromEntries(entries.map(([id, d]) => [id, total === 0
+    ? Math.round(100 / entries.length)
+    : Math.round((destinationWeight(d) / total) * 100)]));
+};
+
+// Gives one destination `percent` of the traffic and splits the rest across the other enabled destinations
+// in proportion to their current weights, rounding so the weights add up to 100
+const withDestinationShare = (cluster, destinationId, percent) => {
+  const others = Object.entries(cluster.destinations)
+    .filter(([id, d]) => id !== destinationId && destinationState(d) !== 'disabled');
+  const otherTotal = others.reduce((sum, [, d]) => sum + destinationWeight(d), 0);
+  const exact = others.map(([id, d]) => ({
+    id,
+    value: (100 - percent) * (otherTotal === 0 ? 1 / others.length : destinationWeight(d) / otherTotal)
+  }));
+  const weights = Object.fromEntries(exact.map(e => [e.id, Math.floor(e.value)]));
+  let remainder = 100 - percent - exact.reduce((sum, e) => sum + weights[e.id], 0);
+  [...exact].sort((a, b) => (b.value % 1) - (a.value % 1)).forEach(e => {
+    if (remainder-- > 0) weights[e.id] += 1;
+  });
+  weights[destinationId] = percent;
+
+  return {
+    ...cluster,
+    destinations: Object.fromEntries(Object.entries(cluster.destinations).map(([id, d]) =>
+      [id, id in weights ? { ...d, weight: weights[id] } : d]))
+  };
+};
+
+// Either check reporting Unhealthy wins; Unknown means no check has run (or none is configured)
+const destinationHealthLevel = (destination) => {
+  if (!destination) return 'unknown';
+  if (destination.active === 'Unhealthy' || destination.passive === 'Unhealthy') return 'unhealthy';
+  if (destination.active === 'Healthy' || destination.passive === 'Healthy') return 'healthy';
+  return 'unknown';
+};
+
+const formatSince = (timestamp) => {
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  return `${Math.floor(seconds / 3600)}h ago`;
+};
+
+// List filtering - state mirrors the URL query string so filtered views can be shared
+const EMPTY_FILTERS = { q: '', status: '', lb: '', health: '', sort: 'id' };
+const DASHBOARD_TABS = ['routes', 'clusters', 'topology', 'tester', 'health', 'cutover', 'history', 'audit', 'compare', 'import-export'];
+
+const readUrlState = () => {
+  const params = new URLSearchParams(window.location.search);
+  const tab = params.get('tab');
+  const filters = { ...EMPTY_FILTERS };
+  Object.keys(EMPTY_FILTERS).forEach(key => {
+    if (params.get(key)) filters[key] = params.get(key);
+  });
+  return { tab: DASHBOARD_TABS.includes(tab) ? tab : 'routes', filters };
+};
+
+const writeUrlState = (tab, filters) => {
+  const params = new URLSearchParams();
+  if (tab !== 'routes') params.set('tab', tab);
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value && value !== EMPTY_FILTERS[key]) params.set(key, value);
+  });
+  const search = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
+};
+
+const clusterPolicy = (cluster) => cluster.loadBalancingPolicy || 'RoundRobin';
+
+const hasHealthChecks = (cluster) =>
+  !!(cluster.healthCheck?.active?.enabled || cluster.healthCheck?.passive?.enabled);
+
+const matchesSearch = (query, values) => {
+  const needle = query.trim().toLowerCase();
+  return !needle || values.some(v => v != null && String(v).toLowerCase().includes(needle));
+};
+
+const filterRoutes = (routes, filters) => {
+  const visible = routes.filter(route =>
+    matchesSearch(filters.q, [
+      route.routeId,
+      route.clusterId,
+      route.match?.path,
+      ...(route.match?.hosts || []),
+      ...Object.values(route.metadata || {})
+    ]) &&
+    (filters.status !== 'enabled' || route.enabled !== false) &&
+    (filters.status !== 'disabled' || route.enabled === false));
+
+  const byId = (a, b) => a.routeId.localeCompare(b.routeId);
+  const comparers = {
+    id: byId,
+    order: (a, b) => (a.order ?? 0) - (b.order ?? 0) || byId(a, b),
+    cluster: (a, b) => (a.clusterId || '').localeCompare(b.clusterId || '') || byId(a, b)
+  };
+  return [...visible].sort(comparers[filters.sort] || byId);
+};
+
+const filterClusters = (clusters, filters) => {
+  const visible = clusters.filter(cluster =>
+    matchesSearch(filters.q, [
+      cluster.clusterId,
+      ...Object.entries(cluster.destinations || {}).flatMap(([id, d]) => [id, d.address]),
+      ...Object.values(cluster.metadata || {})
+    ]) &&
+    (!filters.lb || clusterPolicy(cluster) === filters.lb) &&
+    (filters.health !== 'yes' || hasHealthChecks(cluster)) &&
+    (filters.health !== 'no' || !hasHealthChecks(cluster)));
+
+  const byId = (a, b) => a.clusterId.localeCompare(b.clusterId);
+  const comparers = {
+    id: byId,
+    destinations: (a, b) =>
+      Object.keys(b.destinations || {}).length - Object.keys(a.destinations || {}).length || byId(a, b)
+  };
+  return [...visible].sort(comparers[filters.sort] || byId);
+};
+
+// Pending change helpers
+const entityKey = (entityType) => (entityType === 'route' ? 'routeId' : 'clusterId');
+
+// Strip nulls/empties and sort keys so server and modal payloads compare equal
+const normalizeEntity = (value) => {
+  if (Array.isArray(value)) return value.map(normalizeEntity);
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).sort().forEach(key => {
+      const normalized = normalizeEntity(value[key]);
+      if (normalized === null || normalized === undefined) return;
+      if (typeof normalized === 'object' && Object.keys(normalized).length === 0) return;
+      result[key] = normalized;
+    });
+    return result;
+  }
+  return value;
+};
+
+const entitiesEqual = (a, b) => JSON.stringify(normalizeEntity(a)) === JSON.stringify(normalizeEntity(b));
+
+// Replace any existing pending change for the entity; drop it when it matches the live state
+// etag is the server version the edit was based on; re-staging keeps the one recorded first
+const stagePendingChange = (changes, live, entityType, entityId, after, etag = null) => {
+  const previous = findPendingChange(changes, entityType, entityId);
+  const rest = changes.filter(c => c !== previous);
+  const before = live.find(e => e[entityKey(entityType)] === entityId) || null;
+  if (!before && !after) return rest;
+  if (before && after && entitiesEqual(before, after)) return rest;
+  const action = !before ? 'create' : !after ? 'delete' : 'update';
+  return [...rest, { entityType, entityId, action, before, after, etag: previous?.etag || etag }];
+};
+
+// First free "<id>-copy", "<id>-copy-2", ... for a duplicated route or cluster
+const suggestCopyId = (id, takenIds) => {
+  const base = `${id}-copy`;
+  if (!takenIds.includes(base)) return base;
+  let n = 2;
+  while (takenIds.includes(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+};
+
+// Copies of the routes using a duplicated cluster, pointed at the copy; ids swap in the new cluster id where they contain the old one
+const cloneClusterRoutes = (routes, sourceClusterId, newClusterId, takenIds) => {
+  const taken = [...takenIds];
+  return routes.filter(r => r.clusterId === sourceClusterId).map(route => {
+    const renamed = route.routeId.includes(sourceClusterId)
+      ? route.routeId.replaceAll(sourceClusterId, newClusterId)
+      : `${route.routeId}-${newClusterId}`;
+    const routeId = taken.includes(renamed) ? suggestCopyId(renamed, taken) : renamed;
+    taken.push(routeId);
+    return { ...JSON.parse(JSON.stringify(route)), routeId, clusterId: newClusterId };
+  });
+};
+
+// Template placeholders, e.g. {{service}}; same syntax as the server's ConfigTemplates
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+const findTemplateVariables = (text) => [...new Set([...text.matchAll(TEMPLATE_VARIABLE_PATTERN)].map(m => m[1]))];
+
+// Maps keyed by user-chosen names, whose keys may hold placeholders or environment names too
+const TEMPLATE_KEYED_MAPS = ['destinations', 'metadata'];
+
+// Replaces text in every string value, and in destination and metadata names, leaving property names alone
+const replaceInEntity = (value, literal, replacement, renameKeys = false) => {
+  if (typeof value === 'string') return value.replaceAll(literal, replacement);
+  if (Array.isArray(value)) return value.map(item => replaceInEntity(item, literal, replacement));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      renameKeys ? key.replaceAll(literal, replacement) : key,
+      replaceInEntity(item, literal, replacement, TEMPLATE_KEYED_MAPS.includes(key))
+    ]));
+  }
+  return value;
+};
+
+const findPendingChange = (changes, entityType, entityId) =>
+  changes.find(c => c.entityType === entityType && c.entityId === entityId);
+
+// Summary such as "2 routes and 1 cluster have errors" for a failed /validate
+const describeValidationErrors = (errors) => {
+  const count = (entityType) => new Set(errors.filter(e => e.entityType === entityType).map(e => e.entityId)).size;
+  const parts = [['route', count('route')], ['cluster', count('cluster')]]
+    .filter(([, n]) => n > 0)
+    .map(([entityType, n]) => `${n} ${entityType}${n === 1 ? '' : 's'}`);
+  const total = count('route') + count('cluster');
+  return `${parts.join(' and ')} ${total === 1 ? 'has' : 'have'} errors`;
+};
+
+// Live entities with pending edits and creations overlaid (deletions stay visible until applied)
+const applyPendingChanges = (live, changes, entityType) => {
+  const result = live.map(entity => {
+    const change = findPendingChange(changes, entityType, entity[entityKey(entityType)]);
+    return change?.after || entity;
+  });
+  changes
+    .filter(c => c.entityType === entityType && c.action === 'create')
+    .forEach(c => result.push(c.after));
+  return result;
+};
+
+// Entity-level differences between two configurations, shaped like pending changes
+const diffConfigurations = (before, after) => ['cluster', 'route'].flatMap(entityType => {
+  const list = entityType === 'route' ? 'routes' : 'clusters';
+  const id = entityKey(entityType);
+  const ids = [...new Set([...(before[list] || []), ...(after[list] || [])].map(e => e[id]))].sort();
+  return ids.reduce((changes, entityId) =>
+    stagePendingChange(changes, before[list] || [], entityType, entityId,
+      (after[list] || []).find(e => e[id] === entityId) || null), []);
+});
+
+// Clusters must exist before routes reference them, and routes must go before their clusters do
+const orderPendingChanges = (changes) => {
+  const rank = (c) => {
+    if (c.action === 'delete') return c.entityType === 'route' ? 2 : 3;
+    return c.entityType === 'cluster' ? 0 : 1;
   };
+  return [...changes].sort((a, b) => rank(a) - rank(b));
+};
+
+// All pending changes as one /batch request; the server applies them in the order above
+const buildBatch = (changes) => {
+  const upserts = (entityType) => changes
+    .filter(c => c.entityType === entityType && c.action !== 'delete')
+    .map(c => c.after);
+  const deletes = (entityType) => changes
+    .filter(c => c.entityType === entityType && c.action === 'delete')
+    .map(c => c.entityId);
+  return {
+    upsertClusters: upserts('cluster'),
+    upsertRoutes: upserts('route'),
+    deleteRoutes: deletes('route'),
+    deleteClusters: deletes('cluster'),
+    ifMatch: changes
+      .filter(c => c.etag)
+      .map(({ entityType, entityId, etag }) => ({ entityType, entityId, etag }))
+  };
+};
+
+// Find the pending change a failed batch points at, either from the controller's entityType/entityId
+// or from model binding error keys like "$.upsertRoutes[2].match.path"
+const locateBatchError = (err, changes, batch) => {
+  if (err.body?.entityType) {
+    return { change: findPendingChange(changes, err.body.entityType, err.body.entityId), fieldErrors: err.fieldErrors };
+  }
+
+  let located = null;
+  const fieldErrors = {};
+  Object.entries(err.fieldErrors).forEach(([key, message]) => {
+    const match = /^\$?\.?(upsertRoutes|upsertClusters)\[(\d+)\]\.?(.*)$/i.exec(key);
+    if (!match) return;
+    const entityType = match[1].toLowerCase() === 'upsertroutes' ? 'route' : 'cluster';
+    const entity = batch[entityType === 'route' ? 'upsertRoutes' : 'upsertClusters'][Number(match[2])];
+    const change = entity && findPendingChange(changes, entityType, entity[entityKey(entityType)]);
+    if (!change || (located && located !== change)) return;
+    located = change;
+    fieldErrors[match[3]] = message;
+  });
+  return { change: located, fieldErrors };
+};
+
+// Bulk edits - each returns the updated entity
+const withMetadata = (entity, key, value) => ({ ...entity, metadata: { ...(entity.metadata || {}), [key]: value } });
+
+const withoutMetadata = (entity, key) => {
+  const { [key]: removed, ...metadata } = entity.metadata || {};
+  return { ...entity, metadata: Object.keys(metadata).length > 0 ? metadata : undefined };
+};
+
+// Line-based LCS diff producing aligned left/right rows
+const diffLines = (beforeText, afterText) => {
+  const a = beforeText ? beforeText.split('\n') : [];
+  const b = afterText ? afterText.split('\n') : [];
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      rows.push({ left: a[i++], right: b[j++], type: 'same' });
+    } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      rows.push({ left: null, right: b[j++], type: 'added' });
+    } else {
+      rows.push({ left: a[i++], right: null, type: 'removed' });
+    }
+  }
+  return rows;
+};
+
+// Side-by-side JSON Diff Component
+const JsonDiff = ({ before, after, labels = ['Live', 'Pending'] }) => {
+  const toText = (value) => (value ? JSON.stringify(normalizeEntity(value), null, 2) : '');
+  const rows = diffLines(toText(before), toText(after));
 
   return (
-    <div className="yarp-admin">
-      <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;500;600;700&family=Outfit:wght@300;400;500;600;700&display=swap');
-        
-        * { box-sizing: border-box; margin: 0; padding: 0; }
-        
-        .yarp-admin {
-          font-family: 'Outfit', sans-serif;
-          min-height: 100vh;
-          background: linear-gradient(135deg, #0a0a0f 0%, #1a1a2e 50%, #0f0f1a 100%);
-          color: #e4e4e7;
-          position: relative;
-          overflow-x: hidden;
-        }
-        
+    <div className="json-diff">
+      <div className="json-diff-header">
+        <span>{labels[0]}</span>
+        <span>{labels[1]}</span>
+      </div>
+      {rows.map((row, index) => (
+        <div key={index} className="json-diff-row">
+          <pre className={`json-diff-cell ${row.type === 'removed' ? 'diff-removed' : ''}`}>{row.left ?? ''}</pre>
+          <pre className={`json-diff-cell ${row.type === 'added' ? 'diff-added' : ''}`}>{row.right ?? ''}</pre>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Pending Changes Review Panel
+const PendingChangesPanel = ({ changes, applying, onDiscard, onApply, onClose }) => {
+  const [expanded, setExpanded] = useState(null);
+  const [comment, setComment] = useState('');
+  const keyOf = (change) => `${change.entityType}:${change.entityId}`;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()} style={{ maxWidth: '1000px' }}>
+        <h2>Review Pending Changes</h2>
+        {changes.length === 0 ? (
+          <div className="empty-state">
+            <h3>No pending changes</h3>
+            <p>Applying will re-push the current configuration to YARP</p>
+          </div>
+        ) : (
+          <div className="pending-list">
+            {orderPendingChanges(changes).map(change => (
+              <div key={keyOf(change)} className="pending-item">
+                <div className="pending-item-header">
+                  <div className="card-title">
+                    <span className={`status-badge pending-${change.action}`}>{change.action}</span>
+                    <span className="meta-label">{change.entityType}</span>
+                    {change.entityId}
+                  </div>
+                  <div className="card-actions">
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => setExpanded(expanded === keyOf(change) ? null : keyOf(change))}
+                    >
+                      {expanded === keyOf(change) ? 'Hide Diff' : 'Show Diff'}
+                    </button>
+                    <button type="button" className="btn btn-danger btn-sm" onClick={() => onDiscard(change)}>
+                      Discard
+                    </button>
+                  </div>
+                </div>
+                {expanded === keyOf(change) && <JsonDiff before={change.before} after={change.after} />}
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="form-group">
+          <label className="form-label">Comment</label>
+          <input
+            className="form-input"
+            type="text"
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            placeholder="Optional - recorded with this version in the History tab"
+          />
+        </div>
+        <div className="form-actions">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>Close</button>
+          <button type="button" className="btn btn-primary" onClick={() => onApply(comment.trim())} disabled={applying}>
+            {applying ? 'Applying...' : `Apply ${changes.length} Change${changes.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Coloured pill for a Healthy / Unhealthy / Unknown state
+const HealthPill = ({ state, label, title }) => (
+  <span className={`health-pill health-${state.toLowerCase()}`} title={title}>
+    {label ? `${label}: ${state}` : state}
+  </span>
+);
+
+// Search / filter / sort controls for the Routes and Clusters tabs
+const ListToolbar = ({ entityType, filters, onChange, policies, shown, total, allSelected, onToggleAll }) => {
+  const set = (key, value) => onChange({ ...filters, [key]: value });
+  const filtered = Object.keys(EMPTY_FILTERS).some(key => filters[key] !== EMPTY_FILTERS[key]);
+
+  return (
+    <div className="list-toolbar">
+      {onToggleAll && (
+        <input
+          type="checkbox"
+          className="select-checkbox"
+          checked={allSelected}
+          onChange={onToggleAll}
+          disabled={shown === 0}
+          title={allSelected ? 'Clear selection' : `Select all ${shown} shown`}
+        />
+      )}
+      <input
+        className="form-input"
+        type="search"
+        value={filters.q}
+        onChange={e => set('q', e.target.value)}
+        placeholder={entityType === 'route'
+          ? 'Search id, path, host, cluster or metadata'
+          : 'Search id, destination or metadata'}
+      />
+      {entityType === 'route' ? (
+        <select className="form-input" value={filters.status} onChange={e => set('status', e.target.value)}>
+          <option value="">All routes</option>
+          <option value="enabled">Enabled</option>
+          <option value="disabled">Disabled</option>
+        </select>
+      ) : (
+        <>
+          <select className="form-input" value={filters.lb} onChange={e => set('lb', e.target.value)}>
+            <option value="">All policies</option>
+            {policies.map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+          <select className="form-input" value={filters.health} onChange={e => set('health', e.target.value)}>
+            <option value="">Any health checks</option>
+            <option value="yes">Has health checks</option>
+            <option value="no">No health checks</option>
+          </select>
+        </>
+      )}
+      <select className="form-input" value={filters.sort} onChange={e => set('sort', e.target.value)}>
+        <option value="id">Sort by id</option>
+        {entityType === 'route' ? (
+          <>
+            <option value="order">Sort by order</option>
+            <option value="cluster">Sort by cluster</option>
+          </>
+        ) : (
+          <option value="destinations">Sort by destinations</option>
+        )}
+      </select>
+      <span className="meta-label">
+        {filtered ? `${shown} of ${total}` : `${total}`} {entityType === 'route' ? 'routes' : 'clusters'}
+      </span>
+      {filtered && (
+        <button className="btn btn-secondary btn-sm" onClick={() => onChange(EMPTY_FILTERS)}>Clear</button>
+      )}
+    </div>
+  );
+};
+
+// Bulk Action Bar - shown while routes or clusters are selected
+const BulkActionBar = ({ entityType, count, clusterIds, onEnable, onReassign, onAddMetadata, onRemoveMetadata, onDelete, onClear }) => {
+  const [targetCluster, setTargetCluster] = useState('');
+  const [metadataKey, setMetadataKey] = useState('');
+  const [metadataValue, setMetadataValue] = useState('');
+  const key = metadataKey.trim();
+
+  return (
+    <div className="bulk-bar">
+      <span className="bulk-count">{count} {entityType}{count === 1 ? '' : 's'} selected</span>
+
+      {entityType === 'route' && (
+        <>
+          <button className="btn btn-secondary btn-sm" onClick={() => onEnable(true)}>Enable</button>
+          <button className="btn btn-secondary btn-sm" onClick={() => onEnable(false)}>Disable</button>
+          <div className="bulk-group">
+            <select className="form-input" value={targetCluster} onChange={e => setTargetCluster(e.target.value)}>
+              <option value="">Move to cluster...</option>
+              {clusterIds.map(id => <option key={id} value={id}>{id}</option>)}
+            </select>
+            <button className="btn btn-secondary btn-sm" onClick={() => onReassign(targetCluster)} disabled={!targetCluster}>
+              Reassign
+            </button>
+          </div>
+        </>
+      )}
+
+      <div className="bulk-group">
+        <input className="form-input" value={metadataKey} onChange={e => setMetadataKey(e.target.value)} placeholder="Metadata key" />
+        <input className="form-input" value={metadataValue} onChange={e => setMetadataValue(e.target.value)} placeholder="Value" />
+        <button className="btn btn-secondary btn-sm" onClick={() => onAddMetadata(key, metadataValue)} disabled={!key}>Set</button>
+        <button className="btn btn-secondary btn-sm" onClick={() => onRemoveMetadata(key)} disabled={!key}>Remove</button>
+      </div>
+
+      <button className="btn btn-danger btn-sm" onClick={onDelete}>Delete</button>
+      <button className="btn btn-secondary btn-sm" onClick={onClear}>Clear Selection</button>
+    </div>
+  );
+};
+
+// YARP Admin Dashboard
+const YarpAdminDashboard = () => {
+  const [routes, setRoutes] = useState([]);
+  const [clusters, setClusters] = useState([]);
+  const [activeTab, setActiveTab] = useState(() => readUrlState().tab);
+  const [filters, setFilters] = useState(() => readUrlState().filters);
+  const [loading, setLoading] = useState(true);
+  const [editingRoute, setEditingRoute] = useState(null);
+  const [editingCluster, setEditingCluster] = useState(null);
+  const [notification, setNotification] = useState(null);
+  const [pendingChanges, setPendingChanges] = useState([]);
+  const [reviewingChanges, setReviewingChanges] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [errorBanner, setErrorBanner] = useState(null);
+  const [modalServerErrors, setModalServerErrors] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [health, setHealth] = useState({ clusters: [], error: null, updatedAt: null });
+  const [selection, setSelection] = useState({ route: [], cluster: [] });
+  const [remoteChange, setRemoteChange] = useState(null);
+  const [modalRevision, setModalRevision] = useState(0);
+  const [editingETag, setEditingETag] = useState(null);
+  const [duplicateOf, setDuplicateOf] = useState(null);
+  const [fromTemplate, setFromTemplate] = useState(null);
+  const [templatePicker, setTemplatePicker] = useState(null);
+  const [savingTemplate, setSavingTemplate] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [validationErrors, setValidationErrors] = useState([]);
+
+  // Read from the event stream handler, which is registered once
+  const openEntityRef = useRef(null);
+  openEntityRef.current = duplicateOf || fromTemplate ? null
+    : editingRoute?.routeId ? { entityType: 'route', entityId: editingRoute.routeId }
+    : editingCluster?.clusterId ? { entityType: 'cluster', entityId: editingCluster.clusterId }
+    : null;
+
+  useEffect(() => {
+    fetchSettings();
+    fetchData();
+  }, []);
+
+  // The ETag of the entity open in a modal is what its staged change must still match at apply time
+  useEffect(() => {
+    const open = openEntityRef.current;
+    setEditingETag(null);
+    if (!open) return;
+
+    const staged = findPendingChange(pendingChanges, open.entityType, open.entityId);
+    if (staged) {
+      setEditingETag(staged.etag);
+      return;
+    }
+
+    let cancelled = false;
+    apiRequestWithETag(`/${open.entityType}s/${encodeURIComponent(open.entityId)}`)
+      .then(({ data, etag }) => {
+        if (cancelled) return;
+        const base = open.entityType === 'route' ? editingRoute : editingCluster;
+        if (entitiesEqual(base, data)) {
+          setEditingETag(etag);
+        } else {
+          // The modal opened on a stale copy; the live update will refresh the lists
+          setRemoteChange({ changeType: 'updated', user: null });
+          syncData();
+        }
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [editingRoute?.routeId, editingCluster?.clusterId, duplicateOf, fromTemplate, modalRevision]);
+
+  // Changes made from other dashboards arrive over server-sent events; EventSource reconnects on its own
+  useEffect(() => {
+    const source = new EventSource(`${API_BASE}/events`);
+    source.onmessage = (event) => {
+      const notification = JSON.parse(event.data);
+      if (notification.clientId === CLIENT_ID) return;
+
+      syncData();
+      showNotification(describeConfigurationChange(notification), 'info');
+
+      const open = openEntityRef.current;
+      const affected = notification.changeType === 'reloaded' ? { changeType: 'reloaded' }
+        : notification.changes.find(c => open && c.entityType === open.entityType && c.entityId === open.entityId);
+      if (open && affected) setRemoteChange({ changeType: affected.changeType, user: notification.user });
+    };
+    return () => source.close();
+  }, []);
+
+  useEffect(() => {
+    writeUrlState(activeTab, filters);
+  }, [activeTab, filters]);
+
+  // Errors describe the pending changes they were found in; any edit makes them stale until the next apply
+  useEffect(() => {
+    setValidationErrors([]);
+  }, [pendingChanges]);
+
+  // Filters belong to the tab they were set on
+  const switchTab = (tab) => {
+    setActiveTab(tab);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  useEffect(() => {
+    fetchHealth();
+    const timer = setInterval(() => {
+      if (!document.hidden) fetchHealth();
+    }, HEALTH_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Polling failures stay inside the Health tab rather than raising the error banner every few seconds
+  const fetchHealth = async () => {
+    try {
+      const clusters = await apiRequest('/health');
+      setHealth({ clusters, error: null, updatedAt: new Date() });
+    } catch (err) {
+      setHealth(current => ({ ...current, error: err.message || 'Failed to load destination health' }));
+    }
+  };
+
+  const findDestinationHealth = (clusterId, destinationId) =>
+    health.clusters.find(c => c.clusterId === clusterId)?.destinations.find(d => d.destinationId === destinationId);
+
+  // Mutations stay disabled until the server confirms they are allowed
+  const readOnly = !settings || settings.readOnly;
+  const title = settings?.title || document.title;
+
+  const fetchSettings = async () => {
+    try {
+      setSettings(await apiRequest('/options'));
+    } catch (err) {
+      reportApiError(err, 'Failed to load admin settings');
+    }
+  };
+
+  const fetchData = async () => {
+    setLoading(true);
+    await syncData();
+    setLoading(false);
+  };
+
+  // Refreshes the lists in place, without the loading spinner, for live updates
+  const syncData = async () => {
+    try {
+      const [routesData, clustersData] = await Promise.all([
+        apiRequest('/routes'),
+        apiRequest('/clusters')
+      ]);
+      setRoutes(routesData);
+      setClusters(clustersData);
+    } catch (err) {
+      reportApiError(err, 'Failed to fetch configuration');
+    }
+  };
+
+  // Persistent banner for API failures; network errors have no ApiError details
+  const reportApiError = (err, context, details = []) => {
+    const message = err instanceof ApiError ? `${context}: ${err.message}` : context;
+    const fieldDetails = err instanceof ApiError && details.length === 0
+      ? Object.entries(err.fieldErrors).map(([field, msg]) => `${field}: ${msg}`)
+      : details;
+    setErrorBanner({ message, details: fieldDetails });
+  };
+
+  const showNotification = (message, type = 'success') => {
+    setNotification({ message, type });
+    setTimeout(() => setNotification(null), 3000);
+  };
+
+  const closeRouteModal = () => {
+    setEditingRoute(null);
+    setModalServerErrors(null);
+    setRemoteChange(null);
+    setConflict(null);
+    setDuplicateOf(null);
+    setFromTemplate(null);
+  };
+
+  const closeClusterModal = () => {
+    setEditingCluster(null);
+    setModalServerErrors(null);
+    setRemoteChange(null);
+    setConflict(null);
+    setDuplicateOf(null);
+    setFromTemplate(null);
+  };
+
+  // Discards the open modal's edits in favour of the server's current copy, or closes it if that is gone
+  const reloadRouteModal = () => {
+    const latest = routes.find(r => r.routeId === editingRoute.routeId);
+    if (!latest) return closeRouteModal();
+    setEditingRoute(latest);
+    setModalServerErrors(null);
+    setRemoteChange(null);
+    setModalRevision(revision => revision + 1);
+  };
+
+  const reloadClusterModal = () => {
+    const latest = clusters.find(c => c.clusterId === editingCluster.clusterId);
+    if (!latest) return closeClusterModal();
+    setEditingCluster(latest);
+    setModalServerErrors(null);
+    setRemoteChange(null);
+    setModalRevision(revision => revision + 1);
+  };
+
+  // Opens the modal on a copy of the entity under a free id; nothing is staged until it is saved
+  const handleDuplicateRoute = (route) => {
+    setDuplicateOf(route.routeId);
+    setEditingRoute({ ...JSON.parse(JSON.stringify(route)), routeId: suggestCopyId(route.routeId, displayedRoutes.map(r => r.routeId)) });
+  };
+
+  const handleDuplicateCluster = (cluster) => {
+    setDuplicateOf(cluster.clusterId);
+    setEditingCluster({ ...JSON.parse(JSON.stringify(cluster)), clusterId: suggestCopyId(cluster.clusterId, displayedClusters.map(c => c.clusterId)) });
+  };
+
+  // A filled-in template opens as a new entity; like any add, nothing is staged until it is saved
+  const handleUseTemplate = (entity, template) => {
+    setTemplatePicker(null);
+    setFromTemplate(template.name);
+    if (template.entityType === 'route') setEditingRoute(entity);
+    else setEditingCluster(entity);
+  };
+
+  const handleTemplateSaved = (template) => {
+    setSavingTemplate(null);
+    showNotification(`Template '${template.name}' saved`);
+  };
+
+  // Keep the user's version: rebase it on the server's ETag so saving and applying replaces theirs
+  const overwriteConflict = () => {
+    const { entityType, entityId, etag } = conflict;
+    setPendingChanges(changes => changes.map(c =>
+      c.entityType === entityType && c.entityId === entityId ? { ...c, etag } : c));
+    setEditingETag(etag);
+    setConflict(null);
+    showNotification(`Save and apply to replace the server's ${entityType}`);
+  };
+
+  // Drop the user's version and reopen the modal on the server's, or close it if the entity is gone
+  const reloadConflict = () => {
+    const { entityType, entityId, current } = conflict;
+    setPendingChanges(changes => changes.filter(c => !(c.entityType === entityType && c.entityId === entityId)));
+    setConflict(null);
+    setModalServerErrors(null);
+    syncData();
+    if (!current) {
+      if (entityType === 'route') closeRouteModal();
+      else closeClusterModal();
+      return;
+    }
+    if (entityType === 'route') setEditingRoute(current);
+    else setEditingCluster(current);
+    setModalRevision(revision => revision + 1);
+  };
+
+  // Stages { entityType, entityId, after } updates with the ETag of each live entity they replace, like the
+  // modals do; refuses when the server already holds a different version than the one on screen
+  const stageWithETags = async (updates, message) => {
+    const liveEntity = (entityType, entityId) =>
+      (entityType === 'route' ? routes : clusters).find(e => e[entityKey(entityType)] === entityId);
+    try {
+      const fetched = await Promise.all(updates
+        .filter(u => !findPendingChange(pendingChanges, u.entityType, u.entityId) && liveEntity(u.entityType, u.entityId))
+        .map(async ({ entityType, entityId }) => {
+          const { data, etag } = await apiRequestWithETag(`/${entityType}s/${encodeURIComponent(entityId)}`);
+          return { entityType, entityId, etag: entitiesEqual(liveEntity(entityType, entityId), data) ? etag : null };
+        }));
+      const stale = fetched.filter(f => !f.etag);
+      if (stale.length > 0) {
+        showNotification(`${stale.map(f => `${f.entityType} ${f.entityId}`).join(', ')} changed on the server - the lists have been refreshed, try again`, 'error');
+        syncData();
+        return;
+      }
+
+      const etagOf = (u) => fetched.find(f => f.entityType === u.entityType && f.entityId === u.entityId)?.etag;
+      setPendingChanges(changes => updates.reduce((staged, u) =>
+        stagePendingChange(staged, u.entityType === 'route' ? routes : clusters, u.entityType, u.entityId, u.after, etagOf(u)), changes));
+      showNotification(message);
+    } catch (err) {
+      reportApiError(err, 'Failed to stage changes');
+      syncData();
+    }
+  };
+
+  const handleSaveRoute = (route) => {
+    setPendingChanges(changes => stagePendingChange(changes, routes, 'route', route.routeId, route, editingETag));
+    showNotification('Route change staged - apply to make it live');
+    closeRouteModal();
+  };
+
+  const handleDeleteRoute = (routeId) => {
+    if (!confirm('Are you sure you want to delete this route?')) return;
+    stageWithETags([{ entityType: 'route', entityId: routeId, after: null }], 'Route deletion staged - apply to make it live');
+  };
+
+  const handleSaveCluster = (cluster, { cloneRoutes = false } = {}) => {
+    const copies = cloneRoutes && duplicateOf
+      ? cloneClusterRoutes(stagedRoutes, duplicateOf, cluster.clusterId, displayedRoutes.map(r => r.routeId))
+      : [];
+    setPendingChanges(changes => copies.reduce(
+      (staged, route) => stagePendingChange(staged, routes, 'route', route.routeId, route),
+      stagePendingChange(changes, clusters, 'cluster', cluster.clusterId, cluster, editingETag)));
+    showNotification(copies.length > 0
+      ? `Cluster and ${copies.length} route${copies.length === 1 ? '' : 's'} staged - apply to make them live`
+      : 'Cluster change staged - apply to make it live');
+    closeClusterModal();
+  };
+
+  const handleDestinationState = (cluster, destinationId, state) => {
+    stageWithETags([{ entityType: 'cluster', entityId: cluster.clusterId, after: withDestinationState(cluster, destinationId, state) }],
+      `Destination ${destinationId} set to ${state} - apply to make it live`);
+  };
+
+  // Canary weights are staged like any other cluster edit, on top of any changes already pending
+  const handleStageShare = (cluster, destinationId, percent) => {
+    stageWithETags([{ entityType: 'cluster', entityId: cluster.clusterId, after: withDestinationShare(cluster, destinationId, percent) }],
+      `${destinationId} set to ${percent}% of ${cluster.clusterId} traffic - apply to make it live`);
+  };
+
+  const handleDeleteCluster = (clusterId) => {
+    if (!confirm(`Are you sure you want to delete this cluster?${describeDependentRoutes(stagedRoutes, [clusterId])}`)) return;
+    stageWithETags([{ entityType: 'cluster', entityId: clusterId, after: null }], 'Cluster deletion staged - apply to make it live');
+  };
+
+  const handleDiscardChange = (change) => {
+    setPendingChanges(changes => changes.filter(c => c !== change));
+  };
+
+  // The batch is rejected as a whole; reopen the failing entity with the server's field errors when we can tell which
+  const handleBatchFailure = (err, batch) => {
+    const context = `Failed to apply ${pendingChanges.length} pending change${pendingChanges.length === 1 ? '' : 's'}`;
+    if (!(err instanceof ApiError)) {
+      reportApiError(err, context);
+      return;
+    }
+
+    const { change, fieldErrors } = locateBatchError(err, pendingChanges, batch);
+    if (err.status === 412 && change?.after) {
+      setReviewingChanges(false);
+      setConflict({ entityType: change.entityType, entityId: change.entityId, current: err.body.current, etag: err.body.etag });
+      if (change.entityType === 'route') setEditingRoute(change.after);
+      else setEditingCluster(change.after);
+      return;
+    }
+
+    if (!change?.after || Object.keys(fieldErrors).length === 0) {
+      reportApiError(err, change ? `${context} (${change.entityType} '${change.entityId}')` : context);
+      return;
+    }
+
+    const { fields, unmapped } = mapServerErrors(fieldErrors, change.entityType, change.after);
+    reportApiError(err, `${context} (${change.entityType} '${change.entityId}')`, unmapped);
+    setReviewingChanges(false);
+    setModalServerErrors(fields);
+    if (change.entityType === 'route') setEditingRoute(change.after);
+    else setEditingCluster(change.after);
+  };
+
+  const handleApplyConfig = async (comment) => {
+    setApplying(true);
+    setErrorBanner(null);
+    try {
+      const batch = buildBatch(pendingChanges);
+      const validation = await apiRequest('/validate', { method: 'POST', body: batch });
+      if (!validation.valid) {
+        setValidationErrors(validation.errors);
+        setReviewingChanges(false);
+        switchTab(validation.errors[0].entityType === 'route' ? 'routes' : 'clusters');
+        showNotification(`Apply blocked: ${describeValidationErrors(validation.errors)} - see the highlighted cards`, 'error');
+        return;
+      }
+
+      const applied = pendingChanges;
+      try {
+        await apiRequest('/batch', { method: 'POST', body: batch });
+      } catch (err) {
+        handleBatchFailure(err, batch);
+        return;
+      }
+      // The batch is committed and live from here on, so its changes are no longer pending even if /apply fails
+      setPendingChanges(current => current.filter(change => !applied.includes(change)));
+      setReviewingChanges(false);
+
+      try {
+        const result = await apiRequest('/apply', { method: 'POST', body: { comment: comment || null } });
+        showNotification(`Configuration applied as version ${result.version}`);
+      } catch (err) {
+        reportApiError(err, 'Changes were saved and are live, but no history version was recorded');
+      }
+    } catch (err) {
+      reportApiError(err, 'Failed to apply configuration');
+    } finally {
+      setApplying(false);
+      fetchData();
+    }
+  };
+
+  const toggleSelected = (entityType, id) => setSelection(current => ({
+    ...current,
+    [entityType]: current[entityType].includes(id)
+      ? current[entityType].filter(x => x !== id)
+      : [...current[entityType], id]
+  }));
+
+  const setSelected = (entityType, ids) => setSelection(current => ({ ...current, [entityType]: ids }));
+
+  // One pending change per selected entity; update returns the new entity, or null to delete it
+  const stageBulkChange = (entityType, entities, update, description) => {
+    const id = entityKey(entityType);
+    stageWithETags(entities.map(entity => ({ entityType, entityId: entity[id], after: update(entity) })),
+      `${description} staged for ${entities.length} ${entityType}${entities.length === 1 ? '' : 's'} - apply to make it live`);
+  };
+
+  const handleBulkDelete = (entityType, entities) => {
+    const dependents = entityType === 'cluster'
+      ? describeDependentRoutes(stagedRoutes, entities.map(c => c.clusterId))
+      : '';
+    if (!confirm(`Are you sure you want to delete ${entities.length} ${entityType}${entities.length === 1 ? '' : 's'}?${dependents}`)) return;
+    stageBulkChange(entityType, entities, () => null, 'Deletion');
+    setSelected(entityType, []);
+  };
+
+  // Differences pulled in from another environment; after is null for entities to remove
+  const handleStageComparison = (differences) => {
+    stageWithETags(differences,
+      `${differences.length} change${differences.length === 1 ? '' : 's'} from the other environment staged - apply to make them live`);
+  };
+
+  // Entities picked from an import file, staged like any other edit
+  const handleStageImport = (entities) => {
+    stageWithETags(entities,
+      `${entities.length} imported entit${entities.length === 1 ? 'y' : 'ies'} staged - apply to make them live`);
+  };
+
+  const displayedRoutes = applyPendingChanges(routes, pendingChanges, 'route');
+  const displayedClusters = applyPendingChanges(clusters, pendingChanges, 'cluster');
+  const stagedRoutes = displayedRoutes.filter(r => findPendingChange(pendingChanges, 'route', r.routeId)?.action !== 'delete');
+  const stagedClusters = displayedClusters.filter(c => findPendingChange(pendingChanges, 'cluster', c.clusterId)?.action !== 'delete');
+  const visibleRoutes = filterRoutes(displayedRoutes, filters);
+  const visibleClusters = filterClusters(displayedClusters, filters);
+  const loadBalancingPolicies = [...new Set(displayedClusters.map(clusterPolicy))].sort();
+  const selectedRoutes = displayedRoutes.filter(r => selection.route.includes(r.routeId));
+  const selectedClusters = displayedClusters.filter(c => selection.cluster.includes(c.clusterId));
+
+  const renderValidationErrors = (entityType, entityId) => {
+    const errors = validationErrors.filter(e => e.entityType === entityType && e.entityId === entityId);
+    if (errors.length === 0) return null;
+    return (
+      <div className="validation-errors">
+        {errors.map((error, index) => <p key={index} className="field-error">{error.message}</p>)}
+      </div>
+    );
+  };
+
+  const renderPendingBadge = (entityType, entityId) => {
+    const change = findPendingChange(pendingChanges, entityType, entityId);
+    if (!change) return null;
+    return <span className={`status-badge pending-${change.action}`}>Pending {change.action}</span>;
+  };
+
+  return (
+    <div className="yarp-admin">
+      <style>{`
+        @import url('https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;500;600;700&family=Outfit:wght@300;400;500;600;700&display=swap');
+        
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        
+        .yarp-admin {
+          font-family: 'Outfit', sans-serif;
+          min-height: 100vh;
+          background: linear-gradient(135deg, #0a0a0f 0%, #1a1a2e 50%, #0f0f1a 100%);
+          color: #e4e4e7;
+          position: relative;
+          overflow-x: hidden;
+        }
+        
         .yarp-admin::before {
           content: '';
           position: fixed;
@@ -571,6 +2115,61 @@ const YarpAdminDashboard = () => {
         .destination-row .form-input {
           flex: 1;
         }
+
+        .destination-row .destination-state-select {
+          flex: none;
+          width: auto;
+        }
+
+        .traffic-split {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+        }
+
+        .traffic-split .form-input {
+          width: auto;
+          padding: 0.25rem 0.5rem;
+          font-size: 0.75rem;
+        }
+
+        .traffic-split input[type="range"] {
+          flex: 1;
+          min-width: 8rem;
+          accent-color: #6366f1;
+        }
+
+        .destination-row .destination-weight-input {
+          flex: none;
+          width: 5.5rem;
+        }
+
+        .destination-line .destination-state-select {
+          width: auto;
+          padding: 0.25rem 0.5rem;
+          font-size: 0.75rem;
+        }
+
+        .destination-line.destination-disabled > span:first-child {
+          color: #71717a;
+          text-decoration: line-through;
+        }
+
+        .status-disabled {
+          background: rgba(161, 161, 170, 0.15);
+          color: #a1a1aa;
+        }
+
+        .destination-item .feature-desc {
+          margin-top: 0.25rem;
+        }
+
+        .destination-details {
+          margin-top: 0.5rem;
+          padding: 0.75rem;
+          border: 1px solid rgba(255,255,255,0.06);
+          border-radius: 8px;
+        }
         
         .notification {
           position: fixed;
@@ -600,6 +2199,12 @@ const YarpAdminDashboard = () => {
           border: 1px solid rgba(239, 68, 68, 0.3);
           color: #f87171;
         }
+
+        .notification.info {
+          background: rgba(59, 130, 246, 0.15);
+          border: 1px solid rgba(59, 130, 246, 0.3);
+          color: #60a5fa;
+        }
         
         .loading {
           display: flex;
@@ -739,9 +2344,89 @@ const YarpAdminDashboard = () => {
           flex: 1;
         }
 
-        .form-row {
-          display: grid;
-          grid-template-columns: 1fr 1fr;
+        .transform-list {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+
+        .transform-row {
+          padding: 0.75rem;
+          border: 1px solid rgba(255,255,255,0.08);
+          border-radius: 8px;
+          background: rgba(255,255,255,0.02);
+        }
+
+        .transform-row.dragging {
+          opacity: 0.5;
+        }
+
+        .transform-row.drop-target {
+          border-color: rgba(99, 102, 241, 0.6);
+        }
+
+        .transform-row.has-error {
+          border-color: rgba(239, 68, 68, 0.4);
+        }
+
+        .transform-header {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          margin-bottom: 0.5rem;
+        }
+
+        .drag-handle {
+          cursor: grab;
+          color: #64748b;
+          user-select: none;
+        }
+
+        .transform-order {
+          font-size: 0.75rem;
+          color: #64748b;
+        }
+
+        .transform-type {
+          flex: 1;
+          font-family: monospace;
+          font-size: 0.85rem;
+        }
+
+        .transform-fields {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+          gap: 0.5rem;
+        }
+
+        .transform-field {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+        }
+
+        .transform-keyed {
+          display: flex;
+          gap: 0.25rem;
+        }
+
+        .transform-keyed .form-input:first-child {
+          width: auto;
+        }
+
+        .transform-add {
+          display: flex;
+          gap: 0.5rem;
+          align-items: center;
+        }
+
+        .transform-add .form-input {
+          width: auto;
+        }
+
+        .form-row {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
           gap: 1rem;
         }
 
@@ -751,1232 +2436,4374 @@ const YarpAdminDashboard = () => {
           gap: 1rem;
         }
 
-        .warning-text {
+        .field-error {
           font-size: 0.75rem;
-          color: #fb923c;
+          color: #f87171;
           margin-top: 0.25rem;
         }
 
-        .inline-toggle {
+        .validation-errors {
+          border-left: 3px solid #f87171;
+          padding-left: 0.75rem;
+          margin-bottom: 1rem;
+        }
+
+        .feature-section.has-error {
+          border-color: rgba(239, 68, 68, 0.4);
+        }
+
+        .feature-error-mark {
+          font-size: 0.75rem;
+          font-weight: 400;
+          color: #f87171;
+        }
+
+        .btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+          transform: none;
+        }
+
+        .form-fieldset {
+          border: none;
+          margin: 0;
+          padding: 0;
+          min-width: 0;
+        }
+
+        .header-user {
+          color: #94a3b8;
+          font-size: 0.875rem;
+        }
+
+        .list-header {
           display: flex;
           align-items: center;
-          justify-content: space-between;
-          padding: 0.75rem 0;
+          gap: 1rem;
+          flex-wrap: wrap;
+          margin-bottom: 1.5rem;
         }
 
-        .inline-toggle-label {
+        .select-checkbox {
+          width: 1rem;
+          height: 1rem;
+          accent-color: #6366f1;
+          cursor: pointer;
+        }
+
+        .bulk-bar {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          flex-wrap: wrap;
+          padding: 0.75rem 1rem;
+          margin-bottom: 1.5rem;
+          border-radius: 12px;
+          background: rgba(99, 102, 241, 0.08);
+          border: 1px solid rgba(99, 102, 241, 0.25);
+        }
+
+        .bulk-count {
+          font-size: 0.875rem;
+          font-weight: 500;
+          margin-right: auto;
+        }
+
+        .bulk-group {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+
+        .bulk-group .form-input {
+          width: auto;
+          padding: 0.375rem 0.625rem;
+        }
+
+        .list-toolbar {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          flex: 1;
+          flex-wrap: wrap;
+        }
+
+        .list-toolbar input[type="search"] {
+          flex: 1;
+          min-width: 220px;
+        }
+
+        .list-toolbar select {
+          width: auto;
+        }
+
+        .tester-reasons {
+          margin: 0.5rem 0 0 1.25rem;
           font-size: 0.8125rem;
           color: #a1a1aa;
         }
 
-        .section-divider {
-          height: 1px;
-          background: rgba(255,255,255,0.06);
-          margin: 1rem 0;
+        .health-pill {
+          display: inline-block;
+          font-size: 0.6875rem;
+          font-weight: 500;
+          padding: 0.125rem 0.5rem;
+          border-radius: 999px;
+          white-space: nowrap;
         }
 
-        .sub-section {
-          padding: 0.75rem;
-          background: rgba(255,255,255,0.02);
-          border-radius: 8px;
-          margin-top: 0.75rem;
+        .health-healthy {
+          background: rgba(34, 197, 94, 0.15);
+          color: #4ade80;
         }
 
-        .sub-section-title {
+        .health-unhealthy {
+          background: rgba(239, 68, 68, 0.15);
+          color: #f87171;
+        }
+
+        .health-unknown {
+          background: rgba(148, 163, 184, 0.15);
+          color: #94a3b8;
+        }
+
+        .audit-meta {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 1rem;
+          font-size: 0.75rem;
+          color: #94a3b8;
+          margin-top: 0.25rem;
+        }
+
+        .transform-preview .meta-value {
+          word-break: break-all;
+        }
+
+        .transform-preview-headers {
+          width: 100%;
+          margin-top: 0.75rem;
+          border-collapse: collapse;
           font-size: 0.8125rem;
-          font-weight: 500;
+        }
+
+        .transform-preview-headers td {
+          padding: 0.375rem 0.5rem;
+          border-top: 1px solid rgba(255,255,255,0.06);
+          word-break: break-all;
+        }
+
+        .transform-preview-headers td:first-child {
+          width: 35%;
           color: #a1a1aa;
-          margin-bottom: 0.75rem;
+        }
+
+        .template-replace {
           display: flex;
+          gap: 0.5rem;
           align-items: center;
-          justify-content: space-between;
+          margin-bottom: 0.5rem;
         }
-      `}</style>
 
-      <div className="grid-overlay" />
-      
-      <div className="container">
-        <header className="header">
-          <div className="logo-section">
-            <div className="logo">YA</div>
-            <div className="title-group">
-              <h1>YARP Admin</h1>
-              <p>Reverse Proxy Configuration Manager</p>
-            </div>
-          </div>
-          <div className="header-actions">
-            <button className="btn btn-secondary" onClick={fetchData}>
-              <svg className="icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-              </svg>
-              Refresh
-            </button>
-            <button className="btn btn-primary" onClick={handleApplyConfig}>
-              <svg className="icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-              </svg>
-              Apply Config
-            </button>
-          </div>
-        </header>
+        .audit-pager {
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          gap: 1rem;
+          margin-top: 1rem;
+        }
 
-        <div className="tabs">
-          <button 
-            className={`tab ${activeTab === 'routes' ? 'active' : ''}`}
-            onClick={() => setActiveTab('routes')}
-          >
-            Routes ({routes.length})
-          </button>
-          <button 
-            className={`tab ${activeTab === 'clusters' ? 'active' : ''}`}
-            onClick={() => setActiveTab('clusters')}
-          >
-            Clusters ({clusters.length})
-          </button>
-        </div>
+        .history-compare {
+          display: flex;
+          gap: 0.5rem;
+          align-items: center;
+        }
 
-        {loading ? (
-          <div className="loading">
-            <div className="spinner" />
-          </div>
-        ) : (
-          <>
-            {activeTab === 'routes' && (
-              <div>
-                <div style={{ marginBottom: '1.5rem' }}>
-                  <button 
-                    className="btn btn-primary"
-                    onClick={() => setEditingRoute({ routeId: '', clusterId: '', match: { path: '' } })}
-                  >
-                    <svg className="icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                    </svg>
-                    Add Route
-                  </button>
-                </div>
-                
-                {routes.length === 0 ? (
-                  <div className="empty-state">
-                    <h3>No routes configured</h3>
-                    <p>Add your first route to get started</p>
-                  </div>
-                ) : (
-                  routes.map(route => (
-                    <div key={route.routeId} className="card">
-                      <div className="card-header">
-                        <div className="card-title">
-                          {route.routeId}
-                          <span className={`status-badge ${route.enabled !== false ? 'status-active' : 'status-inactive'}`}>
-                            {route.enabled !== false ? 'Active' : 'Inactive'}
-                          </span>
-                        </div>
-                        <div className="card-actions">
-                          <button className="btn btn-secondary btn-sm" onClick={() => setEditingRoute(route)}>
-                            Edit
-                          </button>
-                          <button className="btn btn-danger btn-sm" onClick={() => handleDeleteRoute(route.routeId)}>
-                            Delete
-                          </button>
-                        </div>
-                      </div>
-                      <div className="card-meta">
-                        <div className="meta-item">
-                          <span className="meta-label">Path Pattern</span>
-                          <span className="meta-value">{route.match?.path || 'N/A'}</span>
-                        </div>
-                        <div className="meta-item">
-                          <span className="meta-label">Cluster</span>
-                          <span className="meta-value">{route.clusterId}</span>
-                        </div>
-                        <div className="meta-item">
-                          <span className="meta-label">Methods</span>
-                          <span className="meta-value">{route.match?.methods?.join(', ') || 'All'}</span>
-                        </div>
+        .history-compare .form-input {
+          width: auto;
+        }
+
+        .topology-issues {
+          list-style: none;
+          margin-bottom: 1rem;
+        }
+
+        .topology-canvas {
+          overflow: auto;
+          padding: 1rem;
+          border: 1px solid rgba(255,255,255,0.08);
+          border-radius: 12px;
+          background: rgba(255,255,255,0.02);
+        }
+
+        .topology-heading {
+          fill: #64748b;
+          font-size: 0.75rem;
+          text-transform: uppercase;
+        }
+
+        .topology-edge {
+          fill: none;
+          stroke: rgba(148, 163, 184, 0.5);
+          stroke-width: 1.5;
+        }
+
+        .topology-edge.topology-error {
+          stroke: #f87171;
+          stroke-dasharray: 4 3;
+        }
+
+        .topology-node {
+          cursor: pointer;
+        }
+
+        .topology-node rect {
+          fill: rgba(30, 41, 59, 0.9);
+          stroke: rgba(99, 102, 241, 0.5);
+        }
+
+        .topology-node text {
+          fill: #e2e8f0;
+          font-size: 0.8rem;
+        }
+
+        .topology-node:hover rect,
+        .topology-node:focus rect {
+          stroke: #6366f1;
+          stroke-width: 2;
+        }
+
+        .topology-node:focus {
+          outline: none;
+        }
+
+        .topology-cluster rect {
+          stroke: rgba(59, 130, 246, 0.6);
+        }
+
+        .topology-destination.health-healthy rect {
+          stroke: #22c55e;
+        }
+
+        .topology-destination.health-unhealthy rect {
+          stroke: #f87171;
+        }
+
+        .topology-destination.health-unknown rect {
+          stroke: rgba(148, 163, 184, 0.5);
+        }
+
+        .topology-node.topology-error rect {
+          stroke: #f87171;
+          stroke-dasharray: 4 3;
+        }
+
+        .topology-node.topology-warning rect {
+          stroke: #fbbf24;
+        }
+
+        .topology-disabled text {
+          fill: #64748b;
+        }
+
+        .topology-dimmed {
+          opacity: 0.25;
+        }
+
+        .destination-line {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+
+        .health-toolbar {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          margin-bottom: 1.5rem;
+        }
+
+        .health-list {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+
+        .health-row {
+          display: grid;
+          grid-template-columns: 1fr auto auto;
+          align-items: center;
+          gap: 1rem;
+          padding: 0.75rem 1rem;
+          border-radius: 8px;
+          background: rgba(255,255,255,0.02);
+        }
+
+        .health-pills {
+          display: flex;
+          gap: 0.5rem;
+        }
+
+        .error-banner {
+          display: flex;
+          align-items: flex-start;
+          justify-content: space-between;
+          gap: 1rem;
+          padding: 1rem 1.25rem;
+          margin-bottom: 1.5rem;
+          border-radius: 12px;
+          background: rgba(239, 68, 68, 0.1);
+          border: 1px solid rgba(239, 68, 68, 0.3);
+          color: #f87171;
+          font-size: 0.875rem;
+        }
+
+        .error-banner ul {
+          margin: 0.5rem 0 0 1.25rem;
+          font-family: 'JetBrains Mono', monospace;
+          font-size: 0.75rem;
+        }
+
+        .conflict-banner {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 1rem;
+          padding: 0.75rem 1rem;
+          margin-bottom: 1rem;
+          border-radius: 8px;
+          background: rgba(251, 146, 60, 0.1);
+          border: 1px solid rgba(251, 146, 60, 0.3);
+          color: #fb923c;
+          font-size: 0.8125rem;
+        }
+
+        .conflict-panel {
+          margin-bottom: 1rem;
+        }
+
+        .conflict-panel .conflict-banner {
+          margin-bottom: 0.75rem;
+        }
+
+        .conflict-actions {
+          display: flex;
+          gap: 0.5rem;
+          flex-shrink: 0;
+        }
+
+        .warning-text {
+          font-size: 0.75rem;
+          color: #fb923c;
+          margin-top: 0.25rem;
+        }
+
+        .inline-toggle {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          padding: 0.75rem 0;
+        }
+
+        .inline-toggle-label {
+          font-size: 0.8125rem;
+          color: #a1a1aa;
+        }
+
+        .section-divider {
+          height: 1px;
+          background: rgba(255,255,255,0.06);
+          margin: 1rem 0;
+        }
+
+        .sub-section {
+          padding: 0.75rem;
+          background: rgba(255,255,255,0.02);
+          border-radius: 8px;
+          margin-top: 0.75rem;
+        }
+
+        .sub-section-title {
+          font-size: 0.8125rem;
+          font-weight: 500;
+          color: #a1a1aa;
+          margin-bottom: 0.75rem;
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        }
+
+        .pending-count {
+          min-width: 1.375rem;
+          height: 1.375rem;
+          padding: 0 0.375rem;
+          border-radius: 999px;
+          background: #fb923c;
+          color: #0a0a0f;
+          font-size: 0.75rem;
+          font-weight: 700;
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+        }
+
+        .pending-create {
+          background: rgba(34, 197, 94, 0.15);
+          color: #4ade80;
+        }
+
+        .pending-update {
+          background: rgba(59, 130, 246, 0.15);
+          color: #60a5fa;
+        }
+
+        .pending-delete {
+          background: rgba(239, 68, 68, 0.15);
+          color: #f87171;
+        }
+
+        .pending-list {
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+        }
+
+        .pending-item {
+          background: rgba(255,255,255,0.02);
+          border: 1px solid rgba(255,255,255,0.06);
+          border-radius: 12px;
+          padding: 0.875rem 1rem;
+        }
+
+        .pending-item-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        }
+
+        .json-diff {
+          margin-top: 0.75rem;
+          border: 1px solid rgba(255,255,255,0.06);
+          border-radius: 8px;
+          overflow: auto;
+          max-height: 400px;
+        }
+
+        .json-diff-header,
+        .json-diff-row {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+        }
+
+        .json-diff-header span {
+          font-size: 0.75rem;
+          color: #71717a;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          padding: 0.5rem 0.75rem;
+          border-bottom: 1px solid rgba(255,255,255,0.06);
+        }
+
+        .json-diff-cell {
+          font-family: 'JetBrains Mono', monospace;
+          font-size: 0.75rem;
+          color: #a1a1aa;
+          padding: 0 0.75rem;
+          min-height: 1.25rem;
+          white-space: pre-wrap;
+          word-break: break-all;
+        }
+
+        .diff-added {
+          background: rgba(34, 197, 94, 0.12);
+          color: #4ade80;
+        }
+
+        .diff-removed {
+          background: rgba(239, 68, 68, 0.12);
+          color: #f87171;
+        }
+      `}</style>
+
+      <div className="grid-overlay" />
+      
+      <div className="container">
+        <header className="header">
+          <div className="logo-section">
+            <div className="logo">YA</div>
+            <div className="title-group">
+              <h1>{title}</h1>
+              <p>Reverse Proxy Configuration Manager</p>
+            </div>
+          </div>
+          <div className="header-actions">
+            {settings?.user && <span className="header-user">{settings.user}</span>}
+            {readOnly && settings && (
+              <span className="status-badge status-inactive" title={READ_ONLY_TOOLTIP}>Read-only</span>
+            )}
+            <button className="btn btn-secondary" onClick={fetchData}>
+              <svg className="icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+              </svg>
+              Refresh
+            </button>
+            <button
+              className="btn btn-primary"
+              onClick={() => setReviewingChanges(true)}
+              disabled={readOnly}
+              title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+            >
+              <svg className="icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+              </svg>
+              Apply Config
+              {pendingChanges.length > 0 && <span className="pending-count">{pendingChanges.length}</span>}
+            </button>
+          </div>
+        </header>
+
+        {errorBanner && (
+          <div className="error-banner">
+            <div>
+              <strong>{errorBanner.message}</strong>
+              {errorBanner.details.length > 0 && (
+                <ul>
+                  {errorBanner.details.map((detail, index) => <li key={index}>{detail}</li>)}
+                </ul>
+              )}
+            </div>
+            <button className="btn btn-secondary btn-sm" onClick={() => setErrorBanner(null)}>Dismiss</button>
+          </div>
+        )}
+
+        <div className="tabs">
+          <button 
+            className={`tab ${activeTab === 'routes' ? 'active' : ''}`}
+            onClick={() => switchTab('routes')}
+          >
+            Routes ({displayedRoutes.length})
+          </button>
+          <button 
+            className={`tab ${activeTab === 'clusters' ? 'active' : ''}`}
+            onClick={() => switchTab('clusters')}
+          >
+            Clusters ({displayedClusters.length})
+          </button>
+          <button 
+            className={`tab ${activeTab === 'topology' ? 'active' : ''}`}
+            onClick={() => switchTab('topology')}
+          >
+            Topology
+          </button>
+          <button 
+            className={`tab ${activeTab === 'tester' ? 'active' : ''}`}
+            onClick={() => switchTab('tester')}
+          >
+            Route Tester
+          </button>
+          <button 
+            className={`tab ${activeTab === 'health' ? 'active' : ''}`}
+            onClick={() => switchTab('health')}
+          >
+            Health
+          </button>
+          <button 
+            className={`tab ${activeTab === 'cutover' ? 'active' : ''}`}
+            onClick={() => switchTab('cutover')}
+          >
+            Cutover
+          </button>
+          <button 
+            className={`tab ${activeTab === 'history' ? 'active' : ''}`}
+            onClick={() => switchTab('history')}
+          >
+            History
+          </button>
+          <button 
+            className={`tab ${activeTab === 'audit' ? 'active' : ''}`}
+            onClick={() => switchTab('audit')}
+          >
+            Audit
+          </button>
+          <button 
+            className={`tab ${activeTab === 'compare' ? 'active' : ''}`}
+            onClick={() => switchTab('compare')}
+          >
+            Compare
+          </button>
+          <button 
+            className={`tab ${activeTab === 'import-export' ? 'active' : ''}`}
+            onClick={() => switchTab('import-export')}
+          >
+            Import / Export
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="loading">
+            <div className="spinner" />
+          </div>
+        ) : (
+          <>
+            {activeTab === 'routes' && (
+              <div>
+                <div className="list-header">
+                  <button 
+                    className="btn btn-primary"
+                    onClick={() => setEditingRoute({ routeId: '', clusterId: '', match: { path: '' } })}
+                    disabled={readOnly}
+                    title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                  >
+                    <svg className="icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                    </svg>
+                    Add Route
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => setTemplatePicker('route')}
+                    disabled={readOnly}
+                    title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                  >
+                    Start from Template
+                  </button>
+                  <ListToolbar
+                    entityType="route"
+                    filters={filters}
+                    onChange={setFilters}
+                    shown={visibleRoutes.length}
+                    total={displayedRoutes.length}
+                    allSelected={visibleRoutes.length > 0 && visibleRoutes.every(e => selection.route.includes(e.routeId))}
+                    onToggleAll={readOnly ? undefined : (e) => setSelected('route', e.target.checked ? visibleRoutes.map(x => x.routeId) : [])}
+                  />
+                </div>
+
+                {!readOnly && selectedRoutes.length > 0 && (
+                  <BulkActionBar
+                    entityType="route"
+                    count={selectedRoutes.length}
+                    clusterIds={displayedClusters.map(c => c.clusterId)}
+                    onEnable={(enabled) => stageBulkChange('route', selectedRoutes, r => ({ ...r, enabled }), enabled ? 'Enable' : 'Disable')}
+                    onReassign={(clusterId) => stageBulkChange('route', selectedRoutes, r => ({ ...r, clusterId }), `Reassign to ${clusterId}`)}
+                    onAddMetadata={(key, value) => stageBulkChange('route', selectedRoutes, e => withMetadata(e, key, value), `Metadata '${key}'`)}
+                    onRemoveMetadata={(key) => stageBulkChange('route', selectedRoutes, e => withoutMetadata(e, key), `Metadata '${key}' removal`)}
+                    onDelete={() => handleBulkDelete('route', selectedRoutes)}
+                    onClear={() => setSelected('route', [])}
+                  />
+                )}
+                
+                {displayedRoutes.length === 0 ? (
+                  <div className="empty-state">
+                    <h3>No routes configured</h3>
+                    <p>Add your first route to get started</p>
+                  </div>
+                ) : visibleRoutes.length === 0 ? (
+                  <div className="empty-state">
+                    <h3>No routes match the current filters</h3>
+                    <button className="btn btn-secondary btn-sm" onClick={() => setFilters(EMPTY_FILTERS)}>Clear Filters</button>
+                  </div>
+                ) : (
+                  visibleRoutes.map(route => (
+                    <div key={route.routeId} className="card">
+                      <div className="card-header">
+                        <div className="card-title">
+                          {!readOnly && (
+                            <input
+                              type="checkbox"
+                              className="select-checkbox"
+                              checked={selection.route.includes(route.routeId)}
+                              onChange={() => toggleSelected('route', route.routeId)}
+                            />
+                          )}
+                          {route.routeId}
+                          <span className={`status-badge ${route.enabled !== false ? 'status-active' : 'status-inactive'}`}>
+                            {route.enabled !== false ? 'Active' : 'Inactive'}
+                          </span>
+                          {renderPendingBadge('route', route.routeId)}
+                        </div>
+                        <div className="card-actions">
+                          <button className="btn btn-secondary btn-sm" onClick={() => setEditingRoute(route)}>
+                            {readOnly ? 'View' : 'Edit'}
+                          </button>
+                          <button
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => handleDuplicateRoute(route)}
+                            disabled={readOnly}
+                            title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                          >
+                            Duplicate
+                          </button>
+                          <button
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => setSavingTemplate({ entityType: 'route', entity: route })}
+                            disabled={readOnly}
+                            title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                          >
+                            Save as Template
+                          </button>
+                          <button
+                            className="btn btn-danger btn-sm"
+                            onClick={() => handleDeleteRoute(route.routeId)}
+                            disabled={readOnly}
+                            title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                      {renderValidationErrors('route', route.routeId)}
+                      <div className="card-meta">
+                        <div className="meta-item">
+                          <span className="meta-label">Path Pattern</span>
+                          <span className="meta-value">{route.match?.path || 'N/A'}</span>
+                        </div>
+                        <div className="meta-item">
+                          <span className="meta-label">Cluster</span>
+                          <span className="meta-value">{route.clusterId}</span>
+                        </div>
+                        <div className="meta-item">
+                          <span className="meta-label">Methods</span>
+                          <span className="meta-value">{route.match?.methods?.join(', ') || 'All'}</span>
+                        </div>
+                        <div className="meta-item">
+                          <span className="meta-label">Order</span>
+                          <span className="meta-value">{route.order ?? 'Default'}</span>
+                        </div>
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            )}
+
+            {activeTab === 'clusters' && (
+              <div>
+                <div className="list-header">
+                  <button 
+                    className="btn btn-primary"
+                    onClick={() => setEditingCluster({ clusterId: '', destinations: {} })}
+                    disabled={readOnly}
+                    title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                  >
+                    <svg className="icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                    </svg>
+                    Add Cluster
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => setTemplatePicker('cluster')}
+                    disabled={readOnly}
+                    title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                  >
+                    Start from Template
+                  </button>
+                  <ListToolbar
+                    entityType="cluster"
+                    filters={filters}
+                    onChange={setFilters}
+                    policies={loadBalancingPolicies}
+                    shown={visibleClusters.length}
+                    total={displayedClusters.length}
+                    allSelected={visibleClusters.length > 0 && visibleClusters.every(e => selection.cluster.includes(e.clusterId))}
+                    onToggleAll={readOnly ? undefined : (e) => setSelected('cluster', e.target.checked ? visibleClusters.map(x => x.clusterId) : [])}
+                  />
+                </div>
+
+                {!readOnly && selectedClusters.length > 0 && (
+                  <BulkActionBar
+                    entityType="cluster"
+                    count={selectedClusters.length}
+                    onAddMetadata={(key, value) => stageBulkChange('cluster', selectedClusters, e => withMetadata(e, key, value), `Metadata '${key}'`)}
+                    onRemoveMetadata={(key) => stageBulkChange('cluster', selectedClusters, e => withoutMetadata(e, key), `Metadata '${key}' removal`)}
+                    onDelete={() => handleBulkDelete('cluster', selectedClusters)}
+                    onClear={() => setSelected('cluster', [])}
+                  />
+                )}
+                
+                {displayedClusters.length === 0 ? (
+                  <div className="empty-state">
+                    <h3>No clusters configured</h3>
+                    <p>Add your first cluster to define backend destinations</p>
+                  </div>
+                ) : visibleClusters.length === 0 ? (
+                  <div className="empty-state">
+                    <h3>No clusters match the current filters</h3>
+                    <button className="btn btn-secondary btn-sm" onClick={() => setFilters(EMPTY_FILTERS)}>Clear Filters</button>
+                  </div>
+                ) : (
+                  visibleClusters.map(cluster => (
+                    <div key={cluster.clusterId} className="card">
+                      <div className="card-header">
+                        <div className="card-title">
+                          {!readOnly && (
+                            <input
+                              type="checkbox"
+                              className="select-checkbox"
+                              checked={selection.cluster.includes(cluster.clusterId)}
+                              onChange={() => toggleSelected('cluster', cluster.clusterId)}
+                            />
+                          )}
+                          {cluster.clusterId}
+                          <span className="status-badge status-active">
+                            {Object.keys(cluster.destinations || {}).length} destinations
+                          </span>
+                          {renderPendingBadge('cluster', cluster.clusterId)}
+                        </div>
+                        <div className="card-actions">
+                          <button className="btn btn-secondary btn-sm" onClick={() => setEditingCluster(cluster)}>
+                            {readOnly ? 'View' : 'Edit'}
+                          </button>
+                          <button
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => handleDuplicateCluster(cluster)}
+                            disabled={readOnly}
+                            title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                          >
+                            Duplicate
+                          </button>
+                          <button
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => setSavingTemplate({ entityType: 'cluster', entity: cluster })}
+                            disabled={readOnly}
+                            title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                          >
+                            Save as Template
+                          </button>
+                          <button
+                            className="btn btn-danger btn-sm"
+                            onClick={() => handleDeleteCluster(cluster.clusterId)}
+                            disabled={readOnly}
+                            title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                      {renderValidationErrors('cluster', cluster.clusterId)}
+                      <div className="card-meta">
                         <div className="meta-item">
-                          <span className="meta-label">Order</span>
-                          <span className="meta-value">{route.order ?? 'Default'}</span>
+                          <span className="meta-label">Load Balancing Policy</span>
+                          <span className="meta-value">{cluster.loadBalancingPolicy || 'RoundRobin'}</span>
+                        </div>
+                        <div className="meta-item">
+                          <span className="meta-label">Destinations</span>
+                          <span className="meta-value">
+                            {Object.entries(cluster.destinations || {}).map(([key, dest]) => {
+                              const destinationHealth = findDestinationHealth(cluster.clusterId, key);
+                              const state = destinationState(dest);
+                              const share = clusterPolicy(cluster) === WEIGHTED_POLICY ? destinationShares(cluster.destinations)[key] : undefined;
+                              return (
+                                <div key={key} className={`destination-line destination-${state}`}>
+                                  <span>{key}: {dest.address}{share !== undefined && ` (${share}%)`}</span>
+                                  {state === 'disabled' ? (
+                                    <span className="status-badge status-disabled" title="Not in the live YARP configuration">Disabled</span>
+                                  ) : (
+                                    <HealthPill
+                                      state={HEALTH_LABELS[destinationHealthLevel(destinationHealth)]}
+                                      title={destinationHealth
+                                        ? `Active: ${destinationHealth.active}, Passive: ${destinationHealth.passive}`
+                                        : 'No runtime state yet - apply the configuration first'}
+                                    />
+                                  )}
+                                  {state === 'draining' && (
+                                    <span className="status-badge status-inactive" title="Existing affinity sessions only - no new sessions">Draining</span>
+                                  )}
+                                  {!readOnly && (
+                                    <select
+                                      className="form-input destination-state-select"
+                                      value={state}
+                                      onChange={e => handleDestinationState(cluster, key, e.target.value)}
+                                      title="Take this destination out of rotation without deleting it"
+                                    >
+                                      {DESTINATION_STATES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                                    </select>
+                                  )}
+                                </div>
+                              );
+                            })}
+                          </span>
                         </div>
+                        {clusterPolicy(cluster) === WEIGHTED_POLICY && Object.keys(destinationShares(cluster.destinations)).length > 1 && (
+                          <div className="meta-item">
+                            <span className="meta-label">Traffic Split</span>
+                            <TrafficSplitControl
+                              cluster={cluster}
+                              disabled={readOnly}
+                              disabledReason={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                              onStage={(destinationId, percent) => handleStageShare(cluster, destinationId, percent)}
+                            />
+                          </div>
+                        )}
                       </div>
                     </div>
-                  ))
+                  ))
+                )}
+              </div>
+            )}
+
+            {activeTab === 'topology' && (
+              <TopologyView
+                routes={stagedRoutes}
+                clusters={stagedClusters}
+                findDestinationHealth={findDestinationHealth}
+                onOpenRoute={setEditingRoute}
+                onOpenCluster={setEditingCluster}
+                onCreateCluster={readOnly ? null : clusterId => setEditingCluster({ clusterId, destinations: {} })}
+              />
+            )}
+
+            {activeTab === 'tester' && (
+              <RouteTesterView
+                liveRoutes={routes}
+                pendingRoutes={stagedRoutes}
+                hasPendingChanges={pendingChanges.some(c => c.entityType === 'route')}
+              />
+            )}
+
+            {activeTab === 'health' && (
+              <HealthView health={health} onRefresh={fetchHealth} />
+            )}
+
+            {activeTab === 'cutover' && (
+              <CutoverView
+                routes={routes}
+                clusters={clusters}
+                pendingChanges={pendingChanges}
+                readOnly={readOnly}
+                onCutover={fetchData}
+                onApiError={reportApiError}
+                showNotification={showNotification}
+              />
+            )}
+
+            {activeTab === 'history' && (
+              <HistoryView
+                readOnly={readOnly}
+                hasPendingChanges={pendingChanges.length > 0}
+                onRolledBack={() => {
+                  setPendingChanges([]);
+                  fetchData();
+                }}
+                onApiError={reportApiError}
+                showNotification={showNotification}
+              />
+            )}
+
+            {activeTab === 'audit' && (
+              <AuditView onApiError={reportApiError} />
+            )}
+
+            {activeTab === 'compare' && (
+              <CompareView
+                routes={stagedRoutes}
+                clusters={stagedClusters}
+                onStage={handleStageComparison}
+                readOnly={readOnly}
+              />
+            )}
+
+            {activeTab === 'import-export' && (
+              <ImportExportView
+                routes={routes}
+                clusters={clusters}
+                onStage={handleStageImport}
+                showNotification={showNotification}
+                onApiError={reportApiError}
+                readOnly={readOnly}
+              />
+            )}
+          </>
+        )}
+      </div>
+
+      {editingRoute && (
+        <RouteModal 
+          key={modalRevision}
+          route={editingRoute} 
+          clusters={displayedClusters}
+          serverErrors={modalServerErrors}
+          readOnly={readOnly}
+          remoteChange={remoteChange}
+          onReload={reloadRouteModal}
+          conflict={conflict}
+          onOverwrite={overwriteConflict}
+          onReloadConflict={reloadConflict}
+          duplicateOf={duplicateOf}
+          templateName={fromTemplate}
+          takenIds={displayedRoutes.map(r => r.routeId)}
+          onSave={handleSaveRoute} 
+          onClose={closeRouteModal} 
+        />
+      )}
+
+      {editingCluster && (
+        <ClusterModal 
+          key={modalRevision}
+          cluster={editingCluster} 
+          serverErrors={modalServerErrors}
+          readOnly={readOnly}
+          remoteChange={remoteChange}
+          onReload={reloadClusterModal}
+          conflict={conflict}
+          onOverwrite={overwriteConflict}
+          onReloadConflict={reloadConflict}
+          duplicateOf={duplicateOf}
+          templateName={fromTemplate}
+          takenIds={displayedClusters.map(c => c.clusterId)}
+          dependentRoutes={duplicateOf ? stagedRoutes.filter(r => r.clusterId === duplicateOf) : []}
+          onSave={handleSaveCluster} 
+          onClose={closeClusterModal} 
+        />
+      )}
+
+      {templatePicker && (
+        <TemplatePickerModal
+          entityType={templatePicker}
+          readOnly={readOnly}
+          onUse={handleUseTemplate}
+          onClose={() => setTemplatePicker(null)}
+          onApiError={reportApiError}
+        />
+      )}
+
+      {savingTemplate && (
+        <SaveTemplateModal
+          entityType={savingTemplate.entityType}
+          entity={savingTemplate.entity}
+          onSaved={handleTemplateSaved}
+          onClose={() => setSavingTemplate(null)}
+          onApiError={reportApiError}
+        />
+      )}
+
+      {reviewingChanges && (
+        <PendingChangesPanel
+          changes={pendingChanges}
+          applying={applying}
+          onDiscard={handleDiscardChange}
+          onApply={handleApplyConfig}
+          onClose={() => setReviewingChanges(false)}
+        />
+      )}
+
+      {notification && (
+        <div className={`notification ${notification.type}`}>
+          {notification.message}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Route Editor Modal
+const RouteModal = ({ route, clusters, serverErrors, readOnly, remoteChange, onReload, conflict, onOverwrite, onReloadConflict, duplicateOf, templateName, takenIds = [], onSave, onClose }) => {
+  const isNew = !route.routeId || !!duplicateOf || !!templateName;
+
+  // Parse existing headers into UI format
+  const parseHeaders = (headers) => {
+    if (!headers || !Array.isArray(headers)) return [];
+    return headers.map(h => ({
+      name: h.name || '',
+      values: h.values?.join(', ') || '',
+      mode: h.mode || 'ExactHeader',
+      isCaseSensitive: h.isCaseSensitive || false
+    }));
+  };
+
+  // Parse existing query params into UI format
+  const parseQueryParams = (params) => {
+    if (!params || !Array.isArray(params)) return [];
+    return params.map(p => ({
+      name: p.name || '',
+      values: p.values?.join(', ') || '',
+      mode: p.mode || 'Exact',
+      isCaseSensitive: p.isCaseSensitive || false
+    }));
+  };
+
+  // Parse metadata into UI format
+  const parseMetadata = (metadata) => {
+    if (!metadata) return [];
+    return Object.entries(metadata).map(([key, value]) => ({ key, value }));
+  };
+
+  const [form, setForm] = useState({
+    // Basic settings
+    routeId: route.routeId || '',
+    clusterId: route.clusterId || '',
+    path: route.match?.path || '',
+    methods: route.match?.methods?.join(', ') || '',
+    order: route.order ?? '',
+    enabled: route.enabled !== false,
+    // Advanced matching
+    hosts: route.match?.hosts?.join(', ') || '',
+    headers: parseHeaders(route.match?.headers),
+    queryParameters: parseQueryParams(route.match?.queryParameters),
+    // Policies
+    authorizationPolicy: route.authorizationPolicy || '',
+    corsPolicy: route.corsPolicy || '',
+    rateLimiterPolicy: route.rateLimiterPolicy || '',
+    timeoutPolicy: route.timeoutPolicy || '',
+    // Transforms
+    transforms: Array.isArray(route.transforms) ? route.transforms.map(parseTransform) : [],
+    // Metadata
+    metadata: parseMetadata(route.metadata)
+  });
+
+  // Feature toggles
+  const [advancedMatchingEnabled, setAdvancedMatchingEnabled] = useState(
+    !!(route.match?.hosts?.length || route.match?.headers?.length || route.match?.queryParameters?.length)
+  );
+  const [policiesEnabled, setPoliciesEnabled] = useState(
+    !!(route.authorizationPolicy || route.corsPolicy || route.rateLimiterPolicy || route.timeoutPolicy)
+  );
+  const [transformsEnabled, setTransformsEnabled] = useState(!!(route.transforms?.length));
+  const [metadataEnabled, setMetadataEnabled] = useState(!!(route.metadata && Object.keys(route.metadata).length));
+
+  // Validation
+  const [initialForm] = useState(form);
+  const [submitAttempted, setSubmitAttempted] = useState(false);
+  const allErrors = validateRouteForm(form, {
+    advancedMatching: advancedMatchingEnabled,
+    transforms: transformsEnabled,
+    metadata: metadataEnabled
+  });
+  if (isNew && takenIds.includes(form.routeId.trim())) allErrors.routeId = `Route '${form.routeId.trim()}' already exists`;
+  const errors = combineErrors(visibleErrors(allErrors, form, initialForm, submitAttempted), serverErrors, form, initialForm);
+  const hasErrors = Object.keys(allErrors).length > 0;
+
+  // Header management
+  const addHeader = () => setForm({...form, headers: [...form.headers, { name: '', values: '', mode: 'ExactHeader', isCaseSensitive: false }]});
+  const removeHeader = (index) => setForm({...form, headers: form.headers.filter((_, i) => i !== index)});
+  const updateHeader = (index, field, value) => {
+    const newHeaders = [...form.headers];
+    newHeaders[index] = { ...newHeaders[index], [field]: value };
+    setForm({...form, headers: newHeaders});
+  };
+
+  // Query param management
+  const addQueryParam = () => setForm({...form, queryParameters: [...form.queryParameters, { name: '', values: '', mode: 'Exact', isCaseSensitive: false }]});
+  const removeQueryParam = (index) => setForm({...form, queryParameters: form.queryParameters.filter((_, i) => i !== index)});
+  const updateQueryParam = (index, field, value) => {
+    const newParams = [...form.queryParameters];
+    newParams[index] = { ...newParams[index], [field]: value };
+    setForm({...form, queryParameters: newParams});
+  };
+
+  // Route config from the current form, for saving and for the transform preview
+  const buildRouteConfig = () => {
+    // Build match object
+    const match = {
+      path: form.path,
+      methods: form.methods ? form.methods.split(',').map(m => m.trim()).filter(m => m) : undefined
+    };
+
+    // Add advanced matching if enabled
+    if (advancedMatchingEnabled) {
+      if (form.hosts) {
+        match.hosts = form.hosts.split(',').map(h => h.trim()).filter(h => h);
+      }
+      if (form.headers.length > 0) {
+        match.headers = form.headers
+          .filter(h => h.name)
+          .map(h => ({
+            name: h.name,
+            values: h.values ? h.values.split(',').map(v => v.trim()).filter(v => v) : undefined,
+            mode: h.mode,
+            isCaseSensitive: h.isCaseSensitive
+          }));
+        if (match.headers.length === 0) delete match.headers;
+      }
+      if (form.queryParameters.length > 0) {
+        match.queryParameters = form.queryParameters
+          .filter(p => p.name)
+          .map(p => ({
+            name: p.name,
+            values: p.values ? p.values.split(',').map(v => v.trim()).filter(v => v) : undefined,
+            mode: p.mode,
+            isCaseSensitive: p.isCaseSensitive
+          }));
+        if (match.queryParameters.length === 0) delete match.queryParameters;
+      }
+    }
+
+    // Build route config
+    const routeConfig = {
+      routeId: form.routeId,
+      clusterId: form.clusterId,
+      order: form.order ? parseInt(form.order) : undefined,
+      enabled: form.enabled,
+      match
+    };
+
+    // Add policies if enabled
+    if (policiesEnabled) {
+      if (form.authorizationPolicy) routeConfig.authorizationPolicy = form.authorizationPolicy;
+      if (form.corsPolicy) routeConfig.corsPolicy = form.corsPolicy;
+      if (form.rateLimiterPolicy) routeConfig.rateLimiterPolicy = form.rateLimiterPolicy;
+      if (form.timeoutPolicy) routeConfig.timeoutPolicy = form.timeoutPolicy;
+    }
+
+    // Add transforms if enabled
+    if (transformsEnabled && form.transforms.length > 0) {
+      routeConfig.transforms = form.transforms
+        .map(serializeTransform)
+        .filter(t => Object.keys(t).length > 0);
+      if (routeConfig.transforms.length === 0) delete routeConfig.transforms;
+    }
+
+    // Add metadata if enabled
+    if (metadataEnabled && form.metadata.length > 0) {
+      routeConfig.metadata = {};
+      form.metadata.forEach(m => {
+        if (m.key) routeConfig.metadata[m.key] = m.value;
+      });
+      if (Object.keys(routeConfig.metadata).length === 0) delete routeConfig.metadata;
+    }
+
+    return routeConfig;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSubmitAttempted(true);
+    if (hasErrors) return;
+    onSave(buildRouteConfig());
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()} style={{ maxWidth: '700px' }}>
+        <h2>{readOnly ? 'View Route' : duplicateOf ? `Duplicate Route ${duplicateOf}` : templateName ? `Add Route from ${templateName}` : isNew ? 'Add Route' : 'Edit Route'}</h2>
+        {conflict && (
+          <ConflictPanel conflict={conflict} mine={route} entityLabel="route" onOverwrite={onOverwrite} onReload={onReloadConflict} />
+        )}
+        {!conflict && remoteChange && <RemoteChangeNotice change={remoteChange} entityLabel="route" onReload={onReload} />}
+        <form onSubmit={handleSubmit} noValidate>
+          <fieldset className="form-fieldset" disabled={readOnly}>
+            {/* Basic Settings */}
+            <div className="form-group">
+              <label className="form-label">Route ID</label>
+              <input
+                className="form-input"
+                type="text"
+                value={form.routeId}
+                onChange={e => setForm({...form, routeId: e.target.value})}
+                placeholder="my-route"
+                required
+                disabled={!isNew}
+              />
+              <FieldError error={errors.routeId} />
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">Cluster ID</label>
+                <select
+                  className="form-input"
+                  value={form.clusterId}
+                  onChange={e => setForm({...form, clusterId: e.target.value})}
+                  required
+                >
+                  <option value="">Select a cluster...</option>
+                  {clusters.map(c => (
+                    <option key={c.clusterId} value={c.clusterId}>{c.clusterId}</option>
+                  ))}
+                </select>
+                <FieldError error={errors.clusterId} />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Order (priority)</label>
+                <input
+                  className="form-input"
+                  type="number"
+                  value={form.order}
+                  onChange={e => setForm({...form, order: e.target.value})}
+                  placeholder="0"
+                />
+                <FieldError error={errors.order} />
+              </div>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Path Pattern</label>
+              <input
+                className="form-input"
+                type="text"
+                value={form.path}
+                onChange={e => setForm({...form, path: e.target.value})}
+                placeholder="/api/{**catch-all}"
+                required
+              />
+              <FieldError error={errors.path} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">HTTP Methods (comma-separated, leave empty for all)</label>
+              <input
+                className="form-input"
+                type="text"
+                value={form.methods}
+                onChange={e => setForm({...form, methods: e.target.value})}
+                placeholder="GET, POST, PUT, DELETE"
+              />
+              <FieldError error={errors.methods} />
+            </div>
+            <div className="form-group">
+              <div className="inline-toggle">
+                <span className="inline-toggle-label">Route Enabled</span>
+                <ToggleSwitch checked={form.enabled} onChange={e => setForm({...form, enabled: e.target.checked})} />
+              </div>
+            </div>
+
+            <div className="section-divider" />
+
+            {/* Advanced Matching */}
+            <FeatureSection
+              title="Advanced Matching"
+              description="Match by hosts, headers, or query parameters"
+              enabled={advancedMatchingEnabled}
+              onToggle={() => setAdvancedMatchingEnabled(!advancedMatchingEnabled)}
+              hasError={hasErrorFor(errors, ['hosts', 'headers', 'queryParameters'])}
+            >
+              <div className="form-group" style={{ marginTop: '0.75rem' }}>
+                <label className="form-label">Hosts (comma-separated)</label>
+                <input
+                  className="form-input"
+                  type="text"
+                  value={form.hosts}
+                  onChange={e => setForm({...form, hosts: e.target.value})}
+                  placeholder="example.com, api.example.com"
+                />
+                <FieldError error={errors.hosts} />
+              </div>
+
+              <div className="sub-section">
+                <div className="sub-section-title">
+                  <span>Headers</span>
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={addHeader}>+ Add</button>
+                </div>
+                {form.headers.map((header, index) => (
+                  <React.Fragment key={index}>
+                    <div className="key-value-row" style={{ marginBottom: '0.5rem' }}>
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={header.name}
+                        onChange={e => updateHeader(index, 'name', e.target.value)}
+                        placeholder="Header Name"
+                        style={{ flex: '0.3' }}
+                      />
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={header.values}
+                        onChange={e => updateHeader(index, 'values', e.target.value)}
+                        placeholder="Values (comma-separated)"
+                        style={{ flex: '0.4' }}
+                      />
+                      <select
+                        className="form-input"
+                        value={header.mode}
+                        onChange={e => updateHeader(index, 'mode', e.target.value)}
+                        style={{ flex: '0.25' }}
+                      >
+                        <option value="ExactHeader">Exact</option>
+                        <option value="HeaderPrefix">Prefix</option>
+                        <option value="Contains">Contains</option>
+                        <option value="Exists">Exists</option>
+                        <option value="NotExists">Not Exists</option>
+                        <option value="RegexHeader">Regex</option>
+                      </select>
+                      <button type="button" className="btn btn-danger btn-sm" onClick={() => removeHeader(index)}>x</button>
+                    </div>
+                    <FieldError error={errors[`headers.${index}`]} />
+                  </React.Fragment>
+                ))}
+              </div>
+
+              <div className="sub-section">
+                <div className="sub-section-title">
+                  <span>Query Parameters</span>
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={addQueryParam}>+ Add</button>
+                </div>
+                {form.queryParameters.map((param, index) => (
+                  <React.Fragment key={index}>
+                    <div className="key-value-row" style={{ marginBottom: '0.5rem' }}>
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={param.name}
+                        onChange={e => updateQueryParam(index, 'name', e.target.value)}
+                        placeholder="Param Name"
+                        style={{ flex: '0.3' }}
+                      />
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={param.values}
+                        onChange={e => updateQueryParam(index, 'values', e.target.value)}
+                        placeholder="Values (comma-separated)"
+                        style={{ flex: '0.4' }}
+                      />
+                      <select
+                        className="form-input"
+                        value={param.mode}
+                        onChange={e => updateQueryParam(index, 'mode', e.target.value)}
+                        style={{ flex: '0.25' }}
+                      >
+                        <option value="Exact">Exact</option>
+                        <option value="Prefix">Prefix</option>
+                        <option value="Contains">Contains</option>
+                        <option value="Exists">Exists</option>
+                        <option value="NotExists">Not Exists</option>
+                      </select>
+                      <button type="button" className="btn btn-danger btn-sm" onClick={() => removeQueryParam(index)}>x</button>
+                    </div>
+                    <FieldError error={errors[`queryParameters.${index}`]} />
+                  </React.Fragment>
+                ))}
+              </div>
+            </FeatureSection>
+
+            {/* Policies */}
+            <FeatureSection
+              title="Policies"
+              description="Authorization, CORS, Rate Limiting, Timeout"
+              enabled={policiesEnabled}
+              onToggle={() => setPoliciesEnabled(!policiesEnabled)}
+            >
+              <div className="form-row" style={{ marginTop: '0.75rem' }}>
+                <div className="form-group">
+                  <label className="form-label">Authorization Policy</label>
+                  <input
+                    className="form-input"
+                    type="text"
+                    value={form.authorizationPolicy}
+                    onChange={e => setForm({...form, authorizationPolicy: e.target.value})}
+                    placeholder="policy-name"
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">CORS Policy</label>
+                  <input
+                    className="form-input"
+                    type="text"
+                    value={form.corsPolicy}
+                    onChange={e => setForm({...form, corsPolicy: e.target.value})}
+                    placeholder="cors-policy"
+                  />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label className="form-label">Rate Limiter Policy</label>
+                  <input
+                    className="form-input"
+                    type="text"
+                    value={form.rateLimiterPolicy}
+                    onChange={e => setForm({...form, rateLimiterPolicy: e.target.value})}
+                    placeholder="rate-limit-policy"
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Timeout Policy</label>
+                  <input
+                    className="form-input"
+                    type="text"
+                    value={form.timeoutPolicy}
+                    onChange={e => setForm({...form, timeoutPolicy: e.target.value})}
+                    placeholder="timeout-policy"
+                  />
+                </div>
+              </div>
+            </FeatureSection>
+
+            {/* Transforms */}
+            <FeatureSection
+              title="Request Transforms"
+              description="Modify requests and responses as they pass through the proxy, applied in order"
+              enabled={transformsEnabled}
+              onToggle={() => setTransformsEnabled(!transformsEnabled)}
+              hasError={hasErrorFor(errors, ['transforms'])}
+            >
+              <div style={{ marginTop: '0.75rem' }}>
+                <TransformEditor
+                  items={form.transforms}
+                  onChange={(transforms) => setForm({...form, transforms})}
+                  errors={errors}
+                />
+                <FieldError error={errors.transforms} />
+                <TransformPreview buildRoute={buildRouteConfig} />
+              </div>
+            </FeatureSection>
+
+            {/* Metadata */}
+            <FeatureSection
+              title="Metadata"
+              description="Custom key-value pairs"
+              enabled={metadataEnabled}
+              onToggle={() => setMetadataEnabled(!metadataEnabled)}
+              hasError={hasErrorFor(errors, ['metadata'])}
+            >
+              <div style={{ marginTop: '0.75rem' }}>
+                <KeyValueEditor
+                  items={form.metadata}
+                  onChange={(metadata) => setForm({...form, metadata})}
+                  keyPlaceholder="Key"
+                  valuePlaceholder="Value"
+                />
+                <FieldError error={errors.metadata} />
+              </div>
+            </FeatureSection>
+          </fieldset>
+
+          <div className="form-actions">
+            {readOnly ? (
+              <button type="button" className="btn btn-secondary" onClick={onClose}>Close</button>
+            ) : (
+              <>
+                <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                <button type="submit" className="btn btn-primary" disabled={submitAttempted && hasErrors}>Save Route</button>
+              </>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Transformed Request Preview - runs a sample request through the route's transforms on the server,
+// where YARP's transform builder produces the same pipeline the proxy would use
+const TransformPreview = ({ buildRoute }) => {
+  const [sample, setSample] = useState({ method: 'GET', host: '', path: '/', query: '', headers: [] });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const update = (field, value) => setSample({ ...sample, [field]: value });
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const headers = {};
+      sample.headers.forEach(h => {
+        if (h.key) headers[h.key] = h.value;
+      });
+      setResult(await apiRequest('/transforms/preview', {
+        method: 'POST',
+        body: {
+          route: buildRoute(),
+          request: { method: sample.method, host: sample.host.trim() || 'localhost', path: sample.path.trim() || '/', query: sample.query.trim(), headers }
+        }
+      }));
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The sample inputs sit inside the route form, so Enter previews instead of saving the route
+  const previewOnEnter = (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    handlePreview();
+  };
+
+  return (
+    <div className="sub-section transform-preview">
+      <div className="sub-section-title">
+        <span>Transformed Request Preview</span>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={handlePreview} disabled={loading}>
+          {loading ? 'Previewing...' : 'Preview'}
+        </button>
+      </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Method</label>
+          <select className="form-input" value={sample.method} onChange={e => update('method', e.target.value)}>
+            {HTTP_METHODS.map(m => <option key={m} value={m}>{m}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label className="form-label">Host</label>
+          <input
+            className="form-input"
+            value={sample.host}
+            onChange={e => update('host', e.target.value)}
+            onKeyDown={previewOnEnter}
+            placeholder="localhost"
+          />
+        </div>
+      </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Path</label>
+          <input
+            className="form-input"
+            value={sample.path}
+            onChange={e => update('path', e.target.value)}
+            onKeyDown={previewOnEnter}
+            placeholder="/api/users/42"
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Query String</label>
+          <input
+            className="form-input"
+            value={sample.query}
+            onChange={e => update('query', e.target.value)}
+            onKeyDown={previewOnEnter}
+            placeholder="version=2"
+          />
+        </div>
+      </div>
+      <div className="form-group">
+        <label className="form-label">Headers</label>
+        <KeyValueEditor
+          items={sample.headers}
+          onChange={(headers) => update('headers', headers)}
+          keyPlaceholder="Header Name"
+          valuePlaceholder="Value"
+        />
+      </div>
+
+      {error && <p className="field-error">{error}</p>}
+      {result && result.errors.length > 0 && (
+        <div className="validation-errors">
+          {result.errors.map((message, index) => <p key={index} className="field-error">{message}</p>)}
+        </div>
+      )}
+      {result && result.errors.length === 0 && (
+        <>
+          {!result.pathMatched && (
+            <p className="warning-text">This path doesn't match the route's path pattern, so the route would not handle it. Route values used by transforms are empty.</p>
+          )}
+          <div className="card-meta">
+            <div className="meta-item">
+              <span className="meta-label">Method</span>
+              <span className="meta-value">{result.method}</span>
+            </div>
+            <div className="meta-item">
+              <span className="meta-label">Path</span>
+              <span className="meta-value">{result.path}</span>
+            </div>
+            <div className="meta-item">
+              <span className="meta-label">Query</span>
+              <span className="meta-value">{result.query || 'None'}</span>
+            </div>
+          </div>
+          <div className="meta-item">
+            <span className="meta-label">Outgoing URL</span>
+            <span className="meta-value">{result.url}</span>
+          </div>
+          <table className="transform-preview-headers">
+            <tbody>
+              {Object.entries(result.headers).map(([name, values]) => (
+                <tr key={name}>
+                  <td>{name}</td>
+                  <td>{values.join(', ')}</td>
+                </tr>
+              ))}
+              {Object.keys(result.headers).length === 0 && (
+                <tr><td colSpan={2} className="feature-desc">No headers are sent</td></tr>
+              )}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Canary slider for Weighted clusters - pick a destination, drag to its new share of traffic, stage the new weights
+const TrafficSplitControl = ({ cluster, disabled, disabledReason, onStage }) => {
+  const shares = destinationShares(cluster.destinations);
+  const ids = Object.keys(shares);
+  const smallest = ids.reduce((a, b) => (shares[b] < shares[a] ? b : a), ids[0]);
+  const [chosen, setChosen] = useState(smallest);
+  const [percent, setPercent] = useState(shares[smallest]);
+  const destinationId = ids.includes(chosen) ? chosen : smallest;
+
+  const choose = (id) => {
+    setChosen(id);
+    setPercent(shares[id]);
+  };
+
+  return (
+    <div className="traffic-split" title={disabledReason}>
+      <select className="form-input" value={destinationId} onChange={e => choose(e.target.value)} disabled={disabled}>
+        {ids.map(id => <option key={id} value={id}>{id}</option>)}
+      </select>
+      <input
+        type="range"
+        min="0"
+        max="100"
+        value={percent}
+        onChange={e => setPercent(parseInt(e.target.value, 10))}
+        disabled={disabled}
+      />
+      <span className="meta-value">{percent}%</span>
+      <button
+        type="button"
+        className="btn btn-primary btn-sm"
+        onClick={() => onStage(destinationId, percent)}
+        disabled={disabled || percent === shares[destinationId]}
+      >
+        Stage
+      </button>
+    </div>
+  );
+};
+
+// Destinations are edited as { id, address, state, weight, health, host, metadata: [{ key, value }] }; fields the
+// editor doesn't know are kept in `extra` so they survive a save unchanged
+const parseDestination = (id, destination) => {
+  const { address, state, weight, health, host, metadata, ...extra } = destination;
+  return {
+    id,
+    address: address || '',
+    state: destinationState(destination),
+    weight: weight ?? '',
+    health: health || '',
+    host: host || '',
+    metadata: Object.entries(metadata || {}).map(([key, value]) => ({ key, value })),
+    extra
+  };
+};
+
+const serializeDestination = (dest) => {
+  const destination = { ...dest.extra, address: dest.address };
+  if (dest.state !== 'active') destination.state = dest.state;
+  if (String(dest.weight).trim() !== '') destination.weight = parseInt(dest.weight, 10);
+  if (dest.health) destination.health = dest.health;
+  if (dest.host.trim()) destination.host = dest.host.trim();
+  const metadata = dest.metadata.filter(m => m.key);
+  if (metadata.length > 0) destination.metadata = Object.fromEntries(metadata.map(m => [m.key, m.value]));
+  return destination;
+};
+
+// Summary of the collapsed destination fields, e.g. "Host api.example.com, 2 metadata entries"
+const describeDestinationDetails = (dest) => {
+  const metadataCount = dest.metadata.filter(m => m.key).length;
+  return [
+    dest.health && `Health ${dest.health}`,
+    dest.host.trim() && `Host ${dest.host.trim()}`,
+    metadataCount > 0 && `${metadataCount} metadata ${metadataCount === 1 ? 'entry' : 'entries'}`
+  ].filter(Boolean).join(', ');
+};
+
+// Cluster Editor Modal
+const ClusterModal = ({ cluster, serverErrors, readOnly, remoteChange, onReload, conflict, onOverwrite, onReloadConflict, duplicateOf, templateName, takenIds = [], dependentRoutes = [], onSave, onClose }) => {
+  const isNew = !cluster.clusterId || !!duplicateOf || !!templateName;
+  const [cloneRoutes, setCloneRoutes] = useState(false);
+
+  // Parse metadata into UI format
+  const parseMetadata = (metadata) => {
+    if (!metadata) return [];
+    return Object.entries(metadata).map(([key, value]) => ({ key, value }));
+  };
+
+  const [form, setForm] = useState({
+    // Basic settings
+    clusterId: cluster.clusterId || '',
+    loadBalancingPolicy: cluster.loadBalancingPolicy || 'RoundRobin',
+    destinations: Object.entries(cluster.destinations || {}).map(([key, dest]) => parseDestination(key, dest)),
+    // Session Affinity
+    sessionAffinityEnabled: cluster.sessionAffinity?.enabled || false,
+    sessionAffinityPolicy: cluster.sessionAffinity?.policy || 'Cookie',
+    sessionAffinityFailurePolicy: cluster.sessionAffinity?.failurePolicy || 'Redistribute',
+    sessionAffinityKeyName: cluster.sessionAffinity?.affinityKeyName || '.Yarp.Affinity',
+    // Passive Health Check
+    passiveHealthEnabled: cluster.healthCheck?.passive?.enabled || false,
+    passiveHealthPolicy: cluster.healthCheck?.passive?.policy || 'TransportFailureRate',
+    passiveHealthReactivationPeriod: cluster.healthCheck?.passive?.reactivationPeriod || '00:02:00',
+    // Active Health Check
+    activeHealthEnabled: cluster.healthCheck?.active?.enabled || false,
+    activeHealthInterval: cluster.healthCheck?.active?.interval || '00:00:15',
+    activeHealthTimeout: cluster.healthCheck?.active?.timeout || '00:00:10',
+    activeHealthPolicy: cluster.healthCheck?.active?.policy || 'ConsecutiveFailures',
+    activeHealthPath: cluster.healthCheck?.active?.path || '/health',
+    availableDestinationsPolicy: cluster.healthCheck?.availableDestinationsPolicy || '',
+    // HTTP Client
+    maxConnectionsPerServer: cluster.httpClient?.maxConnectionsPerServer || '',
+    enableMultipleHttp2Connections: cluster.httpClient?.enableMultipleHttp2Connections || false,
+    dangerousAcceptAnyServerCertificate: cluster.httpClient?.dangerousAcceptAnyServerCertificate || false,
+    // HTTP Request
+    activityTimeout: cluster.httpRequest?.activityTimeout || '00:01:40',
+    httpVersion: cluster.httpRequest?.version || '',
+    versionPolicy: cluster.httpRequest?.versionPolicy || '',
+    allowResponseBuffering: cluster.httpRequest?.allowResponseBuffering || false,
+    // Metadata
+    metadata: parseMetadata(cluster.metadata)
+  });
+
+  // Feature toggles
+  const [sessionAffinityEnabled, setSessionAffinityEnabled] = useState(cluster.sessionAffinity?.enabled || false);
+  const [healthCheckEnabled, setHealthCheckEnabled] = useState(
+    !!(cluster.healthCheck?.passive?.enabled || cluster.healthCheck?.active?.enabled)
+  );
+  const [httpClientEnabled, setHttpClientEnabled] = useState(
+    !!(cluster.httpClient?.maxConnectionsPerServer || cluster.httpClient?.enableMultipleHttp2Connections || cluster.httpClient?.dangerousAcceptAnyServerCertificate)
+  );
+  const [httpRequestEnabled, setHttpRequestEnabled] = useState(
+    !!(cluster.httpRequest?.activityTimeout || cluster.httpRequest?.version || cluster.httpRequest?.versionPolicy)
+  );
+  const [metadataEnabled, setMetadataEnabled] = useState(!!(cluster.metadata && Object.keys(cluster.metadata).length));
+
+  // Validation
+  const [initialForm] = useState(form);
+  const [submitAttempted, setSubmitAttempted] = useState(false);
+  const allErrors = validateClusterForm(form, {
+    sessionAffinity: sessionAffinityEnabled,
+    healthCheck: healthCheckEnabled,
+    httpClient: httpClientEnabled,
+    httpRequest: httpRequestEnabled,
+    metadata: metadataEnabled
+  });
+  if (isNew && takenIds.includes(form.clusterId.trim())) allErrors.clusterId = `Cluster '${form.clusterId.trim()}' already exists`;
+  const errors = combineErrors(visibleErrors(allErrors, form, initialForm, submitAttempted), serverErrors, form, initialForm);
+  const hasErrors = Object.keys(allErrors).length > 0;
+
+  // Indexes of destinations showing their health address, Host override and metadata
+  const [expandedDestinations, setExpandedDestinations] = useState([]);
+  const toggleDestination = (index) => setExpandedDestinations(
+    expandedDestinations.includes(index) ? expandedDestinations.filter(i => i !== index) : [...expandedDestinations, index]
+  );
+
+  const addDestination = () => {
+    setForm({
+      ...form,
+      destinations: [...form.destinations, parseDestination(`dest${form.destinations.length + 1}`, {})]
+    });
+  };
+
+  const removeDestination = (index) => {
+    setForm({
+      ...form,
+      destinations: form.destinations.filter((_, i) => i !== index)
+    });
+    setExpandedDestinations(expandedDestinations.filter(i => i !== index).map(i => (i > index ? i - 1 : i)));
+  };
+
+  const updateDestination = (index, field, value) => {
+    const newDests = [...form.destinations];
+    newDests[index] = { ...newDests[index], [field]: value };
+    setForm({ ...form, destinations: newDests });
+  };
+
+  // Share of traffic each destination would get under the Weighted policy, for the hint below the list
+  const weightedShares = destinationShares(Object.fromEntries(form.destinations.map(d => [d.id, {
+    state: d.state,
+    weight: /^\d+$/.test(String(d.weight).trim()) ? parseInt(d.weight, 10) : undefined
+  }])));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSubmitAttempted(true);
+    if (hasErrors) return;
+
+    // Build destinations
+    const destinations = {};
+    form.destinations.forEach(d => {
+      if (d.id && d.address) destinations[d.id] = serializeDestination(d);
+    });
+
+    // Build cluster config
+    const clusterConfig = {
+      clusterId: form.clusterId,
+      loadBalancingPolicy: form.loadBalancingPolicy,
+      destinations
+    };
+
+    // Add session affinity if enabled
+    if (sessionAffinityEnabled) {
+      clusterConfig.sessionAffinity = {
+        enabled: true,
+        policy: form.sessionAffinityPolicy,
+        failurePolicy: form.sessionAffinityFailurePolicy,
+        affinityKeyName: form.sessionAffinityKeyName
+      };
+    }
+
+    // Add health checks if enabled
+    if (healthCheckEnabled) {
+      clusterConfig.healthCheck = {};
+
+      if (form.passiveHealthEnabled) {
+        clusterConfig.healthCheck.passive = {
+          enabled: true,
+          policy: form.passiveHealthPolicy,
+          reactivationPeriod: form.passiveHealthReactivationPeriod
+        };
+      }
+
+      if (form.activeHealthEnabled) {
+        clusterConfig.healthCheck.active = {
+          enabled: true,
+          interval: form.activeHealthInterval,
+          timeout: form.activeHealthTimeout,
+          policy: form.activeHealthPolicy,
+          path: form.activeHealthPath
+        };
+      }
+
+      if (form.availableDestinationsPolicy) {
+        clusterConfig.healthCheck.availableDestinationsPolicy = form.availableDestinationsPolicy;
+      }
+
+      if (Object.keys(clusterConfig.healthCheck).length === 0) {
+        delete clusterConfig.healthCheck;
+      }
+    }
+
+    // Add HTTP client config if enabled
+    if (httpClientEnabled) {
+      clusterConfig.httpClient = {};
+      if (form.maxConnectionsPerServer) {
+        clusterConfig.httpClient.maxConnectionsPerServer = parseInt(form.maxConnectionsPerServer);
+      }
+      if (form.enableMultipleHttp2Connections) {
+        clusterConfig.httpClient.enableMultipleHttp2Connections = true;
+      }
+      if (form.dangerousAcceptAnyServerCertificate) {
+        clusterConfig.httpClient.dangerousAcceptAnyServerCertificate = true;
+      }
+      if (Object.keys(clusterConfig.httpClient).length === 0) {
+        delete clusterConfig.httpClient;
+      }
+    }
+
+    // Add HTTP request config if enabled
+    if (httpRequestEnabled) {
+      clusterConfig.httpRequest = {};
+      if (form.activityTimeout) {
+        clusterConfig.httpRequest.activityTimeout = form.activityTimeout;
+      }
+      if (form.httpVersion) {
+        clusterConfig.httpRequest.version = form.httpVersion;
+      }
+      if (form.versionPolicy) {
+        clusterConfig.httpRequest.versionPolicy = form.versionPolicy;
+      }
+      if (form.allowResponseBuffering) {
+        clusterConfig.httpRequest.allowResponseBuffering = true;
+      }
+      if (Object.keys(clusterConfig.httpRequest).length === 0) {
+        delete clusterConfig.httpRequest;
+      }
+    }
+
+    // Add metadata if enabled
+    if (metadataEnabled && form.metadata.length > 0) {
+      clusterConfig.metadata = {};
+      form.metadata.forEach(m => {
+        if (m.key) clusterConfig.metadata[m.key] = m.value;
+      });
+      if (Object.keys(clusterConfig.metadata).length === 0) {
+        delete clusterConfig.metadata;
+      }
+    }
+
+    onSave(clusterConfig, { cloneRoutes });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()} style={{ maxWidth: '700px' }}>
+        <h2>{readOnly ? 'View Cluster' : duplicateOf ? `Duplicate Cluster ${duplicateOf}` : templateName ? `Add Cluster from ${templateName}` : isNew ? 'Add Cluster' : 'Edit Cluster'}</h2>
+        {conflict && (
+          <ConflictPanel conflict={conflict} mine={cluster} entityLabel="cluster" onOverwrite={onOverwrite} onReload={onReloadConflict} />
+        )}
+        {!conflict && remoteChange && <RemoteChangeNotice change={remoteChange} entityLabel="cluster" onReload={onReload} />}
+        <form onSubmit={handleSubmit} noValidate>
+          <fieldset className="form-fieldset" disabled={readOnly}>
+            {/* Basic Settings */}
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">Cluster ID</label>
+                <input
+                  className="form-input"
+                  type="text"
+                  value={form.clusterId}
+                  onChange={e => setForm({...form, clusterId: e.target.value})}
+                  placeholder="my-cluster"
+                  required
+                  disabled={!isNew}
+                />
+                <FieldError error={errors.clusterId} />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Load Balancing Policy</label>
+                <select
+                  className="form-input"
+                  value={form.loadBalancingPolicy}
+                  onChange={e => setForm({...form, loadBalancingPolicy: e.target.value})}
+                >
+                  <option value="RoundRobin">Round Robin</option>
+                  <option value="Random">Random</option>
+                  <option value="LeastRequests">Least Requests</option>
+                  <option value="PowerOfTwoChoices">Power of Two Choices</option>
+                  <option value="FirstAlphabetical">First Alphabetical</option>
+                  <option value={WEIGHTED_POLICY}>Weighted</option>
+                </select>
+              </div>
+            </div>
+
+            {duplicateOf && dependentRoutes.length > 0 && (
+              <div className="form-group">
+                <div className="inline-toggle">
+                  <span className="inline-toggle-label">
+                    Also duplicate the {dependentRoutes.length} route{dependentRoutes.length === 1 ? '' : 's'} using {duplicateOf}
+                  </span>
+                  <ToggleSwitch checked={cloneRoutes} onChange={e => setCloneRoutes(e.target.checked)} />
+                </div>
+                {cloneRoutes && (
+                  <p className="warning-text">
+                    Copies of {dependentRoutes.map(r => r.routeId).join(', ')} will point at the new cluster and keep their
+                    matches; change their paths or hosts before applying so they do not compete with the originals.
+                  </p>
                 )}
               </div>
             )}
 
-            {activeTab === 'clusters' && (
-              <div>
-                <div style={{ marginBottom: '1.5rem' }}>
-                  <button 
-                    className="btn btn-primary"
-                    onClick={() => setEditingCluster({ clusterId: '', destinations: {} })}
+            <div className="form-group">
+              <label className="form-label">Destinations</label>
+              <div className="destinations-list">
+                {form.destinations.map((dest, index) => (
+                  <div key={index} className="destination-item">
+                    <div className="destination-row">
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={dest.id}
+                        onChange={e => updateDestination(index, 'id', e.target.value)}
+                        placeholder="Destination ID"
+                        style={{ flex: '0.3' }}
+                      />
+                      <input
+                        className="form-input"
+                        type="text"
+                        value={dest.address}
+                        onChange={e => updateDestination(index, 'address', e.target.value)}
+                        placeholder="https://localhost:5001"
+                        style={{ flex: '0.7' }}
+                      />
+                      {form.loadBalancingPolicy === WEIGHTED_POLICY && (
+                        <input
+                          className="form-input destination-weight-input"
+                          type="number"
+                          min="0"
+                          value={dest.weight}
+                          onChange={e => updateDestination(index, 'weight', e.target.value)}
+                          placeholder={String(DEFAULT_DESTINATION_WEIGHT)}
+                          title={`Weight - ${weightedShares[dest.id] ?? 0}% of traffic`}
+                        />
+                      )}
+                      <select
+                        className="form-input destination-state-select"
+                        value={dest.state}
+                        onChange={e => updateDestination(index, 'state', e.target.value)}
+                      >
+                        {DESTINATION_STATES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                      </select>
+                      <button type="button" className="btn btn-secondary btn-sm" onClick={() => toggleDestination(index)}>
+                        {expandedDestinations.includes(index) ? 'Hide Details' : 'Details'}
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-danger btn-sm"
+                        onClick={() => removeDestination(index)}
+                      >
+                        x
+                      </button>
+                    </div>
+                    {!expandedDestinations.includes(index) && describeDestinationDetails(dest) && (
+                      <p className="feature-desc">{describeDestinationDetails(dest)}</p>
+                    )}
+                    {expandedDestinations.includes(index) && (
+                      <div className="destination-details">
+                        <div className="form-row">
+                          <div className="form-group">
+                            <label className="form-label">Health Address</label>
+                            <input
+                              className="form-input"
+                              type="text"
+                              value={dest.health}
+                              onChange={e => updateDestination(index, 'health', e.target.value)}
+                              placeholder="https://localhost:5002 (defaults to the address)"
+                            />
+                          </div>
+                          <div className="form-group">
+                            <label className="form-label">Host Override</label>
+                            <input
+                              className="form-input"
+                              type="text"
+                              value={dest.host}
+                              onChange={e => updateDestination(index, 'host', e.target.value)}
+                              placeholder="api.example.com"
+                            />
+                          </div>
+                        </div>
+                        <label className="form-label">Metadata</label>
+                        <KeyValueEditor
+                          items={dest.metadata}
+                          onChange={(metadata) => updateDestination(index, 'metadata', metadata)}
+                        />
+                      </div>
+                    )}
+                    <FieldError error={errors[`destinations.${index}`]} />
+                  </div>
+                ))}
+                <button type="button" className="btn btn-secondary btn-sm" onClick={addDestination}>
+                  + Add Destination
+                </button>
+              </div>
+              {form.loadBalancingPolicy === WEIGHTED_POLICY && Object.keys(weightedShares).length > 0 && (
+                <p className="feature-desc">
+                  Traffic split: {Object.entries(weightedShares).map(([id, share]) => `${id} ${share}%`).join(', ')}
+                </p>
+              )}
+            </div>
+
+            <div className="section-divider" />
+
+            {/* Session Affinity */}
+            <FeatureSection
+              title="Session Affinity"
+              description="Sticky sessions to route requests to the same destination"
+              enabled={sessionAffinityEnabled}
+              onToggle={() => setSessionAffinityEnabled(!sessionAffinityEnabled)}
+              hasError={hasErrorFor(errors, ['sessionAffinityKeyName'])}
+            >
+              <div className="form-row" style={{ marginTop: '0.75rem' }}>
+                <div className="form-group">
+                  <label className="form-label">Policy</label>
+                  <select
+                    className="form-input"
+                    value={form.sessionAffinityPolicy}
+                    onChange={e => setForm({...form, sessionAffinityPolicy: e.target.value})}
                   >
-                    <svg className="icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                    </svg>
-                    Add Cluster
-                  </button>
+                    <option value="Cookie">Cookie</option>
+                    <option value="CustomHeader">Custom Header</option>
+                  </select>
                 </div>
-                
-                {clusters.length === 0 ? (
-                  <div className="empty-state">
-                    <h3>No clusters configured</h3>
-                    <p>Add your first cluster to define backend destinations</p>
+                <div className="form-group">
+                  <label className="form-label">Failure Policy</label>
+                  <select
+                    className="form-input"
+                    value={form.sessionAffinityFailurePolicy}
+                    onChange={e => setForm({...form, sessionAffinityFailurePolicy: e.target.value})}
+                  >
+                    <option value="Redistribute">Redistribute</option>
+                    <option value="Return503">Return 503</option>
+                  </select>
+                </div>
+              </div>
+              <div className="form-group">
+                <label className="form-label">Affinity Key Name</label>
+                <input
+                  className="form-input"
+                  type="text"
+                  value={form.sessionAffinityKeyName}
+                  onChange={e => setForm({...form, sessionAffinityKeyName: e.target.value})}
+                  placeholder=".Yarp.Affinity"
+                />
+                <FieldError error={errors.sessionAffinityKeyName} />
+              </div>
+            </FeatureSection>
+
+            {/* Health Checks */}
+            <FeatureSection
+              title="Health Checks"
+              description="Monitor destination health"
+              enabled={healthCheckEnabled}
+              onToggle={() => setHealthCheckEnabled(!healthCheckEnabled)}
+              hasError={hasErrorFor(errors, ['passiveHealthReactivationPeriod', 'activeHealthInterval', 'activeHealthTimeout', 'activeHealthPath'])}
+            >
+              <div style={{ marginTop: '0.75rem' }}>
+                {/* Passive Health Check */}
+                <div className="sub-section">
+                  <div className="sub-section-title">
+                    <span>Passive Health Check</span>
+                    <ToggleSwitch
+                      checked={form.passiveHealthEnabled}
+                      onChange={e => setForm({...form, passiveHealthEnabled: e.target.checked})}
+                    />
                   </div>
-                ) : (
-                  clusters.map(cluster => (
-                    <div key={cluster.clusterId} className="card">
-                      <div className="card-header">
-                        <div className="card-title">
-                          {cluster.clusterId}
-                          <span className="status-badge status-active">
-                            {Object.keys(cluster.destinations || {}).length} destinations
-                          </span>
+                  {form.passiveHealthEnabled && (
+                    <div className="form-row">
+                      <div className="form-group">
+                        <label className="form-label">Policy</label>
+                        <select
+                          className="form-input"
+                          value={form.passiveHealthPolicy}
+                          onChange={e => setForm({...form, passiveHealthPolicy: e.target.value})}
+                        >
+                          <option value="TransportFailureRate">Transport Failure Rate</option>
+                        </select>
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label">Reactivation Period</label>
+                        <input
+                          className="form-input"
+                          type="text"
+                          value={form.passiveHealthReactivationPeriod}
+                          onChange={e => setForm({...form, passiveHealthReactivationPeriod: e.target.value})}
+                          placeholder="00:02:00"
+                        />
+                        <FieldError error={errors.passiveHealthReactivationPeriod} />
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Active Health Check */}
+                <div className="sub-section">
+                  <div className="sub-section-title">
+                    <span>Active Health Check</span>
+                    <ToggleSwitch
+                      checked={form.activeHealthEnabled}
+                      onChange={e => setForm({...form, activeHealthEnabled: e.target.checked})}
+                    />
+                  </div>
+                  {form.activeHealthEnabled && (
+                    <>
+                      <div className="form-row">
+                        <div className="form-group">
+                          <label className="form-label">Interval</label>
+                          <input
+                            className="form-input"
+                            type="text"
+                            value={form.activeHealthInterval}
+                            onChange={e => setForm({...form, activeHealthInterval: e.target.value})}
+                            placeholder="00:00:15"
+                          />
+                          <FieldError error={errors.activeHealthInterval} />
                         </div>
-                        <div className="card-actions">
-                          <button className="btn btn-secondary btn-sm" onClick={() => setEditingCluster(cluster)}>
-                            Edit
-                          </button>
-                          <button className="btn btn-danger btn-sm" onClick={() => handleDeleteCluster(cluster.clusterId)}>
-                            Delete
-                          </button>
+                        <div className="form-group">
+                          <label className="form-label">Timeout</label>
+                          <input
+                            className="form-input"
+                            type="text"
+                            value={form.activeHealthTimeout}
+                            onChange={e => setForm({...form, activeHealthTimeout: e.target.value})}
+                            placeholder="00:00:10"
+                          />
+                          <FieldError error={errors.activeHealthTimeout} />
                         </div>
                       </div>
-                      <div className="card-meta">
-                        <div className="meta-item">
-                          <span className="meta-label">Load Balancing Policy</span>
-                          <span className="meta-value">{cluster.loadBalancingPolicy || 'RoundRobin'}</span>
+                      <div className="form-row">
+                        <div className="form-group">
+                          <label className="form-label">Policy</label>
+                          <select
+                            className="form-input"
+                            value={form.activeHealthPolicy}
+                            onChange={e => setForm({...form, activeHealthPolicy: e.target.value})}
+                          >
+                            <option value="ConsecutiveFailures">Consecutive Failures</option>
+                          </select>
                         </div>
-                        <div className="meta-item">
-                          <span className="meta-label">Destinations</span>
-                          <span className="meta-value">
-                            {Object.entries(cluster.destinations || {}).map(([key, dest]) => (
-                              <div key={key}>{key}: {dest.address}</div>
-                            ))}
-                          </span>
+                        <div className="form-group">
+                          <label className="form-label">Health Path</label>
+                          <input
+                            className="form-input"
+                            type="text"
+                            value={form.activeHealthPath}
+                            onChange={e => setForm({...form, activeHealthPath: e.target.value})}
+                            placeholder="/health"
+                          />
+                          <FieldError error={errors.activeHealthPath} />
                         </div>
                       </div>
-                    </div>
-                  ))
+                    </>
+                  )}
+                </div>
+
+                <div className="form-group" style={{ marginTop: '0.75rem' }}>
+                  <label className="form-label">Available Destinations Policy</label>
+                  <select
+                    className="form-input"
+                    value={form.availableDestinationsPolicy}
+                    onChange={e => setForm({...form, availableDestinationsPolicy: e.target.value})}
+                  >
+                    <option value="">Default</option>
+                    <option value="HealthyAndUnknown">Healthy And Unknown</option>
+                    <option value="HealthyOrPanic">Healthy Or Panic</option>
+                  </select>
+                </div>
+              </div>
+            </FeatureSection>
+
+            {/* HTTP Client */}
+            <FeatureSection
+              title="HTTP Client"
+              description="Configure outbound connection settings"
+              enabled={httpClientEnabled}
+              onToggle={() => setHttpClientEnabled(!httpClientEnabled)}
+              hasError={hasErrorFor(errors, ['maxConnectionsPerServer'])}
+            >
+              <div style={{ marginTop: '0.75rem' }}>
+                <div className="form-group">
+                  <label className="form-label">Max Connections Per Server</label>
+                  <input
+                    className="form-input"
+                    type="number"
+                    value={form.maxConnectionsPerServer}
+                    onChange={e => setForm({...form, maxConnectionsPerServer: e.target.value})}
+                    placeholder="Leave empty for default"
+                  />
+                  <FieldError error={errors.maxConnectionsPerServer} />
+                </div>
+                <div className="inline-toggle">
+                  <span className="inline-toggle-label">Enable Multiple HTTP/2 Connections</span>
+                  <ToggleSwitch
+                    checked={form.enableMultipleHttp2Connections}
+                    onChange={e => setForm({...form, enableMultipleHttp2Connections: e.target.checked})}
+                  />
+                </div>
+                <div className="inline-toggle">
+                  <span className="inline-toggle-label">Accept Any Server Certificate</span>
+                  <ToggleSwitch
+                    checked={form.dangerousAcceptAnyServerCertificate}
+                    onChange={e => setForm({...form, dangerousAcceptAnyServerCertificate: e.target.checked})}
+                  />
+                </div>
+                {form.dangerousAcceptAnyServerCertificate && (
+                  <p className="warning-text">Warning: This setting disables SSL certificate validation. Use only in development.</p>
                 )}
               </div>
+            </FeatureSection>
+
+            {/* HTTP Request */}
+            <FeatureSection
+              title="HTTP Request"
+              description="Configure request forwarding settings"
+              enabled={httpRequestEnabled}
+              onToggle={() => setHttpRequestEnabled(!httpRequestEnabled)}
+              hasError={hasErrorFor(errors, ['activityTimeout'])}
+            >
+              <div style={{ marginTop: '0.75rem' }}>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label className="form-label">Activity Timeout</label>
+                    <input
+                      className="form-input"
+                      type="text"
+                      value={form.activityTimeout}
+                      onChange={e => setForm({...form, activityTimeout: e.target.value})}
+                      placeholder="00:01:40"
+                    />
+                    <FieldError error={errors.activityTimeout} />
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">HTTP Version</label>
+                    <select
+                      className="form-input"
+                      value={form.httpVersion}
+                      onChange={e => setForm({...form, httpVersion: e.target.value})}
+                    >
+                      <option value="">Default</option>
+                      <option value="1.0">HTTP/1.0</option>
+                      <option value="1.1">HTTP/1.1</option>
+                      <option value="2">HTTP/2</option>
+                      <option value="3">HTTP/3</option>
+                    </select>
+                  </div>
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label className="form-label">Version Policy</label>
+                    <select
+                      className="form-input"
+                      value={form.versionPolicy}
+                      onChange={e => setForm({...form, versionPolicy: e.target.value})}
+                    >
+                      <option value="">Default</option>
+                      <option value="RequestVersionOrLower">Request Version Or Lower</option>
+                      <option value="RequestVersionOrHigher">Request Version Or Higher</option>
+                      <option value="RequestVersionExact">Request Version Exact</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <div className="inline-toggle" style={{ marginTop: '1.5rem' }}>
+                      <span className="inline-toggle-label">Allow Response Buffering</span>
+                      <ToggleSwitch
+                        checked={form.allowResponseBuffering}
+                        onChange={e => setForm({...form, allowResponseBuffering: e.target.checked})}
+                      />
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </FeatureSection>
+
+            {/* Metadata */}
+            <FeatureSection
+              title="Metadata"
+              description="Custom key-value pairs"
+              enabled={metadataEnabled}
+              onToggle={() => setMetadataEnabled(!metadataEnabled)}
+              hasError={hasErrorFor(errors, ['metadata'])}
+            >
+              <div style={{ marginTop: '0.75rem' }}>
+                <KeyValueEditor
+                  items={form.metadata}
+                  onChange={(metadata) => setForm({...form, metadata})}
+                  keyPlaceholder="Key"
+                  valuePlaceholder="Value"
+                />
+                <FieldError error={errors.metadata} />
+              </div>
+            </FeatureSection>
+          </fieldset>
+
+          <div className="form-actions">
+            {readOnly ? (
+              <button type="button" className="btn btn-secondary" onClick={onClose}>Close</button>
+            ) : (
+              <>
+                <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                <button type="submit" className="btn btn-primary" disabled={submitAttempted && hasErrors}>Save Cluster</button>
+              </>
             )}
-          </>
-        )}
+          </div>
+        </form>
       </div>
+    </div>
+  );
+};
 
-      {editingRoute && (
-        <RouteModal 
-          route={editingRoute} 
-          clusters={clusters}
-          onSave={handleSaveRoute} 
-          onClose={() => setEditingRoute(null)} 
-        />
-      )}
+// Saves a route or cluster as a reusable template; placeholders are edited into the JSON directly or via replace
+const SaveTemplateModal = ({ entityType, entity, onSaved, onClose, onApiError }) => {
+  const entityId = entity[entityKey(entityType)];
+  const [form, setForm] = useState({ templateId: `${entityId}-template`, name: entityId, description: '' });
+  const [content, setContent] = useState(() => JSON.stringify(entity, null, 2));
+  const [replacement, setReplacement] = useState({ literal: entityId, variable: 'service' });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
 
-      {editingCluster && (
-        <ClusterModal 
-          cluster={editingCluster} 
-          onSave={handleSaveCluster} 
-          onClose={() => setEditingCluster(null)} 
-        />
-      )}
+  const variables = findTemplateVariables(content);
 
-      {notification && (
-        <div className={`notification ${notification.type}`}>
-          {notification.message}
-        </div>
-      )}
+  const parseContent = () => {
+    try {
+      const parsed = JSON.parse(content);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (err) {
+      // Reported below
+    }
+    setError('Content must be a JSON object');
+    return null;
+  };
+
+  const handleReplace = () => {
+    const variable = replacement.variable.trim();
+    if (!replacement.literal || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(variable)) {
+      setError('Enter the text to replace and a variable name made of letters, digits and underscores');
+      return;
+    }
+    const parsed = parseContent();
+    if (!parsed) return;
+    setContent(JSON.stringify(replaceInEntity(parsed, replacement.literal, `{{${variable}}}`), null, 2));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.templateId.trim() || !form.name.trim()) {
+      setError('Template ID and name are required');
+      return;
+    }
+    const parsed = parseContent();
+    if (!parsed) return;
+
+    setSaving(true);
+    try {
+      const template = await apiRequest('/templates', {
+        method: 'POST',
+        body: {
+          templateId: form.templateId.trim(),
+          name: form.name.trim(),
+          description: form.description.trim() || null,
+          entityType,
+          content: parsed
+        }
+      });
+      onSaved(template);
+    } catch (err) {
+      if (err instanceof ApiError && (err.status === 400 || err.status === 409)) setError(err.message);
+      else onApiError(err, 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <h2>Save {entityType === 'route' ? 'Route' : 'Cluster'} {entityId} as Template</h2>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label className="form-label">Template ID</label>
+            <input className="form-input" value={form.templateId} onChange={e => setForm({ ...form, templateId: e.target.value })} />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Name</label>
+            <input className="form-input" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Description</label>
+            <input className="form-input" value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} placeholder="Optional" />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Content</label>
+            <p className="feature-desc">Use {'{{name}}'} placeholders for values that differ per use, or replace existing text below.</p>
+            <div className="template-replace">
+              <input className="form-input" value={replacement.literal} onChange={e => setReplacement({ ...replacement, literal: e.target.value })} placeholder="Text, e.g. orders" />
+              <input className="form-input" value={replacement.variable} onChange={e => setReplacement({ ...replacement, variable: e.target.value })} placeholder="Variable, e.g. service" />
+              <button type="button" className="btn btn-secondary btn-sm" onClick={handleReplace}>Replace with Variable</button>
+            </div>
+            <textarea className="form-input" rows={14} value={content} onChange={e => { setContent(e.target.value); setError(null); }} />
+            <p className="feature-desc">
+              {variables.length > 0 ? `Variables: ${variables.join(', ')}` : 'No variables yet - the template will copy this entity as-is.'}
+            </p>
+          </div>
+          <FieldError error={error} />
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>{saving ? 'Saving...' : 'Save Template'}</button>
+          </div>
+        </form>
+      </div>
     </div>
   );
 };
 
-// Route Editor Modal
-const RouteModal = ({ route, clusters, onSave, onClose }) => {
-  // Parse existing headers into UI format
-  const parseHeaders = (headers) => {
-    if (!headers || !Array.isArray(headers)) return [];
-    return headers.map(h => ({
-      name: h.name || '',
-      values: h.values?.join(', ') || '',
-      mode: h.mode || 'ExactHeader',
-      isCaseSensitive: h.isCaseSensitive || false
-    }));
+// Lists the templates for one entity type and fills in the chosen one's variables; the result opens in the Add modal
+const TemplatePickerModal = ({ entityType, readOnly, onUse, onClose, onApiError }) => {
+  const [templates, setTemplates] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [values, setValues] = useState({});
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const label = entityType === 'route' ? 'Route' : 'Cluster';
+
+  const loadTemplates = async () => {
+    try {
+      const all = await apiRequest('/templates');
+      setTemplates(all.filter(t => t.entityType === entityType));
+    } catch (err) {
+      setTemplates([]);
+      onApiError(err, 'Failed to load templates');
+    }
   };
 
-  // Parse existing query params into UI format
-  const parseQueryParams = (params) => {
-    if (!params || !Array.isArray(params)) return [];
-    return params.map(p => ({
-      name: p.name || '',
-      values: p.values?.join(', ') || '',
-      mode: p.mode || 'Exact',
-      isCaseSensitive: p.isCaseSensitive || false
-    }));
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const selected = templates?.find(t => t.templateId === selectedId);
+
+  const selectTemplate = (template) => {
+    setSelectedId(template.templateId);
+    setValues(Object.fromEntries(template.variables.map(v => [v, ''])));
+    setError(null);
   };
 
-  // Parse transforms into UI format
-  const parseTransforms = (transforms) => {
-    if (!transforms || !Array.isArray(transforms)) return [];
-    return transforms.map(t => {
-      const entries = Object.entries(t);
-      return entries.length > 0 ? { key: entries[0][0], value: entries[0][1] } : { key: '', value: '' };
-    });
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete template '${template.name}'?`)) return;
+    try {
+      await apiRequest(`/templates/${encodeURIComponent(template.templateId)}`, { method: 'DELETE' });
+      if (selectedId === template.templateId) setSelectedId(null);
+      loadTemplates();
+    } catch (err) {
+      onApiError(err, `Failed to delete template '${template.name}'`);
+    }
   };
 
-  // Parse metadata into UI format
-  const parseMetadata = (metadata) => {
-    if (!metadata) return [];
-    return Object.entries(metadata).map(([key, value]) => ({ key, value }));
+  const handleUse = async (e) => {
+    e.preventDefault();
+    const missing = selected.variables.filter(v => !values[v]?.trim());
+    if (missing.length > 0) {
+      setError(`Values are required for: ${missing.join(', ')}`);
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const entity = await apiRequest(`/templates/${encodeURIComponent(selected.templateId)}/instantiate`, {
+        method: 'POST',
+        body: { variables: Object.fromEntries(Object.entries(values).map(([k, v]) => [k, v.trim()])) }
+      });
+      onUse(entity, selected);
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 400) setError(err.message);
+      else onApiError(err, `Failed to use template '${selected.name}'`);
+    } finally {
+      setBusy(false);
+    }
   };
 
-  const [form, setForm] = useState({
-    // Basic settings
-    routeId: route.routeId || '',
-    clusterId: route.clusterId || '',
-    path: route.match?.path || '',
-    methods: route.match?.methods?.join(', ') || '',
-    order: route.order ?? '',
-    enabled: route.enabled !== false,
-    // Advanced matching
-    hosts: route.match?.hosts?.join(', ') || '',
-    headers: parseHeaders(route.match?.headers),
-    queryParameters: parseQueryParams(route.match?.queryParameters),
-    // Policies
-    authorizationPolicy: route.authorizationPolicy || '',
-    corsPolicy: route.corsPolicy || '',
-    rateLimiterPolicy: route.rateLimiterPolicy || '',
-    timeoutPolicy: route.timeoutPolicy || '',
-    // Transforms
-    transforms: parseTransforms(route.transforms),
-    // Metadata
-    metadata: parseMetadata(route.metadata)
-  });
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <h2>Start {label} from Template</h2>
+        {templates === null ? (
+          <div className="loading"><div className="spinner" /></div>
+        ) : templates.length === 0 ? (
+          <div className="empty-state">
+            <h3>No {entityType} templates</h3>
+            <p>Use Save as Template on a {entityType} to create one</p>
+          </div>
+        ) : (
+          <div className="pending-list">
+            {templates.map(template => (
+              <div key={template.templateId} className="pending-item">
+                <div className="pending-item-header">
+                  <div className="card-title">
+                    {template.name}
+                    {template.builtIn && <span className="meta-label">built-in</span>}
+                  </div>
+                  <div className="card-actions">
+                    <button
+                      type="button"
+                      className={`btn btn-sm ${selectedId === template.templateId ? 'btn-primary' : 'btn-secondary'}`}
+                      onClick={() => selectTemplate(template)}
+                    >
+                      Select
+                    </button>
+                    {!template.builtIn && (
+                      <button
+                        type="button"
+                        className="btn btn-danger btn-sm"
+                        onClick={() => handleDelete(template)}
+                        disabled={readOnly}
+                        title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {template.description && <p className="feature-desc">{template.description}</p>}
+                {template.variables.length > 0 && (
+                  <div className="audit-meta">Variables: {template.variables.join(', ')}</div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
 
-  // Feature toggles
-  const [advancedMatchingEnabled, setAdvancedMatchingEnabled] = useState(
-    !!(route.match?.hosts?.length || route.match?.headers?.length || route.match?.queryParameters?.length)
-  );
-  const [policiesEnabled, setPoliciesEnabled] = useState(
-    !!(route.authorizationPolicy || route.corsPolicy || route.rateLimiterPolicy || route.timeoutPolicy)
+        <form onSubmit={handleUse}>
+          {selected && selected.variables.map(variable => (
+            <div key={variable} className="form-group">
+              <label className="form-label">{variable}</label>
+              <input
+                className="form-input"
+                value={values[variable] || ''}
+                onChange={e => { setValues({ ...values, [variable]: e.target.value }); setError(null); }}
+              />
+            </div>
+          ))}
+          <FieldError error={error} />
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={!selected || busy}>
+              {busy ? 'Preparing...' : 'Use Template'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
   );
-  const [transformsEnabled, setTransformsEnabled] = useState(!!(route.transforms?.length));
-  const [metadataEnabled, setMetadataEnabled] = useState(!!(route.metadata && Object.keys(route.metadata).length));
+};
 
-  // Header management
-  const addHeader = () => setForm({...form, headers: [...form.headers, { name: '', values: '', mode: 'ExactHeader', isCaseSensitive: false }]});
-  const removeHeader = (index) => setForm({...form, headers: form.headers.filter((_, i) => i !== index)});
-  const updateHeader = (index, field, value) => {
-    const newHeaders = [...form.headers];
-    newHeaders[index] = { ...newHeaders[index], [field]: value };
-    setForm({...form, headers: newHeaders});
-  };
+// appsettings "ReverseProxy" helpers - keys under these properties are ids or transform names, not properties
+const APPSETTINGS_VERBATIM_KEYS = ['metadata', 'transforms'];
 
-  // Query param management
-  const addQueryParam = () => setForm({...form, queryParameters: [...form.queryParameters, { name: '', values: '', mode: 'Exact', isCaseSensitive: false }]});
-  const removeQueryParam = (index) => setForm({...form, queryParameters: form.queryParameters.filter((_, i) => i !== index)});
-  const updateQueryParam = (index, field, value) => {
-    const newParams = [...form.queryParameters];
-    newParams[index] = { ...newParams[index], [field]: value };
-    setForm({...form, queryParameters: newParams});
+// The appsettings export writes destination state and weight as these metadata keys, since plain YARP has neither
+const APPSETTINGS_STATE_KEY = 'YarpAdmin.DestinationState';
+const APPSETTINGS_WEIGHT_KEY = 'YarpAdmin.Weight';
+
+const readDestinationMetadata = (destination) => {
+  if (!destination?.metadata || typeof destination.metadata !== 'object') return destination;
+  const { [APPSETTINGS_STATE_KEY]: state, [APPSETTINGS_WEIGHT_KEY]: weight, ...metadata } = destination.metadata;
+  const { metadata: removed, ...result } = destination;
+  if (Object.keys(metadata).length > 0) result.metadata = metadata;
+  if (state && !result.state) result.state = state;
+  if (weight !== undefined && result.weight == null && /^\d+$/.test(weight)) result.weight = parseInt(weight, 10);
+  return result;
+};
+
+const camelizeAppSettings = (value) => {
+  if (Array.isArray(value)) return value.map(camelizeAppSettings);
+  if (!value || typeof value !== 'object') return value;
+  const result = {};
+  Object.entries(value).forEach(([key, child]) => {
+    const name = key.charAt(0).toLowerCase() + key.slice(1);
+    if (APPSETTINGS_VERBATIM_KEYS.includes(name)) {
+      result[name] = child;
+    } else if (name === 'destinations' && child && typeof child === 'object') {
+      result[name] = Object.fromEntries(Object.entries(child).map(([id, dest]) => [id, readDestinationMetadata(camelizeAppSettings(dest))]));
+    } else {
+      result[name] = camelizeAppSettings(child);
+    }
+  });
+  return result;
+};
+
+// Property lookup that ignores case, as the .NET configuration system does
+const getIgnoreCase = (obj, name) => {
+  const key = Object.keys(obj || {}).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? obj[key] : undefined;
+};
+
+const isAppSettingsFormat = (json) =>
+  !!json && typeof json === 'object' && !Array.isArray(json.routes) && !Array.isArray(json.clusters);
+
+const fromAppSettings = (json) => {
+  const section = getIgnoreCase(json, 'ReverseProxy') || json;
+  return {
+    routes: Object.entries(getIgnoreCase(section, 'Routes') || {})
+      .map(([routeId, route]) => ({ ...camelizeAppSettings(route), routeId })),
+    clusters: Object.entries(getIgnoreCase(section, 'Clusters') || {})
+      .map(([clusterId, cluster]) => ({ ...camelizeAppSettings(cluster), clusterId }))
   };
+};
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
+// Route matching - mirrors ASP.NET endpoint routing as YARP configures it, for the Route Tester
+const ROUTE_CONSTRAINTS = {
+  int: v => /^-?\d+$/.test(v),
+  long: v => /^-?\d+$/.test(v),
+  bool: v => /^(true|false)$/i.test(v),
+  guid: v => /^\{?[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}\}?$/i.test(v),
+  alpha: v => /^[a-z]+$/i.test(v)
+};
 
-    // Build match object
-    const match = {
-      path: form.path,
-      methods: form.methods ? form.methods.split(',').map(m => m.trim()).filter(m => m) : undefined
-    };
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-    // Add advanced matching if enabled
-    if (advancedMatchingEnabled) {
-      if (form.hosts) {
-        match.hosts = form.hosts.split(',').map(h => h.trim()).filter(h => h);
-      }
-      if (form.headers.length > 0) {
-        match.headers = form.headers
-          .filter(h => h.name)
-          .map(h => ({
-            name: h.name,
-            values: h.values ? h.values.split(',').map(v => v.trim()).filter(v => v) : undefined,
-            mode: h.mode,
-            isCaseSensitive: h.isCaseSensitive
-          }));
-        if (match.headers.length === 0) delete match.headers;
-      }
-      if (form.queryParameters.length > 0) {
-        match.queryParameters = form.queryParameters
-          .filter(p => p.name)
-          .map(p => ({
-            name: p.name,
-            values: p.values ? p.values.split(',').map(v => v.trim()).filter(v => v) : undefined,
-            mode: p.mode,
-            isCaseSensitive: p.isCaseSensitive
-          }));
-        if (match.queryParameters.length === 0) delete match.queryParameters;
-      }
+// Splits "/api/{id:int}/{**rest}" into typed segments
+const parseRouteTemplate = (template) =>
+  (template || '/').replace(/^~?\//, '').split('/').filter(s => s !== '').map(segment => {
+    const whole = /^\{(\*{1,2})?([^{}:=?]+)((?::[^{}=?]+)*)(=[^{}]*)?(\?)?\}$/.exec(segment);
+    if (!whole) {
+      return segment.includes('{') ? { kind: 'complex', text: segment } : { kind: 'literal', text: segment };
+    }
+    const constraints = whole[3] ? whole[3].slice(1).split(':').map(c => c.replace(/\(.*\)$/, '')) : [];
+    if (whole[1]) return { kind: 'catchAll', name: whole[2] };
+    return { kind: 'parameter', name: whole[2], constraints, optional: !!whole[5] || !!whole[4] };
+  });
+
+const matchComplexSegment = (text, value) => {
+  const pattern = text.split(/(\{[^}]+\})/).filter(p => p).map(p => (p.startsWith('{') ? '(.+?)' : escapeRegex(p))).join('');
+  return new RegExp(`^${pattern}$`, 'i').test(value);
+};
+
+// Returns null on success, otherwise a short reason
+const matchPath = (template, path) => {
+  if (!template) return null;
+  const segments = parseRouteTemplate(template);
+  const parts = (path || '/').split('?')[0].split('/').filter(p => p !== '').map(p => {
+    try { return decodeURIComponent(p); } catch (err) { return p; }
+  });
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const part = parts[i];
+    if (segment.kind === 'catchAll') return null;
+    if (part === undefined) {
+      if (segment.kind === 'parameter' && segment.optional) continue;
+      return `path is missing segment ${i + 1} ("${segment.kind === 'literal' ? segment.text : `{${segment.name}}`}")`;
+    }
+    if (segment.kind === 'literal' && segment.text.toLowerCase() !== part.toLowerCase()) {
+      return `path segment "${part}" does not equal "${segment.text}"`;
     }
+    if (segment.kind === 'complex' && !matchComplexSegment(segment.text, part)) {
+      return `path segment "${part}" does not fit "${segment.text}"`;
+    }
+    if (segment.kind === 'parameter') {
+      const failed = segment.constraints.find(c => ROUTE_CONSTRAINTS[c] && !ROUTE_CONSTRAINTS[c](part));
+      if (failed) return `path segment "${part}" fails the {${segment.name}:${failed}} constraint`;
+    }
+  }
+
+  return parts.length > segments.length ? `path has ${parts.length - segments.length} extra segment(s)` : null;
+};
+
+// ASP.NET route precedence: one digit per segment, literals beat parameters beat catch-alls
+const SEGMENT_PRECEDENCE = { literal: 5, complex: 4, constrained: 3, parameter: 2, catchAll: 1 };
+
+const routePrecedence = (template) =>
+  parseRouteTemplate(template || '/{**catch-all}').reduce((total, segment, i) => {
+    const kind = segment.kind === 'parameter' && segment.constraints.length > 0 ? 'constrained' : segment.kind;
+    return total + SEGMENT_PRECEDENCE[kind] / Math.pow(10, i);
+  }, 0);
+
+const splitHostPort = (value) => {
+  const match = /^(.*?)(?::(\d+|\*))?$/.exec(value.trim().toLowerCase());
+  return { host: match[1], port: match[2] };
+};
+
+const matchHostPattern = (pattern, requestHost) => {
+  const expected = splitHostPort(pattern);
+  const actual = splitHostPort(requestHost);
+  if (expected.port && expected.port !== '*' && expected.port !== actual.port) return false;
+  if (expected.host === '*' || expected.host === '') return true;
+  if (expected.host.startsWith('*.')) return actual.host.endsWith(expected.host.slice(1));
+  return expected.host === actual.host;
+};
+
+const compareValue = (mode, actual, expected, caseSensitive) => {
+  const a = caseSensitive ? actual : actual.toLowerCase();
+  const e = caseSensitive ? expected : expected.toLowerCase();
+  switch (mode) {
+    case 'HeaderPrefix':
+    case 'Prefix':
+      return a.startsWith(e);
+    case 'Contains':
+    case 'NotContains':
+      return a.includes(e);
+    case 'RegexHeader':
+      try { return new RegExp(expected, caseSensitive ? '' : 'i').test(actual); } catch (err) { return false; }
+    default:
+      return a === e;
+  }
+};
+
+// Shared by header and query matching; requestValues is undefined when the key is absent
+const matchValueRule = (kind, rule, requestValues) => {
+  const mode = rule.mode || (kind === 'header' ? 'ExactHeader' : 'Exact');
+  const label = `${kind} "${rule.name}"`;
+  const present = requestValues !== undefined;
+  if (mode === 'Exists') return present ? null : `${label} is missing`;
+  if (mode === 'NotExists') return present ? `${label} must not be present` : null;
+
+  const values = rule.values || [];
+  const anyMatch = present && requestValues.some(actual => values.some(v => compareValue(mode, actual, v, rule.isCaseSensitive)));
+  if (mode === 'NotContains') return anyMatch ? `${label} contains ${values.join(' / ')}` : null;
+  if (!present) return `${label} is missing`;
+  return anyMatch ? null : `${label} does not match ${mode} ${values.join(' / ')}`;
+};
+
+// Request shape: { method, host, path, headers: { name: [values] }, query: { name: [values] } } with lower-cased names
+const evaluateRoute = (route, request) => {
+  const reasons = [];
+  const match = route.match || {};
 
-    // Build route config
-    const routeConfig = {
-      routeId: form.routeId,
-      clusterId: form.clusterId,
-      order: form.order ? parseInt(form.order) : undefined,
-      enabled: form.enabled,
-      match
-    };
+  if (route.enabled === false) reasons.push('route is disabled');
 
-    // Add policies if enabled
-    if (policiesEnabled) {
-      if (form.authorizationPolicy) routeConfig.authorizationPolicy = form.authorizationPolicy;
-      if (form.corsPolicy) routeConfig.corsPolicy = form.corsPolicy;
-      if (form.rateLimiterPolicy) routeConfig.rateLimiterPolicy = form.rateLimiterPolicy;
-      if (form.timeoutPolicy) routeConfig.timeoutPolicy = form.timeoutPolicy;
-    }
+  const pathReason = matchPath(match.path, request.path);
+  if (pathReason) reasons.push(pathReason);
 
-    // Add transforms if enabled
-    if (transformsEnabled && form.transforms.length > 0) {
-      routeConfig.transforms = form.transforms
-        .filter(t => t.key)
-        .map(t => ({ [t.key]: t.value }));
-      if (routeConfig.transforms.length === 0) delete routeConfig.transforms;
-    }
+  if (match.methods?.length > 0 && !match.methods.some(m => m.toUpperCase() === request.method.toUpperCase())) {
+    reasons.push(`method ${request.method} not in ${match.methods.join(', ')}`);
+  }
 
-    // Add metadata if enabled
-    if (metadataEnabled && form.metadata.length > 0) {
-      routeConfig.metadata = {};
-      form.metadata.forEach(m => {
-        if (m.key) routeConfig.metadata[m.key] = m.value;
-      });
-      if (Object.keys(routeConfig.metadata).length === 0) delete routeConfig.metadata;
-    }
+  if (match.hosts?.length > 0 && !match.hosts.some(h => matchHostPattern(h, request.host || ''))) {
+    reasons.push(`host "${request.host || '(none)'}" not in ${match.hosts.join(', ')}`);
+  }
+
+  (match.headers || []).forEach(rule => {
+    const reason = matchValueRule('header', rule, request.headers[rule.name.toLowerCase()]);
+    if (reason) reasons.push(reason);
+  });
+
+  (match.queryParameters || []).forEach(rule => {
+    const reason = matchValueRule('query parameter', rule, request.query[rule.name.toLowerCase()]);
+    if (reason) reasons.push(reason);
+  });
 
-    onSave(routeConfig);
+  return reasons;
+};
+
+// Same tie-breakers as endpoint routing: order, path precedence, then hosts, methods, headers and query rules
+const routeSortKey = (route) => {
+  const match = route.match || {};
+  const hosts = match.hosts || [];
+  return [
+    -(route.order ?? 0),
+    routePrecedence(match.path),
+    hosts.length === 0 ? 0 : hosts.every(h => !splitHostPort(h).host.includes('*')) ? 2 : 1,
+    match.methods?.length > 0 ? 1 : 0,
+    (match.headers || []).length,
+    (match.queryParameters || []).length
+  ];
+};
+
+const compareSortKeys = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return b[i] - a[i];
+  }
+  return 0;
+};
+
+const findMatchingRoute = (routes, request) => {
+  const results = routes.map(route => ({ route, reasons: evaluateRoute(route, request), key: routeSortKey(route) }));
+  const candidates = results.filter(r => r.reasons.length === 0).sort((a, b) => compareSortKeys(a.key, b.key));
+  const winner = candidates[0] || null;
+  const ambiguous = candidates.filter(c => c !== winner && compareSortKeys(c.key, winner.key) === 0).map(c => c.route.routeId);
+
+  return {
+    winner: winner?.route || null,
+    ambiguous,
+    others: results
+      .filter(r => r !== winner)
+      .map(r => ({
+        route: r.route,
+        reasons: r.reasons.length > 0 ? r.reasons : [describeLostTieBreak(r.key, winner.key)]
+      }))
+  };
+};
+
+const TIE_BREAK_LABELS = ['a lower order', 'a more specific path', 'a more specific host', 'explicit methods', 'more header rules', 'more query rules'];
+
+const describeLostTieBreak = (key, winnerKey) => {
+  const index = key.findIndex((value, i) => value !== winnerKey[i]);
+  return index === -1
+    ? 'matches too, with equal priority (ASP.NET would report an ambiguous match)'
+    : `matches too, but the winner has ${TIE_BREAK_LABELS[index]}`;
+};
+
+// "Name: value" per line, repeated names add values
+const parseHeaderLines = (text) => {
+  const headers = {};
+  text.split('\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index <= 0) return;
+    const name = line.slice(0, index).trim().toLowerCase();
+    (headers[name] = headers[name] || []).push(line.slice(index + 1).trim());
+  });
+  return headers;
+};
+
+const parseQueryString = (text) => {
+  const query = {};
+  new URLSearchParams(text.replace(/^\?/, '')).forEach((value, name) => {
+    const key = name.toLowerCase();
+    (query[key] = query[key] || []).push(value);
+  });
+  return query;
+};
+
+// Route Tester View - which route would handle a given request
+const RouteTesterView = ({ liveRoutes, pendingRoutes, hasPendingChanges }) => {
+  const [request, setRequest] = useState({ method: 'GET', host: '', path: '/', query: '', headers: '' });
+  const [usePending, setUsePending] = useState(true);
+  const [result, setResult] = useState(null);
+
+  const routeSet = hasPendingChanges && usePending ? pendingRoutes : liveRoutes;
+
+  const handleTest = (e) => {
+    e.preventDefault();
+    setResult(findMatchingRoute(routeSet, {
+      method: request.method,
+      host: request.host.trim(),
+      path: request.path.trim() || '/',
+      headers: parseHeaderLines(request.headers),
+      query: parseQueryString(request.query)
+    }));
+  };
+
+  const update = (field, value) => {
+    setRequest({ ...request, [field]: value });
+    setResult(null);
   };
 
   return (
-    <div className="modal-overlay" onClick={onClose}>
-      <div className="modal" onClick={e => e.stopPropagation()} style={{ maxWidth: '700px' }}>
-        <h2>{route.routeId ? 'Edit Route' : 'Add Route'}</h2>
-        <form onSubmit={handleSubmit}>
-          {/* Basic Settings */}
-          <div className="form-group">
-            <label className="form-label">Route ID</label>
-            <input
-              className="form-input"
-              type="text"
-              value={form.routeId}
-              onChange={e => setForm({...form, routeId: e.target.value})}
-              placeholder="my-route"
-              required
-              disabled={!!route.routeId}
-            />
-          </div>
+    <div>
+      <div className="card">
+        <div className="card-header">
+          <div className="card-title">Test Request</div>
+          {hasPendingChanges && (
+            <div className="card-actions">
+              <ToggleSwitch checked={usePending} onChange={() => { setUsePending(!usePending); setResult(null); }} />
+              <span className="feature-desc">Include pending changes</span>
+            </div>
+          )}
+        </div>
+        <form onSubmit={handleTest}>
           <div className="form-row">
             <div className="form-group">
-              <label className="form-label">Cluster ID</label>
-              <select
-                className="form-input"
-                value={form.clusterId}
-                onChange={e => setForm({...form, clusterId: e.target.value})}
-                required
-              >
-                <option value="">Select a cluster...</option>
-                {clusters.map(c => (
-                  <option key={c.clusterId} value={c.clusterId}>{c.clusterId}</option>
-                ))}
+              <label className="form-label">Method</label>
+              <select className="form-input" value={request.method} onChange={e => update('method', e.target.value)}>
+                {HTTP_METHODS.map(m => <option key={m} value={m}>{m}</option>)}
               </select>
             </div>
             <div className="form-group">
-              <label className="form-label">Order (priority)</label>
+              <label className="form-label">Host</label>
               <input
                 className="form-input"
-                type="number"
-                value={form.order}
-                onChange={e => setForm({...form, order: e.target.value})}
-                placeholder="0"
+                value={request.host}
+                onChange={e => update('host', e.target.value)}
+                placeholder="api.example.com:443"
               />
             </div>
           </div>
-          <div className="form-group">
-            <label className="form-label">Path Pattern</label>
-            <input
-              className="form-input"
-              type="text"
-              value={form.path}
-              onChange={e => setForm({...form, path: e.target.value})}
-              placeholder="/api/{**catch-all}"
-              required
-            />
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Path</label>
+              <input
+                className="form-input"
+                value={request.path}
+                onChange={e => update('path', e.target.value)}
+                placeholder="/api/users/42"
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Query String</label>
+              <input
+                className="form-input"
+                value={request.query}
+                onChange={e => update('query', e.target.value)}
+                placeholder="version=2&beta=true"
+              />
+            </div>
           </div>
           <div className="form-group">
-            <label className="form-label">HTTP Methods (comma-separated, leave empty for all)</label>
-            <input
+            <label className="form-label">Headers (one "Name: value" per line)</label>
+            <textarea
               className="form-input"
-              type="text"
-              value={form.methods}
-              onChange={e => setForm({...form, methods: e.target.value})}
-              placeholder="GET, POST, PUT, DELETE"
+              rows={4}
+              value={request.headers}
+              onChange={e => update('headers', e.target.value)}
+              placeholder="X-Api-Version: 2"
             />
           </div>
-          <div className="form-group">
-            <div className="inline-toggle">
-              <span className="inline-toggle-label">Route Enabled</span>
-              <ToggleSwitch checked={form.enabled} onChange={e => setForm({...form, enabled: e.target.checked})} />
-            </div>
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary">Test Request</button>
           </div>
+        </form>
+      </div>
 
-          <div className="section-divider" />
-
-          {/* Advanced Matching */}
-          <FeatureSection
-            title="Advanced Matching"
-            description="Match by hosts, headers, or query parameters"
-            enabled={advancedMatchingEnabled}
-            onToggle={() => setAdvancedMatchingEnabled(!advancedMatchingEnabled)}
-          >
-            <div className="form-group" style={{ marginTop: '0.75rem' }}>
-              <label className="form-label">Hosts (comma-separated)</label>
-              <input
-                className="form-input"
-                type="text"
-                value={form.hosts}
-                onChange={e => setForm({...form, hosts: e.target.value})}
-                placeholder="example.com, api.example.com"
-              />
-            </div>
-
-            <div className="sub-section">
-              <div className="sub-section-title">
-                <span>Headers</span>
-                <button type="button" className="btn btn-secondary btn-sm" onClick={addHeader}>+ Add</button>
+      {result && (
+        <div className="card">
+          <div className="card-header">
+            <div className="card-title">Result</div>
+            <span className="meta-label">{routeSet.length} routes evaluated ({hasPendingChanges && usePending ? 'with pending changes' : 'live'})</span>
+          </div>
+          {result.winner ? (
+            <div className="card-meta">
+              <div className="meta-item">
+                <span className="meta-label">Matched Route</span>
+                <span className="meta-value">{result.winner.routeId}</span>
               </div>
-              {form.headers.map((header, index) => (
-                <div key={index} className="key-value-row" style={{ marginBottom: '0.5rem' }}>
-                  <input
-                    className="form-input"
-                    type="text"
-                    value={header.name}
-                    onChange={e => updateHeader(index, 'name', e.target.value)}
-                    placeholder="Header Name"
-                    style={{ flex: '0.3' }}
-                  />
-                  <input
-                    className="form-input"
-                    type="text"
-                    value={header.values}
-                    onChange={e => updateHeader(index, 'values', e.target.value)}
-                    placeholder="Values (comma-separated)"
-                    style={{ flex: '0.4' }}
-                  />
-                  <select
-                    className="form-input"
-                    value={header.mode}
-                    onChange={e => updateHeader(index, 'mode', e.target.value)}
-                    style={{ flex: '0.25' }}
-                  >
-                    <option value="ExactHeader">Exact</option>
-                    <option value="HeaderPrefix">Prefix</option>
-                    <option value="Contains">Contains</option>
-                    <option value="Exists">Exists</option>
-                    <option value="NotExists">Not Exists</option>
-                  </select>
-                  <button type="button" className="btn btn-danger btn-sm" onClick={() => removeHeader(index)}>x</button>
-                </div>
-              ))}
-            </div>
-
-            <div className="sub-section">
-              <div className="sub-section-title">
-                <span>Query Parameters</span>
-                <button type="button" className="btn btn-secondary btn-sm" onClick={addQueryParam}>+ Add</button>
+              <div className="meta-item">
+                <span className="meta-label">Cluster</span>
+                <span className="meta-value">{result.winner.clusterId}</span>
               </div>
-              {form.queryParameters.map((param, index) => (
-                <div key={index} className="key-value-row" style={{ marginBottom: '0.5rem' }}>
-                  <input
-                    className="form-input"
-                    type="text"
-                    value={param.name}
-                    onChange={e => updateQueryParam(index, 'name', e.target.value)}
-                    placeholder="Param Name"
-                    style={{ flex: '0.3' }}
-                  />
-                  <input
-                    className="form-input"
-                    type="text"
-                    value={param.values}
-                    onChange={e => updateQueryParam(index, 'values', e.target.value)}
-                    placeholder="Values (comma-separated)"
-                    style={{ flex: '0.4' }}
-                  />
-                  <select
-                    className="form-input"
-                    value={param.mode}
-                    onChange={e => updateQueryParam(index, 'mode', e.target.value)}
-                    style={{ flex: '0.25' }}
-                  >
-                    <option value="Exact">Exact</option>
-                    <option value="Prefix">Prefix</option>
-                    <option value="Contains">Contains</option>
-                    <option value="Exists">Exists</option>
-                    <option value="NotExists">Not Exists</option>
-                  </select>
-                  <button type="button" className="btn btn-danger btn-sm" onClick={() => removeQueryParam(index)}>x</button>
-                </div>
-              ))}
-            </div>
-          </FeatureSection>
-
-          {/* Policies */}
-          <FeatureSection
-            title="Policies"
-            description="Authorization, CORS, Rate Limiting, Timeout"
-            enabled={policiesEnabled}
-            onToggle={() => setPoliciesEnabled(!policiesEnabled)}
-          >
-            <div className="form-row" style={{ marginTop: '0.75rem' }}>
-              <div className="form-group">
-                <label className="form-label">Authorization Policy</label>
-                <input
-                  className="form-input"
-                  type="text"
-                  value={form.authorizationPolicy}
-                  onChange={e => setForm({...form, authorizationPolicy: e.target.value})}
-                  placeholder="policy-name"
-                />
+              <div className="meta-item">
+                <span className="meta-label">Path Pattern</span>
+                <span className="meta-value">{result.winner.match?.path || 'N/A'}</span>
               </div>
-              <div className="form-group">
-                <label className="form-label">CORS Policy</label>
-                <input
-                  className="form-input"
-                  type="text"
-                  value={form.corsPolicy}
-                  onChange={e => setForm({...form, corsPolicy: e.target.value})}
-                  placeholder="cors-policy"
-                />
+              <div className="meta-item">
+                <span className="meta-label">Order</span>
+                <span className="meta-value">{result.winner.order ?? 'Default'}</span>
               </div>
             </div>
-            <div className="form-row">
-              <div className="form-group">
-                <label className="form-label">Rate Limiter Policy</label>
-                <input
-                  className="form-input"
-                  type="text"
-                  value={form.rateLimiterPolicy}
-                  onChange={e => setForm({...form, rateLimiterPolicy: e.target.value})}
-                  placeholder="rate-limit-policy"
-                />
-              </div>
-              <div className="form-group">
-                <label className="form-label">Timeout Policy</label>
-                <input
-                  className="form-input"
-                  type="text"
-                  value={form.timeoutPolicy}
-                  onChange={e => setForm({...form, timeoutPolicy: e.target.value})}
-                  placeholder="timeout-policy"
-                />
+          ) : (
+            <p className="warning-text">No route matches this request - YARP would return 404.</p>
+          )}
+          {result.ambiguous.length > 0 && (
+            <p className="warning-text">
+              Ambiguous: {result.ambiguous.join(', ')} tie with the matched route on every tie-breaker.
+            </p>
+          )}
+
+          {result.others.length > 0 && (
+            <div className="sub-section">
+              <div className="sub-section-title">Other Routes</div>
+              <div className="pending-list">
+                {result.others.map(({ route, reasons }) => (
+                  <div key={route.routeId} className="pending-item">
+                    <div className="card-title">
+                      {route.routeId}
+                      <span className="meta-label">{route.match?.path || 'N/A'}</span>
+                    </div>
+                    <ul className="tester-reasons">
+                      {reasons.map((reason, index) => <li key={index}>{reason}</li>)}
+                    </ul>
+                  </div>
+                ))}
               </div>
             </div>
-          </FeatureSection>
-
-          {/* Transforms */}
-          <FeatureSection
-            title="Request Transforms"
-            description="Modify requests before forwarding"
-            enabled={transformsEnabled}
-            onToggle={() => setTransformsEnabled(!transformsEnabled)}
-          >
-            <div style={{ marginTop: '0.75rem' }}>
-              <KeyValueEditor
-                items={form.transforms}
-                onChange={(transforms) => setForm({...form, transforms})}
-                keyPlaceholder="Transform Type (e.g., PathPrefix)"
-                valuePlaceholder="Value (e.g., /api)"
-              />
-            </div>
-          </FeatureSection>
-
-          {/* Metadata */}
-          <FeatureSection
-            title="Metadata"
-            description="Custom key-value pairs"
-            enabled={metadataEnabled}
-            onToggle={() => setMetadataEnabled(!metadataEnabled)}
-          >
-            <div style={{ marginTop: '0.75rem' }}>
-              <KeyValueEditor
-                items={form.metadata}
-                onChange={(metadata) => setForm({...form, metadata})}
-                keyPlaceholder="Key"
-                valuePlaceholder="Value"
-              />
-            </div>
-          </FeatureSection>
-
-          <div className="form-actions">
-            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
-            <button type="submit" className="btn btn-primary">Save Route</button>
-          </div>
-        </form>
-      </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
-// Cluster Editor Modal
-const ClusterModal = ({ cluster, onSave, onClose }) => {
-  // Parse metadata into UI format
-  const parseMetadata = (metadata) => {
-    if (!metadata) return [];
-    return Object.entries(metadata).map(([key, value]) => ({ key, value }));
-  };
+// Topology - routes -> clusters -> destinations, laid out in three columns
+const TOPOLOGY_NODE_WIDTH = 220;
+const TOPOLOGY_NODE_HEIGHT = 34;
+const TOPOLOGY_ROW_GAP = 12;
+const TOPOLOGY_COLUMN_GAP = 120;
+const TOPOLOGY_LABEL_LENGTH = 28;
 
-  const [form, setForm] = useState({
-    // Basic settings
-    clusterId: cluster.clusterId || '',
-    loadBalancingPolicy: cluster.loadBalancingPolicy || 'RoundRobin',
-    destinations: Object.entries(cluster.destinations || {}).map(([key, dest]) => ({
-      id: key,
-      address: dest.address,
-      health: dest.health || ''
+const truncateLabel = (text) =>
+  text.length > TOPOLOGY_LABEL_LENGTH ? `${text.slice(0, TOPOLOGY_LABEL_LENGTH - 1)}…` : text;
+
+// Extra confirm() text listing the routes a cluster deletion would orphan; pass routes without pending deletions
+const describeDependentRoutes = (routes, clusterIds) => {
+  const dependents = routes.filter(r => clusterIds.includes(r.clusterId));
+  if (dependents.length === 0) return '';
+  const shown = dependents.slice(0, 10).map(r => `- ${r.routeId} -> ${r.clusterId}`);
+  if (dependents.length > shown.length) shown.push(`- ...and ${dependents.length - shown.length} more`);
+  return `\n\n${dependents.length} route${dependents.length === 1 ? '' : 's'} will be left pointing at a missing cluster:\n${shown.join('\n')}`;
+};
+
+// Node ids are prefixed by kind so a route and a cluster sharing an id stay distinct
+const buildTopology = (routes, clusters) => {
+  const clusterIds = new Set(clusters.map(c => c.clusterId));
+  const referenced = new Set(routes.map(r => r.clusterId).filter(Boolean));
+
+  const clusterNodes = [...clusters]
+    .sort((a, b) => a.clusterId.localeCompare(b.clusterId))
+    .map(cluster => ({
+      id: `cluster:${cluster.clusterId}`,
+      kind: 'cluster',
+      label: cluster.clusterId,
+      cluster,
+      unused: !referenced.has(cluster.clusterId)
+    }));
+  [...referenced].filter(id => !clusterIds.has(id)).sort().forEach(clusterId => clusterNodes.push({
+    id: `cluster:${clusterId}`,
+    kind: 'cluster',
+    label: clusterId,
+    cluster: null,
+    missing: true
+  }));
+
+  // Routes follow their cluster's row order to keep edges from crossing
+  const clusterRank = new Map(clusterNodes.map((node, index) => [node.label, index]));
+  const routeNodes = [...routes]
+    .sort((a, b) => (clusterRank.get(a.clusterId) ?? Infinity) - (clusterRank.get(b.clusterId) ?? Infinity)
+      || a.routeId.localeCompare(b.routeId))
+    .map(route => ({
+      id: `route:${route.routeId}`,
+      kind: 'route',
+      label: route.routeId,
+      route,
+      disabled: route.enabled === false,
+      dangling: !route.clusterId || !clusterIds.has(route.clusterId)
+    }));
+
+  const destinationNodes = clusterNodes.flatMap(node =>
+    Object.entries(node.cluster?.destinations || {}).map(([destinationId, destination]) => ({
+      id: `destination:${node.label}/${destinationId}`,
+      kind: 'destination',
+      label: destinationId,
+      clusterId: node.label,
+      cluster: node.cluster,
+      address: destination.address
+    })));
+
+  const edges = [
+    ...routeNodes.filter(n => n.route.clusterId).map(n => ({
+      from: n.id, to: `cluster:${n.route.clusterId}`, dangling: n.dangling
     })),
-    // Session Affinity
-    sessionAffinityEnabled: cluster.sessionAffinity?.enabled || false,
-    sessionAffinityPolicy: cluster.sessionAffinity?.policy || 'Cookie',
-    sessionAffinityFailurePolicy: cluster.sessionAffinity?.failurePolicy || 'Redistribute',
-    sessionAffinityKeyName: cluster.sessionAffinity?.affinityKeyName || '.Yarp.Affinity',
-    // Passive Health Check
-    passiveHealthEnabled: cluster.healthCheck?.passive?.enabled || false,
-    passiveHealthPolicy: cluster.healthCheck?.passive?.policy || 'TransportFailureRate',
-    passiveHealthReactivationPeriod: cluster.healthCheck?.passive?.reactivationPeriod || '00:02:00',
-    // Active Health Check
-    activeHealthEnabled: cluster.healthCheck?.active?.enabled || false,
-    activeHealthInterval: cluster.healthCheck?.active?.interval || '00:00:15',
-    activeHealthTimeout: cluster.healthCheck?.active?.timeout || '00:00:10',
-    activeHealthPolicy: cluster.healthCheck?.active?.policy || 'ConsecutiveFailures',
-    activeHealthPath: cluster.healthCheck?.active?.path || '/health',
-    availableDestinationsPolicy: cluster.healthCheck?.availableDestinationsPolicy || '',
-    // HTTP Client
-    maxConnectionsPerServer: cluster.httpClient?.maxConnectionsPerServer || '',
-    enableMultipleHttp2Connections: cluster.httpClient?.enableMultipleHttp2Connections || false,
-    dangerousAcceptAnyServerCertificate: cluster.httpClient?.dangerousAcceptAnyServerCertificate || false,
-    // HTTP Request
-    activityTimeout: cluster.httpRequest?.activityTimeout || '00:01:40',
-    httpVersion: cluster.httpRequest?.version || '',
-    versionPolicy: cluster.httpRequest?.versionPolicy || '',
-    allowResponseBuffering: cluster.httpRequest?.allowResponseBuffering || false,
-    // Metadata
-    metadata: parseMetadata(cluster.metadata)
-  });
+    ...destinationNodes.map(n => ({ from: `cluster:${n.clusterId}`, to: n.id }))
+  ];
 
-  // Feature toggles
-  const [sessionAffinityEnabled, setSessionAffinityEnabled] = useState(cluster.sessionAffinity?.enabled || false);
-  const [healthCheckEnabled, setHealthCheckEnabled] = useState(
-    !!(cluster.healthCheck?.passive?.enabled || cluster.healthCheck?.active?.enabled)
-  );
-  const [httpClientEnabled, setHttpClientEnabled] = useState(
-    !!(cluster.httpClient?.maxConnectionsPerServer || cluster.httpClient?.enableMultipleHttp2Connections || cluster.httpClient?.dangerousAcceptAnyServerCertificate)
-  );
-  const [httpRequestEnabled, setHttpRequestEnabled] = useState(
-    !!(cluster.httpRequest?.activityTimeout || cluster.httpRequest?.version || cluster.httpRequest?.versionPolicy)
-  );
-  const [metadataEnabled, setMetadataEnabled] = useState(!!(cluster.metadata && Object.keys(cluster.metadata).length));
+  return {
+    routeNodes,
+    clusterNodes,
+    destinationNodes,
+    edges,
+    danglingRoutes: routeNodes.filter(n => n.dangling),
+    unusedClusters: clusterNodes.filter(n => n.unused)
+  };
+};
 
-  const addDestination = () => {
-    setForm({
-      ...form,
-      destinations: [...form.destinations, { id: `dest${form.destinations.length + 1}`, address: '', health: '' }]
+// Node ids connected to the given node, following edges in both directions
+const connectedNodeIds = (edges, nodeId) => {
+  const connected = new Set([nodeId]);
+  const walk = (id, forward) => edges
+    .filter(e => (forward ? e.from : e.to) === id)
+    .forEach(e => {
+      const next = forward ? e.to : e.from;
+      if (!connected.has(next)) {
+        connected.add(next);
+        walk(next, forward);
+      }
     });
+  walk(nodeId, true);
+  walk(nodeId, false);
+  return connected;
+};
+
+// Topology View - clickable dependency graph of the configuration including pending changes
+const TopologyView = ({ routes, clusters, findDestinationHealth, onOpenRoute, onOpenCluster, onCreateCluster }) => {
+  const [hovered, setHovered] = useState(null);
+  const topology = buildTopology(routes, clusters);
+  const { routeNodes, clusterNodes, destinationNodes, edges, danglingRoutes, unusedClusters } = topology;
+
+  if (routeNodes.length === 0 && clusterNodes.length === 0) {
+    return (
+      <div className="empty-state">
+        <h3>Nothing to draw</h3>
+        <p>Add routes and clusters to see how they connect</p>
+      </div>
+    );
+  }
+
+  const columns = [routeNodes, clusterNodes, destinationNodes];
+  const positions = new Map();
+  columns.forEach((nodes, column) => nodes.forEach((node, row) => positions.set(node.id, {
+    x: column * (TOPOLOGY_NODE_WIDTH + TOPOLOGY_COLUMN_GAP),
+    y: 30 + row * (TOPOLOGY_NODE_HEIGHT + TOPOLOGY_ROW_GAP)
+  })));
+  const width = 3 * TOPOLOGY_NODE_WIDTH + 2 * TOPOLOGY_COLUMN_GAP;
+  const height = 30 + Math.max(...columns.map(nodes => nodes.length)) * (TOPOLOGY_NODE_HEIGHT + TOPOLOGY_ROW_GAP);
+
+  const highlighted = hovered ? connectedNodeIds(edges, hovered) : null;
+  const dimmed = (id) => highlighted && !highlighted.has(id);
+
+  const openNode = (node) => {
+    if (node.kind === 'route') onOpenRoute(node.route);
+    else if (node.cluster) onOpenCluster(node.cluster);
+    else if (onCreateCluster) onCreateCluster(node.label);
   };
 
-  const removeDestination = (index) => {
-    setForm({
-      ...form,
-      destinations: form.destinations.filter((_, i) => i !== index)
-    });
+  const nodeClass = (node) => {
+    const classes = ['topology-node', `topology-${node.kind}`];
+    if (node.dangling || node.missing) classes.push('topology-error');
+    if (node.unused) classes.push('topology-warning');
+    if (node.disabled) classes.push('topology-disabled');
+    if (node.kind === 'destination') {
+      classes.push(`health-${destinationHealthLevel(findDestinationHealth(node.clusterId, node.label))}`);
+    }
+    if (dimmed(node.id)) classes.push('topology-dimmed');
+    return classes.join(' ');
   };
 
-  const updateDestination = (index, field, value) => {
-    const newDests = [...form.destinations];
-    newDests[index] = { ...newDests[index], [field]: value };
-    setForm({ ...form, destinations: newDests });
+  const nodeTitle = (node) => {
+    if (node.kind === 'route') {
+      return `${node.label}\n${node.route.match?.path || '(no path)'}${node.dangling ? `\nCluster '${node.route.clusterId || ''}' does not exist` : ''}`;
+    }
+    if (node.kind === 'destination') return `${node.label}\n${node.address}`;
+    if (node.missing) return `${node.label} does not exist${onCreateCluster ? ' - click to create it' : ''}`;
+    return node.unused ? `${node.label}\nNo routes use this cluster` : node.label;
   };
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
+  return (
+    <div>
+      <div className="health-toolbar">
+        <span className="feature-desc">
+          Includes pending changes. Hover a node to trace its path, click to open it.
+        </span>
+      </div>
 
-    // Build destinations
-    const destinations = {};
-    form.destinations.forEach(d => {
-      if (d.id && d.address) {
-        destinations[d.id] = { address: d.address };
-        if (d.health) destinations[d.id].health = d.health;
-      }
-    });
+      {(danglingRoutes.length > 0 || unusedClusters.length > 0) && (
+        <ul className="topology-issues">
+          {danglingRoutes.map(node => (
+            <li key={node.id} className="warning-text">
+              Route '{node.label}' references {node.route.clusterId ? `missing cluster '${node.route.clusterId}'` : 'no cluster'}
+            </li>
+          ))}
+          {unusedClusters.map(node => (
+            <li key={node.id} className="feature-desc">Cluster '{node.label}' has no routes</li>
+          ))}
+        </ul>
+      )}
 
-    // Build cluster config
-    const clusterConfig = {
-      clusterId: form.clusterId,
-      loadBalancingPolicy: form.loadBalancingPolicy,
-      destinations
-    };
+      <div className="topology-canvas">
+        <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Route to cluster topology">
+          {['Routes', 'Clusters', 'Destinations'].map((heading, column) => (
+            <text
+              key={heading}
+              className="topology-heading"
+              x={column * (TOPOLOGY_NODE_WIDTH + TOPOLOGY_COLUMN_GAP)}
+              y={14}
+            >
+              {heading}
+            </text>
+          ))}
 
-    // Add session affinity if enabled
-    if (sessionAffinityEnabled) {
-      clusterConfig.sessionAffinity = {
-        enabled: true,
-        policy: form.sessionAffinityPolicy,
-        failurePolicy: form.sessionAffinityFailurePolicy,
-        affinityKeyName: form.sessionAffinityKeyName
-      };
-    }
+          {edges.map(edge => {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            const x1 = from.x + TOPOLOGY_NODE_WIDTH;
+            const y1 = from.y + TOPOLOGY_NODE_HEIGHT / 2;
+            const x2 = to.x;
+            const y2 = to.y + TOPOLOGY_NODE_HEIGHT / 2;
+            const bend = TOPOLOGY_COLUMN_GAP / 2;
+            return (
+              <path
+                key={`${edge.from}->${edge.to}`}
+                className={`topology-edge ${edge.dangling ? 'topology-error' : ''} ${dimmed(edge.from) || dimmed(edge.to) ? 'topology-dimmed' : ''}`}
+                d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+              />
+            );
+          })}
 
-    // Add health checks if enabled
-    if (healthCheckEnabled) {
-      clusterConfig.healthCheck = {};
+          {columns.flat().map(node => {
+            const { x, y } = positions.get(node.id);
+            return (
+              <g
+                key={node.id}
+                className={nodeClass(node)}
+                transform={`translate(${x}, ${y})`}
+                tabIndex={0}
+                onMouseEnter={() => setHovered(node.id)}
+                onMouseLeave={() => setHovered(null)}
+                onFocus={() => setHovered(node.id)}
+                onBlur={() => setHovered(null)}
+                onClick={() => openNode(node)}
+                onKeyDown={e => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    openNode(node);
+                  }
+                }}
+              >
+                <title>{nodeTitle(node)}</title>
+                <rect width={TOPOLOGY_NODE_WIDTH} height={TOPOLOGY_NODE_HEIGHT} rx={6} />
+                <text x={12} y={TOPOLOGY_NODE_HEIGHT / 2 + 4}>
+                  {truncateLabel(node.missing ? `${node.label} (missing)` : node.label)}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+    </div>
+  );
+};
 
-      if (form.passiveHealthEnabled) {
-        clusterConfig.healthCheck.passive = {
-          enabled: true,
-          policy: form.passiveHealthPolicy,
-          reactivationPeriod: form.passiveHealthReactivationPeriod
-        };
-      }
+// Health View - runtime destination state for every cluster YARP has loaded
+const HealthView = ({ health, onRefresh }) => {
+  const { clusters, error, updatedAt } = health;
 
-      if (form.activeHealthEnabled) {
-        clusterConfig.healthCheck.active = {
-          enabled: true,
-          interval: form.activeHealthInterval,
-          timeout: form.activeHealthTimeout,
-          policy: form.activeHealthPolicy,
-          path: form.activeHealthPath
-        };
-      }
+  return (
+    <div>
+      <div className="health-toolbar">
+        <span className="feature-desc">
+          Refreshes every {HEALTH_REFRESH_MS / 1000}s
+          {updatedAt && ` - last updated ${updatedAt.toLocaleTimeString()}`}
+        </span>
+        <button className="btn btn-secondary btn-sm" onClick={onRefresh}>Refresh Now</button>
+      </div>
 
-      if (form.availableDestinationsPolicy) {
-        clusterConfig.healthCheck.availableDestinationsPolicy = form.availableDestinationsPolicy;
-      }
+      {error && <p className="warning-text">Failed to load destination health: {error}</p>}
 
-      if (Object.keys(clusterConfig.healthCheck).length === 0) {
-        delete clusterConfig.healthCheck;
-      }
-    }
+      {clusters.length === 0 ? (
+        <div className="empty-state">
+          <h3>No runtime state</h3>
+          <p>Apply a configuration with clusters to see destination health</p>
+        </div>
+      ) : (
+        clusters.map(cluster => (
+          <div key={cluster.clusterId} className="card">
+            <div className="card-header">
+              <div className="card-title">
+                {cluster.clusterId}
+                <span className="status-badge status-active">
+                  {cluster.destinations.filter(d => destinationHealthLevel(d) !== 'unhealthy').length}/{cluster.destinations.length} available
+                </span>
+              </div>
+            </div>
+            {cluster.destinations.length === 0 ? (
+              <p className="feature-desc">No destinations configured.</p>
+            ) : (
+              <div className="health-list">
+                {cluster.destinations.map(destination => (
+                  <div key={destination.destinationId} className="health-row">
+                    <div>
+                      <div className="meta-value">{destination.destinationId}</div>
+                      <div className="meta-label">{destination.address}</div>
+                    </div>
+                    <div className="health-pills">
+                      <HealthPill state={destination.active} label="Active" />
+                      <HealthPill state={destination.passive} label="Passive" />
+                    </div>
+                    <div className="meta-label" title={new Date(destination.stateSince).toLocaleString()}>
+                      since {formatSince(destination.stateSince)} - {destination.checkedAt ? `checked ${formatSince(destination.checkedAt)}` : 'not checked yet'} - {destination.concurrentRequests} in flight
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
 
-    // Add HTTP client config if enabled
-    if (httpClientEnabled) {
-      clusterConfig.httpClient = {};
-      if (form.maxConnectionsPerServer) {
-        clusterConfig.httpClient.maxConnectionsPerServer = parseInt(form.maxConnectionsPerServer);
-      }
-      if (form.enableMultipleHttp2Connections) {
-        clusterConfig.httpClient.enableMultipleHttp2Connections = true;
-      }
-      if (form.dangerousAcceptAnyServerCertificate) {
-        clusterConfig.httpClient.dangerousAcceptAnyServerCertificate = true;
-      }
-      if (Object.keys(clusterConfig.httpClient).length === 0) {
-        delete clusterConfig.httpClient;
-      }
-    }
+const VERSION_CHANGE_LABELS = { create: 'added', update: 'changed', delete: 'removed' };
 
-    // Add HTTP request config if enabled
-    if (httpRequestEnabled) {
-      clusterConfig.httpRequest = {};
-      if (form.activityTimeout) {
-        clusterConfig.httpRequest.activityTimeout = form.activityTimeout;
-      }
-      if (form.httpVersion) {
-        clusterConfig.httpRequest.version = form.httpVersion;
-      }
-      if (form.versionPolicy) {
-        clusterConfig.httpRequest.versionPolicy = form.versionPolicy;
-      }
-      if (form.allowResponseBuffering) {
-        clusterConfig.httpRequest.allowResponseBuffering = true;
-      }
-      if (Object.keys(clusterConfig.httpRequest).length === 0) {
-        delete clusterConfig.httpRequest;
-      }
-    }
+// History View - configuration versions recorded on every apply, with diff and rollback
+const HistoryView = ({ readOnly, hasPendingChanges, onRolledBack, onApiError, showNotification }) => {
+  const [versions, setVersions] = useState(null);
+  const [compare, setCompare] = useState({ from: null, to: null });
+  const [snapshots, setSnapshots] = useState({});
+  const [expanded, setExpanded] = useState(null);
+  const [rollingBack, setRollingBack] = useState(null);
 
-    // Add metadata if enabled
-    if (metadataEnabled && form.metadata.length > 0) {
-      clusterConfig.metadata = {};
-      form.metadata.forEach(m => {
-        if (m.key) clusterConfig.metadata[m.key] = m.value;
+  useEffect(() => {
+    fetchVersions();
+  }, []);
+
+  // Recorded versions never change, so full snapshots are fetched once and cached
+  useEffect(() => {
+    [compare.from, compare.to]
+      .filter(version => version !== null && !snapshots[version])
+      .forEach(async version => {
+        try {
+          const snapshot = await apiRequest(`/versions/${version}`);
+          setSnapshots(current => ({ ...current, [version]: snapshot }));
+        } catch (err) {
+          onApiError(err, `Failed to load version ${version}`);
+        }
       });
-      if (Object.keys(clusterConfig.metadata).length === 0) {
-        delete clusterConfig.metadata;
-      }
+  }, [compare.from, compare.to]);
+
+  const fetchVersions = async () => {
+    try {
+      const data = await apiRequest('/versions');
+      setVersions(data);
+      setCompare({ from: data[1]?.version ?? null, to: data[0]?.version ?? null });
+    } catch (err) {
+      onApiError(err, 'Failed to load version history');
+      setVersions([]);
     }
+  };
 
-    onSave(clusterConfig);
+  const handleRollback = async (version) => {
+    const warning = hasPendingChanges ? '\n\nYour pending changes will be discarded.' : '';
+    if (!confirm(`Roll back to version ${version}? The current configuration will be replaced and applied to YARP.${warning}`)) return;
+
+    setRollingBack(version);
+    try {
+      const result = await apiRequest(`/versions/${version}/rollback`, { method: 'POST', body: {} });
+      showNotification(`Rolled back to version ${version} (recorded as version ${result.version})`);
+      onRolledBack();
+      await fetchVersions();
+    } catch (err) {
+      onApiError(err, `Failed to roll back to version ${version}`);
+    } finally {
+      setRollingBack(null);
+    }
   };
 
+  if (versions === null) {
+    return (
+      <div className="loading">
+        <div className="spinner" />
+      </div>
+    );
+  }
+
+  if (versions.length === 0) {
+    return (
+      <div className="empty-state">
+        <h3>No versions recorded</h3>
+        <p>A version is recorded every time the configuration is applied</p>
+      </div>
+    );
+  }
+
+  const from = snapshots[compare.from];
+  const to = snapshots[compare.to];
+  const differences = from && to ? diffConfigurations(from.configuration, to.configuration) : null;
+  const keyOf = (change) => `${change.entityType}:${change.entityId}`;
+
+  const versionSelect = (field) => (
+    <select
+      className="form-input"
+      value={compare[field] ?? ''}
+      onChange={e => setCompare({ ...compare, [field]: Number(e.target.value) })}
+    >
+      {versions.map(v => <option key={v.version} value={v.version}>Version {v.version}</option>)}
+    </select>
+  );
+
   return (
-    <div className="modal-overlay" onClick={onClose}>
-      <div className="modal" onClick={e => e.stopPropagation()} style={{ maxWidth: '700px' }}>
-        <h2>{cluster.clusterId ? 'Edit Cluster' : 'Add Cluster'}</h2>
-        <form onSubmit={handleSubmit}>
-          {/* Basic Settings */}
-          <div className="form-row">
-            <div className="form-group">
-              <label className="form-label">Cluster ID</label>
-              <input
-                className="form-input"
-                type="text"
-                value={form.clusterId}
-                onChange={e => setForm({...form, clusterId: e.target.value})}
-                placeholder="my-cluster"
-                required
-                disabled={!!cluster.clusterId}
-              />
-            </div>
-            <div className="form-group">
-              <label className="form-label">Load Balancing Policy</label>
-              <select
-                className="form-input"
-                value={form.loadBalancingPolicy}
-                onChange={e => setForm({...form, loadBalancingPolicy: e.target.value})}
-              >
-                <option value="RoundRobin">Round Robin</option>
-                <option value="Random">Random</option>
-                <option value="LeastRequests">Least Requests</option>
-                <option value="PowerOfTwoChoices">Power of Two Choices</option>
-                <option value="FirstAlphabetical">First Alphabetical</option>
-              </select>
-            </div>
+    <div>
+      <div className="card">
+        <div className="card-header">
+          <div className="card-title">Compare Versions</div>
+          <div className="history-compare">
+            {versionSelect('from')}
+            <span className="meta-label">to</span>
+            {versionSelect('to')}
           </div>
-
-          <div className="form-group">
-            <label className="form-label">Destinations</label>
-            <div className="destinations-list">
-              {form.destinations.map((dest, index) => (
-                <div key={index} className="destination-row">
-                  <input
-                    className="form-input"
-                    type="text"
-                    value={dest.id}
-                    onChange={e => updateDestination(index, 'id', e.target.value)}
-                    placeholder="Destination ID"
-                    style={{ flex: '0.25' }}
-                  />
-                  <input
-                    className="form-input"
-                    type="text"
-                    value={dest.address}
-                    onChange={e => updateDestination(index, 'address', e.target.value)}
-                    placeholder="https://localhost:5001"
-                    style={{ flex: '0.45' }}
-                  />
-                  <input
-                    className="form-input"
-                    type="text"
-                    value={dest.health}
-                    onChange={e => updateDestination(index, 'health', e.target.value)}
-                    placeholder="Health URL (optional)"
-                    style={{ flex: '0.25' }}
-                  />
+        </div>
+        {compare.from === null || compare.to === null ? (
+          <p className="feature-desc">Record at least two versions to compare them.</p>
+        ) : !differences ? (
+          <p className="feature-desc">Loading versions...</p>
+        ) : differences.length === 0 ? (
+          <p className="feature-desc">Version {compare.from} and version {compare.to} are identical.</p>
+        ) : (
+          <div className="pending-list">
+            {differences.map(change => (
+              <div key={keyOf(change)} className="pending-item">
+                <div className="pending-item-header">
+                  <div className="card-title">
+                    <span className={`status-badge pending-${change.action}`}>{VERSION_CHANGE_LABELS[change.action]}</span>
+                    <span className="meta-label">{change.entityType}</span>
+                    {change.entityId}
+                  </div>
                   <button
                     type="button"
-                    className="btn btn-danger btn-sm"
-                    onClick={() => removeDestination(index)}
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => setExpanded(expanded === keyOf(change) ? null : keyOf(change))}
                   >
-                    x
+                    {expanded === keyOf(change) ? 'Hide Diff' : 'Show Diff'}
                   </button>
                 </div>
-              ))}
-              <button type="button" className="btn btn-secondary btn-sm" onClick={addDestination}>
-                + Add Destination
-              </button>
-            </div>
+                {expanded === keyOf(change) && (
+                  <JsonDiff
+                    before={change.before}
+                    after={change.after}
+                    labels={[`Version ${compare.from}`, `Version ${compare.to}`]}
+                  />
+                )}
+              </div>
+            ))}
           </div>
+        )}
+      </div>
 
-          <div className="section-divider" />
+      <div className="health-toolbar">
+        <span className="feature-desc">Newest first</span>
+        <button className="btn btn-secondary btn-sm" onClick={fetchVersions}>Refresh</button>
+      </div>
 
-          {/* Session Affinity */}
-          <FeatureSection
-            title="Session Affinity"
-            description="Sticky sessions to route requests to the same destination"
-            enabled={sessionAffinityEnabled}
-            onToggle={() => setSessionAffinityEnabled(!sessionAffinityEnabled)}
-          >
-            <div className="form-row" style={{ marginTop: '0.75rem' }}>
-              <div className="form-group">
-                <label className="form-label">Policy</label>
-                <select
-                  className="form-input"
-                  value={form.sessionAffinityPolicy}
-                  onChange={e => setForm({...form, sessionAffinityPolicy: e.target.value})}
-                >
-                  <option value="Cookie">Cookie</option>
-                  <option value="CustomHeader">Custom Header</option>
-                </select>
-              </div>
-              <div className="form-group">
-                <label className="form-label">Failure Policy</label>
-                <select
-                  className="form-input"
-                  value={form.sessionAffinityFailurePolicy}
-                  onChange={e => setForm({...form, sessionAffinityFailurePolicy: e.target.value})}
+      {versions.map((version, index) => (
+        <div key={version.version} className="card">
+          <div className="card-header">
+            <div className="card-title">
+              Version {version.version}
+              {index === 0 && <span className="status-badge status-active">Latest</span>}
+            </div>
+            <div className="card-actions">
+              {index < versions.length - 1 && (
+                <button
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => setCompare({ from: versions[index + 1].version, to: version.version })}
                 >
-                  <option value="Redistribute">Redistribute</option>
-                  <option value="Return503">Return 503</option>
-                </select>
-              </div>
+                  Compare with Previous
+                </button>
+              )}
+              <button
+                className="btn btn-danger btn-sm"
+                onClick={() => handleRollback(version.version)}
+                disabled={readOnly || rollingBack !== null}
+                title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+              >
+                {rollingBack === version.version ? 'Rolling Back...' : 'Roll Back'}
+              </button>
             </div>
-            <div className="form-group">
-              <label className="form-label">Affinity Key Name</label>
-              <input
-                className="form-input"
-                type="text"
-                value={form.sessionAffinityKeyName}
-                onChange={e => setForm({...form, sessionAffinityKeyName: e.target.value})}
-                placeholder=".Yarp.Affinity"
-              />
+          </div>
+          <div className="card-meta">
+            <div className="meta-item">
+              <span className="meta-label">Applied</span>
+              <span className="meta-value">{new Date(version.createdAt).toLocaleString()}</span>
             </div>
-          </FeatureSection>
-
-          {/* Health Checks */}
-          <FeatureSection
-            title="Health Checks"
-            description="Monitor destination health"
-            enabled={healthCheckEnabled}
-            onToggle={() => setHealthCheckEnabled(!healthCheckEnabled)}
-          >
-            <div style={{ marginTop: '0.75rem' }}>
-              {/* Passive Health Check */}
-              <div className="sub-section">
-                <div className="sub-section-title">
-                  <span>Passive Health Check</span>
-                  <ToggleSwitch
-                    checked={form.passiveHealthEnabled}
-                    onChange={e => setForm({...form, passiveHealthEnabled: e.target.checked})}
-                  />
-                </div>
-                {form.passiveHealthEnabled && (
-                  <div className="form-row">
-                    <div className="form-group">
-                      <label className="form-label">Policy</label>
-                      <select
-                        className="form-input"
-                        value={form.passiveHealthPolicy}
-                        onChange={e => setForm({...form, passiveHealthPolicy: e.target.value})}
-                      >
-                        <option value="TransportFailureRate">Transport Failure Rate</option>
-                      </select>
-                    </div>
-                    <div className="form-group">
-                      <label className="form-label">Reactivation Period</label>
+            <div className="meta-item">
+              <span className="meta-label">By</span>
+              <span className="meta-value">{version.author || 'anonymous'}</span>
+            </div>
+            <div className="meta-item">
+              <span className="meta-label">Contents</span>
+              <span className="meta-value">
+                {version.routeCount} route{version.routeCount === 1 ? '' : 's'}, {version.clusterCount} cluster{version.clusterCount === 1 ? '' : 's'}
+              </span>
+            </div>
+          </div>
+          {version.comment && <p className="feature-desc">{version.comment}</p>}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// "4m 05s" until a cutover's revert window closes
+const formatRemaining = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+};
+
+// Cutover View - move every route off one cluster onto another in a single apply, with a timed revert
+const CutoverView = ({ routes, clusters, pendingChanges, readOnly, onCutover, onApiError, showNotification }) => {
+  const [source, setSource] = useState('');
+  const [target, setTarget] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [comment, setComment] = useState('');
+  const [cutovers, setCutovers] = useState([]);
+  const [busy, setBusy] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    fetchCutovers();
+  }, []);
+
+  // Ticks only while a revert is still possible, to count down and hide the button when the window closes
+  const revertible = cutovers.filter(c => !c.revertedAt && new Date(c.revertibleUntil).getTime() > now);
+  useEffect(() => {
+    if (revertible.length === 0) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [revertible.length]);
+
+  const fetchCutovers = async () => {
+    try {
+      setCutovers(await apiRequest('/cutovers'));
+      setNow(Date.now());
+    } catch (err) {
+      onApiError(err, 'Failed to load cutovers');
+    }
+  };
+
+  const affectedRoutes = routes.filter(r => r.clusterId === source);
+  const staged = affectedRoutes.filter(r => findPendingChange(pendingChanges, 'route', r.routeId));
+  const targetStaged = findPendingChange(pendingChanges, 'cluster', target);
+
+  const chooseSource = (clusterId) => {
+    setSource(clusterId);
+    setSelected(routes.filter(r => r.clusterId === clusterId).map(r => r.routeId));
+    if (target === clusterId) setTarget('');
+  };
+
+  const toggleRoute = (routeId) => {
+    setSelected(selected.includes(routeId) ? selected.filter(id => id !== routeId) : [...selected, routeId]);
+  };
+
+  const blocker = readOnly ? READ_ONLY_TOOLTIP
+    : !source || !target ? 'Pick a source and a target cluster'
+    : selected.length === 0 ? 'Select at least one route'
+    : staged.some(r => selected.includes(r.routeId)) ? 'Apply or discard the pending changes to the selected routes first'
+    : targetStaged ? `Apply or discard the pending changes to ${target} first`
+    : null;
+
+  const handleCutover = async () => {
+    if (!confirm(`Move ${selected.length} route${selected.length === 1 ? '' : 's'} from ${source} to ${target}? This is applied to YARP immediately.`)) return;
+
+    setBusy('cutover');
+    try {
+      const cutover = await apiRequest('/cutovers', {
+        method: 'POST',
+        body: { sourceClusterId: source, targetClusterId: target, routeIds: selected, comment: comment.trim() || null }
+      });
+      showNotification(`Moved ${cutover.routeIds.length} route(s) to ${target} (recorded as version ${cutover.version})`);
+      setSource('');
+      setTarget('');
+      setSelected([]);
+      setComment('');
+      onCutover();
+      await fetchCutovers();
+    } catch (err) {
+      onApiError(err, 'Cutover failed');
+      onCutover();
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRevert = async (cutover) => {
+    if (!confirm(`Move ${cutover.routeIds.length} route(s) back from ${cutover.targetClusterId} to ${cutover.sourceClusterId}?`)) return;
+
+    setBusy(cutover.cutoverId);
+    try {
+      const result = await apiRequest(`/cutovers/${encodeURIComponent(cutover.cutoverId)}/revert`, { method: 'POST' });
+      showNotification(`Reverted cutover to ${cutover.targetClusterId} (recorded as version ${result.revertVersion})`);
+      onCutover();
+    } catch (err) {
+      onApiError(err, 'Failed to revert cutover');
+    } finally {
+      setBusy(null);
+      await fetchCutovers();
+    }
+  };
+
+  return (
+    <div>
+      <div className="card">
+        <div className="card-header">
+          <div className="card-title">Blue/Green Cutover</div>
+        </div>
+        <p className="feature-desc">
+          Switch every route that uses one cluster to another in a single apply. The switch is recorded as one
+          version and can be reverted in one step for a limited time.
+        </p>
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label">From cluster</label>
+            <select className="form-input" value={source} onChange={e => chooseSource(e.target.value)}>
+              <option value="">Select a cluster...</option>
+              {clusters.map(c => (
+                <option key={c.clusterId} value={c.clusterId}>
+                  {c.clusterId} ({routes.filter(r => r.clusterId === c.clusterId).length} routes)
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">To cluster</label>
+            <select className="form-input" value={target} onChange={e => setTarget(e.target.value)}>
+              <option value="">Select a cluster...</option>
+              {clusters.filter(c => c.clusterId !== source).map(c => (
+                <option key={c.clusterId} value={c.clusterId}>{c.clusterId}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {source && (
+          affectedRoutes.length === 0 ? (
+            <p className="feature-desc">No routes use {source}.</p>
+          ) : (
+            <div className="sub-section">
+              <label className="form-label">Routes using {source}</label>
+              <div className="pending-list">
+                {affectedRoutes.map(route => (
+                  <label key={route.routeId} className="pending-item pending-item-header">
+                    <div className="card-title">
                       <input
-                        className="form-input"
-                        type="text"
-                        value={form.passiveHealthReactivationPeriod}
-                        onChange={e => setForm({...form, passiveHealthReactivationPeriod: e.target.value})}
-                        placeholder="00:02:00"
+                        type="checkbox"
+                        checked={selected.includes(route.routeId)}
+                        onChange={() => toggleRoute(route.routeId)}
                       />
+                      {route.routeId}
+                      <span className="meta-label">{route.match?.path || route.match?.hosts?.join(', ') || ''}</span>
                     </div>
-                  </div>
-                )}
+                    {findPendingChange(pendingChanges, 'route', route.routeId) && (
+                      <span className="status-badge pending-update">pending change</span>
+                    )}
+                  </label>
+                ))}
               </div>
+            </div>
+          )
+        )}
 
-              {/* Active Health Check */}
-              <div className="sub-section">
-                <div className="sub-section-title">
-                  <span>Active Health Check</span>
-                  <ToggleSwitch
-                    checked={form.activeHealthEnabled}
-                    onChange={e => setForm({...form, activeHealthEnabled: e.target.checked})}
-                  />
-                </div>
-                {form.activeHealthEnabled && (
-                  <>
-                    <div className="form-row">
-                      <div className="form-group">
-                        <label className="form-label">Interval</label>
-                        <input
-                          className="form-input"
-                          type="text"
-                          value={form.activeHealthInterval}
-                          onChange={e => setForm({...form, activeHealthInterval: e.target.value})}
-                          placeholder="00:00:15"
-                        />
-                      </div>
-                      <div className="form-group">
-                        <label className="form-label">Timeout</label>
-                        <input
-                          className="form-input"
-                          type="text"
-                          value={form.activeHealthTimeout}
-                          onChange={e => setForm({...form, activeHealthTimeout: e.target.value})}
-                          placeholder="00:00:10"
-                        />
-                      </div>
-                    </div>
-                    <div className="form-row">
-                      <div className="form-group">
-                        <label className="form-label">Policy</label>
-                        <select
-                          className="form-input"
-                          value={form.activeHealthPolicy}
-                          onChange={e => setForm({...form, activeHealthPolicy: e.target.value})}
-                        >
-                          <option value="ConsecutiveFailures">Consecutive Failures</option>
-                        </select>
-                      </div>
-                      <div className="form-group">
-                        <label className="form-label">Health Path</label>
-                        <input
-                          className="form-input"
-                          type="text"
-                          value={form.activeHealthPath}
-                          onChange={e => setForm({...form, activeHealthPath: e.target.value})}
-                          placeholder="/health"
-                        />
-                      </div>
-                    </div>
-                  </>
-                )}
-              </div>
+        <div className="form-group">
+          <label className="form-label">Comment</label>
+          <input
+            className="form-input"
+            type="text"
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            placeholder={source && target ? `Cutover of ${selected.length} route(s) from ${source} to ${target}` : 'Optional'}
+          />
+        </div>
 
-              <div className="form-group" style={{ marginTop: '0.75rem' }}>
-                <label className="form-label">Available Destinations Policy</label>
-                <select
-                  className="form-input"
-                  value={form.availableDestinationsPolicy}
-                  onChange={e => setForm({...form, availableDestinationsPolicy: e.target.value})}
-                >
-                  <option value="">Default</option>
-                  <option value="HealthyAndUnknown">Healthy And Unknown</option>
-                  <option value="HealthyOrPanic">Healthy Or Panic</option>
-                </select>
+        <div className="card-actions">
+          {blocker && source && <span className="warning-text">{blocker}</span>}
+          <button
+            className="btn btn-primary"
+            onClick={handleCutover}
+            disabled={!!blocker || busy !== null}
+            title={blocker || undefined}
+          >
+            {busy === 'cutover' ? 'Switching...' : `Switch ${selected.length} Route${selected.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+
+      <div className="health-toolbar">
+        <span className="feature-desc">Recent cutovers, newest first</span>
+        <button className="btn btn-secondary btn-sm" onClick={fetchCutovers}>Refresh</button>
+      </div>
+
+      {cutovers.length === 0 ? (
+        <div className="empty-state">
+          <h3>No cutovers yet</h3>
+          <p>Cutovers made since the server started are listed here</p>
+        </div>
+      ) : cutovers.map(cutover => {
+        const remaining = new Date(cutover.revertibleUntil).getTime() - now;
+        return (
+          <div key={cutover.cutoverId} className="card">
+            <div className="card-header">
+              <div className="card-title">
+                {cutover.sourceClusterId} → {cutover.targetClusterId}
+                {cutover.revertedAt
+                  ? <span className="status-badge status-inactive">Reverted</span>
+                  : <span className="status-badge status-active">Version {cutover.version}</span>}
               </div>
+              {!cutover.revertedAt && remaining > 0 && (
+                <div className="card-actions">
+                  <span className="feature-desc">Revert available for {formatRemaining(remaining)}</span>
+                  <button
+                    className="btn btn-danger btn-sm"
+                    onClick={() => handleRevert(cutover)}
+                    disabled={readOnly || busy !== null}
+                    title={readOnly ? READ_ONLY_TOOLTIP : undefined}
+                  >
+                    {busy === cutover.cutoverId ? 'Reverting...' : 'Revert'}
+                  </button>
+                </div>
+              )}
             </div>
-          </FeatureSection>
-
-          {/* HTTP Client */}
-          <FeatureSection
-            title="HTTP Client"
-            description="Configure outbound connection settings"
-            enabled={httpClientEnabled}
-            onToggle={() => setHttpClientEnabled(!httpClientEnabled)}
-          >
-            <div style={{ marginTop: '0.75rem' }}>
-              <div className="form-group">
-                <label className="form-label">Max Connections Per Server</label>
-                <input
-                  className="form-input"
-                  type="number"
-                  value={form.maxConnectionsPerServer}
-                  onChange={e => setForm({...form, maxConnectionsPerServer: e.target.value})}
-                  placeholder="Leave empty for default"
-                />
+            <div className="card-meta">
+              <div className="meta-item">
+                <span className="meta-label">Switched</span>
+                <span className="meta-value">{new Date(cutover.timestamp).toLocaleString()}</span>
               </div>
-              <div className="inline-toggle">
-                <span className="inline-toggle-label">Enable Multiple HTTP/2 Connections</span>
-                <ToggleSwitch
-                  checked={form.enableMultipleHttp2Connections}
-                  onChange={e => setForm({...form, enableMultipleHttp2Connections: e.target.checked})}
-                />
+              <div className="meta-item">
+                <span className="meta-label">By</span>
+                <span className="meta-value">{cutover.user || 'anonymous'}</span>
               </div>
-              <div className="inline-toggle">
-                <span className="inline-toggle-label">Accept Any Server Certificate</span>
-                <ToggleSwitch
-                  checked={form.dangerousAcceptAnyServerCertificate}
-                  onChange={e => setForm({...form, dangerousAcceptAnyServerCertificate: e.target.checked})}
-                />
+              <div className="meta-item">
+                <span className="meta-label">Routes</span>
+                <span className="meta-value">{cutover.routeIds.join(', ')}</span>
               </div>
-              {form.dangerousAcceptAnyServerCertificate && (
-                <p className="warning-text">Warning: This setting disables SSL certificate validation. Use only in development.</p>
+              {cutover.revertedAt && (
+                <div className="meta-item">
+                  <span className="meta-label">Reverted</span>
+                  <span className="meta-value">
+                    {new Date(cutover.revertedAt).toLocaleString()} (version {cutover.revertVersion})
+                  </span>
+                </div>
               )}
             </div>
-          </FeatureSection>
-
-          {/* HTTP Request */}
-          <FeatureSection
-            title="HTTP Request"
-            description="Configure request forwarding settings"
-            enabled={httpRequestEnabled}
-            onToggle={() => setHttpRequestEnabled(!httpRequestEnabled)}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Audit View - who changed what and when, newest first, from /audit
+const AUDIT_PAGE_SIZE = 25;
+const AUDIT_ACTIONS = ['Create', 'Update', 'Delete', 'Import', 'Apply', 'Rollback', 'Cutover', 'RevertCutover'];
+const EMPTY_AUDIT_FILTERS = { search: '', user: '', action: '', entityType: '', from: '', to: '' };
+
+const AUDIT_ACTION_BADGES = {
+  Create: 'pending-create',
+  Import: 'pending-create',
+  Update: 'pending-update',
+  Delete: 'pending-delete',
+  Apply: 'status-active',
+  Rollback: 'status-inactive',
+  Cutover: 'status-active',
+  RevertCutover: 'status-inactive'
+};
+
+// datetime-local values have no zone; send them as the browser's local time
+const buildAuditQuery = (filters, page) => {
+  const params = new URLSearchParams({ page: String(page), pageSize: String(AUDIT_PAGE_SIZE) });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    params.set(key, key === 'from' || key === 'to' ? new Date(value).toISOString() : value);
+  });
+  return params.toString();
+};
+
+const AuditView = ({ onApiError }) => {
+  const [draft, setDraft] = useState(EMPTY_AUDIT_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    fetchAudit();
+  }, [filters, page]);
+
+  const fetchAudit = async () => {
+    setLoading(true);
+    try {
+      setResult(await apiRequest(`/audit?${buildAuditQuery(filters, page)}`));
+    } catch (err) {
+      onApiError(err, 'Failed to load audit log');
+    }
+    setLoading(false);
+  };
+
+  const applyFilters = (next) => {
+    setFilters(next);
+    setPage(1);
+  };
+
+  const set = (key, value) => setDraft({ ...draft, [key]: value });
+  const filtered = Object.keys(EMPTY_AUDIT_FILTERS).some(key => filters[key] !== EMPTY_AUDIT_FILTERS[key]);
+  const pageCount = result ? Math.max(1, Math.ceil(result.total / result.pageSize)) : 1;
+
+  return (
+    <div>
+      <form
+        className="list-toolbar"
+        onSubmit={e => {
+          e.preventDefault();
+          applyFilters(draft);
+        }}
+      >
+        <input
+          className="form-input"
+          type="search"
+          value={draft.search}
+          onChange={e => set('search', e.target.value)}
+          placeholder="Search id, user, details or payload (e.g. /payments)"
+        />
+        <input
+          className="form-input"
+          type="text"
+          value={draft.user}
+          onChange={e => set('user', e.target.value)}
+          placeholder="User"
+        />
+        <select className="form-input" value={draft.action} onChange={e => set('action', e.target.value)}>
+          <option value="">All actions</option>
+          {AUDIT_ACTIONS.map(a => <option key={a} value={a}>{a}</option>)}
+        </select>
+        <select className="form-input" value={draft.entityType} onChange={e => set('entityType', e.target.value)}>
+          <option value="">All entities</option>
+          <option value="route">Routes</option>
+          <option value="cluster">Clusters</option>
+          <option value="template">Templates</option>
+        </select>
+        <input
+          className="form-input"
+          type="datetime-local"
+          value={draft.from}
+          onChange={e => set('from', e.target.value)}
+          title="From"
+        />
+        <input
+          className="form-input"
+          type="datetime-local"
+          value={draft.to}
+          onChange={e => set('to', e.target.value)}
+          title="To"
+        />
+        <button type="submit" className="btn btn-primary btn-sm">Search</button>
+        {filtered && (
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => {
+              setDraft(EMPTY_AUDIT_FILTERS);
+              applyFilters(EMPTY_AUDIT_FILTERS);
+            }}
           >
-            <div style={{ marginTop: '0.75rem' }}>
-              <div className="form-row">
-                <div className="form-group">
-                  <label className="form-label">Activity Timeout</label>
-                  <input
-                    className="form-input"
-                    type="text"
-                    value={form.activityTimeout}
-                    onChange={e => setForm({...form, activityTimeout: e.target.value})}
-                    placeholder="00:01:40"
-                  />
+            Clear
+          </button>
+        )}
+      </form>
+
+      {!result ? (
+        <div className="loading">
+          <div className="spinner" />
+        </div>
+      ) : result.items.length === 0 ? (
+        <div className="empty-state">
+          <h3>{filtered ? 'No entries match the current filters' : 'No audit entries yet'}</h3>
+          <p>Route and cluster changes, imports, applies and rollbacks are recorded here</p>
+        </div>
+      ) : (
+        <div className="pending-list">
+          {result.items.map(entry => (
+            <div key={entry.id} className="pending-item">
+              <div className="pending-item-header">
+                <div className="card-title">
+                  <span className={`status-badge ${AUDIT_ACTION_BADGES[entry.action] || 'status-inactive'}`}>{entry.action}</span>
+                  {entry.entityType && <span className="meta-label">{entry.entityType}</span>}
+                  {entry.entityId || entry.details}
                 </div>
-                <div className="form-group">
-                  <label className="form-label">HTTP Version</label>
-                  <select
-                    className="form-input"
-                    value={form.httpVersion}
-                    onChange={e => setForm({...form, httpVersion: e.target.value})}
+                {(entry.before || entry.after) && (
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
                   >
-                    <option value="">Default</option>
-                    <option value="1.0">HTTP/1.0</option>
-                    <option value="1.1">HTTP/1.1</option>
-                    <option value="2">HTTP/2</option>
-                    <option value="3">HTTP/3</option>
-                  </select>
-                </div>
+                    {expanded === entry.id ? 'Hide Diff' : 'Show Diff'}
+                  </button>
+                )}
               </div>
-              <div className="form-row">
-                <div className="form-group">
-                  <label className="form-label">Version Policy</label>
-                  <select
-                    className="form-input"
-                    value={form.versionPolicy}
-                    onChange={e => setForm({...form, versionPolicy: e.target.value})}
-                  >
-                    <option value="">Default</option>
-                    <option value="RequestVersionOrLower">Request Version Or Lower</option>
-                    <option value="RequestVersionOrHigher">Request Version Or Higher</option>
-                    <option value="RequestVersionExact">Request Version Exact</option>
-                  </select>
-                </div>
-                <div className="form-group">
-                  <div className="inline-toggle" style={{ marginTop: '1.5rem' }}>
-                    <span className="inline-toggle-label">Allow Response Buffering</span>
-                    <ToggleSwitch
-                      checked={form.allowResponseBuffering}
-                      onChange={e => setForm({...form, allowResponseBuffering: e.target.checked})}
-                    />
+              <div className="audit-meta">
+                <span>{new Date(entry.timestamp).toLocaleString()}</span>
+                <span>{entry.user || 'anonymous'}</span>
+                {entry.clientIp && <span>{entry.clientIp}</span>}
+                {entry.entityId && entry.details && <span>{entry.details}</span>}
+              </div>
+              {expanded === entry.id && (
+                <JsonDiff before={entry.before} after={entry.after} labels={['Before', 'After']} />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {result && result.total > 0 && (
+        <div className="audit-pager">
+          <button className="btn btn-secondary btn-sm" onClick={() => setPage(page - 1)} disabled={page <= 1 || loading}>
+            Previous
+          </button>
+          <span className="feature-desc">
+            Page {result.page} of {pageCount} - {result.total} entr{result.total === 1 ? 'y' : 'ies'}
+          </span>
+          <button className="btn btn-secondary btn-sm" onClick={() => setPage(page + 1)} disabled={page >= pageCount || loading}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Compare View - diff another environment's exported configuration against this one and pull in differences
+const COMPARE_LABELS = { create: 'only in source', update: 'different', delete: 'only here' };
+
+// Applies the promotion mapping table, e.g. staging.internal -> prod.internal, to every route and cluster
+const applyValueMappings = (config, mappings) => mappings
+  .filter(m => m.key)
+  .reduce((mapped, m) => replaceInEntity(mapped, m.key, m.value), config);
+
+// Routes being pulled in whose cluster would exist neither here nor among the pulled entities
+const findMissingClusters = (chosen, localClusters) => {
+  const removed = chosen.filter(c => c.entityType === 'cluster' && !c.after).map(c => c.entityId);
+  const available = new Set([
+    ...localClusters.map(c => c.clusterId).filter(id => !removed.includes(id)),
+    ...chosen.filter(c => c.entityType === 'cluster' && c.after).map(c => c.entityId)
+  ]);
+  return chosen
+    .filter(c => c.entityType === 'route' && c.after && !available.has(c.after.clusterId))
+    .map(c => ({ routeId: c.entityId, clusterId: c.after.clusterId }));
+};
+
+const CompareView = ({ routes, clusters, onStage, readOnly }) => {
+  const [url, setUrl] = useState('');
+  const [source, setSource] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [fetching, setFetching] = useState(false);
+  const [mappings, setMappings] = useState([]);
+  const [selected, setSelected] = useState({});
+  const [expanded, setExpanded] = useState(null);
+
+  const loadSource = (label, json) => {
+    const config = isAppSettingsFormat(json) ? fromAppSettings(json) : json;
+    if (!config || (!Array.isArray(config.routes) && !Array.isArray(config.clusters))) {
+      setLoadError(`${label} is not a YarpAdmin or appsettings configuration`);
+      return;
+    }
+    setSource({ label, config: { routes: config.routes || [], clusters: config.clusters || [] } });
+    setSelected({});
+    setExpanded(null);
+    setLoadError(null);
+  };
+
+  // The other instance must allow cross-origin requests from this dashboard for the browser to read it
+  const handleFetch = async () => {
+    const target = url.trim();
+    setFetching(true);
+    try {
+      const res = await fetch(target);
+      if (!res.ok) throw new Error(`request failed with status ${res.status}`);
+      loadSource(target, await res.json());
+    } catch (err) {
+      setLoadError(`Could not load ${target}: ${err.message}. Check that the instance allows cross-origin requests from this dashboard.`);
+    }
+    setFetching(false);
+  };
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        loadSource(file.name, JSON.parse(reader.result));
+      } catch (err) {
+        setLoadError(`${file.name} is not valid JSON`);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const keyOf = (change) => `${change.entityType}:${change.entityId}`;
+  const differences = source
+    ? diffConfigurations({ routes, clusters }, applyValueMappings(source.config, mappings))
+    : [];
+  // Pulling in additions and changes is the usual intent; removals must be ticked explicitly
+  const isSelected = (change) => selected[keyOf(change)] ?? change.action !== 'delete';
+  const chosen = differences.filter(isSelected);
+  const missingClusters = findMissingClusters(chosen, clusters);
+  const statusClass = { create: 'pending-create', update: 'pending-update', delete: 'pending-delete' };
+
+  return (
+    <div>
+      <div className="card">
+        <div className="card-header">
+          <div className="card-title">Source Environment</div>
+          <label className="btn btn-secondary btn-sm">
+            Upload Export
+            <input type="file" accept=".json,application/json" onChange={handleFileUpload} style={{ display: 'none' }} />
+          </label>
+        </div>
+        <div className="list-toolbar">
+          <input
+            className="form-input"
+            type="url"
+            value={url}
+            onChange={e => setUrl(e.target.value)}
+            placeholder="https://staging-gateway.example.com/api/yarp-admin/config"
+          />
+          <button className="btn btn-primary btn-sm" onClick={handleFetch} disabled={!url.trim() || fetching}>
+            {fetching ? 'Loading...' : 'Load'}
+          </button>
+        </div>
+        {loadError && <p className="warning-text">{loadError}</p>}
+        {source && (
+          <p className="feature-desc">
+            Comparing {source.label}: {source.config.routes.length} routes and {source.config.clusters.length} clusters.
+          </p>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <div className="card-title">Value Mappings</div>
+        </div>
+        <p className="feature-desc">
+          Replace per-environment values in the source before comparing, for example destination hosts.
+          Each mapping applies to every string value and to destination and metadata names.
+        </p>
+        <KeyValueEditor
+          items={mappings}
+          onChange={setMappings}
+          keyPlaceholder="Source value, e.g. orders.staging.internal"
+          valuePlaceholder="Value here, e.g. orders.prod.internal"
+        />
+      </div>
+
+      {source && (
+        <div className="card">
+          <div className="card-header">
+            <div className="card-title">Differences</div>
+            <span className="meta-label">{differences.length} entit{differences.length === 1 ? 'y' : 'ies'} differ</span>
+          </div>
+          {differences.length === 0 ? (
+            <p className="feature-desc">With the mappings applied, {source.label} matches this instance.</p>
+          ) : (
+            <div className="pending-list">
+              {differences.map(change => (
+                <div key={keyOf(change)} className="pending-item">
+                  <div className="pending-item-header">
+                    <label className="card-title">
+                      <input
+                        type="checkbox"
+                        checked={isSelected(change)}
+                        onChange={() => setSelected({ ...selected, [keyOf(change)]: !isSelected(change) })}
+                        disabled={readOnly}
+                      />
+                      <span className={`status-badge ${statusClass[change.action]}`}>{COMPARE_LABELS[change.action]}</span>
+                      <span className="meta-label">{change.entityType}</span>
+                      {change.entityId}
+                    </label>
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => setExpanded(expanded === keyOf(change) ? null : keyOf(change))}
+                    >
+                      {expanded === keyOf(change) ? 'Hide Diff' : 'Show Diff'}
+                    </button>
                   </div>
+                  {expanded === keyOf(change) && (
+                    <JsonDiff before={change.before} after={change.after} labels={['This instance', source.label]} />
+                  )}
                 </div>
-              </div>
+              ))}
             </div>
-          </FeatureSection>
-
-          {/* Metadata */}
-          <FeatureSection
-            title="Metadata"
-            description="Custom key-value pairs"
-            enabled={metadataEnabled}
-            onToggle={() => setMetadataEnabled(!metadataEnabled)}
-          >
-            <div style={{ marginTop: '0.75rem' }}>
-              <KeyValueEditor
-                items={form.metadata}
-                onChange={(metadata) => setForm({...form, metadata})}
-                keyPlaceholder="Key"
-                valuePlaceholder="Value"
-              />
+          )}
+          {missingClusters.map(m => (
+            <p key={m.routeId} className="warning-text">
+              Route {m.routeId} uses cluster {m.clusterId}, which won't exist here - select it too or map the cluster id.
+            </p>
+          ))}
+          {readOnly ? (
+            <p className="feature-desc">{READ_ONLY_TOOLTIP}, so differences cannot be pulled in.</p>
+          ) : differences.length > 0 && (
+            <div className="form-actions">
+              <button
+                className="btn btn-primary"
+                onClick={() => { onStage(chosen); setSelected({}); }}
+                disabled={chosen.length === 0}
+              >
+                Stage {chosen.length} Selected
+              </button>
             </div>
-          </FeatureSection>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
 
-          <div className="form-actions">
-            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
-            <button type="submit" className="btn btn-primary">Save Cluster</button>
+// Import / Export View
+const ImportExportView = ({ routes, clusters, onStage, showNotification, onApiError, readOnly }) => {
+  const [exportFormat, setExportFormat] = useState('yarpadmin');
+  const [importText, setImportText] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState({});
+
+  const handleExport = async () => {
+    try {
+      const appSettings = exportFormat === 'appsettings';
+      const config = await apiRequest(appSettings ? '/config/appsettings' : '/config');
+      const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = appSettings ? 'appsettings.ReverseProxy.json' : 'yarp-config.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      onApiError(err, 'Failed to export configuration');
+    }
+  };
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setImportText(reader.result);
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  // Classify each imported entity against the live store
+  const classify = (items, live, entityType) => (Array.isArray(items) ? items : [])
+    .filter(item => item && item[entityKey(entityType)])
+    .map(item => {
+      const id = item[entityKey(entityType)];
+      const existing = live.find(e => e[entityKey(entityType)] === id);
+      const status = !existing ? 'add' : entitiesEqual(existing, item) ? 'unchanged' : 'overwrite';
+      return { entityType, id, status, item };
+    });
+
+  const handlePreview = () => {
+    let config;
+    try {
+      config = JSON.parse(importText);
+    } catch (err) {
+      showNotification('Import file is not valid JSON', 'error');
+      return;
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      showNotification('Import file must be a JSON object with routes and clusters', 'error');
+      return;
+    }
+    const format = isAppSettingsFormat(config) ? 'appsettings' : 'yarpadmin';
+    if (format === 'appsettings') config = fromAppSettings(config);
+
+    const entries = [
+      ...classify(config.clusters, clusters, 'cluster'),
+      ...classify(config.routes, routes, 'route')
+    ];
+    const importedIds = new Set(entries.map(e => `${e.entityType}:${e.id}`));
+    const untouched = [
+      ...clusters.filter(c => !importedIds.has(`cluster:${c.clusterId}`)).map(c => ({ entityType: 'cluster', id: c.clusterId })),
+      ...routes.filter(r => !importedIds.has(`route:${r.routeId}`)).map(r => ({ entityType: 'route', id: r.routeId }))
+    ];
+
+    const initialSelection = {};
+    entries.forEach(e => { initialSelection[`${e.entityType}:${e.id}`] = e.status !== 'unchanged'; });
+    setSelected(initialSelection);
+    setPreview({ entries, untouched, format });
+  };
+
+  const handleImport = () => {
+    const chosen = preview.entries.filter(e => selected[`${e.entityType}:${e.id}`]);
+    onStage(chosen.map(e => ({ entityType: e.entityType, entityId: e.id, after: e.item })));
+    setPreview(null);
+    setImportText('');
+  };
+
+  const toggleEntry = (key) => setSelected({ ...selected, [key]: !selected[key] });
+  const selectedCount = preview ? preview.entries.filter(e => selected[`${e.entityType}:${e.id}`]).length : 0;
+  const statusClass = { add: 'pending-create', overwrite: 'pending-update', unchanged: 'status-inactive' };
+
+  return (
+    <div>
+      <div className="card">
+        <div className="card-header">
+          <div className="card-title">Export</div>
+          <div className="card-actions">
+            <select className="form-input" value={exportFormat} onChange={e => setExportFormat(e.target.value)}>
+              <option value="yarpadmin">YarpAdmin JSON</option>
+              <option value="appsettings">YARP appsettings (ReverseProxy)</option>
+            </select>
+            <button className="btn btn-primary btn-sm" onClick={handleExport}>Download</button>
           </div>
-        </form>
+        </div>
+        <p className="feature-desc">
+          Downloads all {routes.length} routes and {clusters.length} clusters currently in the store.
+          {exportFormat === 'appsettings' && ' Disabled routes and destinations are left out, since plain YARP has no enabled flag; destination state and weight are written as metadata.'}
+        </p>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <div className="card-title">Import</div>
+          {!readOnly && (
+            <label className="btn btn-secondary btn-sm">
+              Upload File
+              <input type="file" accept=".json,application/json" onChange={handleFileUpload} style={{ display: 'none' }} />
+            </label>
+          )}
+        </div>
+        {readOnly ? (
+          <p className="feature-desc">{READ_ONLY_TOOLTIP}, so configuration cannot be imported.</p>
+        ) : (
+          <>
+            <textarea
+              className="form-input"
+              rows={10}
+              value={importText}
+              onChange={e => { setImportText(e.target.value); setPreview(null); }}
+              placeholder='{ "routes": [...], "clusters": [...] } or { "ReverseProxy": { "Routes": {...}, "Clusters": {...} } }'
+            />
+            <div className="form-actions">
+              <button className="btn btn-secondary" onClick={handlePreview} disabled={!importText.trim()}>
+                Preview Import
+              </button>
+            </div>
+
+            {preview && (
+              <div className="sub-section">
+                <div className="sub-section-title">
+                  <span>{preview.entries.length} entities in file, {preview.untouched.length} existing left untouched</span>
+                  <span className="meta-label">{preview.format === 'appsettings' ? 'appsettings format' : 'YarpAdmin format'}</span>
+                </div>
+                {preview.entries.length === 0 ? (
+                  <p className="feature-desc">The file contains no routes or clusters.</p>
+                ) : (
+                  <div className="pending-list">
+                    {preview.entries.map(entry => {
+                      const key = `${entry.entityType}:${entry.id}`;
+                      return (
+                        <label key={key} className="pending-item pending-item-header">
+                          <div className="card-title">
+                            <input type="checkbox" checked={!!selected[key]} onChange={() => toggleEntry(key)} />
+                            <span className="meta-label">{entry.entityType}</span>
+                            {entry.id}
+                          </div>
+                          <span className={`status-badge ${statusClass[entry.status]}`}>{entry.status}</span>
+                        </label>
+                      );
+                    })}
+                  </div>
+                )}
+                <div className="form-actions">
+                  <button className="btn btn-secondary" onClick={() => setPreview(null)}>Cancel</button>
+                  <button className="btn btn-primary" onClick={handleImport} disabled={selectedCount === 0}>
+                    Stage {selectedCount} Selected
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
       </div>
     </div>
   );